@@ -0,0 +1,32 @@
+import { query } from '../src/db.js';
+
+async function main() {
+  console.log('Adding API key tables...');
+
+  // Only the SHA-256 hash of each key is stored; the plaintext is shown once on creation
+  await query(`
+    CREATE TABLE IF NOT EXISTS api_keys (
+      id SERIAL PRIMARY KEY,
+      name TEXT NOT NULL,
+      key_prefix TEXT NOT NULL,
+      key_hash TEXT NOT NULL UNIQUE,
+      role TEXT NOT NULL DEFAULT 'reader' CHECK (role IN ('reader', 'editor', 'admin')),
+      rate_limit_points INTEGER,
+      rate_limit_duration INTEGER,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+      last_used_at TIMESTAMP WITH TIME ZONE,
+      expires_at TIMESTAMP WITH TIME ZONE,
+      revoked_at TIMESTAMP WITH TIME ZONE
+    );
+  `);
+
+  await query(`CREATE INDEX IF NOT EXISTS idx_api_keys_active ON api_keys(key_hash) WHERE revoked_at IS NULL;`);
+
+  console.log('API key tables created successfully!');
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error('Migration failed:', e);
+  process.exit(1);
+});
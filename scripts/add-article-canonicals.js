@@ -0,0 +1,47 @@
+import { query } from '../src/db.js';
+import { canonicalForSlug } from '../src/services/generation.js';
+
+async function main() {
+  console.log('Moving article canonicals to /:language/article/:slug...');
+
+  // Articles saved before canonicals moved under /article/ point at
+  // /:language/:slug, which is a 404 and doesn't match the hreflang links.
+  // Only those and missing canonicals are rewritten; any other canonical was
+  // set on purpose.
+  for (const lang of ['en', 'de', 'fr', 'es', 'pt', 'ar', 'hi']) {
+    const tableName = `articles_${lang}`;
+    try {
+      const tableExists = await query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_schema = 'public'
+          AND table_name = $1
+        );
+      `, [tableName]);
+
+      if (!tableExists.rows[0].exists) {
+        console.log(`Skipped ${tableName} (table does not exist)`);
+        continue;
+      }
+
+      const res = await query(`
+        UPDATE ${tableName}
+        SET canonical_url = $1 || slug
+        WHERE canonical_url IS NULL
+           OR substring(canonical_url from '^https?://[^/]+(/.*)$') = '/' || $2 || '/' || slug
+      `, [canonicalForSlug('', lang), lang]);
+
+      console.log(`Updated ${res.rowCount} canonicals in ${tableName}`);
+    } catch (err) {
+      console.log(`Skipped ${tableName}: ${err.message}`);
+    }
+  }
+
+  console.log('Article canonicals migration completed!');
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error('Migration failed:', e);
+  process.exit(1);
+});
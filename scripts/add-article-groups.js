@@ -0,0 +1,72 @@
+import { query } from '../src/db.js';
+
+async function main() {
+  console.log('Adding article groups...');
+
+  // One row per article of a translation group, keyed by the English master:
+  // the master itself (language 'en') and each translation. article_id and
+  // source_article_id point into the articles table of their language.
+  await query(`
+    CREATE TABLE IF NOT EXISTS article_groups (
+      master_id BIGINT NOT NULL REFERENCES articles_en(id) ON DELETE CASCADE,
+      language_code TEXT NOT NULL,
+      article_id BIGINT NOT NULL,
+      source_article_id BIGINT,
+      source_content_hash TEXT,
+      created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+      updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+      PRIMARY KEY (master_id, language_code),
+      UNIQUE (language_code, article_id)
+    );
+  `);
+
+  const masters = await query(`
+    INSERT INTO article_groups (master_id, language_code, article_id)
+    SELECT id, 'en', id FROM articles_en
+    ON CONFLICT DO NOTHING
+  `);
+  console.log(`Backfilled ${masters.rowCount} masters`);
+
+  // Existing translations are matched to their master by the slug convention
+  // `${masterSlug}-${lang}` (plus any -N deduplication suffix) one last time.
+  // The master hash they were translated from is unknown, so it stays NULL.
+  for (const lang of ['de', 'fr', 'es', 'pt', 'ar', 'hi']) {
+    const tableName = `articles_${lang}`;
+    try {
+      const tableExists = await query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_schema = 'public'
+          AND table_name = $1
+        );
+      `, [tableName]);
+
+      if (!tableExists.rows[0].exists) {
+        console.log(`Skipped ${tableName} (table does not exist)`);
+        continue;
+      }
+
+      const res = await query(`
+        INSERT INTO article_groups (master_id, language_code, article_id, source_article_id)
+        SELECT DISTINCT ON (m.id) m.id, $1, t.id, m.id
+        FROM ${tableName} t
+        JOIN articles_en m ON m.slug = regexp_replace(t.slug, '-' || $1 || '(-[0-9]+)?$', '')
+        WHERE t.slug ~ ('-' || $1 || '(-[0-9]+)?$')
+        ORDER BY m.id, t.id
+        ON CONFLICT DO NOTHING
+      `, [lang]);
+
+      console.log(`Backfilled ${res.rowCount} translations from ${tableName}`);
+    } catch (err) {
+      console.log(`Skipped ${tableName}: ${err.message}`);
+    }
+  }
+
+  console.log('Article groups setup completed!');
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error('Migration failed:', e);
+  process.exit(1);
+});
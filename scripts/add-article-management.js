@@ -0,0 +1,47 @@
+import { query } from '../src/db.js';
+
+async function main() {
+  console.log('Adding article management columns...');
+
+  // Legacy table plus all language-specific tables
+  const tables = ['articles', ...['en', 'de', 'fr', 'es', 'pt', 'ar', 'hi'].map((lang) => `articles_${lang}`)];
+
+  for (const tableName of tables) {
+    try {
+      const tableExists = await query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_schema = 'public'
+          AND table_name = $1
+        );
+      `, [tableName]);
+
+      if (!tableExists.rows[0].exists) {
+        console.log(`Skipped ${tableName} (table does not exist)`);
+        continue;
+      }
+
+      // Soft delete: deleted rows stay as tombstones answering 410, or 301 to
+      // replacement_slug in the same table
+      await query(`
+        ALTER TABLE ${tableName}
+        ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS replacement_slug TEXT;
+      `);
+
+      await query(`CREATE INDEX IF NOT EXISTS idx_${tableName}_deleted ON ${tableName}(slug) WHERE deleted_at IS NOT NULL;`);
+
+      console.log(`Added article management columns to ${tableName}`);
+    } catch (err) {
+      console.log(`Skipped ${tableName}: ${err.message}`);
+    }
+  }
+
+  console.log('Article management setup completed!');
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error('Migration failed:', e);
+  process.exit(1);
+});
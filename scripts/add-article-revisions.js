@@ -0,0 +1,122 @@
+import { query } from '../src/db.js';
+
+async function main() {
+  console.log('Adding article revision history...');
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS article_revisions (
+      id BIGSERIAL PRIMARY KEY,
+      language_code TEXT NOT NULL,
+      article_id BIGINT NOT NULL,
+      article_slug TEXT,
+      revision_number INTEGER NOT NULL,
+      operation TEXT NOT NULL,
+      source TEXT,
+      changed_by TEXT,
+      title TEXT,
+      content TEXT,
+      summary TEXT,
+      meta_title TEXT,
+      meta_description TEXT,
+      content_hash TEXT,
+      ai_model TEXT,
+      ai_prompt TEXT,
+      created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+      UNIQUE (language_code, article_id, revision_number)
+    );
+  `);
+
+  await query(`CREATE INDEX IF NOT EXISTS idx_article_revisions_slug ON article_revisions(article_slug, language_code);`);
+
+  // Snapshot on every insert and on updates that touch versioned fields, so
+  // view counters and status changes don't create revisions. Callers tag the
+  // change with set_config('app.revision_source' / 'app.revision_author');
+  // plain SQL edits leave both empty.
+  await query(`
+    CREATE OR REPLACE FUNCTION record_article_revision() RETURNS trigger AS $$
+    BEGIN
+      IF TG_OP = 'UPDATE'
+        AND NEW.title IS NOT DISTINCT FROM OLD.title
+        AND NEW.content IS NOT DISTINCT FROM OLD.content
+        AND NEW.summary IS NOT DISTINCT FROM OLD.summary
+        AND NEW.meta_title IS NOT DISTINCT FROM OLD.meta_title
+        AND NEW.meta_description IS NOT DISTINCT FROM OLD.meta_description
+        AND NEW.content_hash IS NOT DISTINCT FROM OLD.content_hash
+        AND NEW.ai_model IS NOT DISTINCT FROM OLD.ai_model
+        AND NEW.ai_prompt IS NOT DISTINCT FROM OLD.ai_prompt THEN
+        RETURN NEW;
+      END IF;
+
+      INSERT INTO article_revisions (
+        language_code, article_id, article_slug, revision_number, operation, source, changed_by,
+        title, content, summary, meta_title, meta_description, content_hash, ai_model, ai_prompt
+      ) VALUES (
+        TG_ARGV[0], NEW.id, NEW.slug,
+        COALESCE((
+          SELECT MAX(revision_number) FROM article_revisions
+          WHERE language_code = TG_ARGV[0] AND article_id = NEW.id
+        ), 0) + 1,
+        lower(TG_OP),
+        NULLIF(current_setting('app.revision_source', true), ''),
+        NULLIF(current_setting('app.revision_author', true), ''),
+        NEW.title, NEW.content, NEW.summary, NEW.meta_title, NEW.meta_description,
+        NEW.content_hash, NEW.ai_model, NEW.ai_prompt
+      );
+      RETURN NEW;
+    END;
+    $$ LANGUAGE plpgsql;
+  `);
+
+  for (const lang of ['en', 'de', 'fr', 'es', 'pt', 'ar', 'hi']) {
+    const tableName = `articles_${lang}`;
+    try {
+      const tableExists = await query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_schema = 'public'
+          AND table_name = $1
+        );
+      `, [tableName]);
+
+      if (!tableExists.rows[0].exists) {
+        console.log(`Skipped ${tableName} (table does not exist)`);
+        continue;
+      }
+
+      await query(`DROP TRIGGER IF EXISTS ${tableName}_revisions ON ${tableName};`);
+      await query(`
+        CREATE TRIGGER ${tableName}_revisions
+        AFTER INSERT OR UPDATE ON ${tableName}
+        FOR EACH ROW EXECUTE FUNCTION record_article_revision('${lang}');
+      `);
+
+      // Current content becomes revision 1 for articles written before history existed
+      const { rowCount } = await query(`
+        INSERT INTO article_revisions (
+          language_code, article_id, article_slug, revision_number, operation, source,
+          title, content, summary, meta_title, meta_description, content_hash, ai_model, ai_prompt
+        )
+        SELECT '${lang}', a.id, a.slug, 1, 'baseline', 'migration',
+               a.title, a.content, a.summary, a.meta_title, a.meta_description,
+               a.content_hash, a.ai_model, a.ai_prompt
+        FROM ${tableName} a
+        WHERE NOT EXISTS (
+          SELECT 1 FROM article_revisions r
+          WHERE r.language_code = '${lang}' AND r.article_id = a.id
+        );
+      `);
+
+      console.log(`Added revision trigger to ${tableName} (${rowCount} baseline revisions)`);
+    } catch (err) {
+      console.log(`Skipped ${tableName}: ${err.message}`);
+    }
+  }
+
+  console.log('Article revision setup completed!');
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error('Migration failed:', e);
+  process.exit(1);
+});
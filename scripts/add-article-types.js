@@ -0,0 +1,50 @@
+import { query } from '../src/db.js';
+import { ARTICLE_TYPES } from '../src/utils/articleTypes.js';
+
+async function main() {
+  console.log('Adding article type column...');
+
+  // Legacy table plus all language-specific tables
+  const tables = ['articles', ...['en', 'de', 'fr', 'es', 'pt', 'ar', 'hi'].map((lang) => `articles_${lang}`)];
+  const allowed = ARTICLE_TYPES.map((t) => `'${t}'`).join(', ');
+
+  for (const tableName of tables) {
+    try {
+      const tableExists = await query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_schema = 'public'
+          AND table_name = $1
+        );
+      `, [tableName]);
+
+      if (!tableExists.rows[0].exists) {
+        console.log(`Skipped ${tableName} (table does not exist)`);
+        continue;
+      }
+
+      // Existing articles were all written from the category (guide) templates
+      await query(`
+        ALTER TABLE ${tableName}
+        ADD COLUMN IF NOT EXISTS article_type TEXT NOT NULL DEFAULT 'guide';
+      `);
+
+      await query(`ALTER TABLE ${tableName} DROP CONSTRAINT IF EXISTS ${tableName}_article_type_check;`);
+      await query(`ALTER TABLE ${tableName} ADD CONSTRAINT ${tableName}_article_type_check CHECK (article_type IN (${allowed}));`);
+
+      await query(`CREATE INDEX IF NOT EXISTS idx_${tableName}_article_type ON ${tableName}(article_type, category_id);`);
+
+      console.log(`Added article_type to ${tableName}`);
+    } catch (err) {
+      console.log(`Skipped ${tableName}: ${err.message}`);
+    }
+  }
+
+  console.log('Article type setup completed!');
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error('Migration failed:', e);
+  process.exit(1);
+});
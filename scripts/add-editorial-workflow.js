@@ -0,0 +1,59 @@
+import { query } from '../src/db.js';
+
+async function main() {
+  console.log('Adding editorial workflow columns...');
+
+  // Legacy table plus all language-specific tables
+  const tables = ['articles', ...['en', 'de', 'fr', 'es', 'pt', 'ar', 'hi'].map((lang) => `articles_${lang}`)];
+
+  for (const tableName of tables) {
+    try {
+      const tableExists = await query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_schema = 'public'
+          AND table_name = $1
+        );
+      `, [tableName]);
+
+      if (!tableExists.rows[0].exists) {
+        console.log(`Skipped ${tableName} (table does not exist)`);
+        continue;
+      }
+
+      // Existing rows are already live, so backfill them as published before
+      // switching the default for new rows to draft
+      await query(`
+        ALTER TABLE ${tableName}
+        ADD COLUMN IF NOT EXISTS status TEXT NOT NULL DEFAULT 'published',
+        ADD COLUMN IF NOT EXISTS scheduled_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS reviewed_at TIMESTAMP WITH TIME ZONE,
+        ADD COLUMN IF NOT EXISTS review_note TEXT,
+        ADD COLUMN IF NOT EXISTS updated_at TIMESTAMP WITH TIME ZONE;
+      `);
+      await query(`ALTER TABLE ${tableName} ALTER COLUMN status SET DEFAULT 'draft';`);
+
+      await query(`ALTER TABLE ${tableName} DROP CONSTRAINT IF EXISTS ${tableName}_status_check;`);
+      await query(`
+        ALTER TABLE ${tableName}
+        ADD CONSTRAINT ${tableName}_status_check
+        CHECK (status IN ('draft', 'in_review', 'scheduled', 'published', 'unpublished'));
+      `);
+
+      await query(`CREATE INDEX IF NOT EXISTS idx_${tableName}_status_published ON ${tableName}(status, published_at DESC);`);
+      await query(`CREATE INDEX IF NOT EXISTS idx_${tableName}_scheduled ON ${tableName}(scheduled_at) WHERE status = 'scheduled';`);
+
+      console.log(`Added editorial workflow columns to ${tableName}`);
+    } catch (err) {
+      console.log(`Skipped ${tableName}: ${err.message}`);
+    }
+  }
+
+  console.log('Editorial workflow setup completed!');
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error('Migration failed:', e);
+  process.exit(1);
+});
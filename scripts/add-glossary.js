@@ -0,0 +1,41 @@
+import { query } from '../src/db.js';
+
+async function main() {
+  console.log('Adding translation glossary...');
+
+  // English terms with a fixed treatment in translations. A NULL translation
+  // keeps the term as written; a NULL language applies to every language,
+  // and a row for one language overrides it there.
+  await query(`
+    CREATE TABLE IF NOT EXISTS glossary_terms (
+      id BIGSERIAL PRIMARY KEY,
+      term TEXT NOT NULL,
+      language_code TEXT,
+      translation TEXT,
+      case_sensitive BOOLEAN NOT NULL DEFAULT false,
+      note TEXT,
+      created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+      updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+    );
+  `);
+  await query(`
+    CREATE UNIQUE INDEX IF NOT EXISTS idx_glossary_terms_term_language
+    ON glossary_terms (lower(term), COALESCE(language_code, ''));
+  `);
+
+  // The site name is never translated
+  const seeded = await query(`
+    INSERT INTO glossary_terms (term, case_sensitive, note)
+    VALUES ('VivaVerse', true, 'Site name')
+    ON CONFLICT DO NOTHING
+  `);
+  console.log(`Seeded ${seeded.rowCount} protected terms`);
+
+  console.log('Glossary setup completed!');
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error('Migration failed:', e);
+  process.exit(1);
+});
@@ -0,0 +1,40 @@
+import { query } from '../src/db.js';
+
+async function main() {
+  console.log('Adding image alt text column...');
+
+  // Legacy table plus all language-specific tables
+  const tables = ['articles', ...['en', 'de', 'fr', 'es', 'pt', 'ar', 'hi'].map((lang) => `articles_${lang}`)];
+
+  for (const tableName of tables) {
+    try {
+      const tableExists = await query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_schema = 'public'
+          AND table_name = $1
+        );
+      `, [tableName]);
+
+      if (!tableExists.rows[0].exists) {
+        console.log(`Skipped ${tableName} (table does not exist)`);
+        continue;
+      }
+
+      // Written by the altText AI role; pages fall back to the title when empty
+      await query(`ALTER TABLE ${tableName} ADD COLUMN IF NOT EXISTS image_alt TEXT;`);
+
+      console.log(`Added image_alt to ${tableName}`);
+    } catch (err) {
+      console.log(`Skipped ${tableName}: ${err.message}`);
+    }
+  }
+
+  console.log('Image alt text setup completed!');
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error('Migration failed:', e);
+  process.exit(1);
+});
@@ -0,0 +1,57 @@
+import { query } from '../src/db.js';
+
+async function main() {
+  console.log('Adding job queue tables...');
+
+  // Durable work queue drained by the worker in src/services/jobQueue.js.
+  // A job only becomes claimable once the job it depends on has completed.
+  await query(`
+    CREATE TABLE IF NOT EXISTS jobs (
+      id BIGSERIAL PRIMARY KEY,
+      type TEXT NOT NULL,
+      payload JSONB NOT NULL DEFAULT '{}'::jsonb,
+      status TEXT NOT NULL DEFAULT 'pending'
+        CHECK (status IN ('pending', 'running', 'completed', 'dead', 'cancelled')),
+      priority INTEGER NOT NULL DEFAULT 0,
+      depends_on BIGINT REFERENCES jobs(id) ON DELETE SET NULL,
+      attempts INTEGER NOT NULL DEFAULT 0,
+      max_attempts INTEGER NOT NULL DEFAULT 3,
+      run_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+      locked_at TIMESTAMP WITH TIME ZONE,
+      locked_by TEXT,
+      result JSONB,
+      last_error TEXT,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+      updated_at TIMESTAMP WITH TIME ZONE DEFAULT now(),
+      completed_at TIMESTAMP WITH TIME ZONE
+    );
+  `);
+
+  // Claim query: pending jobs ordered by priority and due time
+  await query(`CREATE INDEX IF NOT EXISTS idx_jobs_claimable ON jobs(priority DESC, run_at, id) WHERE status = 'pending';`);
+  await query(`CREATE INDEX IF NOT EXISTS idx_jobs_depends_on ON jobs(depends_on) WHERE depends_on IS NOT NULL;`);
+  await query(`CREATE INDEX IF NOT EXISTS idx_jobs_running ON jobs(locked_at) WHERE status = 'running';`);
+  await query(`CREATE INDEX IF NOT EXISTS idx_jobs_type_status ON jobs(type, status);`);
+
+  // Progress events per job, replayed by the SSE endpoint
+  await query(`
+    CREATE TABLE IF NOT EXISTS job_events (
+      id BIGSERIAL PRIMARY KEY,
+      job_id BIGINT NOT NULL REFERENCES jobs(id) ON DELETE CASCADE,
+      stage TEXT NOT NULL,
+      message TEXT,
+      data JSONB NOT NULL DEFAULT '{}'::jsonb,
+      created_at TIMESTAMP WITH TIME ZONE DEFAULT now()
+    );
+  `);
+
+  await query(`CREATE INDEX IF NOT EXISTS idx_job_events_job ON job_events(job_id, id);`);
+
+  console.log('Job queue tables created successfully!');
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error('Migration failed:', e);
+  process.exit(1);
+});
@@ -0,0 +1,71 @@
+import { query } from '../src/db.js';
+import { computeSignature, htmlSignatureText } from '../src/services/duplicateDetection.js';
+
+// --recompute replaces existing signatures (after changing shingle size or hash count)
+const recompute = process.argv.includes('--recompute');
+
+async function main() {
+  console.log('Adding near-duplicate detection columns...');
+
+  // Legacy table plus all language-specific tables
+  const tables = ['articles', ...['en', 'de', 'fr', 'es', 'pt', 'ar', 'hi'].map((lang) => `articles_${lang}`)];
+
+  for (const tableName of tables) {
+    try {
+      const tableExists = await query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_schema = 'public'
+          AND table_name = $1
+        );
+      `, [tableName]);
+
+      if (!tableExists.rows[0].exists) {
+        console.log(`Skipped ${tableName} (table does not exist)`);
+        continue;
+      }
+
+      // duplicate_of points at the existing article a flagged draft resembles
+      await query(`
+        ALTER TABLE ${tableName}
+        ADD COLUMN IF NOT EXISTS minhash_signature INTEGER[],
+        ADD COLUMN IF NOT EXISTS duplicate_of BIGINT,
+        ADD COLUMN IF NOT EXISTS duplicate_similarity REAL;
+      `);
+
+      await query(`CREATE INDEX IF NOT EXISTS idx_${tableName}_duplicate_of ON ${tableName}(duplicate_of) WHERE duplicate_of IS NOT NULL;`);
+
+      console.log(`Added near-duplicate columns to ${tableName}`);
+    } catch (err) {
+      console.log(`Skipped ${tableName}: ${err.message}`);
+    }
+  }
+
+  // Signatures for English masters written before detection existed, over the
+  // same intro, sections and FAQ text new masters are signed with
+  try {
+    const { rows } = await query(`
+      SELECT id, content FROM articles_en
+      ${recompute ? '' : 'WHERE minhash_signature IS NULL'}
+      ORDER BY id
+    `);
+    let updated = 0;
+    for (const row of rows) {
+      const signature = computeSignature(htmlSignatureText(row.content));
+      if (!signature) continue;
+      await query('UPDATE articles_en SET minhash_signature = $1 WHERE id = $2', [signature, row.id]);
+      updated += 1;
+    }
+    console.log(`Computed signatures for ${updated} English articles`);
+  } catch (err) {
+    console.log(`Skipped signature backfill: ${err.message}`);
+  }
+
+  console.log('Near-duplicate detection setup completed!');
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error('Migration failed:', e);
+  process.exit(1);
+});
@@ -0,0 +1,32 @@
+import { query } from '../src/db.js';
+
+async function main() {
+  console.log('Adding site pages...');
+
+  // One row per page and language; translated_from links a machine
+  // translation to the English page it came from
+  await query(`
+    CREATE TABLE IF NOT EXISTS pages (
+      id BIGSERIAL PRIMARY KEY,
+      slug TEXT NOT NULL,
+      language_code TEXT NOT NULL,
+      title TEXT NOT NULL,
+      content TEXT NOT NULL,
+      meta_description TEXT,
+      status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'published')),
+      translated_from BIGINT REFERENCES pages(id) ON DELETE SET NULL,
+      created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+      updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+      UNIQUE (slug, language_code)
+    );
+  `);
+  await query(`CREATE INDEX IF NOT EXISTS idx_pages_language_status ON pages(language_code, status);`);
+
+  console.log('Site pages setup completed!');
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error('Migration failed:', e);
+  process.exit(1);
+});
@@ -0,0 +1,48 @@
+import { query } from '../src/db.js';
+
+async function main() {
+  console.log('Adding quality gate columns...');
+
+  // Legacy table plus all language-specific tables
+  const tables = ['articles', ...['en', 'de', 'fr', 'es', 'pt', 'ar', 'hi'].map((lang) => `articles_${lang}`)];
+
+  for (const tableName of tables) {
+    try {
+      const tableExists = await query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_schema = 'public'
+          AND table_name = $1
+        );
+      `, [tableName]);
+
+      if (!tableExists.rows[0].exists) {
+        console.log(`Skipped ${tableName} (table does not exist)`);
+        continue;
+      }
+
+      // quality_reasons holds the failed checks as [{ code, message }]
+      await query(`
+        ALTER TABLE ${tableName}
+        ADD COLUMN IF NOT EXISTS word_count INTEGER,
+        ADD COLUMN IF NOT EXISTS word_count_status TEXT,
+        ADD COLUMN IF NOT EXISTS quality_score SMALLINT,
+        ADD COLUMN IF NOT EXISTS quality_reasons JSONB;
+      `);
+
+      await query(`CREATE INDEX IF NOT EXISTS idx_${tableName}_quality_score ON ${tableName}(quality_score) WHERE quality_score IS NOT NULL;`);
+
+      console.log(`Added quality gate columns to ${tableName}`);
+    } catch (err) {
+      console.log(`Skipped ${tableName}: ${err.message}`);
+    }
+  }
+
+  console.log('Quality gate setup completed!');
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error('Migration failed:', e);
+  process.exit(1);
+});
@@ -0,0 +1,68 @@
+import { query } from '../src/db.js';
+
+async function main() {
+  console.log('Adding redirects table...');
+
+  // target_path is NULL for 410 Gone; it may be an absolute URL for
+  // redirects off-site
+  await query(`
+    CREATE TABLE IF NOT EXISTS redirects (
+      id BIGSERIAL PRIMARY KEY,
+      source_path TEXT NOT NULL UNIQUE,
+      target_path TEXT,
+      status_code SMALLINT NOT NULL DEFAULT 301 CHECK (status_code IN (301, 302, 307, 308, 410)),
+      reason TEXT NOT NULL DEFAULT 'manual',
+      hit_count BIGINT NOT NULL DEFAULT 0,
+      last_hit_at TIMESTAMP WITH TIME ZONE,
+      created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+      updated_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+      CHECK (status_code = 410 OR target_path IS NOT NULL)
+    );
+  `);
+
+  await query(`CREATE INDEX IF NOT EXISTS idx_redirects_target ON redirects(target_path);`);
+
+  // Articles deleted before the redirect manager existed answer from their
+  // tombstones; give them redirect rows so the middleware serves them too
+  for (const lang of ['en', 'de', 'fr', 'es', 'pt', 'ar', 'hi']) {
+    const tableName = `articles_${lang}`;
+    try {
+      const columnExists = await query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.columns
+          WHERE table_schema = 'public'
+          AND table_name = $1
+          AND column_name = 'deleted_at'
+        );
+      `, [tableName]);
+
+      if (!columnExists.rows[0].exists) {
+        console.log(`Skipped ${tableName} (no deleted articles to backfill)`);
+        continue;
+      }
+
+      const { rowCount } = await query(`
+        INSERT INTO redirects (source_path, target_path, status_code, reason)
+        SELECT '/${lang}/article/' || a.slug,
+               CASE WHEN a.replacement_slug IS NOT NULL THEN '/${lang}/article/' || a.replacement_slug END,
+               CASE WHEN a.replacement_slug IS NOT NULL THEN 301 ELSE 410 END,
+               'delete'
+        FROM ${tableName} a
+        WHERE a.deleted_at IS NOT NULL
+        ON CONFLICT (source_path) DO NOTHING;
+      `);
+
+      console.log(`Backfilled ${rowCount} redirects from ${tableName}`);
+    } catch (err) {
+      console.log(`Skipped ${tableName}: ${err.message}`);
+    }
+  }
+
+  console.log('Redirects setup completed!');
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error('Migration failed:', e);
+  process.exit(1);
+});
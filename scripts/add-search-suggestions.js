@@ -0,0 +1,79 @@
+import { query } from '../src/db.js';
+import { refreshAllSearchTerms } from '../src/services/searchSuggestions.js';
+
+async function main() {
+  console.log('Adding search suggestions...');
+
+  await query(`CREATE EXTENSION IF NOT EXISTS pg_trgm;`);
+
+  // Vocabulary for "did you mean", rebuilt by refreshSearchTerms
+  await query(`
+    CREATE TABLE IF NOT EXISTS search_terms (
+      language_code TEXT NOT NULL,
+      term TEXT NOT NULL,
+      frequency INTEGER NOT NULL DEFAULT 0,
+      PRIMARY KEY (language_code, term)
+    );
+  `);
+  await query(`CREATE INDEX IF NOT EXISTS idx_search_terms_trgm ON search_terms USING GIN (term gin_trgm_ops);`);
+
+  // Searches that found nothing: candidates for new articles
+  await query(`
+    CREATE TABLE IF NOT EXISTS search_misses (
+      id BIGSERIAL PRIMARY KEY,
+      language_code TEXT NOT NULL,
+      query TEXT NOT NULL,
+      sample_query TEXT,
+      miss_count INTEGER NOT NULL DEFAULT 1,
+      status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'dismissed')),
+      first_seen_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+      last_seen_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+      UNIQUE (language_code, query)
+    );
+  `);
+  await query(`CREATE INDEX IF NOT EXISTS idx_search_misses_open ON search_misses(language_code, miss_count DESC) WHERE status = 'open';`);
+
+  for (const lang of ['en', 'de', 'fr', 'es', 'pt', 'ar', 'hi']) {
+    const tableName = `articles_${lang}`;
+    try {
+      const tableExists = await query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_schema = 'public'
+          AND table_name = $1
+        );
+      `, [tableName]);
+
+      if (!tableExists.rows[0].exists) {
+        console.log(`Skipped ${tableName} (table does not exist)`);
+        continue;
+      }
+
+      // Keywords only live in the article's JSON-LD ("keywords":"a, b, c")
+      await query(`
+        ALTER TABLE ${tableName}
+        ADD COLUMN IF NOT EXISTS keywords TEXT GENERATED ALWAYS AS (
+          substring(content from '"keywords":"((?:[^"\\\\]|\\\\.)*)"')
+        ) STORED;
+      `);
+
+      await query(`CREATE INDEX IF NOT EXISTS idx_${tableName}_title_trgm ON ${tableName} USING GIN (title gin_trgm_ops);`);
+      await query(`CREATE INDEX IF NOT EXISTS idx_${tableName}_keywords_trgm ON ${tableName} USING GIN (keywords gin_trgm_ops);`);
+
+      console.log(`Added keywords and trigram indexes to ${tableName}`);
+    } catch (err) {
+      console.log(`Skipped ${tableName}: ${err.message}`);
+    }
+  }
+
+  const counts = await refreshAllSearchTerms();
+  console.log('Search terms per language:', counts);
+
+  console.log('Search suggestions setup completed!');
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error('Migration failed:', e);
+  process.exit(1);
+});
@@ -0,0 +1,49 @@
+import { query } from '../src/db.js';
+import { textSearchConfig, htmlToTextSql } from '../src/utils/textSearch.js';
+
+async function main() {
+  console.log('Adding full-text search columns...');
+
+  for (const lang of ['en', 'de', 'fr', 'es', 'pt', 'ar', 'hi']) {
+    const tableName = `articles_${lang}`;
+    const cfg = textSearchConfig(lang);
+    try {
+      const tableExists = await query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_schema = 'public'
+          AND table_name = $1
+        );
+      `, [tableName]);
+
+      if (!tableExists.rows[0].exists) {
+        console.log(`Skipped ${tableName} (table does not exist)`);
+        continue;
+      }
+
+      // Title matches outrank summary/meta matches, which outrank body text
+      await query(`
+        ALTER TABLE ${tableName}
+        ADD COLUMN IF NOT EXISTS search_vector tsvector GENERATED ALWAYS AS (
+          setweight(to_tsvector('${cfg}'::regconfig, coalesce(title, '')), 'A') ||
+          setweight(to_tsvector('${cfg}'::regconfig, coalesce(summary, '') || ' ' || coalesce(meta_description, '')), 'B') ||
+          setweight(to_tsvector('${cfg}'::regconfig, ${htmlToTextSql('content')}), 'D')
+        ) STORED;
+      `);
+
+      await query(`CREATE INDEX IF NOT EXISTS idx_${tableName}_search ON ${tableName} USING GIN (search_vector);`);
+
+      console.log(`Added search_vector (${cfg}) to ${tableName}`);
+    } catch (err) {
+      console.log(`Skipped ${tableName}: ${err.message}`);
+    }
+  }
+
+  console.log('Full-text search setup completed!');
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error('Migration failed:', e);
+  process.exit(1);
+});
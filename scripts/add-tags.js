@@ -0,0 +1,90 @@
+import { query } from '../src/db.js';
+import { setArticleTags } from '../src/services/tagService.js';
+
+// Keywords of articles generated before tags were stored live in their JSON-LD
+const JSON_LD_KEYWORDS_RE = /"keywords":"((?:[^"\\]|\\.)*)"/;
+
+function keywordsFromContent(content) {
+  const match = JSON_LD_KEYWORDS_RE.exec(content || '');
+  if (!match) return [];
+  try {
+    return JSON.parse(`"${match[1]}"`).split(',');
+  } catch {
+    return [];
+  }
+}
+
+async function main() {
+  console.log('Adding tags...');
+
+  await query(`
+    CREATE TABLE IF NOT EXISTS tags (
+      id BIGSERIAL PRIMARY KEY,
+      language_code TEXT NOT NULL,
+      slug TEXT NOT NULL,
+      name TEXT NOT NULL,
+      created_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now(),
+      UNIQUE (language_code, slug)
+    );
+  `);
+
+  // article_id points into the articles table of language_code
+  await query(`
+    CREATE TABLE IF NOT EXISTS article_tags (
+      language_code TEXT NOT NULL,
+      article_id BIGINT NOT NULL,
+      tag_id BIGINT NOT NULL REFERENCES tags(id) ON DELETE CASCADE,
+      position SMALLINT NOT NULL DEFAULT 1,
+      PRIMARY KEY (language_code, article_id, tag_id)
+    );
+  `);
+  await query(`CREATE INDEX IF NOT EXISTS idx_article_tags_tag ON article_tags(tag_id);`);
+
+  // Older translations carry the master's English keywords in their JSON-LD,
+  // so their tags start out untranslated
+  for (const lang of ['en', 'de', 'fr', 'es', 'pt', 'ar', 'hi']) {
+    const tableName = `articles_${lang}`;
+    try {
+      const tableExists = await query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_schema = 'public'
+          AND table_name = $1
+        );
+      `, [tableName]);
+
+      if (!tableExists.rows[0].exists) {
+        console.log(`Skipped ${tableName} (table does not exist)`);
+        continue;
+      }
+
+      const { rows } = await query(`
+        SELECT a.id, a.content
+        FROM ${tableName} a
+        WHERE NOT EXISTS (
+          SELECT 1 FROM article_tags at WHERE at.language_code = $1 AND at.article_id = a.id
+        );
+      `, [lang]);
+
+      let tagged = 0;
+      for (const row of rows) {
+        const names = keywordsFromContent(row.content);
+        if (!names.length) continue;
+        const tags = await setArticleTags({ query }, { language: lang, articleId: row.id, names });
+        if (tags.length) tagged += 1;
+      }
+
+      console.log(`Backfilled tags for ${tagged} articles in ${tableName}`);
+    } catch (err) {
+      console.log(`Skipped ${tableName}: ${err.message}`);
+    }
+  }
+
+  console.log('Tags setup completed!');
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error('Migration failed:', e);
+  process.exit(1);
+});
@@ -0,0 +1,66 @@
+import { query } from '../src/db.js';
+import { getCategoryTemplates, getPromptCategorySlugs } from '../src/prompts/index.js';
+
+async function main() {
+  console.log('Adding topic usage table...');
+
+  // Which prompt template produced which article, used to rotate topics
+  await query(`
+    CREATE TABLE IF NOT EXISTS topic_usage (
+      id BIGSERIAL PRIMARY KEY,
+      template_id TEXT NOT NULL,
+      category_id INTEGER REFERENCES categories(id) ON DELETE SET NULL,
+      category_slug TEXT NOT NULL,
+      language_code TEXT NOT NULL,
+      article_id BIGINT,
+      article_slug TEXT,
+      used_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT now()
+    );
+  `);
+
+  await query(`CREATE INDEX IF NOT EXISTS idx_topic_usage_rotation ON topic_usage(category_slug, language_code, template_id, used_at DESC);`);
+  await query(`CREATE INDEX IF NOT EXISTS idx_topic_usage_article ON topic_usage(article_slug, language_code);`);
+
+  // Backfill from existing English articles: ai_prompt holds the template's user prompt
+  const templateIdByPrompt = new Map();
+  for (const slug of getPromptCategorySlugs()) {
+    for (const tpl of getCategoryTemplates(slug)) {
+      templateIdByPrompt.set(tpl.user.trim(), tpl.id);
+    }
+  }
+
+  try {
+    const { rows } = await query(`
+      SELECT a.id, a.slug, a.ai_prompt, a.created_at, c.id AS category_id, c.slug AS category_slug
+      FROM articles_en a
+      JOIN categories c ON c.id = a.category_id
+      WHERE a.ai_prompt IS NOT NULL
+        AND NOT EXISTS (
+          SELECT 1 FROM topic_usage t WHERE t.article_slug = a.slug AND t.language_code = 'en'
+        )
+    `);
+
+    let backfilled = 0;
+    for (const row of rows) {
+      const templateId = templateIdByPrompt.get(String(row.ai_prompt).trim());
+      if (!templateId) continue;
+      await query(
+        `INSERT INTO topic_usage (template_id, category_id, category_slug, language_code, article_id, article_slug, used_at)
+         VALUES ($1, $2, $3, 'en', $4, $5, $6)`,
+        [templateId, row.category_id, row.category_slug, row.id, row.slug, row.created_at]
+      );
+      backfilled += 1;
+    }
+    console.log(`Backfilled ${backfilled} of ${rows.length} English articles`);
+  } catch (err) {
+    console.log(`Skipped backfill: ${err.message}`);
+  }
+
+  console.log('Topic usage setup completed!');
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error('Migration failed:', e);
+  process.exit(1);
+});
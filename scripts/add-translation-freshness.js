@@ -0,0 +1,73 @@
+import { query } from '../src/db.js';
+
+async function main() {
+  console.log('Adding translation freshness tracking...');
+
+  // Translations backfilled from the slug convention don't know which master
+  // version they were made from. Take the master revision current when the
+  // translation was created, or the master as it is now when there's no
+  // revision history; either way it is a best guess, and a wrong one only
+  // costs a re-translation or leaves one translation stale until its master
+  // next changes.
+  const revisionsExist = await query(`
+    SELECT EXISTS (
+      SELECT FROM information_schema.tables
+      WHERE table_schema = 'public'
+      AND table_name = 'article_revisions'
+    );
+  `);
+
+  for (const lang of ['de', 'fr', 'es', 'pt', 'ar', 'hi']) {
+    const tableName = `articles_${lang}`;
+    try {
+      const tableExists = await query(`
+        SELECT EXISTS (
+          SELECT FROM information_schema.tables
+          WHERE table_schema = 'public'
+          AND table_name = $1
+        );
+      `, [tableName]);
+
+      if (!tableExists.rows[0].exists) {
+        console.log(`Skipped ${tableName} (table does not exist)`);
+        continue;
+      }
+
+      const res = await query(`
+        UPDATE article_groups g
+        SET source_content_hash = COALESCE(${revisionsExist.rows[0].exists ? `(
+              SELECT r.content_hash FROM article_revisions r
+              WHERE r.language_code = 'en' AND r.article_id = g.master_id
+                AND r.created_at <= t.created_at
+              ORDER BY r.revision_number DESC
+              LIMIT 1
+            ), ` : ''}m.content_hash),
+            updated_at = now()
+        FROM ${tableName} t, articles_en m
+        WHERE g.language_code = $1
+          AND g.article_id = t.id
+          AND m.id = g.master_id
+          AND g.source_content_hash IS NULL
+      `, [lang]);
+
+      console.log(`Backfilled ${res.rowCount} source hashes for ${tableName}`);
+    } catch (err) {
+      console.log(`Skipped ${tableName}: ${err.message}`);
+    }
+  }
+
+  // The stale check looks up re-translation jobs per master and language
+  await query(`
+    CREATE INDEX IF NOT EXISTS idx_jobs_retranslate_pair
+    ON jobs (((payload->>'masterId')::bigint), (payload->>'lang'))
+    WHERE type = 'retranslate_article';
+  `);
+
+  console.log('Translation freshness setup completed!');
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error('Migration failed:', e);
+  process.exit(1);
+});
@@ -45,7 +45,7 @@ async function checkGenerationStatus() {
     let needingArticles = 0;
     for (const category of categories.rows) {
       const { rows } = await query(
-        'SELECT COUNT(*)::int AS count FROM articles_en WHERE category_id = $1 AND published_at::date = CURRENT_DATE',
+        'SELECT COUNT(*)::int AS count FROM articles_en WHERE category_id = $1 AND created_at::date = CURRENT_DATE',
         [category.id]
       );
       const todayCount = rows[0]?.count || 0;
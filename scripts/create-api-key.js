@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+import { Command } from 'commander';
+import { createApiKey, API_KEY_ROLES } from '../src/services/apiKeyService.js';
+
+async function main() {
+  const program = new Command();
+  program
+    .name('create-api-key')
+    .description('Create an API key (use this to bootstrap the first admin key)')
+    .requiredOption('-n, --name <name>', 'Label for the key, e.g. "deploy-pipeline"')
+    .option('-r, --role <role>', `Role: ${API_KEY_ROLES.join(', ')}`, 'reader')
+    .option('--points <number>', 'Requests allowed per rate limit window')
+    .option('--duration <seconds>', 'Rate limit window length in seconds')
+    .option('--expires <date>', 'Expiry date (ISO 8601)')
+    .parse(process.argv);
+
+  const opts = program.opts();
+
+  const { apiKey, key } = await createApiKey({
+    name: opts.name,
+    role: opts.role,
+    rateLimitPoints: opts.points,
+    rateLimitDuration: opts.duration,
+    expiresAt: opts.expires
+  });
+
+  console.log('✅ API key created');
+  console.log(`   id:   ${key.id}`);
+  console.log(`   name: ${key.name}`);
+  console.log(`   role: ${key.role}`);
+  console.log('');
+  console.log('🔑 Key (shown only once, store it securely):');
+  console.log(apiKey);
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error('Failed to create API key:', e.message);
+  process.exit(1);
+});
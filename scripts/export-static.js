@@ -0,0 +1,40 @@
+#!/usr/bin/env node
+import { Command } from 'commander';
+import { config } from '../src/config.js';
+import { exportStaticSite } from '../src/services/staticExport.js';
+
+async function main() {
+  const program = new Command();
+  program
+    .name('export-static')
+    .description('Render the public site into a directory for a CDN or object storage')
+    .option('-o, --out <dir>', 'Export directory', 'static-export')
+    .option('-l, --languages <codes>', `Comma-separated languages (default: ${config.languages.join(',')})`)
+    .option('-i, --incremental', 'Re-render only articles whose content_hash changed since the last export')
+    .parse(process.argv);
+
+  const opts = program.opts();
+  const languages = opts.languages
+    ? opts.languages.split(',').map((l) => l.trim()).filter(Boolean)
+    : config.languages;
+
+  const { manifest, rendered, reused } = await exportStaticSite({
+    outDir: opts.out,
+    languages,
+    incremental: Boolean(opts.incremental)
+  });
+
+  console.log('✅ Static export completed');
+  console.log(`   directory: ${opts.out}`);
+  console.log(`   files:     ${Object.keys(manifest.files).length} (${rendered} rendered, ${reused} unchanged articles reused)`);
+  console.log(`   added:     ${manifest.changes.added.length}`);
+  console.log(`   updated:   ${manifest.changes.updated.length}`);
+  console.log(`   removed:   ${manifest.changes.removed.length}`);
+  console.log(`   redirects: ${manifest.redirects.length}`);
+  process.exit(0);
+}
+
+main().catch((e) => {
+  console.error('Static export failed:', e.message);
+  process.exit(1);
+});
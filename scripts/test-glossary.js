@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for glossary enforcement (src/services/glossaryService.js)
+ * Usage: node scripts/test-glossary.js
+ */
+
+import { findGlossaryViolations, buildGlossaryPrompt } from '../src/services/glossaryService.js';
+
+let failures = 0;
+
+function check(name, condition, detail) {
+  if (condition) {
+    console.log(`✅ ${name}`);
+  } else {
+    failures += 1;
+    console.log(`❌ ${name}`);
+    if (detail !== undefined) console.log(`   got: ${JSON.stringify(detail)}`);
+  }
+}
+
+const glossary = [
+  { term: 'WordPress', translation: null, caseSensitive: true },
+  { term: 'machine learning', translation: 'maschinelles Lernen', caseSensitive: false },
+  { term: 'API', translation: null, caseSensitive: true }
+];
+
+function testFindGlossaryViolations() {
+  console.log('\n🧪 findGlossaryViolations');
+
+  check('no glossary, no violations', findGlossaryViolations([], 'WordPress', 'Wordpresse').length === 0);
+
+  const compliant = findGlossaryViolations(glossary,
+    '<p>Install WordPress and learn machine learning.</p>',
+    '<p>Installieren Sie WordPress und lernen Sie maschinelles Lernen.</p>');
+  check('a compliant translation has no violations', compliant.length === 0, compliant);
+
+  const renamed = findGlossaryViolations(glossary,
+    '<p>WordPress powers sites. Update WordPress often.</p>',
+    '<p>Wordpress betreibt Websites.</p>');
+  check('a protected term written differently is a violation',
+    renamed.length === 1 && renamed[0].term === 'WordPress' && renamed[0].type === 'protected' && renamed[0].occurrences === 2,
+    renamed);
+
+  const mapped = findGlossaryViolations(glossary,
+    '<p>Machine Learning basics</p>',
+    '<p>Grundlagen des Maschinenlernens</p>');
+  check('a mapped term translated another way is a violation',
+    mapped.length === 1 && mapped[0].expected === 'maschinelles Lernen' && mapped[0].type === 'mapping',
+    mapped);
+
+  const inflected = findGlossaryViolations(glossary,
+    '<p>machine learning</p>',
+    '<p>Die Grundlagen des Maschinelles Lernens</p>');
+  check('case-insensitive terms match inflected translations', inflected.length === 0, inflected);
+
+  const partialWord = findGlossaryViolations(glossary, '<p>RAPID growth</p>', '<p>Schnelles Wachstum</p>');
+  check('source terms only match whole words', partialWord.length === 0, partialWord);
+
+  const inMarkup = findGlossaryViolations(glossary,
+    '<p><a href="https://wordpress.org/API">Docs</a></p>',
+    '<p><a href="https://wordpress.org/API">Doku</a></p>');
+  check('terms inside markup are ignored', inMarkup.length === 0, inMarkup);
+
+  const onlyInLink = findGlossaryViolations(glossary,
+    '<p>Call the API</p>',
+    '<p>Rufen Sie die <a href="/API">Schnittstelle</a> auf</p>');
+  check('a term kept only in markup is still a violation', onlyInLink.length === 1 && onlyInLink[0].term === 'API', onlyInLink);
+}
+
+function testBuildGlossaryPrompt() {
+  console.log('\n🧪 buildGlossaryPrompt');
+  check('empty without terms', buildGlossaryPrompt([]) === '' && buildGlossaryPrompt(null) === '');
+
+  const prompt = buildGlossaryPrompt(glossary, '•');
+  const expected = [
+    '',
+    '',
+    'GLOSSARY (mandatory):',
+    '• Keep these names exactly as written, never translate or transliterate them: "WordPress", "API"',
+    '• Always translate these terms as given:',
+    '  "machine learning" → "maschinelles Lernen"'
+  ].join('\n');
+  check('lists protected and mapped terms', prompt === expected, prompt);
+}
+
+testFindGlossaryViolations();
+testBuildGlossaryPrompt();
+
+if (failures) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ All glossary checks passed');
@@ -0,0 +1,76 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for the revision diff (src/utils/htmlDiff.js)
+ * Usage: node scripts/test-html-diff.js
+ */
+
+import { splitBlocks, diffHtml, diffText } from '../src/utils/htmlDiff.js';
+
+let failures = 0;
+
+function check(name, condition, detail) {
+  if (condition) {
+    console.log(`✅ ${name}`);
+  } else {
+    failures += 1;
+    console.log(`❌ ${name}`);
+    if (detail !== undefined) console.log(`   got: ${JSON.stringify(detail)}`);
+  }
+}
+
+function testSplitBlocks() {
+  console.log('\n🧪 splitBlocks');
+  const blocks = splitBlocks('<h2>Intro</h2>\n<p>One</p><ul><li>A</li><li>B</li></ul><p>Two</p>');
+  check('splits headings, paragraphs, lists and list items',
+    JSON.stringify(blocks) === JSON.stringify(['<h2>Intro</h2>', '<p>One</p>', '<ul>', '<li>A</li>', '<li>B</li>', '</ul>', '<p>Two</p>']),
+    blocks);
+  check('empty content has no blocks', splitBlocks('').length === 0 && splitBlocks(null).length === 0);
+}
+
+function testDiffHtml() {
+  console.log('\n🧪 diffHtml');
+
+  const same = diffHtml('<p>Hello world</p>', '<p>Hello   world</p>');
+  check('whitespace-only edits are unchanged', same.changes.length === 0 && same.stats.unchanged === 1, same.stats);
+
+  const edited = diffHtml('<h2>Title</h2><p>The quick fox</p>', '<h2>Title</h2><p>The slow fox</p>');
+  check('an edited paragraph is one changed block',
+    edited.stats.changed === 1 && edited.stats.unchanged === 1 && edited.changes[0].index === 1,
+    edited.stats);
+  check('changed words are wrapped in <del>/<ins>',
+    edited.changes[0].html === '<p>The <del>quick</del><ins>slow</ins> fox</p>',
+    edited.changes[0].html);
+
+  const added = diffHtml('<p>One</p>', '<p>One</p><p>Two</p>');
+  check('a new paragraph is added', added.stats.added === 1 && added.changes[0].html === '<p><ins>Two</ins></p>', added.changes);
+
+  const removed = diffHtml('<p>One</p><p>Two</p>', '<p>Two</p>');
+  check('a dropped paragraph is removed', removed.stats.removed === 1 && removed.changes[0].html === '<p><del>One</del></p>', removed.changes);
+
+  const list = diffHtml('<ul><li>A</li></ul>', '<ul><li>A</li><li>B</li></ul>');
+  check('an added list item keeps its list', list.html === '<ul>\n<li>A</li>\n<li><ins>B</ins></li>\n</ul>', list.html);
+
+  const markup = diffHtml('<p>Read <a href="/a">this</a></p>', '<p>Read <a href="/b">this</a></p>');
+  check('the newer markup wins without marking unchanged words',
+    markup.changes[0].html === '<p>Read <a href="/b">this</a></p>',
+    markup.changes[0].html);
+}
+
+function testDiffText() {
+  console.log('\n🧪 diffText');
+  check('word-level diff of plain text', diffText('Best budget tips', 'Best saving tips') === 'Best <del>budget</del><ins>saving</ins> tips',
+    diffText('Best budget tips', 'Best saving tips'));
+  check('text is HTML-escaped', diffText('a < b', 'a < c') === 'a &lt; <del>b</del><ins>c</ins>', diffText('a < b', 'a < c'));
+  check('identical text has no marks', diffText('Same', 'Same') === 'Same');
+}
+
+testSplitBlocks();
+testDiffHtml();
+testDiffText();
+
+if (failures) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ All HTML diff checks passed');
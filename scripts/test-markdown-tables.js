@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for markdown tables in generated articles (src/services/generation.js)
+ * Usage: node scripts/test-markdown-tables.js
+ */
+
+import { markdownTableToHtml, assembleHtml } from '../src/services/generation.js';
+
+let failures = 0;
+
+function check(name, condition, detail) {
+  if (condition) {
+    console.log(`✅ ${name}`);
+  } else {
+    failures += 1;
+    console.log(`❌ ${name}`);
+    if (detail !== undefined) console.log(`   got: ${JSON.stringify(detail)}`);
+  }
+}
+
+function testMarkdownTableToHtml() {
+  console.log('\n🧪 markdownTableToHtml');
+
+  const table = markdownTableToHtml(['| Plan | Price |', '| --- | ---: |', '| Basic | $5 |', '| Pro | $12 |']);
+  check('header, separator and body rows',
+    table === '<table><thead><tr><th>Plan</th><th>Price</th></tr></thead><tbody><tr><td>Basic</td><td>$5</td></tr><tr><td>Pro</td><td>$12</td></tr></tbody></table>',
+    table);
+
+  const bare = markdownTableToHtml(['Plan | Price', ':---|:---:', 'Basic | $5']);
+  check('outer pipes and alignment colons are optional',
+    bare === '<table><thead><tr><th>Plan</th><th>Price</th></tr></thead><tbody><tr><td>Basic</td><td>$5</td></tr></tbody></table>',
+    bare);
+
+  const headOnly = markdownTableToHtml(['| A | B |', '|---|---|']);
+  check('a header without rows has an empty body', headOnly === '<table><thead><tr><th>A</th><th>B</th></tr></thead><tbody></tbody></table>', headOnly);
+
+  check('no separator row, no table', markdownTableToHtml(['| A | B |', '| 1 | 2 |']) === null);
+  check('separators need three dashes', markdownTableToHtml(['| A |', '| -- |', '| 1 |']) === null);
+  check('a single line is not a table', markdownTableToHtml(['| A | B |']) === null);
+}
+
+function testAssembleHtml() {
+  console.log('\n🧪 assembleHtml tables');
+
+  const html = assembleHtml({
+    intro: 'Compare the plans:\n| Plan | Price |\n| --- | --- |\n| Basic | $5 |\nPick one.',
+    sections: [{ heading: 'Verdict', body: 'Basic wins.' }]
+  });
+  check('tables inside a paragraph split it around the table',
+    html === [
+      '<p>Compare the plans:</p>',
+      '<table><thead><tr><th>Plan</th><th>Price</th></tr></thead><tbody><tr><td>Basic</td><td>$5</td></tr></tbody></table>',
+      '<p>Pick one.</p>',
+      '<h2>Verdict</h2>',
+      '<p>Basic wins.</p>'
+    ].join('\n'),
+    html);
+
+  const pipes = assembleHtml({ intro: 'Use a | b\n| not | a table |' });
+  check('pipe lines without a separator stay text', pipes === '<p>Use a | b<br/>| not | a table |</p>', pipes);
+}
+
+testMarkdownTableToHtml();
+testAssembleHtml();
+
+if (failures) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ All markdown table checks passed');
@@ -0,0 +1,158 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for redirect paths and chain collapsing (src/services/redirectService.js)
+ * Usage: node scripts/test-redirects.js
+ *
+ * upsertRedirect runs against an in-memory stand-in for the redirects table
+ * that understands the three statements it issues.
+ */
+
+import { normalizePath, upsertRedirect, parseRedirectCsv } from '../src/services/redirectService.js';
+
+let failures = 0;
+
+function check(name, condition, detail) {
+  if (condition) {
+    console.log(`✅ ${name}`);
+  } else {
+    failures += 1;
+    console.log(`❌ ${name}`);
+    if (detail !== undefined) console.log(`   got: ${JSON.stringify(detail)}`);
+  }
+}
+
+/**
+ * Executor keeping redirects in a Map keyed by source path
+ */
+function memoryRedirects() {
+  const rows = new Map();
+  return {
+    rows,
+    async query(sql, params) {
+      const statement = sql.trim();
+      if (statement.startsWith('DELETE FROM redirects WHERE source_path = $1')) {
+        const deleted = rows.delete(params[0]);
+        return { rows: [], rowCount: deleted ? 1 : 0 };
+      }
+      if (statement.startsWith('UPDATE redirects')) {
+        const [source, target, statusCode] = params;
+        let rowCount = 0;
+        for (const row of rows.values()) {
+          if (row.target_path !== source) continue;
+          Object.assign(row, { target_path: target, status_code: statusCode });
+          rowCount += 1;
+        }
+        return { rows: [], rowCount };
+      }
+      if (statement.startsWith('INSERT INTO redirects')) {
+        const [source, target, statusCode, reason] = params;
+        const row = { source_path: source, target_path: target, status_code: statusCode, reason };
+        rows.set(source, row);
+        return { rows: [row], rowCount: 1 };
+      }
+      throw new Error(`Unexpected statement: ${statement.split('\n')[0]}`);
+    }
+  };
+}
+
+const table = (db) => Object.fromEntries([...db.rows.values()].map((r) => [r.source_path, `${r.status_code} ${r.target_path}`]));
+const sameTable = (db, expected) => JSON.stringify(table(db)) === JSON.stringify(expected);
+
+function testNormalizePath() {
+  console.log('\n🧪 normalizePath');
+  const cases = [
+    ['en/article/a', '/en/article/a'],
+    ['/en/article/a/', '/en/article/a'],
+    ['//en//article///a', '/en/article/a'],
+    ['/en/search?q=x#top', '/en/search'],
+    ['https://example.com/en/article/a?utm=1', '/en/article/a'],
+    ['/en/article/caf%C3%A9', '/en/article/café'],
+    ['/en/article/100%', '/en/article/100%'],
+    ['/', '/'],
+    ['   ', null],
+    [null, null]
+  ];
+  for (const [input, expected] of cases) {
+    const out = normalizePath(input);
+    check(`${JSON.stringify(input)} → ${JSON.stringify(expected)}`, out === expected, out);
+  }
+  check('absolute targets are kept when allowed',
+    normalizePath('https://other.example/x?y=1', { allowAbsolute: true }) === 'https://other.example/x?y=1');
+}
+
+async function testChainCollapsing() {
+  console.log('\n🧪 upsertRedirect chain collapsing');
+
+  const chain = memoryRedirects();
+  await upsertRedirect(chain, { source: '/a', target: '/b' });
+  await upsertRedirect(chain, { source: '/b', target: '/c' });
+  check('A→B then B→C leaves A→C and B→C', sameTable(chain, { '/a': '301 /c', '/b': '301 /c' }), table(chain));
+
+  await upsertRedirect(chain, { source: '/c', target: '/d/', statusCode: 308 });
+  check('every redirect into a moved path follows it', sameTable(chain, { '/a': '308 /d', '/b': '308 /d', '/c': '308 /d' }), table(chain));
+
+  const back = memoryRedirects();
+  await upsertRedirect(back, { source: '/a', target: '/b' });
+  await upsertRedirect(back, { source: '/b', target: '/a' });
+  check('redirecting back to a source drops its redirect', sameTable(back, { '/b': '301 /a' }), table(back));
+
+  const gone = memoryRedirects();
+  await upsertRedirect(gone, { source: '/a', target: '/b' });
+  await upsertRedirect(gone, { source: '/b', statusCode: 410 });
+  check('a 410 on the target turns redirects into it into 410s', sameTable(gone, { '/a': '410 null', '/b': '410 null' }), table(gone));
+
+  const external = memoryRedirects();
+  await upsertRedirect(external, { source: '/a', target: '/b' });
+  await upsertRedirect(external, { source: '/b', target: 'https://other.example/b' });
+  check('absolute targets collapse chains too',
+    sameTable(external, { '/a': '301 https://other.example/b', '/b': '301 https://other.example/b' }), table(external));
+
+  const replaced = memoryRedirects();
+  await upsertRedirect(replaced, { source: '/a', target: '/b' });
+  await upsertRedirect(replaced, { source: '/a/', target: '/c', statusCode: 302 });
+  check('the same source normalized replaces its redirect', sameTable(replaced, { '/a': '302 /c' }), table(replaced));
+
+  const rejected = [
+    ['a redirect to itself', { source: '/a/', target: '/a' }],
+    ['the home page as source', { source: '/', target: '/a' }],
+    ['an unknown status code', { source: '/a', target: '/b', statusCode: 303 }],
+    ['a missing target', { source: '/a' }]
+  ];
+  for (const [name, redirect] of rejected) {
+    const db = memoryRedirects();
+    try {
+      await upsertRedirect(db, redirect);
+      check(`rejects ${name}`, false, table(db));
+    } catch (err) {
+      check(`rejects ${name}`, err.type === 'VALIDATION_ERROR' && db.rows.size === 0, err.message);
+    }
+  }
+}
+
+function testParseRedirectCsv() {
+  console.log('\n🧪 parseRedirectCsv');
+  const rows = parseRedirectCsv('\uFEFFSource,Target,Status\n/old,/new,\n/gone,,410\n');
+  check('reads source, target and status with defaults',
+    JSON.stringify(rows) === JSON.stringify([
+      { source: '/old', target: '/new', statusCode: 301 },
+      { source: '/gone', target: null, statusCode: '410' }
+    ]),
+    rows);
+  try {
+    parseRedirectCsv('from,to\n/a,/b\n');
+    check('requires a source column', false);
+  } catch (err) {
+    check('requires a source column', /source/.test(err.message), err.message);
+  }
+}
+
+testNormalizePath();
+await testChainCollapsing();
+testParseRedirectCsv();
+
+if (failures) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ All redirect checks passed');
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for tag name cleanup (src/services/tagService.js)
+ * Usage: node scripts/test-tags.js
+ */
+
+import { normalizeTagNames, tagSlug, MAX_TAGS_PER_ARTICLE, TAG_NAME_MAX_LENGTH } from '../src/services/tagService.js';
+
+let failures = 0;
+
+function check(name, condition, detail) {
+  if (condition) {
+    console.log(`✅ ${name}`);
+  } else {
+    failures += 1;
+    console.log(`❌ ${name}`);
+    if (detail !== undefined) console.log(`   got: ${JSON.stringify(detail)}`);
+  }
+}
+
+const same = (value, expected) => JSON.stringify(value) === JSON.stringify(expected);
+
+function testTagSlug() {
+  console.log('\n🧪 tagSlug');
+  check('ASCII languages slugify to ASCII', tagSlug('Café Culture', 'fr') === 'cafe-culture', tagSlug('Café Culture', 'fr'));
+  check('other languages keep their script', tagSlug('الذكاء الاصطناعي', 'ar') === 'الذكاء-الاصطناعي', tagSlug('الذكاء الاصطناعي', 'ar'));
+  check('Hindi keeps its combining marks', tagSlug('स्वास्थ्य सुझाव', 'hi') === 'स्वास्थ्य-सुझाव', tagSlug('स्वास्थ्य सुझाव', 'hi'));
+  check('punctuation only has no slug', tagSlug('!!!', 'en') === '', tagSlug('!!!', 'en'));
+}
+
+function testNormalizeTagNames() {
+  console.log('\n🧪 normalizeTagNames');
+
+  const cleaned = normalizeTagNames(['  #Machine   Learning ', '##AI', '', null, '!!!']);
+  check('trims, collapses spaces, drops # after leading spaces and empty names',
+    same(cleaned, [{ name: 'Machine Learning', slug: 'machine-learning' }, { name: 'AI', slug: 'ai' }]),
+    cleaned);
+
+  const deduped = normalizeTagNames(['Remote Work', 'remote work', 'Remote-Work', 'Budgeting']);
+  check('duplicates by slug keep the first spelling',
+    same(deduped.map((t) => t.name), ['Remote Work', 'Budgeting']),
+    deduped);
+
+  const fromString = normalizeTagNames('travel, budget travel; backpacking');
+  check('splits comma and semicolon separated strings',
+    same(fromString.map((t) => t.slug), ['travel', 'budget-travel', 'backpacking']),
+    fromString);
+
+  const long = normalizeTagNames(['x'.repeat(TAG_NAME_MAX_LENGTH - 1) + ' tail']);
+  check(`caps names at ${TAG_NAME_MAX_LENGTH} characters without a trailing space`,
+    long.length === 1 && long[0].name === 'x'.repeat(TAG_NAME_MAX_LENGTH - 1),
+    long);
+
+  const many = normalizeTagNames(Array.from({ length: MAX_TAGS_PER_ARTICLE + 5 }, (_, i) => `tag ${i}`));
+  check(`keeps at most ${MAX_TAGS_PER_ARTICLE} tags`, many.length === MAX_TAGS_PER_ARTICLE && many[0].slug === 'tag-0', many.length);
+
+  const arabic = normalizeTagNames(['الصحة', ' الصحة '], 'ar');
+  check('non-ASCII languages dedupe on their own slugs', same(arabic, [{ name: 'الصحة', slug: 'الصحة' }]), arabic);
+
+  check('nothing in, nothing out', normalizeTagNames(undefined).length === 0 && normalizeTagNames([]).length === 0);
+}
+
+testTagSlug();
+testNormalizeTagNames();
+
+if (failures) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ All tag checks passed');
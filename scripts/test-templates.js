@@ -0,0 +1,285 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for the template engine (src/utils/template.js) and the default theme
+ * Usage: node scripts/test-templates.js
+ *
+ * The regression checks render default theme partials next to copies of the
+ * string builders they replaced in src/routes/pages.js; both must produce the
+ * same bytes. Whole pages are compared with the output of the string-built
+ * renderers, recorded in scripts/fixtures/*.golden.html; only the changes
+ * listed next to each check may tell them apart.
+ */
+
+import fs from 'fs';
+import { compileTemplate, renderTemplate, escapeHtml, TemplateError } from '../src/utils/template.js';
+import { renderPartial } from '../src/services/themeService.js';
+import { config } from '../src/config.js';
+import { generateArticleHTML } from '../src/routes/pages.js';
+import { generateHtmlSitemap } from '../src/routes/htmlSitemap.js';
+
+let failures = 0;
+
+function check(name, condition, detail) {
+  if (condition) {
+    console.log(`✅ ${name}`);
+  } else {
+    failures += 1;
+    console.log(`❌ ${name}`);
+    if (detail !== undefined) console.log(`   got: ${JSON.stringify(detail)}`);
+  }
+}
+
+/**
+ * Render template source with in-memory partials and layouts
+ */
+function render(source, context = {}, templates = {}) {
+  const resolve = (name) => {
+    if (!(name in templates)) throw new TemplateError(`Template not found: ${name}`);
+    return compileTemplate(templates[name], name);
+  };
+  return renderTemplate(compileTemplate(source, 'test'), context, resolve);
+}
+
+function expectRender(name, source, context, expected, templates) {
+  const out = render(source, context, templates);
+  check(name, out === expected, out);
+}
+
+function expectCompileError(name, source, pattern) {
+  try {
+    compileTemplate(source, 'test');
+    check(name, false, 'no error');
+  } catch (err) {
+    check(name, err instanceof TemplateError && pattern.test(err.message), err.message);
+  }
+}
+
+function testEngine() {
+  console.log('\n🧪 Template engine');
+
+  expectRender('escapes {{ }} output', '<b>{{ name }}</b>', { name: '<a href="x">Tom & Jerry\'s</a>' },
+    '<b>&lt;a href=&quot;x&quot;&gt;Tom &amp; Jerry&#39;s&lt;/a&gt;</b>');
+  expectRender('keeps {{{ }}} output raw', '{{{ html }}}', { html: '<p>ok</p>' }, '<p>ok</p>');
+  expectRender('prints nothing for null, undefined and false, but prints 0', '[{{ a }}{{ b }}{{ c }}{{ d }}]', { a: null, c: false, d: 0 }, '[0]');
+  expectRender('reads dotted paths', '{{ article.category.name }}', { article: { category: { name: 'Tech' } } }, 'Tech');
+
+  expectRender('if / else', '{{#if on}}yes{{else}}no{{/if}}|{{#if off}}yes{{else}}no{{/if}}', { on: 1, off: '' }, 'yes|no');
+  expectRender('empty arrays are falsy', '{{#if items}}some{{else}}none{{/if}}', { items: [] }, 'none');
+  expectRender('unless', '{{#unless hidden}}shown{{/unless}}', { hidden: false }, 'shown');
+
+  expectRender('each with @index, @first and @last',
+    '{{#each items}}{{#unless @first}},{{/unless}}{{ @index }}:{{ this }}{{#if @last}}.{{/if}}{{/each}}',
+    { items: ['a', 'b', 'c'] }, '0:a,1:b,2:c.');
+  expectRender('each else for an empty list', '{{#each items}}x{{else}}empty{{/each}}', { items: [] }, 'empty');
+  expectRender('each body reads outer values', '{{#each items}}{{ prefix }}{{ name }} {{/each}}',
+    { prefix: '#', items: [{ name: 'a' }, { name: 'b' }] }, '#a #b ');
+  expectRender('this. and @root skip the outer lookup', '{{#each items}}[{{ this.title }}|{{ @root.title }}]{{/each}}',
+    { title: 'page', items: [{}, { title: 'item' }] }, '[|page][item|page]');
+  expectRender('with', '{{#with author}}{{ name }}{{else}}anonymous{{/with}}', { author: { name: 'Ann' } }, 'Ann');
+
+  expectRender('partials with the current or another context', '{{> greet}} / {{> greet user}}',
+    { name: 'page', user: { name: 'Ann' } }, 'Hi page / Hi Ann', { greet: 'Hi {{ name }}' });
+  expectRender('comments and the line break after them are dropped', '{{! note }}\nA{{! inline }}B', {}, 'AB');
+
+  expectRender('layouts wrap the body and receive contentFor blocks',
+    '{{!< main}}\n{{#contentFor "head"}}\n<meta>{{/contentFor}}\n<p>{{ text }}</p>',
+    { title: 'T', text: 'body' },
+    '<title>T</title><meta>\n<main><p>body</p></main>',
+    { main: '<title>{{ title }}</title>{{{block "head"}}}\n<main>{{{body}}}</main>' });
+  expectRender('nested layouts', '{{!< inner}}x', {}, '[(x)]', { inner: '{{!< outer}}({{{body}}})', outer: '[{{{body}}}]' });
+
+  expectCompileError('unclosed blocks are rejected', '{{#if a}}x', /Unclosed \{\{#if\}\} \(in test\)/);
+  expectCompileError('mismatched closing tags are rejected', '{{#if a}}x{{/each}}', /Unexpected \{\{\/each\}\}/);
+  expectCompileError('unknown block helpers are rejected', '{{#repeat a}}x{{/repeat}}', /Unknown block helper/);
+  expectCompileError('a stray else is rejected', 'a{{else}}b', /Unexpected \{\{else\}\}/);
+}
+
+// Builders from src/routes/pages.js before the theme engine
+
+function legacyArticleList(articles, langBase) {
+  return `<ol class="search-results">
+            ${articles.map((a) => `<li>
+                <h2><a href="${langBase}/article/${a.slug}">${escapeHtml(a.title)}</a></h2>
+                ${a.summary ? `<p class="snippet">${escapeHtml(a.summary)}</p>` : ''}
+                <div class="result-meta">
+                    ${a.category_name ? `${escapeHtml(a.category_name)} • ` : ''}${new Date(a.published_at || a.created_at).toISOString().slice(0, 10)}${a.reading_time_minutes ? ` • ${a.reading_time_minutes} min` : ''}
+                </div>
+            </li>`).join('')}
+        </ol>`;
+}
+
+function legacyPagination({ page, pages, pageUrl, label }) {
+  if (pages <= 1) return '';
+  return `
+        <div class="article-nav" aria-label="${label}">
+            ${page > 1 ? `<a class="prev" href="${escapeHtml(pageUrl(page - 1))}">← Previous</a>` : '<span></span>'}
+            ${page < pages ? `<a class="next" href="${escapeHtml(pageUrl(page + 1))}">Next →</a>` : ''}
+        </div>`;
+}
+
+function legacyContextualLinks(candidates) {
+  const anchorList = candidates
+    .map(c => `<a href="${c.href}">${escapeHtml(c.title.length > 80 ? c.title.slice(0,77) + '…' : c.title)}</a>`)
+    .join(' • ');
+  return `\n<div class="in-context" role="complementary" aria-label="Related reading" style="margin:16px 0;padding:12px 14px;border-left:3px solid #3498db;background:#f3f7fb;border-radius:4px;">
+    <strong style="color:#2c3e50;">Also read:</strong> ${anchorList}
+  </div>\n`;
+}
+
+function legacyCategoriesBreadcrumbs(langBase) {
+  return `        <nav class="breadcrumbs" aria-label="Breadcrumb">
+            <a href="${langBase}">Home</a>
+            <span> › </span>
+            <span aria-current="page">Categories</span>
+        </nav>`;
+}
+
+function testDefaultTheme() {
+  console.log('\n🧪 Default theme against the pre-theme markup');
+  const langBase = 'https://example.com/en';
+
+  const articles = [
+    { slug: 'budget-basics', title: 'Budget <basics> & "more"', summary: 'Start small.', category_name: 'Money', published_at: '2026-03-01T10:00:00Z', reading_time_minutes: 5 },
+    { slug: 'no-extras', title: 'No extras', summary: null, category_name: null, created_at: '2026-02-01T10:00:00Z', reading_time_minutes: null }
+  ];
+  const listItems = articles.map((a) => ({
+    url: `${langBase}/article/${a.slug}`,
+    title: a.title,
+    summary: a.summary || null,
+    categoryName: a.category_name || null,
+    date: new Date(a.published_at || a.created_at).toISOString().slice(0, 10),
+    readingTime: a.reading_time_minutes || null
+  }));
+  const list = renderPartial('article-list', { articles: listItems });
+  check('article-list partial', list === legacyArticleList(articles, langBase), list);
+
+  const pageUrl = (n) => `${langBase}/category/money?page=${n}&sort="new"`;
+  for (const page of [1, 2, 3]) {
+    const pagination = { label: 'Category pages', prevUrl: page > 1 ? pageUrl(page - 1) : null, nextUrl: page < 3 ? pageUrl(page + 1) : null };
+    const out = renderPartial('pagination', { pagination });
+    check(`pagination partial, page ${page} of 3`, out === legacyPagination({ page, pages: 3, pageUrl, label: 'Category pages' }), out);
+  }
+  const single = renderPartial('pagination', { pagination: null });
+  check('pagination partial, single page', single === legacyPagination({ page: 1, pages: 1, pageUrl, label: 'x' }), single);
+
+  const candidates = [
+    { href: `${langBase}/article/a`, title: 'Short & sweet' },
+    { href: `${langBase}/article/b`, title: 'A'.repeat(90) }
+  ];
+  const links = renderPartial('contextual-links', {
+    links: candidates.map((c) => ({ href: c.href, title: c.title.length > 80 ? c.title.slice(0, 77) + '…' : c.title }))
+  });
+  check('contextual-links partial', links === legacyContextualLinks(candidates), links);
+
+  const crumbs = renderPartial('breadcrumbs', { crumbs: [{ name: 'Home', url: langBase }], current: 'Categories' });
+  check('breadcrumbs partial', crumbs === legacyCategoriesBreadcrumbs(langBase), crumbs);
+}
+
+// Inputs the golden pages were rendered from
+
+const articlePage = {
+  article: {
+    title: 'Budget <basics> & "more"',
+    meta_title: null,
+    meta_description: 'Save & spend wisely',
+    canonical_url: 'https://megaquantum.net/en/article/budget-basics',
+    content: '<p>Start with a plan.</p>\n<p>Track every expense.</p>\n<p>Review it monthly.</p>',
+    language_code: 'en',
+    image_url: 'https://megaquantum.net/images/budget.png',
+    image_alt: null,
+    slug: 'budget-basics',
+    reading_time_minutes: 7
+  },
+  language: 'en',
+  category: { name: 'Money & Co', slug: 'money' },
+  tags: [{ name: 'Saving', slug: 'saving' }, { name: 'Cash flow', slug: 'cash-flow' }],
+  relatedArticles: [{ slug: 'emergency-fund', title: 'Emergency <fund> 101' }, { slug: 'debt-snowball', title: 'The debt snowball' }],
+  prevArticle: { slug: 'savings-goals', title: 'Savings goals' },
+  nextArticle: { slug: 'index-funds', title: 'Index funds' }
+};
+
+const sitemapArticle = (slug, title, date, extra = {}) => ({ slug, title, summary: null, published_at: date, ...extra });
+const sitemapData = {
+  categories: [
+    {
+      name: 'Money',
+      slug: 'money',
+      description: 'Budgets, saving and investing',
+      article_count: 25,
+      articles: [
+        sitemapArticle('budget-basics', 'Budget basics', '2026-03-01T10:00:00Z', { summary: 'Start small' }),
+        sitemapArticle('index-funds', 'Index funds', null, { created_at: '2026-02-01T10:00:00Z' })
+      ]
+    },
+    { name: 'Tech', slug: 'tech', description: null, article_count: 1, articles: [sitemapArticle('home-lab', 'Home lab', '2026-02-01T10:00:00Z')] }
+  ],
+  recentArticles: [
+    sitemapArticle('budget-basics', 'Budget basics', '2026-03-01T10:00:00Z', { summary: 'Start small', category_name: 'Money' }),
+    sitemapArticle('home-lab', 'Home lab', '2026-02-01T10:00:00Z', { category_name: 'Tech' })
+  ],
+  staticPages: [
+    { path: '/', title: 'Home', description: 'Latest articles and trending content' },
+    { path: '/faq', title: 'FAQ', description: 'Frequently asked questions' }
+  ],
+  stats: { totalArticles: 3, totalCategories: 2, totalPages: 2 }
+};
+
+// Styles of the language switcher, which the string-built page didn't have
+const LANGUAGE_SWITCHER_STYLES = `        .language-switcher { display: flex; flex-wrap: wrap; gap: 8px; margin: -12px 0 24px; font-size: 0.9em; }
+        .language-switcher a, .language-switcher span {
+            padding: 2px 8px;
+            border: 1px solid #d6eaf8;
+            border-radius: 4px;
+            text-decoration: none;
+        }
+        .language-switcher a { color: #3498db; }
+        .language-switcher span { background: #eaf4fc; color: #2c3e50; }
+`;
+
+/**
+ * Golden page with its dates in the local format: %TODAY% and %DATE(iso)%
+ * stand for toLocaleDateString() output, which depends on the machine
+ */
+function readGolden(name) {
+  return fs.readFileSync(new URL(`./fixtures/${name}.golden.html`, import.meta.url), 'utf8')
+    .replace(/%DATE\((.+?)\)%/g, (_, iso) => new Date(iso).toLocaleDateString())
+    .replaceAll('%TODAY%', new Date().toLocaleDateString());
+}
+
+function firstDifference(a, b) {
+  let i = 0;
+  while (i < a.length && a[i] === b[i]) i += 1;
+  return { at: i, expected: b.slice(Math.max(i - 40, 0), i + 40), got: a.slice(Math.max(i - 40, 0), i + 40) };
+}
+
+function testGoldenPages() {
+  console.log('\n🧪 Whole pages against the string-built renderers');
+  const baseUrl = config.seo.canonicalBaseUrl;
+  config.seo.canonicalBaseUrl = 'https://megaquantum.net';
+
+  // Intended changes: JSON-LD escapes "<" so a title can't close the
+  // script tag, and the language switcher brought its styles
+  const expectedArticle = readGolden('article')
+    .replace(/(<script type="application\/ld\+json">)(.*?)(<\/script>)/s, (_, open, json, close) => open + json.replace(/</g, '\\u003c') + close)
+    .replace('        .article-nav {', `${LANGUAGE_SWITCHER_STYLES}        .article-nav {`);
+  const article = generateArticleHTML(articlePage);
+  check('article page', article === expectedArticle, firstDifference(article, expectedArticle));
+
+  const expectedSitemap = readGolden('html-sitemap')
+    .replaceAll('https://megaquantum.net', process.env.CANONICAL_BASE_URL || 'https://megaquantum.net');
+  const sitemap = generateHtmlSitemap(sitemapData, 'de');
+  check('HTML sitemap page', sitemap === expectedSitemap, firstDifference(sitemap, expectedSitemap));
+
+  config.seo.canonicalBaseUrl = baseUrl;
+}
+
+testEngine();
+testDefaultTheme();
+testGoldenPages();
+
+if (failures) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ All template checks passed');
@@ -0,0 +1,102 @@
+#!/usr/bin/env node
+
+/**
+ * Checks for the stale translation search (src/services/translationFreshness.js)
+ * Usage: node scripts/test-translation-freshness.js
+ *
+ * findStaleTranslations runs against an in-memory stand-in for the article
+ * groups and language tables that understands the statement it issues.
+ */
+
+import { findStaleTranslations } from '../src/services/translationFreshness.js';
+
+let failures = 0;
+
+function check(name, condition, detail) {
+  if (condition) {
+    console.log(`✅ ${name}`);
+  } else {
+    failures += 1;
+    console.log(`❌ ${name}`);
+    if (detail !== undefined) console.log(`   got: ${JSON.stringify(detail)}`);
+  }
+}
+
+/**
+ * Executor answering the per-language stale query from plain arrays.
+ * Translations are only filtered on deleted_at when the statement joins
+ * their table, so a query that filters after the limit shows up here too.
+ */
+function memoryGroups({ masters, groups, translations }) {
+  return {
+    async query(sql, params) {
+      const [limit, , language] = params;
+      if (!/FROM article_groups g/.test(sql)) throw new Error(`Unexpected statement: ${sql.trim().split('\n')[0]}`);
+
+      const join = sql.match(/JOIN (articles_\w+) t ON t\.id = g\.article_id AND t\.deleted_at IS NULL/);
+      if (join && !translations[join[1]]) throw Object.assign(new Error(`relation "${join[1]}" does not exist`), { code: '42P01' });
+      const live = (id) => !join || translations[join[1]].some((t) => t.id === id && !t.deleted_at);
+
+      const rows = groups
+        .filter((g) => g.language_code === language && live(g.article_id))
+        .map((g) => ({ g, m: masters.find((m) => m.id === g.master_id && !m.deleted_at) }))
+        .filter(({ g, m }) => m && m.content_hash && g.source_content_hash !== m.content_hash)
+        .sort((a, b) => b.m.updated_at - a.m.updated_at || a.m.id - b.m.id)
+        .slice(0, limit)
+        .map(({ g, m }) => ({ ...g, content_hash: m.content_hash, updated_at: m.updated_at }));
+      return { rows, rowCount: rows.length };
+    }
+  };
+}
+
+const day = (n) => new Date(Date.UTC(2026, 0, n));
+
+async function testFindStaleTranslations() {
+  console.log('\n🧪 findStaleTranslations');
+
+  const masters = [1, 2, 3, 4].map((id) => ({ id, content_hash: `h${id}`, updated_at: day(10 + id) }));
+  const groups = masters.flatMap((m) => [
+    { master_id: m.id, language_code: 'de', article_id: 100 + m.id, source_content_hash: 'old' },
+    { master_id: m.id, language_code: 'fr', article_id: 200 + m.id, source_content_hash: m.id === 3 ? 'h3' : 'old' }
+  ]);
+  const translations = {
+    articles_de: masters.map((m) => ({ id: 100 + m.id, deleted_at: m.id >= 3 ? day(20) : null })),
+    articles_fr: masters.map((m) => ({ id: 200 + m.id, deleted_at: null }))
+  };
+  const db = memoryGroups({ masters, groups, translations });
+  const pairs = (stale) => stale.map((s) => `${s.masterId}:${s.language}`);
+
+  const top = await findStaleTranslations({ limit: 2, languages: ['de', 'fr'] }, db);
+  check('deleted translations do not take up the limit',
+    JSON.stringify(pairs(top)) === JSON.stringify(['4:fr', '2:de']),
+    pairs(top));
+
+  const all = await findStaleTranslations({ limit: 10, languages: ['de', 'fr'] }, db);
+  check('newest master edits first across languages, fresh and deleted ones left out',
+    JSON.stringify(pairs(all)) === JSON.stringify(['4:fr', '2:de', '2:fr', '1:de', '1:fr']),
+    pairs(all));
+  check('pairs carry the translation and the current master hash',
+    all[0].articleId === 204 && all[0].sourceContentHash === 'h4',
+    all[0]);
+
+  const onlyDeleted = memoryGroups({
+    masters,
+    groups: groups.filter((g) => g.language_code === 'de'),
+    translations: { articles_de: translations.articles_de.map((t) => ({ ...t, deleted_at: day(20) })) }
+  });
+  const none = await findStaleTranslations({ limit: 2, languages: ['de'] }, onlyDeleted);
+  check('nothing is stale when every translation is deleted', none.length === 0, none);
+
+  const missingTable = await findStaleTranslations({ limit: 10, languages: ['de', 'es'] }, db);
+  check('a language without its table is skipped',
+    JSON.stringify(pairs(missingTable)) === JSON.stringify(['2:de', '1:de']),
+    pairs(missingTable));
+}
+
+await testFindStaleTranslations();
+
+if (failures) {
+  console.log(`\n❌ ${failures} check(s) failed`);
+  process.exit(1);
+}
+console.log('\n✅ All translation freshness checks passed');
@@ -40,12 +40,35 @@ const parseMapOfLists = (value, fallback = {}) => {
   return result;
 };
 
+// Parse a JSON object env var, falling back when missing or invalid
+const parseJsonObject = (value, fallback = {}) => {
+  if (!value || typeof value !== 'string') return fallback;
+  try {
+    const parsed = JSON.parse(value);
+    return parsed && typeof parsed === 'object' && !Array.isArray(parsed) ? parsed : fallback;
+  } catch {
+    console.warn(`Invalid JSON in configuration value: ${value.slice(0, 80)}`);
+    return fallback;
+  }
+};
+
 const parseBool = (v, d = false) => {
   if (v == null) return d;
   const s = String(v).trim().toLowerCase();
   return s === '1' || s === 'true' || s === 'yes' || s === 'y' || s === 'on';
 };
 
+// Provider settings for one AI role, e.g. AI_MASTER_PROVIDER / AI_MASTER_MODEL.
+// AI_PROVIDER sets the provider for every role that has no override.
+const parseAIRole = (prefix, fallbackProvider) => ({
+  provider: String(process.env[`AI_${prefix}_PROVIDER`] || process.env.AI_PROVIDER || fallbackProvider).trim().toLowerCase(),
+  model: process.env[`AI_${prefix}_MODEL`] || '',
+  // Only for 'openai': point the role at another OpenAI-compatible server (Ollama, llama.cpp...);
+  // the role's model is then required
+  baseUrl: process.env[`AI_${prefix}_BASE_URL`] || '',
+  apiKey: process.env[`AI_${prefix}_API_KEY`] || '',
+});
+
 export const config = {
   env: process.env.NODE_ENV || 'development',
   port: Number(process.env.PORT || 3322),
@@ -102,12 +125,102 @@ export const config = {
     baseUrl: process.env.OPENAI_BASE_URL || 'https://api.openai.com',
     defaultModel: process.env.OPENAI_DEFAULT_MODEL || 'gpt-5-nano',
   },
+  ai: {
+    // Providers: '1minai', 'openai' (any OpenAI-compatible endpoint) or 'mock'
+    // (deterministic canned output, no network access)
+    roles: {
+      master: parseAIRole('MASTER', '1minai'),
+      translator: parseAIRole('TRANSLATOR', 'openai'),
+      altText: parseAIRole('ALT_TEXT', 'openai'),
+    },
+    // Ask the altText role to describe each article image; the title is used otherwise
+    altTextEnabled: parseBool(process.env.AI_ALT_TEXT_ENABLED, true),
+  },
   generation: {
     enabled: parseBool(process.env.ENABLE_GENERATION, true),
     maxCategoriesPerRun: Number(process.env.MAX_CATEGORIES_PER_RUN || 3), // limit categories per run
     articlesPerCategoryPerDay: Number(process.env.ARTICLES_PER_CATEGORY_PER_DAY || 2), // 2 articles per category daily
     stopOnError: parseBool(process.env.STOP_ON_ERROR, true), // stop process on errors
     logRetentionDays: Number(process.env.LOG_RETENTION_DAYS || 10), // log cleanup period
+    // 'json' asks the master writer for a JSON document validated with zod (one
+    // repair call on failure, markdown as the fallback); 'markdown' scrapes COMMON_STRUCTURE
+    outputMode: process.env.GENERATION_OUTPUT_MODE === 'json' ? 'json' : 'markdown',
+  },
+  quality: {
+    enabled: parseBool(process.env.QUALITY_GATE_ENABLED, true),
+    // Extra attempts, each with a different prompt template, when a draft fails the gate
+    maxRegenerations: Math.max(0, Number(process.env.QUALITY_MAX_REGENERATIONS || 2)),
+    // When every attempt fails: 'draft' keeps the best attempt as an unpublished
+    // draft for editors (translations are not queued), 'reject' fails the job
+    onFailure: process.env.QUALITY_ON_FAILURE === 'reject' ? 'reject' : 'draft',
+    thresholds: {
+      minScore: Number(process.env.QUALITY_MIN_SCORE || 70),
+      minWords: Number(process.env.QUALITY_MIN_WORDS || 500),
+      maxWords: Number(process.env.QUALITY_MAX_WORDS || 1500),
+      minIntroWords: Number(process.env.QUALITY_MIN_INTRO_WORDS || 40),
+      minSections: Number(process.env.QUALITY_MIN_SECTIONS || 3),
+      minSectionWords: Number(process.env.QUALITY_MIN_SECTION_WORDS || 50),
+      minFaq: Number(process.env.QUALITY_MIN_FAQ || 3),
+      minFaqAnswerWords: Number(process.env.QUALITY_MIN_FAQ_ANSWER_WORDS || 20),
+      minKeywords: Number(process.env.QUALITY_MIN_KEYWORDS || 5),
+      minSources: Number(process.env.QUALITY_MIN_SOURCES || 0),
+      minMetaDescriptionLength: Number(process.env.QUALITY_MIN_META_DESCRIPTION_LENGTH || 70),
+      maxMetaDescriptionLength: Number(process.env.QUALITY_MAX_META_DESCRIPTION_LENGTH || 170),
+    },
+    // Per-category overrides keyed by slug, e.g. {"technology-how-tos":{"minSections":4,"minWords":700}}
+    categoryThresholds: parseJsonObject(process.env.QUALITY_CATEGORY_THRESHOLDS, {}),
+  },
+  duplicates: {
+    // Compare each new master with the category's existing articles (MinHash over word shingles)
+    enabled: parseBool(process.env.DUPLICATE_CHECK_ENABLED, true),
+    // Estimated Jaccard similarity at or above which a draft counts as a near-duplicate
+    threshold: Math.min(1, Math.max(0, Number(process.env.DUPLICATE_SIMILARITY_THRESHOLD || 0.6))),
+    // 'flag' saves the article as a draft linked to the article it resembles,
+    // 'reject' fails the job; either way another template is tried first
+    action: process.env.DUPLICATE_ACTION === 'reject' ? 'reject' : 'flag',
+  },
+  jobs: {
+    // Run the background worker that drains the Postgres job queue in this process
+    workerEnabled: parseBool(process.env.JOB_WORKER_ENABLED, true),
+    concurrency: Math.max(1, Number(process.env.JOB_WORKER_CONCURRENCY || 1)),
+    pollIntervalMs: Number(process.env.JOB_POLL_INTERVAL_MS || 2000),
+    maxAttempts: Number(process.env.JOB_MAX_ATTEMPTS || 3),
+    // Exponential backoff between attempts: base * 2^(attempt - 1), capped
+    retryBaseDelayMs: Number(process.env.JOB_RETRY_BASE_DELAY_MS || 30000),
+    retryMaxDelayMs: Number(process.env.JOB_RETRY_MAX_DELAY_MS || 3600000),
+    // Running jobs whose lock is older than this are considered abandoned (process crash/restart)
+    lockTimeoutMs: Number(process.env.JOB_LOCK_TIMEOUT_MS || 1800000),
+    // Running jobs refresh their lock this often, so long jobs never look abandoned
+    heartbeatMs: Number(process.env.JOB_HEARTBEAT_MS || 60000),
+  },
+  editorial: {
+    // When false (default) generated articles land in the review queue and only
+    // go live after an editor approves or schedules them
+    autoPublish: parseBool(process.env.EDITORIAL_AUTO_PUBLISH, false),
+    // Cron expression for publishing scheduled articles whose time has come
+    scheduleCron: process.env.EDITORIAL_SCHEDULE_CRON || '* * * * *',
+  },
+  auth: {
+    // Legacy shared admin token (X-Admin-Token header), still accepted as an admin key
+    legacyAdminToken: process.env.SEO_ADMIN_TOKEN || '',
+    // Default request budget per role; individual keys can override points/duration
+    rateLimits: {
+      reader: {
+        points: Number(process.env.RATE_LIMIT_READER_POINTS || 120),
+        duration: Number(process.env.RATE_LIMIT_READER_DURATION || 60),
+      },
+      editor: {
+        points: Number(process.env.RATE_LIMIT_EDITOR_POINTS || 60),
+        duration: Number(process.env.RATE_LIMIT_EDITOR_DURATION || 60),
+      },
+      admin: {
+        points: Number(process.env.RATE_LIMIT_ADMIN_POINTS || 300),
+        duration: Number(process.env.RATE_LIMIT_ADMIN_DURATION || 60),
+      },
+    },
+    // Invalid key attempts allowed per IP before it is blocked for the window
+    failedAttemptsPerIp: Number(process.env.AUTH_FAILED_ATTEMPTS_PER_IP || 20),
+    failedAttemptsWindow: Number(process.env.AUTH_FAILED_ATTEMPTS_WINDOW || 900),
   },
   translation: {
     // Default chunk count for translations (1-10, or 0 for automatic chunking)
@@ -119,6 +232,11 @@ export const config = {
       console.warn(`Invalid TRANSLATION_DEFAULT_CHUNK_COUNT: ${process.env.TRANSLATION_DEFAULT_CHUNK_COUNT}. Using automatic chunking (0).`);
       return 0;
     })(),
+    // Stale translations (master changed since) re-translated per scheduled run, 0 disables the run
+    retranslateBudget: Math.max(0, Number(process.env.TRANSLATION_RETRANSLATE_BUDGET ?? 10) || 0),
+    staleCheckCron: process.env.TRANSLATION_STALE_CHECK_CRON || '40 4 * * *',
+    // Ask the translator to fix glossary terms a chunk got wrong (false: only report them)
+    glossaryRepair: process.env.TRANSLATION_GLOSSARY_REPAIR !== 'false',
   },
   seo: {
     canonicalBaseUrl: process.env.CANONICAL_BASE_URL || '',
@@ -128,6 +246,12 @@ export const config = {
     // IndexNow API key for faster indexing
     indexNowKey: process.env.INDEXNOW_API_KEY || '',
   },
+  theme: {
+    // Templates for the server-rendered pages: <themesDir>/<name>, with
+    // anything the theme leaves out taken from src/themes/default
+    name: process.env.SITE_THEME || 'default',
+    themesDir: process.env.THEMES_DIR || '',
+  },
   languages: parseList(
     process.env.SUPPORTED_LANGUAGES || 'en,de,fr,es,pt,ar,hi'
   ),
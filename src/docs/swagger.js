@@ -19,7 +19,10 @@ const options = {
       { name: 'Health', description: 'Service health endpoints' },
       { name: 'Categories', description: 'Browse and query categories' },
       { name: 'Articles', description: 'Browse and query articles' },
+      { name: 'Tags', description: 'Browse article tags' },
       { name: 'Generation', description: 'On-demand content generation endpoints' },
+      { name: 'Editorial', description: 'Review, approve, schedule and unpublish articles' },
+      { name: 'Admin', description: 'API keys, redirects, site pages, hreflang checks and the translation glossary (admin role)' },
     ],
     components: {
       schemas: {
@@ -57,6 +60,7 @@ const options = {
             content: { type: 'string' },
             summary: { type: 'string', nullable: true },
             image_url: { type: 'string', nullable: true },
+            image_alt: { type: 'string', nullable: true },
             language_code: { type: 'string', example: 'en' },
             meta_title: { type: 'string', nullable: true },
             meta_description: { type: 'string', nullable: true },
@@ -69,8 +73,63 @@ const options = {
             total_tokens: { type: 'integer', nullable: true },
             source_url: { type: 'string', nullable: true },
             content_hash: { type: 'string', nullable: true },
+            word_count: { type: 'integer', nullable: true },
+            word_count_status: {
+              type: 'string',
+              enum: ['valid', 'too_short', 'too_long'],
+              nullable: true,
+              description: 'Editors only',
+            },
+            quality_score: { type: 'integer', minimum: 0, maximum: 100, nullable: true, description: 'Editors only' },
+            duplicate_of: {
+              type: 'integer',
+              nullable: true,
+              description: 'Existing English article this one was flagged as a near-duplicate of',
+            },
+            duplicate_similarity: { type: 'number', nullable: true },
+            quality_reasons: {
+              type: 'array',
+              nullable: true,
+              description: 'Failed quality checks (editors only)',
+              items: {
+                type: 'object',
+                properties: { code: { type: 'string' }, message: { type: 'string' } },
+              },
+            },
             category_id: { type: 'integer', format: 'int64' },
+            status: {
+              type: 'string',
+              enum: ['draft', 'in_review', 'scheduled', 'published', 'unpublished'],
+              example: 'published',
+            },
+            article_type: {
+              type: 'string',
+              enum: ['guide', 'best_of', 'how_to', 'compare', 'trends'],
+              example: 'guide',
+            },
+            scheduled_at: { type: 'string', format: 'date-time', nullable: true },
             published_at: { type: 'string', format: 'date-time', nullable: true },
+            deleted_at: { type: 'string', format: 'date-time', nullable: true, description: 'Set on soft-deleted articles (editor view only)' },
+            replacement_slug: { type: 'string', nullable: true, description: 'Where a deleted article redirects' },
+            tags: {
+              type: 'array',
+              description: 'Returned by /articles/slug/{slug}',
+              items: {
+                type: 'object',
+                properties: { name: { type: 'string' }, slug: { type: 'string' } },
+              },
+            },
+            alternates: {
+              type: 'array',
+              description: 'hreflang alternates from the published translations, x-default included. Returned by /articles/slug/{slug}',
+              items: {
+                type: 'object',
+                properties: {
+                  hreflang: { type: 'string', example: 'de' },
+                  href: { type: 'string', example: 'https://example.com/de/article/my-article-de' },
+                },
+              },
+            },
             created_at: { type: 'string', format: 'date-time' },
           },
           required: ['id', 'title', 'slug', 'content', 'language_code', 'category_id', 'created_at'],
@@ -107,6 +166,12 @@ const options = {
               example: 'technology',
               description: 'Category slug for article generation'
             },
+            type: {
+              type: 'string',
+              enum: ['guide', 'best_of', 'how_to', 'compare', 'trends'],
+              default: 'guide',
+              description: 'Article type: selects the prompt templates and the schema.org markup'
+            },
           },
           required: ['category'],
         },
@@ -137,22 +202,24 @@ const options = {
           type: 'object',
           properties: {
             category: { type: 'string', example: 'technology' },
-            articlesGenerated: { type: 'integer', example: 2 },
-            translationsCompleted: { type: 'integer', example: 12 },
+            articlesQueued: { type: 'integer', example: 2 },
+            masterJobIds: { type: 'array', items: { type: 'integer' }, example: [101, 108] },
+            translationJobIds: { type: 'array', items: { type: 'integer' } },
             languages: {
               type: 'array',
               items: { type: 'string' },
               example: ['de', 'fr', 'es', 'pt', 'ar', 'hi']
-            }
+            },
+            errors: { type: 'array', items: { type: 'string' } }
           },
-          required: ['category', 'articlesGenerated', 'translationsCompleted', 'languages'],
+          required: ['category', 'articlesQueued', 'masterJobIds', 'translationJobIds', 'languages'],
         },
         GenerationRunResponse: {
           type: 'object',
           properties: {
             status: {
               type: 'string',
-              enum: ['complete', 'partial', 'error'],
+              enum: ['queued', 'complete', 'partial', 'error'],
               example: 'complete'
             },
             message: {
@@ -168,6 +235,8 @@ const options = {
                 },
                 totalArticlesGenerated: { type: 'integer', example: 6 },
                 totalTranslationsCompleted: { type: 'integer', example: 36 },
+                totalArticlesQueued: { type: 'integer', example: 6 },
+                totalJobsQueued: { type: 'integer', example: 42 },
                 executionTimeMs: { type: 'integer', example: 45000 },
                 timestamp: { type: 'string', format: 'date-time' }
               },
@@ -190,6 +259,613 @@ const options = {
           },
           required: ['data'],
         },
+        Job: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', example: 42 },
+            type: { type: 'string', enum: ['generate_master', 'translate_article', 'translate_batch'] },
+            status: { type: 'string', enum: ['pending', 'running', 'completed', 'dead', 'cancelled'] },
+            payload: { type: 'object' },
+            result: { type: 'object', nullable: true },
+            dependsOn: { type: 'integer', nullable: true },
+            attempts: { type: 'integer' },
+            maxAttempts: { type: 'integer' },
+            lastError: { type: 'string', nullable: true },
+            runAt: { type: 'string', format: 'date-time' },
+            createdAt: { type: 'string', format: 'date-time' },
+            updatedAt: { type: 'string', format: 'date-time' },
+            completedAt: { type: 'string', format: 'date-time', nullable: true },
+          },
+          required: ['id', 'type', 'status'],
+        },
+        JobAccepted: {
+          type: 'object',
+          properties: {
+            jobId: { type: 'integer', example: 42 },
+            type: { type: 'string', example: 'generate_master' },
+            status: { type: 'string', example: 'pending' },
+            statusUrl: { type: 'string', example: '/generation/jobs/42' },
+            eventsUrl: { type: 'string', example: '/generation/jobs/42/events' },
+          },
+          required: ['jobId', 'type', 'status', 'statusUrl', 'eventsUrl'],
+        },
+        ApiResponseJobAccepted: {
+          type: 'object',
+          properties: {
+            data: { $ref: '#/components/schemas/JobAccepted' },
+          },
+          required: ['data'],
+        },
+        SearchResult: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            title: { type: 'string' },
+            slug: { type: 'string' },
+            summary: { type: 'string', nullable: true },
+            image_url: { type: 'string', nullable: true },
+            image_alt: { type: 'string', nullable: true },
+            category_id: { type: 'integer', nullable: true },
+            category_slug: { type: 'string', nullable: true },
+            category_name: { type: 'string', nullable: true },
+            article_type: { type: 'string' },
+            reading_time_minutes: { type: 'integer', nullable: true },
+            published_at: { type: 'string', format: 'date-time', nullable: true },
+            created_at: { type: 'string', format: 'date-time' },
+            rank: { type: 'number', description: 'Relevance; higher is better' },
+            title_highlight: { type: 'string', description: 'Escaped title with matches wrapped in <mark>' },
+            snippet: { type: 'string', description: 'Escaped excerpts of the body with matches wrapped in <mark>' },
+          },
+        },
+        SearchSuggestions: {
+          type: 'object',
+          properties: {
+            query: { type: 'string' },
+            language: { type: 'string' },
+            titles: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  title: { type: 'string' },
+                  slug: { type: 'string' },
+                  category_slug: { type: 'string', nullable: true },
+                  score: { type: 'number', description: 'Trigram word similarity, 0 to 1' },
+                },
+              },
+            },
+            categories: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  slug: { type: 'string' },
+                  name: { type: 'string', description: 'Localized category name' },
+                },
+              },
+            },
+            didYouMean: { type: 'string', nullable: true },
+          },
+        },
+        Tag: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            name: { type: 'string', description: 'Display name in the tag language' },
+            slug: { type: 'string', description: 'Unique per language; non-Latin languages keep their script' },
+            article_count: { type: 'integer', description: 'Published articles with this tag' },
+          },
+        },
+        SearchMiss: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            query: { type: 'string', description: 'Normalized (lower-case) query' },
+            sample_query: { type: 'string', description: 'Latest query as typed' },
+            miss_count: { type: 'integer' },
+            status: { type: 'string', enum: ['open', 'dismissed'] },
+            first_seen_at: { type: 'string', format: 'date-time' },
+            last_seen_at: { type: 'string', format: 'date-time' },
+            has_results: { type: 'boolean', description: 'An article published since then now matches the query' },
+          },
+        },
+        ArticleUpdate: {
+          type: 'object',
+          description: 'Any subset of the editable fields',
+          properties: {
+            title: { type: 'string', maxLength: 200 },
+            slug: { type: 'string', pattern: '^[a-z0-9]+(?:-[a-z0-9]+)*$', description: 'Unique across languages; the old URL redirects (301) to the new one' },
+            summary: { type: 'string', nullable: true },
+            meta_title: { type: 'string', nullable: true },
+            meta_description: { type: 'string', nullable: true },
+            content: { type: 'string', description: 'HTML; sanitized on save' },
+            category_id: { type: 'integer' },
+            category_slug: { type: 'string', description: 'Alternative to category_id' },
+            image_url: { type: 'string', format: 'uri', nullable: true },
+            image_alt: { type: 'string', nullable: true },
+          },
+        },
+        BulkArticleRequest: {
+          type: 'object',
+          required: ['action', 'filter'],
+          properties: {
+            action: { type: 'string', enum: ['recategorize', 'refetch_image', 'delete'] },
+            language: { type: 'string', default: 'en' },
+            filter: {
+              type: 'object',
+              description: 'At least one criterion; criteria are combined with AND',
+              properties: {
+                ids: { type: 'array', items: { type: 'integer' } },
+                slugs: { type: 'array', items: { type: 'string' } },
+                categoryId: { type: 'integer' },
+                categorySlug: { type: 'string' },
+                status: { type: 'string', enum: ['draft', 'in_review', 'scheduled', 'published', 'unpublished'] },
+                type: { type: 'string', enum: ['guide', 'best_of', 'how_to', 'compare', 'trends'] },
+                createdAfter: { type: 'string', format: 'date-time' },
+                createdBefore: { type: 'string', format: 'date-time' },
+                missingImage: { type: 'boolean' },
+              },
+            },
+            categoryId: { type: 'integer', description: 'Target category for recategorize' },
+            categorySlug: { type: 'string', description: 'Target category for recategorize' },
+            mode: { type: 'string', enum: ['gone', 'redirect'], default: 'gone', description: 'For delete' },
+            replacementSlug: { type: 'string', description: 'For delete in redirect mode' },
+            includeTranslations: { type: 'boolean', default: true },
+            dryRun: { type: 'boolean', default: false },
+          },
+        },
+        BulkArticleResult: {
+          type: 'object',
+          properties: {
+            action: { type: 'string' },
+            language: { type: 'string' },
+            dryRun: { type: 'boolean' },
+            matched: { type: 'integer' },
+            affected: { type: 'integer' },
+            articles: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer' },
+                  slug: { type: 'string' },
+                  ok: { type: 'boolean' },
+                  error: { type: 'string' },
+                  image_url: { type: 'string', nullable: true },
+                },
+              },
+            },
+          },
+        },
+        ArticleRevision: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            revisionNumber: { type: 'integer', example: 3 },
+            operation: { type: 'string', enum: ['insert', 'update', 'baseline'] },
+            source: {
+              type: 'string',
+              nullable: true,
+              example: 'rollback:1',
+              description: 'generation, translation or rollback:<revision>; null for direct SQL changes'
+            },
+            changedBy: { type: 'string', nullable: true, description: 'API key name for editor changes' },
+            slug: { type: 'string' },
+            title: { type: 'string' },
+            contentHash: { type: 'string', nullable: true },
+            contentLength: { type: 'integer' },
+            aiModel: { type: 'string', nullable: true },
+            createdAt: { type: 'string', format: 'date-time' },
+          },
+        },
+        RevisionDiff: {
+          type: 'object',
+          properties: {
+            from: { $ref: '#/components/schemas/ArticleRevision' },
+            to: { $ref: '#/components/schemas/ArticleRevision' },
+            fields: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  field: { type: 'string', example: 'meta_description' },
+                  before: { type: 'string', nullable: true },
+                  after: { type: 'string', nullable: true },
+                  html: { type: 'string', description: 'Word diff with <del>/<ins>' },
+                },
+              },
+            },
+            content: {
+              type: 'object',
+              properties: {
+                html: { type: 'string', description: 'Newer content with removed text in <del> and added text in <ins>' },
+                changes: {
+                  type: 'array',
+                  items: {
+                    type: 'object',
+                    properties: {
+                      index: { type: 'integer', description: 'Block position in the rendered diff' },
+                      type: { type: 'string', enum: ['added', 'removed', 'changed'] },
+                      before: { type: 'string' },
+                      after: { type: 'string' },
+                      html: { type: 'string' },
+                    },
+                  },
+                },
+                stats: {
+                  type: 'object',
+                  properties: {
+                    added: { type: 'integer' },
+                    removed: { type: 'integer' },
+                    changed: { type: 'integer' },
+                    unchanged: { type: 'integer' },
+                  },
+                },
+              },
+            },
+          },
+        },
+        DuplicateCluster: {
+          type: 'object',
+          properties: {
+            categoryId: { type: 'integer' },
+            categorySlug: { type: 'string' },
+            size: { type: 'integer', example: 3 },
+            maxSimilarity: { type: 'number', example: 0.72 },
+            articles: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer' },
+                  slug: { type: 'string' },
+                  title: { type: 'string' },
+                  status: { type: 'string' },
+                  createdAt: { type: 'string', format: 'date-time' },
+                },
+              },
+            },
+          },
+        },
+        TopicCoverage: {
+          type: 'object',
+          properties: {
+            categorySlug: { type: 'string', example: 'technology' },
+            totalTemplates: { type: 'integer', example: 120 },
+            usedTemplates: { type: 'integer', example: 37 },
+            unusedTemplates: { type: 'integer', example: 83 },
+            articles: { type: 'integer', description: 'Articles recorded for the category in this language' },
+            lastUsedAt: { type: 'string', format: 'date-time', nullable: true },
+            types: {
+              type: 'object',
+              description: 'Template usage of the best_of, how_to, compare and trends article types in this category',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  totalTemplates: { type: 'integer' },
+                  usedTemplates: { type: 'integer' },
+                  unusedTemplates: { type: 'integer' },
+                },
+              },
+            },
+          },
+        },
+        TranslationCoverage: {
+          type: 'object',
+          properties: {
+            languages: { type: 'array', items: { type: 'string' }, example: ['de', 'fr', 'es', 'pt', 'ar', 'hi'] },
+            total: { type: 'integer', description: 'Masters in all pages' },
+            summary: {
+              type: 'object',
+              description: 'Status counts per language over this page of masters',
+              additionalProperties: {
+                type: 'object',
+                properties: {
+                  missing: { type: 'integer' },
+                  stale: { type: 'integer' },
+                  fresh: { type: 'integer' },
+                  failed: { type: 'integer' },
+                },
+              },
+            },
+            masters: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  id: { type: 'integer' },
+                  slug: { type: 'string' },
+                  title: { type: 'string' },
+                  status: { type: 'string' },
+                  content_hash: { type: 'string', nullable: true },
+                  updated_at: { type: 'string', format: 'date-time' },
+                  translations: {
+                    type: 'object',
+                    description: 'One cell per translation language',
+                    additionalProperties: {
+                      type: 'object',
+                      properties: {
+                        status: {
+                          type: 'string',
+                          enum: ['missing', 'stale', 'fresh', 'failed'],
+                          description: 'stale: translated from an older master; failed: missing or stale and the last translation job is dead',
+                        },
+                        article_id: { type: 'integer', nullable: true },
+                        slug: { type: 'string', nullable: true },
+                        article_status: { type: 'string', nullable: true },
+                        source_content_hash: { type: 'string', nullable: true, description: 'Master content_hash the translation was made from' },
+                        job: {
+                          type: 'object',
+                          nullable: true,
+                          description: 'Latest translate_article or retranslate_article job',
+                          properties: {
+                            id: { type: 'integer' },
+                            type: { type: 'string' },
+                            status: { type: 'string' },
+                            last_error: { type: 'string', nullable: true },
+                            updated_at: { type: 'string', format: 'date-time' },
+                          },
+                        },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+          },
+        },
+        AIProviderRole: {
+          type: 'object',
+          properties: {
+            role: { type: 'string', enum: ['master', 'translator', 'altText'] },
+            provider: { type: 'string', enum: ['1minai', 'openai', 'mock'] },
+            model: { type: 'string', nullable: true, description: 'Model override for the role; provider default when null' },
+            models: { type: 'array', items: { type: 'string' }, nullable: true },
+            modelsError: { type: 'string', nullable: true },
+            usage: {
+              type: 'object',
+              properties: {
+                calls: { type: 'integer' },
+                failures: { type: 'integer' },
+                promptTokens: { type: 'integer' },
+                completionTokens: { type: 'integer' },
+                totalTokens: { type: 'integer' },
+                lastCallAt: { type: 'string', format: 'date-time', nullable: true },
+              },
+            },
+          },
+          required: ['role', 'provider', 'usage'],
+        },
+        ApiKey: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            name: { type: 'string' },
+            key_prefix: { type: 'string', example: 'aa_AbC123' },
+            role: { type: 'string', enum: ['reader', 'editor', 'admin'] },
+            rate_limit_points: { type: 'integer', nullable: true },
+            rate_limit_duration: { type: 'integer', nullable: true },
+            created_at: { type: 'string', format: 'date-time' },
+            last_used_at: { type: 'string', format: 'date-time', nullable: true },
+            expires_at: { type: 'string', format: 'date-time', nullable: true },
+            revoked_at: { type: 'string', format: 'date-time', nullable: true },
+          },
+          required: ['id', 'name', 'key_prefix', 'role', 'created_at'],
+        },
+        GlossaryTerm: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            term: { type: 'string', example: 'VivaVerse', description: 'English term as it appears in master articles' },
+            language: { type: 'string', nullable: true, example: null, description: 'Target language; null for every language' },
+            translation: { type: 'string', nullable: true, example: null, description: 'Required translation; null keeps the term as written' },
+            case_sensitive: { type: 'boolean' },
+            note: { type: 'string', nullable: true, example: 'Site name' },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' },
+          },
+          required: ['id', 'term'],
+        },
+        GlossaryTermInput: {
+          type: 'object',
+          required: ['term'],
+          properties: {
+            term: { type: 'string', example: 'smart home' },
+            language: { type: 'string', nullable: true, enum: ['de', 'fr', 'es', 'pt', 'ar', 'hi', null], example: 'de' },
+            translation: { type: 'string', nullable: true, example: 'Smart Home', description: 'Omit or null for a protected term' },
+            case_sensitive: { type: 'boolean', default: false },
+            note: { type: 'string', nullable: true },
+          },
+        },
+        GlossaryViolation: {
+          type: 'object',
+          properties: {
+            field: { type: 'string', enum: ['title', 'content', 'summary', 'meta_description', 'image_alt'] },
+            term: { type: 'string' },
+            expected: { type: 'string', description: 'What the translation should contain' },
+            type: { type: 'string', enum: ['protected', 'mapping'] },
+            occurrences: { type: 'integer', description: 'Occurrences of the term in the master field' },
+          },
+        },
+        Redirect: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            source_path: { type: 'string', example: '/en/article/old-slug' },
+            target_path: { type: 'string', nullable: true, example: '/en/article/new-slug', description: 'null for 410 Gone' },
+            status_code: { type: 'integer', enum: [301, 302, 307, 308, 410] },
+            reason: { type: 'string', example: 'slug_change', description: 'manual, import, slug_change or delete' },
+            hit_count: { type: 'integer' },
+            last_hit_at: { type: 'string', format: 'date-time', nullable: true },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' },
+          },
+          required: ['id', 'source_path', 'status_code'],
+        },
+        RedirectInput: {
+          type: 'object',
+          required: ['source'],
+          properties: {
+            source: { type: 'string', example: '/en/article/old-slug' },
+            target: { type: 'string', description: 'Site path or absolute URL; omit for 410', example: '/en/article/new-slug' },
+            statusCode: { type: 'integer', enum: [301, 302, 307, 308, 410], default: 301 },
+          },
+        },
+        RedirectUpsertResult: {
+          type: 'object',
+          properties: {
+            applied: { type: 'integer' },
+            errors: {
+              type: 'array',
+              items: {
+                type: 'object',
+                properties: {
+                  index: { type: 'integer', description: 'Position in the request (or CSV data row)' },
+                  source: { type: 'string', nullable: true },
+                  error: { type: 'string' },
+                },
+              },
+            },
+          },
+        },
+        ArticleTranslation: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer', description: 'Id in the articles table of language_code' },
+            language_code: { type: 'string', example: 'de' },
+            slug: { type: 'string' },
+            title: { type: 'string' },
+            status: { type: 'string', example: 'published' },
+            canonical_url: { type: 'string', nullable: true },
+            content_hash: { type: 'string', nullable: true },
+            is_master: { type: 'boolean', description: 'The English article the group is keyed by' },
+            source_article_id: { type: 'integer', nullable: true, description: 'English article this translation was made from' },
+            source_content_hash: {
+              type: 'string',
+              nullable: true,
+              description: 'content_hash of the source article when it was translated; null for masters and backfilled translations'
+            },
+            published_at: { type: 'string', format: 'date-time', nullable: true },
+            updated_at: { type: 'string', format: 'date-time', nullable: true },
+          },
+        },
+        HreflangReport: {
+          type: 'object',
+          properties: {
+            checked: { type: 'integer', description: 'Clusters checked on this page' },
+            valid: { type: 'integer' },
+            invalid: { type: 'integer' },
+            clusters: {
+              type: 'array',
+              description: 'Clusters with at least one issue',
+              items: {
+                type: 'object',
+                properties: {
+                  master_id: { type: 'integer' },
+                  members: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        language: { type: 'string' },
+                        id: { type: 'integer' },
+                        slug: { type: 'string' },
+                        status: { type: 'string' },
+                        href: { type: 'string' },
+                      },
+                    },
+                  },
+                  alternates: {
+                    type: 'array',
+                    description: 'What the published members serve',
+                    items: {
+                      type: 'object',
+                      properties: { hreflang: { type: 'string' }, href: { type: 'string' } },
+                    },
+                  },
+                  issues: {
+                    type: 'array',
+                    items: {
+                      type: 'object',
+                      properties: {
+                        type: {
+                          type: 'string',
+                          enum: ['missing_article', 'redirected', 'canonical_mismatch', 'master_unpublished'],
+                        },
+                        language: { type: 'string' },
+                        id: { type: 'integer' },
+                        href: { type: 'string' },
+                      },
+                    },
+                  },
+                },
+              },
+            },
+            ungrouped: {
+              type: 'array',
+              description: 'Published translations outside any group (first page only)',
+              items: {
+                type: 'object',
+                properties: { language: { type: 'string' }, id: { type: 'integer' }, slug: { type: 'string' } },
+              },
+            },
+          },
+        },
+        SitePage: {
+          type: 'object',
+          properties: {
+            id: { type: 'integer' },
+            slug: { type: 'string', example: 'about' },
+            language_code: { type: 'string', example: 'en' },
+            title: { type: 'string' },
+            content: { type: 'string', description: 'Sanitized HTML; left out of lists' },
+            meta_description: { type: 'string', nullable: true },
+            status: { type: 'string', enum: ['draft', 'published'] },
+            translated_from: { type: 'integer', nullable: true, description: 'English page this one was machine translated from' },
+            created_at: { type: 'string', format: 'date-time' },
+            updated_at: { type: 'string', format: 'date-time' },
+          },
+          required: ['id', 'slug', 'language_code', 'title', 'status'],
+        },
+        SitePageInput: {
+          type: 'object',
+          required: ['slug', 'title', 'content'],
+          properties: {
+            slug: { type: 'string', example: 'about' },
+            language: { type: 'string', enum: ['en', 'de', 'fr', 'es', 'pt', 'ar', 'hi'], default: 'en' },
+            title: { type: 'string', example: 'About us' },
+            content: { type: 'string', description: 'HTML body', example: '<p>Who we are and what we write about.</p>' },
+            meta_description: { type: 'string', nullable: true },
+            status: { type: 'string', enum: ['draft', 'published'], default: 'draft' },
+          },
+        },
+      },
+      securitySchemes: {
+        ApiKeyAuth: {
+          type: 'apiKey',
+          in: 'header',
+          name: 'X-API-Key',
+          description: 'API key with the reader, editor or admin role',
+        },
+        BearerAuth: {
+          type: 'http',
+          scheme: 'bearer',
+          description: 'The same API key sent as `Authorization: Bearer <key>`',
+        },
+      },
+      responses: {
+        Unauthorized: {
+          description: 'Missing or invalid API key',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } },
+        },
+        Forbidden: {
+          description: 'API key role is not allowed to call this endpoint',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } },
+        },
+        TooManyRequests: {
+          description: 'Rate limit for this API key exceeded; see the Retry-After header',
+          content: { 'application/json': { schema: { $ref: '#/components/schemas/ErrorResponse' } } },
+        },
       },
       parameters: {
         AcceptLanguage: {
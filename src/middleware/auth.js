@@ -0,0 +1,159 @@
+import crypto from 'crypto';
+import { RateLimiterMemory, RateLimiterRes } from 'rate-limiter-flexible';
+import { config } from '../config.js';
+import { findActiveApiKey, touchApiKey } from '../services/apiKeyService.js';
+
+/**
+ * API key authentication, role checks and per-key rate limiting.
+ *
+ * Keys are sent as `Authorization: Bearer <key>` or `X-API-Key: <key>`.
+ * The legacy `X-Admin-Token` (SEO_ADMIN_TOKEN) is still accepted as an admin key
+ * so existing deploy hooks keep working.
+ */
+
+const ROLE_LEVELS = { reader: 1, editor: 2, admin: 3 };
+
+// One limiter per (points, duration) pair so keys with custom limits get their own budget
+const limiters = new Map();
+
+const failedAttemptLimiter = new RateLimiterMemory({
+  keyPrefix: 'auth_fail',
+  points: config.auth.failedAttemptsPerIp,
+  duration: config.auth.failedAttemptsWindow,
+});
+
+function getLimiter(points, duration) {
+  const id = `${points}:${duration}`;
+  if (!limiters.has(id)) {
+    limiters.set(id, new RateLimiterMemory({ keyPrefix: `api_key_${id}`, points, duration }));
+  }
+  return limiters.get(id);
+}
+
+function extractApiKey(req) {
+  const authHeader = (req.headers.authorization || '').toString();
+  if (/^bearer\s+/i.test(authHeader)) {
+    return authHeader.replace(/^bearer\s+/i, '').trim();
+  }
+  return (req.headers['x-api-key'] || '').toString().trim();
+}
+
+function safeEqual(a, b) {
+  const bufA = Buffer.from(String(a));
+  const bufB = Buffer.from(String(b));
+  return bufA.length === bufB.length && crypto.timingSafeEqual(bufA, bufB);
+}
+
+/**
+ * Resolve the caller of a request to { id, name, role, rateLimit } or null
+ */
+async function resolvePrincipal(req) {
+  const legacyToken = (req.headers['x-admin-token'] || '').toString();
+  if (legacyToken && config.auth.legacyAdminToken && safeEqual(legacyToken, config.auth.legacyAdminToken)) {
+    return { id: 'legacy-admin-token', name: 'SEO_ADMIN_TOKEN', role: 'admin', rateLimit: config.auth.rateLimits.admin };
+  }
+
+  const apiKey = extractApiKey(req);
+  if (!apiKey) return null;
+
+  const key = await findActiveApiKey(apiKey);
+  if (!key) return null;
+
+  const roleDefaults = config.auth.rateLimits[key.role] || config.auth.rateLimits.reader;
+  touchApiKey(key.id);
+  return {
+    id: key.id,
+    name: key.name,
+    role: key.role,
+    rateLimit: {
+      points: key.rate_limit_points || roleDefaults.points,
+      duration: key.rate_limit_duration || roleDefaults.duration,
+    },
+  };
+}
+
+function setRateLimitHeaders(res, limit, rlRes) {
+  res.setHeader('X-RateLimit-Limit', String(limit.points));
+  res.setHeader('X-RateLimit-Remaining', String(Math.max(0, rlRes.remainingPoints)));
+  res.setHeader('X-RateLimit-Reset', new Date(Date.now() + rlRes.msBeforeNext).toISOString());
+}
+
+/**
+ * Require a valid API key with at least the given role.
+ *
+ * @param {'reader'|'editor'|'admin'} minRole
+ */
+export function requireRole(minRole = 'reader') {
+  const requiredLevel = ROLE_LEVELS[minRole];
+  if (!requiredLevel) throw new Error(`Unknown role: ${minRole}`);
+
+  return async (req, res, next) => {
+    let principal;
+    try {
+      principal = await resolvePrincipal(req);
+    } catch (err) {
+      console.error('[auth] API key lookup failed:', err.message);
+      return res.status(503).json({ error: 'Authentication unavailable' });
+    }
+
+    if (!principal) {
+      const hadCredentials = Boolean(extractApiKey(req) || req.headers['x-admin-token']);
+      if (hadCredentials) {
+        try {
+          await failedAttemptLimiter.consume(req.ip);
+        } catch (rlRes) {
+          if (rlRes instanceof RateLimiterRes) {
+            res.setHeader('Retry-After', String(Math.ceil(rlRes.msBeforeNext / 1000)));
+            return res.status(429).json({ error: 'Too many failed authentication attempts' });
+          }
+        }
+      }
+      res.setHeader('WWW-Authenticate', 'Bearer realm="auto-article"');
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+
+    if ((ROLE_LEVELS[principal.role] || 0) < requiredLevel) {
+      return res.status(403).json({ error: 'Forbidden', requiredRole: minRole, role: principal.role });
+    }
+
+    const limit = principal.rateLimit;
+    try {
+      const rlRes = await getLimiter(limit.points, limit.duration).consume(String(principal.id));
+      setRateLimitHeaders(res, limit, rlRes);
+    } catch (rlRes) {
+      if (rlRes instanceof RateLimiterRes) {
+        setRateLimitHeaders(res, limit, rlRes);
+        res.setHeader('Retry-After', String(Math.ceil(rlRes.msBeforeNext / 1000)));
+        return res.status(429).json({ error: 'Rate limit exceeded' });
+      }
+      return next(rlRes);
+    }
+
+    req.apiKey = { id: principal.id, name: principal.name, role: principal.role };
+    next();
+  };
+}
+
+export const requireReader = requireRole('reader');
+export const requireEditor = requireRole('editor');
+export const requireAdmin = requireRole('admin');
+
+/**
+ * Identify the caller on public routes when credentials are sent. Anonymous
+ * requests pass through; invalid credentials are still rejected so keys
+ * cannot be probed without hitting the failed-attempt limiter.
+ */
+export function optionalAuth(req, res, next) {
+  const hasCredentials = Boolean(extractApiKey(req) || req.headers['x-admin-token']);
+  if (!hasCredentials) return next();
+  return requireReader(req, res, next);
+}
+
+/**
+ * Whether the authenticated caller has at least the given role
+ */
+export function hasRole(req, minRole) {
+  return (ROLE_LEVELS[req.apiKey?.role] || 0) >= (ROLE_LEVELS[minRole] || Infinity);
+}
+
+export default requireRole;
@@ -0,0 +1,39 @@
+import { lookupRedirect, recordRedirectHit } from '../services/redirectService.js';
+import { genError } from '../services/logger.js';
+
+/**
+ * Serve the redirects table: 301/302/307/308 to the target path, or 410
+ * for removed pages. Only GET/HEAD are redirected; the original query string
+ * is carried over when the target has none. A lookup failure never blocks
+ * the request, it just falls through to the pages router.
+ */
+export function redirectMiddleware() {
+  return async (req, res, next) => {
+    if (req.method !== 'GET' && req.method !== 'HEAD') {
+      return next();
+    }
+
+    let redirect;
+    try {
+      redirect = await lookupRedirect(req.path);
+    } catch (error) {
+      genError('Redirect lookup failed', { path: req.path, error: error.message }, false);
+      return next();
+    }
+    if (!redirect) return next();
+
+    recordRedirectHit(redirect.id);
+
+    if (redirect.statusCode === 410) {
+      res.set('X-Robots-Tag', 'noindex');
+      return res.status(410).type('text/plain').send('Gone');
+    }
+
+    const queryIndex = req.originalUrl.indexOf('?');
+    const search = queryIndex >= 0 && !redirect.target.includes('?') ? req.originalUrl.slice(queryIndex) : '';
+    res.set('Cache-Control', 'public, max-age=3600');
+    return res.redirect(redirect.statusCode, `${redirect.target}${search}`);
+  };
+}
+
+export default redirectMiddleware;
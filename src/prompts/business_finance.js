@@ -400,4 +400,12 @@ export function buildPrompt() {
   };
 }
 
-export default { buildPrompt };
\ No newline at end of file
+/**
+ * Every distinct template in this category, without selection weighting.
+ * @returns {Array<Object>} Template objects with `system` and `user` properties.
+ */
+export function getAllTemplates() {
+  return allTemplates;
+}
+
+export default { buildPrompt, getAllTemplates };
\ No newline at end of file
@@ -1,37 +1,45 @@
+import crypto from 'crypto';
+
 // Import category prompt modules
-import { buildPrompt as technology } from './technology.js';
-import { buildPrompt as business_finance } from './business_finance.js';
-import { buildPrompt as health_wellness } from './health_wellness.js';
-import { buildPrompt as sports_fitness } from './sports_fitness.js';
-import { buildPrompt as entertainment_celebrities } from './entertainment_celebrities.js';
-import { buildPrompt as travel_destinations } from './travel_destinations.js';
-import { buildPrompt as careers_job_search } from './careers_job_search.js';
-import { buildPrompt as food_recipes } from './food_recipes.js';
-import { buildPrompt as science_innovation } from './science_innovation.js';
-import { buildPrompt as education_learning } from './education_learning.js';
-import { buildPrompt as home_garden } from './home_garden.js';
-import { buildPrompt as parenting_family } from './parenting_family.js';
-import { buildPrompt as lifestyle_hobbies } from './lifestyle_hobbies.js';
-import { buildPrompt as arts_culture } from './arts_culture.js';
-import { buildPrompt as history_heritage } from './history_heritage.js';
-import { buildPrompt as fashion_beauty } from './fashion_beauty.js';
-import { buildPrompt as real_estate_property } from './real_estate_property.js';
-import { buildPrompt as automotive_vehicles } from './automotive_vehicles.js';
-import { buildPrompt as environment_sustainability } from './environment_sustainability.js';
-import { buildPrompt as pets_animals } from './pets_animals.js';
-import { buildPrompt as diy_crafts } from './diy_crafts.js';
-import { buildPrompt as relationships_dating } from './relationships_dating.js';
-import { buildPrompt as productivity_self_improvement } from './productivity_self_improvement.js';
-import { buildPrompt as politics_current_affairs } from './politics_current_affairs.js';
-import { buildPrompt as movies_tv_shows } from './movies_tv_shows.js';
-import { buildPrompt as music_performing_arts } from './music_performing_arts.js';
-import { buildPrompt as books_literature } from './books_literature.js';
-import { buildPrompt as gaming_esports } from './gaming_esports.js';
-import { buildPrompt as technology_how_tos } from './technology_how_tos.js';
-import { buildPrompt as finance_tips_investments } from './finance_tips_investments.js';
+import * as technology from './technology.js';
+import * as business_finance from './business_finance.js';
+import * as health_wellness from './health_wellness.js';
+import * as sports_fitness from './sports_fitness.js';
+import * as entertainment_celebrities from './entertainment_celebrities.js';
+import * as travel_destinations from './travel_destinations.js';
+import * as careers_job_search from './careers_job_search.js';
+import * as food_recipes from './food_recipes.js';
+import * as science_innovation from './science_innovation.js';
+import * as education_learning from './education_learning.js';
+import * as home_garden from './home_garden.js';
+import * as parenting_family from './parenting_family.js';
+import * as lifestyle_hobbies from './lifestyle_hobbies.js';
+import * as arts_culture from './arts_culture.js';
+import * as history_heritage from './history_heritage.js';
+import * as fashion_beauty from './fashion_beauty.js';
+import * as real_estate_property from './real_estate_property.js';
+import * as automotive_vehicles from './automotive_vehicles.js';
+import * as environment_sustainability from './environment_sustainability.js';
+import * as pets_animals from './pets_animals.js';
+import * as diy_crafts from './diy_crafts.js';
+import * as relationships_dating from './relationships_dating.js';
+import * as productivity_self_improvement from './productivity_self_improvement.js';
+import * as politics_current_affairs from './politics_current_affairs.js';
+import * as movies_tv_shows from './movies_tv_shows.js';
+import * as music_performing_arts from './music_performing_arts.js';
+import * as books_literature from './books_literature.js';
+import * as gaming_esports from './gaming_esports.js';
+import * as technology_how_tos from './technology_how_tos.js';
+import * as finance_tips_investments from './finance_tips_investments.js';
 
-// Map category slug to builder
-export const categoryPromptBuilders = {
+// Article type prompt modules (templates shared by every category)
+import * as best_of from './types/best_of.js';
+import * as how_to from './types/how_to.js';
+import * as compare from './types/compare.js';
+import * as trends from './types/trends.js';
+
+// Map category slug to prompt module ({ buildPrompt, getAllTemplates })
+const categoryPromptModules = {
   'technology': technology,
   'business-finance': business_finance,
   'health-wellness': health_wellness,
@@ -64,14 +72,118 @@ export const categoryPromptBuilders = {
   'finance-tips-investments': finance_tips_investments,
 };
 
+// Map article type to prompt module; the default 'guide' type uses the category modules
+const typePromptModules = {
+  best_of,
+  how_to,
+  compare,
+  trends,
+};
+
+// Map category slug to builder
+export const categoryPromptBuilders = Object.fromEntries(
+  Object.entries(categoryPromptModules).map(([slug, mod]) => [slug, mod.buildPrompt])
+);
+
+const templatesByKey = new Map();
+
 /**
- * Get prompt for a category. Type parameter is kept for backward compat but ignored.
+ * Stable template ID: `<category-slug or article type>:<hash of the user prompt>`.
+ * A template can pin its ID with an explicit `id` so rewording it keeps its
+ * usage history.
  */
-export function getPrompt(_typeIgnored, categoryNameOrSlug) {
-  const slug = String(categoryNameOrSlug).trim()
+function templateId(prefix, tpl) {
+  if (tpl.id) return `${prefix}:${tpl.id}`;
+  const hash = crypto.createHash('sha1').update(String(tpl.user).trim()).digest('hex').slice(0, 12);
+  return `${prefix}:${hash}`;
+}
+
+function loadTemplates(prefix, mod) {
+  if (templatesByKey.has(prefix)) return templatesByKey.get(prefix);
+  const byId = new Map();
+  for (const tpl of mod.getAllTemplates()) {
+    if (!tpl?.system || !tpl?.user) continue;
+    const id = templateId(prefix, tpl);
+    if (!byId.has(id)) byId.set(id, { id, system: tpl.system, user: tpl.user });
+  }
+  const templates = [...byId.values()];
+  templatesByKey.set(prefix, templates);
+  return templates;
+}
+
+/**
+ * Normalize a category name or slug to the registry's slug form
+ */
+export function toCategorySlug(categoryNameOrSlug) {
+  return String(categoryNameOrSlug).trim()
     .toLowerCase()
     .replace(/[^a-z0-9]+/g, '-')
     .replace(/(^-|-$)/g, '');
+}
+
+/**
+ * All templates of a category with their stable IDs (duplicates removed)
+ * @returns {Array<{ id: string, system: string, user: string }>}
+ */
+export function getCategoryTemplates(categoryNameOrSlug) {
+  const slug = toCategorySlug(categoryNameOrSlug);
+  const mod = categoryPromptModules[slug];
+  if (!mod) {
+    throw new Error(`Unknown category slug: ${slug}`);
+  }
+  return loadTemplates(slug, mod);
+}
+
+/**
+ * Templates of a non-guide article type, with `{{CATEGORY}}` placeholders
+ * @returns {Array<{ id: string, system: string, user: string }>}
+ */
+export function getTypeTemplates(type) {
+  const mod = typePromptModules[type];
+  if (!mod) {
+    throw new Error(`No prompt templates for article type: ${type}`);
+  }
+  return loadTemplates(type, mod);
+}
+
+/**
+ * Fill the `{{CATEGORY}}` placeholder of a template
+ */
+export function renderTemplate(tpl, categoryName) {
+  const replace = (str) => str.replace(/\{\{CATEGORY\}\}/g, categoryName);
+  return { ...tpl, system: replace(tpl.system), user: replace(tpl.user) };
+}
+
+/**
+ * Look up a template by its stable ID
+ */
+export function getTemplateById(id) {
+  const prefix = String(id || '').split(':')[0];
+  const templates = typePromptModules[prefix]
+    ? getTypeTemplates(prefix)
+    : categoryPromptModules[prefix] ? getCategoryTemplates(prefix) : [];
+  return templates.find((tpl) => tpl.id === id) || null;
+}
+
+/**
+ * Article types with their own templates (everything but 'guide')
+ */
+export function getPromptTypes() {
+  return Object.keys(typePromptModules);
+}
+
+/**
+ * Category slugs that have prompt templates
+ */
+export function getPromptCategorySlugs() {
+  return Object.keys(categoryPromptModules);
+}
+
+/**
+ * Get prompt for a category. Type parameter is kept for backward compat but ignored.
+ */
+export function getPrompt(_typeIgnored, categoryNameOrSlug) {
+  const slug = toCategorySlug(categoryNameOrSlug);
   const builder = categoryPromptBuilders[slug];
   if (!builder) {
     throw new Error(`Unknown category slug: ${slug}`);
@@ -0,0 +1,77 @@
+/*
+ * JSON article structure prompt for the structured output mode.
+ * Same content requirements as COMMON_STRUCTURE, but the reply is a single
+ * JSON document validated against StructuredArticleSchema
+ * (src/services/structuredArticle.js).
+ */
+
+import { COMMON_STRUCTURE } from './common_structure.js';
+
+// Reuse the tone and style guidance of the markdown structure
+const WRITING_GUIDELINES = COMMON_STRUCTURE.slice(COMMON_STRUCTURE.indexOf('HUMAN-LIKE WRITING GUIDELINES:'));
+
+const JSON_SHAPE = `{
+  "title": "string",
+  "metaDescription": "string",
+  "intro": "string",
+  "sections": [{ "heading": "string", "body": "string" }],
+  "faq": [{ "q": "string", "a": "string" }],
+  "keyTakeaways": ["string"],
+  "keywords": ["string"],
+  "externalLinks": [{ "anchor": "string", "url": "https://..." }],
+  "sources": ["https://..."]
+}`;
+
+export const JSON_STRUCTURE = `
+
+ARTICLE STRUCTURE:
+1. An introduction that engages the reader and previews the value
+2. 3-4 well-developed main sections covering the topic thoroughly
+3. 4-6 frequently asked questions with detailed answers (50-60 words each)
+4. 5-7 key takeaways
+5. 3-5 high-quality external links to authoritative sources
+
+SEO REQUIREMENTS:
+- A compelling title with the primary keyword (50-57 characters, very important)
+- A meta description (150-160 characters, very important)
+- 10-15 related keywords
+- Section bodies and FAQ answers are plain text paragraphs separated by \\n\\n: no markdown headings, no URLs
+- URLs appear only in "externalLinks" and "sources"
+
+FORMAT YOUR RESPONSE AS A SINGLE JSON OBJECT (no markdown, no code fences, no text before or after):
+
+${JSON_SHAPE}
+
+${WRITING_GUIDELINES}`;
+
+/**
+ * Turn a category template's markdown prompt into a JSON prompt
+ */
+export function toStructuredPrompt(user) {
+  const text = String(user || '');
+  return text.includes(COMMON_STRUCTURE)
+    ? text.replace(COMMON_STRUCTURE, JSON_STRUCTURE)
+    : `${text}${JSON_STRUCTURE}`;
+}
+
+export const JSON_REPAIR_SYSTEM = 'You fix JSON documents so they match a required shape. Reply with the corrected JSON object only.';
+
+/**
+ * Ask the model to fix its own reply after schema validation failed
+ * @param {string} content the invalid reply
+ * @param {string[]} issues validation errors, one per line
+ */
+export function buildRepairPrompt(content, issues) {
+  return `The article below was supposed to be a JSON object with this shape:
+${JSON_SHAPE}
+
+It failed validation:
+${issues.map((issue) => `- ${issue}`).join('\n')}
+
+Return the corrected JSON object. Keep the existing wording; only fix the structure, fill missing fields from the article's own content and remove anything outside the JSON.
+
+ARTICLE:
+${content}`;
+}
+
+export default { JSON_STRUCTURE, toStructuredPrompt, JSON_REPAIR_SYSTEM, buildRepairPrompt };
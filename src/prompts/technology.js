@@ -366,7 +366,7 @@ function pickRandom(arr) {
 /**
  * Combines all template arrays into a single master array.
  */
-function getAllTemplates() {
+export function getAllTemplates() {
   return [
     ...beginnerGuideTemplates,
     ...bestOfTemplates,
@@ -2,14 +2,14 @@
  * Prompt templates for trend analysis articles that explore current and future developments.
  */
 
-import { COMMON_STRUCTURE } from '../prompts/common_structure.js';
+import { COMMON_STRUCTURE } from '../common_structure.js';
 
 const templates = [
   {
     system: `You are a trend analyst who identifies and explains emerging patterns and their implications. Write exactly 600-800 words focusing on current data and market intelligence.`,
     user: `Write a trend analysis article about ONE specific emerging trend within "{{CATEGORY}}" (e.g., "rise of virtual reality fitness classes" not "fitness trends"). Use a compelling title like "The Rising Wave of..." or "What's Disrupting...". Cover the latest developments, emerging patterns, current market drivers, near-term predictions, and strategic implications happening right now.
 
-${COMMON_STRUCTURE}${COMMON_STRUCTURE}`,
+${COMMON_STRUCTURE}`,
   },
   {
     system: `You are a futurist who interprets current signals to predict upcoming developments. Target exactly 600-800 words with forward-looking analysis and actionable insights.`,
@@ -62,4 +62,11 @@ export function buildPrompt(categoryName) {
   };
 }
 
-export default { buildPrompt };
\ No newline at end of file
+/**
+ * Every template of this article type; `{{CATEGORY}}` is filled in by the caller.
+ */
+export function getAllTemplates() {
+  return templates;
+}
+
+export default { buildPrompt, getAllTemplates };
@@ -7,6 +7,7 @@ import {
   getDashboardAnalytics,
   updateTrendingScores 
 } from '../services/viewTracker.js';
+import { requireAdmin } from '../middleware/auth.js';
 
 const router = express.Router();
 
@@ -390,6 +391,9 @@ router.get('/stats', async (req, res) => {
  *   post:
  *     tags: [Analytics]
  *     summary: Update trending scores for all content
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     responses:
  *       '200':
  *         description: Trending scores updated
@@ -400,10 +404,16 @@ router.get('/stats', async (req, res) => {
  *               properties:
  *                 message:
  *                   type: string
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
  *       '500':
  *         description: Failed to update trending scores
  */
-router.post('/update-trending', async (_req, res) => {
+router.post('/update-trending', requireAdmin, async (_req, res) => {
   try {
     await updateTrendingScores();
     res.json({ message: 'Trending scores updated successfully' });
@@ -0,0 +1,165 @@
+import express from 'express';
+import { AppError, ErrorTypes, sendError } from '../services/errorHandler.js';
+import { createApiKey, listApiKeys, revokeApiKey } from '../services/apiKeyService.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * @openapi
+ * /admin/api-keys:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List API keys
+ *     description: Returns key metadata only; plaintext keys and hashes are never exposed.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: includeRevoked
+ *         schema:
+ *           type: boolean
+ *           default: false
+ *     responses:
+ *       '200':
+ *         description: API keys
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ApiKey'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const includeRevoked = req.query.includeRevoked === 'true' || req.query.includeRevoked === '1';
+    const data = await listApiKeys({ includeRevoked });
+    res.json({ data });
+  } catch (err) {
+    sendError(res, err, 'Failed to list API keys');
+  }
+});
+
+/**
+ * @openapi
+ * /admin/api-keys:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Create an API key
+ *     description: The plaintext key is returned once in this response and cannot be retrieved later.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: "deploy-pipeline"
+ *               role:
+ *                 type: string
+ *                 enum: [reader, editor, admin]
+ *                 default: reader
+ *               rateLimitPoints:
+ *                 type: integer
+ *                 description: Requests allowed per window (role default when omitted)
+ *               rateLimitDuration:
+ *                 type: integer
+ *                 description: Window length in seconds
+ *               expiresAt:
+ *                 type: string
+ *                 format: date-time
+ *     responses:
+ *       '201':
+ *         description: API key created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 apiKey:
+ *                   type: string
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       '400':
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { name, role, rateLimitPoints, rateLimitDuration, expiresAt } = req.body || {};
+    const { apiKey, key } = await createApiKey({ name, role, rateLimitPoints, rateLimitDuration, expiresAt });
+    res.status(201).json({ apiKey, data: key });
+  } catch (err) {
+    sendError(res, err, 'Failed to create API key');
+  }
+});
+
+/**
+ * @openapi
+ * /admin/api-keys/{id}:
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Revoke an API key
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: API key revoked
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/ApiKey'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: API key not found
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    const id = parseInt(req.params.id, 10);
+    if (!Number.isInteger(id)) {
+      throw new AppError('Invalid API key id', ErrorTypes.VALIDATION_ERROR, { id: req.params.id });
+    }
+    const data = await revokeApiKey(id);
+    res.json({ data });
+  } catch (err) {
+    sendError(res, err, 'Failed to revoke API key');
+  }
+});
+
+export default router;
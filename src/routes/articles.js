@@ -3,8 +3,25 @@ import { query } from '../db.js';
 import { config } from '../config.js';
 import { resolveLanguage } from '../utils/lang.js';
 import { articlesTable } from '../utils/articlesTable.js';
+import { publishedOnly } from '../utils/articleStatus.js';
 import { autoTrackViews } from '../middleware/viewTracking.js';
 import { computeEtag, setCacheHeaders, handleConditionalGet } from '../utils/httpCache.js';
+import { optionalAuth, hasRole, requireEditor } from '../middleware/auth.js';
+import { sendError } from '../services/errorHandler.js';
+import { transitionArticle } from '../services/editorialService.js';
+import {
+  updateArticle,
+  deleteArticle,
+  bulkUpdateArticles
+} from '../services/articleManagementService.js';
+import { articlePath, lookupRedirect } from '../services/redirectService.js';
+import { searchArticles, SEARCH_MAX_LIMIT } from '../services/searchService.js';
+import { suggest, SUGGEST_MAX_LIMIT } from '../services/searchSuggestions.js';
+import { getArticleTags } from '../services/tagService.js';
+import { getArticleTranslations } from '../services/articleGroupService.js';
+import { getArticleAlternates } from '../services/hreflangService.js';
+import { QUALITY_FIELDS } from '../services/qualityGate.js';
+import { ARTICLE_TYPES, isValidArticleType } from '../utils/articleTypes.js';
 
 const router = express.Router();
 
@@ -13,6 +30,8 @@ router.use(autoTrackViews);
 
 // (handlers documented below in OpenAPI section)
 
+const asFlag = (value, fallback) => (value === undefined ? fallback : value !== false && value !== 'false');
+
 /**
  * @openapi
  * /articles/latest:
@@ -43,6 +62,13 @@ router.use(autoTrackViews);
  *           type: integer
  *           minimum: 0
  *           default: 0
+ *       - in: query
+ *         name: type
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [guide, best_of, how_to, compare, trends]
+ *         description: Only articles of this type
  *     responses:
  *       '200':
  *         description: List of latest articles with pagination info
@@ -74,6 +100,12 @@ router.use(autoTrackViews);
  *                       type: boolean
  *                     hasPrev:
  *                       type: boolean
+ *       '400':
+ *         description: Invalid article type
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       '500':
  *         description: Failed to load latest articles
  *         content:
@@ -90,6 +122,10 @@ router.get('/latest', async (req, res) => {
   const limit = Number.isFinite(rawLimit) ? Math.max(1, Math.min(200, Math.trunc(rawLimit))) : 12;
   const page = Number.isFinite(rawPage) ? Math.max(1, Math.trunc(rawPage)) : 1;
   const offset = Number.isFinite(rawOffset) ? Math.max(0, Math.trunc(rawOffset)) : (page - 1) * limit;
+  const type = req.query.type ? String(req.query.type) : null;
+  if (type && !isValidArticleType(type)) {
+    return res.status(400).json({ error: `Invalid type. Use one of: ${ARTICLE_TYPES.join(', ')}` });
+  }
   
   try {
     const tbl = articlesTable(language);
@@ -98,8 +134,9 @@ router.get('/latest', async (req, res) => {
     const countResult = await query(
       `SELECT COUNT(*) as total 
        FROM ${tbl} a 
-       WHERE a.language_code = $1`,
-      [language]
+       WHERE a.language_code = $1 AND ${publishedOnly('a')}
+         AND ($2::text IS NULL OR a.article_type = $2)`,
+      [language, type]
     );
     const total = parseInt(countResult.rows[0].total) || 0;
     
@@ -114,6 +151,7 @@ router.get('/latest', async (req, res) => {
          a.image_url,
          a.language_code,
          a.category_id,
+         a.article_type,
          a.reading_time_minutes,
          a.total_views,
          a.unique_views,
@@ -124,10 +162,11 @@ router.get('/latest', async (req, res) => {
          a.created_at
        FROM ${tbl} a
        LEFT JOIN categories c ON c.id = a.category_id
-       WHERE a.language_code = $1
+       WHERE a.language_code = $1 AND ${publishedOnly('a')}
+         AND ($2::text IS NULL OR a.article_type = $2)
        ORDER BY COALESCE(a.published_at, a.created_at) DESC, a.id DESC
-       LIMIT $2 OFFSET $3`,
-      [language, limit, offset]
+       LIMIT $3 OFFSET $4`,
+      [language, type, limit, offset]
     );
     
     const pages = Math.ceil(total / limit);
@@ -147,7 +186,7 @@ router.get('/latest', async (req, res) => {
         hasPrev
       }
     };
-    const etag = computeEtag(payload, `latest|${language}|p:${page}|l:${limit}|o:${offset}`);
+    const etag = computeEtag(payload, `latest|${language}|t:${type || ''}|p:${page}|l:${limit}|o:${offset}`);
     const lastModified = Date.now();
     setCacheHeaders(res, { maxAge: 60, swr: 300, vary: ['Accept-Language'], etag, lastModified });
     if (handleConditionalGet(req, res, { etag, lastModified })) return;
@@ -158,12 +197,215 @@ router.get('/latest', async (req, res) => {
   }
 });
 
+/**
+ * @openapi
+ * /articles/search:
+ *   get:
+ *     tags: [Articles]
+ *     summary: Full-text search of published articles in one language
+ *     description: |
+ *       Uses Postgres full-text search with the language's stemming configuration
+ *       (`simple` for ar and hi). `q` accepts web search syntax: "quoted phrases",
+ *       `OR` and `-excluded` words. Results are ranked (title matches first) and carry
+ *       HTML `title_highlight` and `snippet` fields with matches wrapped in `<mark>`.
+ *     parameters:
+ *       - $ref: '#/components/parameters/AcceptLanguage'
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 200
+ *       - in: query
+ *         name: category
+ *         description: Category slug
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         description: Published on or after this date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: to
+ *         description: Published before this date
+ *         schema:
+ *           type: string
+ *           format: date
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 50
+ *           default: 10
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           default: 1
+ *     responses:
+ *       '200':
+ *         description: Ranked search results
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SearchResult'
+ *                 query:
+ *                   type: string
+ *                 didYouMean:
+ *                   type: string
+ *                   nullable: true
+ *                   description: Corrected query when nothing matched and a likely spelling fix exists
+ *                 language:
+ *                   type: string
+ *                 pagination:
+ *                   type: object
+ *                   properties:
+ *                     page:
+ *                       type: integer
+ *                     limit:
+ *                       type: integer
+ *                     total:
+ *                       type: integer
+ *                     pages:
+ *                       type: integer
+ *                     hasNext:
+ *                       type: boolean
+ *                     hasPrev:
+ *                       type: boolean
+ *       '400':
+ *         description: Missing or invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '500':
+ *         description: Search failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/search', async (req, res) => {
+  const language = resolveLanguage(req, config.languages);
+  const rawLimit = Number(req.query.limit);
+  const rawPage = Number(req.query.page);
+  const limit = Number.isFinite(rawLimit) ? Math.max(1, Math.min(SEARCH_MAX_LIMIT, Math.trunc(rawLimit))) : 10;
+  const page = Number.isFinite(rawPage) ? Math.max(1, Math.trunc(rawPage)) : 1;
+
+  try {
+    const { query: terms, didYouMean, total, data } = await searchArticles({
+      q: req.query.q,
+      language,
+      category: req.query.category ? String(req.query.category) : null,
+      from: req.query.from,
+      to: req.query.to,
+      limit,
+      offset: (page - 1) * limit
+    });
+    const pages = Math.ceil(total / limit);
+    const payload = {
+      data,
+      query: terms,
+      didYouMean,
+      language,
+      pagination: { page, limit, total, pages, hasNext: page < pages, hasPrev: page > 1 }
+    };
+    const etag = computeEtag(payload, `search|${language}`);
+    setCacheHeaders(res, { maxAge: 60, swr: 300, vary: ['Accept-Language'], etag });
+    if (handleConditionalGet(req, res, { etag })) return;
+    res.json(payload);
+  } catch (err) {
+    sendError(res, err, 'Search failed');
+  }
+});
+
+/**
+ * @openapi
+ * /articles/suggest:
+ *   get:
+ *     tags: [Articles]
+ *     summary: Type-ahead suggestions for a partial search query
+ *     description: |
+ *       Matches published article titles and keywords of the requested language by
+ *       trigram similarity, and category names. When no title matches, `didYouMean`
+ *       carries a spelling correction if one is likely.
+ *     parameters:
+ *       - $ref: '#/components/parameters/AcceptLanguage'
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *           maxLength: 100
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 10
+ *           default: 8
+ *     responses:
+ *       '200':
+ *         description: Suggestions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/SearchSuggestions'
+ *       '400':
+ *         description: Missing or invalid q
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '500':
+ *         description: Suggestions failed
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/suggest', async (req, res) => {
+  const language = resolveLanguage(req, config.languages);
+  const rawLimit = Number(req.query.limit);
+  const limit = Number.isFinite(rawLimit) ? Math.max(1, Math.min(SUGGEST_MAX_LIMIT, Math.trunc(rawLimit))) : 8;
+
+  try {
+    const result = await suggest({ q: req.query.q, language, limit });
+    const payload = { ...result, language };
+    const etag = computeEtag(payload, `suggest|${language}`);
+    setCacheHeaders(res, { maxAge: 300, swr: 600, vary: ['Accept-Language'], etag });
+    if (handleConditionalGet(req, res, { etag })) return;
+    res.json(payload);
+  } catch (err) {
+    sendError(res, err, 'Suggestions failed');
+  }
+});
+
 /**
  * @openapi
  * /articles/slug/{slug}:
  *   get:
  *     tags: [Articles]
  *     summary: Get an article by slug with language-aware matching
+ *     description: |
+ *       Public callers only see published articles. Callers with an editor or admin
+ *       API key also see unpublished articles (drafts, in review, scheduled) and the
+ *       quality gate fields `quality_score`, `quality_reasons` and `word_count_status`.
+ *     security:
+ *       - {}
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     parameters:
  *       - name: slug
  *         in: path
@@ -183,12 +425,20 @@ router.get('/latest', async (req, res) => {
  *                   $ref: '#/components/schemas/Article'
  *                 language:
  *                   type: string
+ *       '301':
+ *         description: Article was renamed, or deleted and replaced; Location points at its current URL
  *       '404':
  *         description: Not found
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       '410':
+ *         description: Article was deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
  *       '500':
  *         description: Failed to load article
  *         content:
@@ -196,10 +446,13 @@ router.get('/latest', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.get('/slug/:slug', async (req, res) => {
+router.get('/slug/:slug', optionalAuth, async (req, res) => {
   const language = resolveLanguage(req, config.languages);
   const rawSlug = String(req.params.slug || '').trim();
   if (!rawSlug) return res.status(400).json({ error: 'Invalid slug' });
+  // Editors can look at drafts and their quality gate results
+  const isEditor = hasRole(req, 'editor');
+  const visibility = isEditor ? 'TRUE' : publishedOnly('a');
   try {
     const langs = (config.languages || []).map((l) => String(l).toLowerCase());
     const suffixRe = new RegExp(`-(?:${langs.join('|')})$`, 'i');
@@ -222,7 +475,7 @@ router.get('/slug/:slug', async (req, res) => {
       `SELECT a.*, a.id AS article_id, c.id AS category_id, c.name AS category_name, c.slug AS category_slug
        FROM ${tblPreferred} a
        LEFT JOIN categories c ON c.id = a.category_id
-       WHERE a.slug = ANY($1)
+       WHERE a.slug = ANY($1) AND ${visibility}
        ORDER BY CASE a.slug
          WHEN $2 THEN 1
          WHEN $3 THEN 2
@@ -244,7 +497,7 @@ router.get('/slug/:slug', async (req, res) => {
             `SELECT a.*, a.id AS article_id, c.id AS category_id, c.name AS category_name, c.slug AS category_slug
              FROM ${fallbackTable} a
              LEFT JOIN categories c ON c.id = a.category_id
-             WHERE a.slug = ANY($1)
+             WHERE a.slug = ANY($1) AND ${visibility}
              ORDER BY CASE a.slug
                WHEN $2 THEN 1
                WHEN $3 THEN 2
@@ -261,9 +514,34 @@ router.get('/slug/:slug', async (req, res) => {
         }
       }
     }
-    if (result.rowCount === 0) return res.status(404).json({ error: 'Not found' });
+    if (result.rowCount === 0) {
+      // Renamed and deleted articles: follow the page redirect in API terms
+      for (const candidate of new Set(candidates)) {
+        const redirect = await lookupRedirect(articlePath(language, candidate));
+        if (!redirect) continue;
+        if (redirect.statusCode === 410) return res.status(410).json({ error: 'Gone' });
+        const target = redirect.target.match(new RegExp(`^/${language}/article/([^/]+)$`));
+        if (target) {
+          return res.redirect(301, `${req.baseUrl}/slug/${encodeURIComponent(target[1])}?lang=${language}`);
+        }
+      }
+      return res.status(404).json({ error: 'Not found' });
+    }
     
     const article = result.rows[0];
+    // Internal to duplicate detection and search
+    delete article.minhash_signature;
+    delete article.search_vector;
+    article.tags = (await getArticleTags(article.language_code || language, article.article_id))
+      .map(({ name, slug }) => ({ name, slug }));
+    article.alternates = await getArticleAlternates(article.language_code || language, { id: article.article_id, slug: article.slug });
+
+    if (isEditor) {
+      // Editorial view: never cached or counted as a reader view
+      res.setHeader('Cache-Control', 'private, no-store');
+      return res.json({ data: article, language });
+    }
+    for (const field of QUALITY_FIELDS) delete article[field];
     
     // Track article view
     if (res.trackView) {
@@ -285,6 +563,83 @@ router.get('/slug/:slug', async (req, res) => {
     res.status(500).json({ error: 'Failed to load article' });
   }
 });
+/**
+ * @openapi
+ * /articles/{id}/translations:
+ *   get:
+ *     tags: [Articles]
+ *     summary: List the translation group of an article
+ *     description: |
+ *       `id` is looked up in the articles table of the requested language. The response
+ *       lists the English master and every translation of it, the requested article
+ *       included, each with the article and content_hash it was translated from.
+ *       An article outside any group is listed on its own with `master_id` null.
+ *       Public callers only see published articles; editors also see unpublished ones.
+ *     security:
+ *       - {}
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - $ref: '#/components/parameters/AcceptLanguage'
+ *     responses:
+ *       '200':
+ *         description: Translation group
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     master_id:
+ *                       type: integer
+ *                       nullable: true
+ *                     translations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/ArticleTranslation'
+ *                 language:
+ *                   type: string
+ *       '400':
+ *         description: Invalid id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '404':
+ *         description: Article not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:id/translations', optionalAuth, async (req, res) => {
+  const language = resolveLanguage(req, config.languages);
+  const isEditor = hasRole(req, 'editor');
+  try {
+    const data = await getArticleTranslations(language, req.params.id, { includeUnpublished: isEditor });
+    if (isEditor) {
+      res.setHeader('Cache-Control', 'private, no-store');
+      return res.json({ data, language });
+    }
+
+    const payload = { data, language };
+    const etag = computeEtag(payload, `translations|${language}|id:${req.params.id}`);
+    const lastModified = Date.now();
+    setCacheHeaders(res, { maxAge: 300, swr: 600, vary: ['Accept-Language'], etag, lastModified });
+    if (handleConditionalGet(req, res, { etag, lastModified })) return;
+    res.json(payload);
+  } catch (err) {
+    sendError(res, err, 'Failed to load translations');
+  }
+});
+
 router.get('/:id/related', async (req, res) => {
   const language = resolveLanguage(req, config.languages);
   const id = req.params.id;
@@ -302,8 +657,8 @@ router.get('/:id/related', async (req, res) => {
 
     // For language-specific tables, we need to handle the language_code column differently
     const baseQuerySql = baseTbl === 'articles'
-      ? `SELECT category_id, language_code, slug FROM ${baseTbl} WHERE id = $1`
-      : `SELECT category_id, '${language}' AS language_code, slug FROM ${baseTbl} WHERE id = $1`;
+      ? `SELECT category_id, language_code, slug FROM ${baseTbl} WHERE id = $1 AND ${publishedOnly('')}`
+      : `SELECT category_id, '${language}' AS language_code, slug FROM ${baseTbl} WHERE id = $1 AND ${publishedOnly('')}`;
 
     const baseRes = await query(baseQuerySql, [id]);
     if (baseRes.rowCount === 0) return res.status(404).json({ error: 'Not found' });
@@ -312,12 +667,12 @@ router.get('/:id/related', async (req, res) => {
     const relQuerySql = baseTbl === 'articles'
       ? `SELECT id, title, slug, summary, meta_description, image_url, language_code, published_at, created_at
          FROM ${baseTbl}
-         WHERE category_id = $1 AND language_code = $2 AND id <> $3 AND slug <> $4
+         WHERE category_id = $1 AND language_code = $2 AND id <> $3 AND slug <> $4 AND ${publishedOnly('')}
          ORDER BY COALESCE(published_at, created_at) DESC, id DESC
          LIMIT 10`
       : `SELECT id, title, slug, summary, meta_description, image_url, '${language}' AS language_code, published_at, created_at
          FROM ${baseTbl}
-         WHERE category_id = $1 AND id <> $2 AND slug <> $3
+         WHERE category_id = $1 AND id <> $2 AND slug <> $3 AND ${publishedOnly('')}
          ORDER BY COALESCE(published_at, created_at) DESC, id DESC
          LIMIT 10`;
 
@@ -335,6 +690,311 @@ router.get('/:id/related', async (req, res) => {
   }
 });
 
-export default router;
+/**
+ * @openapi
+ * /articles/bulk:
+ *   post:
+ *     tags: [Articles]
+ *     summary: Apply an action to every article matching a filter
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     description: |
+ *       Works on one language table (`language`, default `en`). Actions:
+ *       - **recategorize**: move matches to `categoryId` / `categorySlug`
+ *       - **refetch_image**: fetch a new lead image and alt text (at most 50 articles)
+ *       - **delete**: soft delete with `mode` gone (410) or redirect (301 to `replacementSlug`); requires the admin role
+ *
+ *       The filter needs at least one criterion and may match at most 500 articles.
+ *       Deleted articles never match. Changes to English masters cascade to their
+ *       translations unless `includeTranslations` is false. Use `dryRun` to preview.
+ *       Requires the editor role.
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/BulkArticleRequest'
+ *     responses:
+ *       '200':
+ *         description: Result per matched article
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/BulkArticleResult'
+ *       '400':
+ *         description: Invalid action, filter or target, or too many matches
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/bulk', requireEditor, async (req, res) => {
+  try {
+    const body = req.body || {};
+    if (body.action === 'delete' && !hasRole(req, 'admin')) {
+      return res.status(403).json({ error: 'Forbidden', requiredRole: 'admin', role: req.apiKey?.role });
+    }
+
+    const data = await bulkUpdateArticles({
+      action: body.action,
+      language: String(body.language || 'en'),
+      filter: body.filter,
+      categoryId: body.categoryId,
+      categorySlug: body.categorySlug,
+      mode: body.mode,
+      replacementSlug: body.replacementSlug,
+      includeTranslations: asFlag(body.includeTranslations, true),
+      dryRun: asFlag(body.dryRun, false),
+      changedBy: req.apiKey?.name || null
+    });
+    res.json({ data });
+  } catch (err) {
+    sendError(res, err, 'Bulk action failed');
+  }
+});
+
+/**
+ * @openapi
+ * /articles/{id}:
+ *   patch:
+ *     tags: [Articles]
+ *     summary: Edit an article
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     description: |
+ *       Updates title, slug, summary, meta fields, content, category or image of the
+ *       article in the language given by `lang` (or Accept-Language). Content is sanitized
+ *       like generated content; its JSON-LD is kept when the edit doesn't include any.
+ *       Reading time and content hash are recomputed and the change is recorded as a
+ *       revision. A new slug gets a 301 from the old article URL. A category or slug
+ *       change on an English master also applies to its translations unless
+ *       `includeTranslations=false`. Published articles are re-announced to search
+ *       engines. Requires the editor role.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           default: en
+ *       - in: query
+ *         name: includeTranslations
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ArticleUpdate'
+ *     responses:
+ *       '200':
+ *         description: Updated article
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Article'
+ *                 translations:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *       '400':
+ *         description: Invalid or unknown fields, unknown category, or deleted article
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: Article not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.patch('/:id', requireEditor, async (req, res) => {
+  try {
+    const language = resolveLanguage(req, config.languages);
+    const { article, translations } = await updateArticle({
+      language,
+      id: req.params.id,
+      changes: req.body || {},
+      changedBy: req.apiKey?.name || null,
+      includeTranslations: asFlag(req.query.includeTranslations, true)
+    });
+    // Internal to duplicate detection and search
+    delete article.minhash_signature;
+    delete article.search_vector;
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.json({ data: article, translations });
+  } catch (err) {
+    sendError(res, err, 'Failed to update article');
+  }
+});
+
+/**
+ * @openapi
+ * /articles/{id}/unpublish:
+ *   post:
+ *     tags: [Articles]
+ *     summary: Unpublish an article
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     description: |
+ *       Shortcut for the editorial `unpublish` action on the article in the language
+ *       given by `lang` (or Accept-Language). Cascades from English masters to their
+ *       translations unless `includeTranslations=false`. Requires the editor role.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           default: en
+ *       - in: query
+ *         name: includeTranslations
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *     responses:
+ *       '200':
+ *         description: Article unpublished
+ *       '400':
+ *         description: Article is not published or scheduled
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: Article not found
+ */
+router.post('/:id/unpublish', requireEditor, async (req, res) => {
+  try {
+    const language = resolveLanguage(req, config.languages);
+    const result = await transitionArticle({
+      language,
+      id: req.params.id,
+      action: 'unpublish',
+      includeTranslations: asFlag(req.query.includeTranslations, true)
+    });
+    res.json({
+      data: result.article,
+      translations: result.translations.map((t) => ({
+        id: t.id,
+        slug: t.slug,
+        language_code: t.language_code,
+        status: t.status
+      }))
+    });
+  } catch (err) {
+    sendError(res, err, 'Failed to unpublish article');
+  }
+});
 
+/**
+ * @openapi
+ * /articles/{id}:
+ *   delete:
+ *     tags: [Articles]
+ *     summary: Delete an article
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     description: |
+ *       Soft delete: the article is unpublished and kept as a tombstone. With
+ *       `mode=gone` its URLs answer 410 Gone; with `mode=redirect` they answer 301 to
+ *       `replacement`, a published article in the same language. Deleting an English
+ *       master deletes its translations too (each redirects to the replacement's
+ *       translation when there is one). Approving the article in the editorial
+ *       workflow restores it. Requires the editor role.
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           default: en
+ *       - in: query
+ *         name: mode
+ *         schema:
+ *           type: string
+ *           enum: [gone, redirect]
+ *           default: gone
+ *       - in: query
+ *         name: replacement
+ *         schema:
+ *           type: string
+ *         description: Slug of the replacement article (required for redirect)
+ *       - in: query
+ *         name: includeTranslations
+ *         schema:
+ *           type: boolean
+ *           default: true
+ *     responses:
+ *       '200':
+ *         description: Article deleted
+ *       '400':
+ *         description: Invalid mode or replacement
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: Article not found
+ */
+router.delete('/:id', requireEditor, async (req, res) => {
+  try {
+    const language = resolveLanguage(req, config.languages);
+    const body = req.body || {};
+    const result = await deleteArticle({
+      language,
+      id: req.params.id,
+      mode: String(req.query.mode || body.mode || 'gone'),
+      replacementSlug: req.query.replacement || body.replacement || null,
+      includeTranslations: asFlag(req.query.includeTranslations ?? body.includeTranslations, true),
+      changedBy: req.apiKey?.name || null
+    });
+    res.json({ data: result.article, translations: result.translations });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete article');
+  }
+});
 
+export default router;
@@ -3,8 +3,10 @@ import { query } from '../db.js';
 import { config } from '../config.js';
 import { resolveLanguage } from '../utils/lang.js';
 import { articlesTable } from '../utils/articlesTable.js';
+import { publishedOnly } from '../utils/articleStatus.js';
 import { autoTrackViews } from '../middleware/viewTracking.js';
 import { computeEtag, setCacheHeaders, handleConditionalGet } from '../utils/httpCache.js';
+import { ARTICLE_TYPES, isValidArticleType } from '../utils/articleTypes.js';
 
 const router = express.Router();
 
@@ -57,7 +59,8 @@ router.get('/', async (req, res) => {
            category_id,
            COUNT(*) as article_count
          FROM ${tbl}
-         ${tbl === 'articles' ? 'WHERE language_code = $2' : ''}
+         WHERE ${publishedOnly('')}
+         ${tbl === 'articles' ? 'AND language_code = $2' : ''}
          GROUP BY category_id
        ) article_counts ON article_counts.category_id = c.id
        ORDER BY name ASC`,
@@ -91,6 +94,13 @@ router.get('/', async (req, res) => {
  *           type: integer
  *           format: int64
  *       - $ref: '#/components/parameters/AcceptLanguage'
+ *       - in: query
+ *         name: type
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [guide, best_of, how_to, compare, trends]
+ *         description: Only articles of this type
  *     responses:
  *       '200':
  *         description: List of articles
@@ -99,7 +109,7 @@ router.get('/', async (req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ApiResponseArticleFullList'
  *       '400':
- *         description: Invalid id
+ *         description: Invalid id or article type
  *         content:
  *           application/json:
  *             schema:
@@ -124,16 +134,20 @@ router.get('/:id/articles', async (req, res) => {
   const limit = Number.isFinite(rawLimit) ? Math.max(1, Math.min(200, Math.trunc(rawLimit))) : 20;
   const page = Number.isFinite(rawPage) ? Math.max(1, Math.trunc(rawPage)) : 1;
   const offset = Number.isFinite(rawOffset) ? Math.max(0, Math.trunc(rawOffset)) : (page - 1) * limit;
+  const type = req.query.type ? String(req.query.type) : null;
+  if (type && !isValidArticleType(type)) {
+    return res.status(400).json({ error: `Invalid type. Use one of: ${ARTICLE_TYPES.join(', ')}` });
+  }
   
   try {
     const tbl = articlesTable(language);
     
     // Get total count for pagination
     const countSql = tbl === 'articles'
-      ? `SELECT COUNT(*) as total FROM ${tbl} WHERE category_id = $1 AND language_code = $2`
-      : `SELECT COUNT(*) as total FROM ${tbl} WHERE category_id = $1`;
+      ? `SELECT COUNT(*) as total FROM ${tbl} WHERE category_id = $1 AND language_code = $2 AND ${publishedOnly('')} AND ($3::text IS NULL OR article_type = $3)`
+      : `SELECT COUNT(*) as total FROM ${tbl} WHERE category_id = $1 AND ${publishedOnly('')} AND ($2::text IS NULL OR article_type = $2)`;
     
-    const countParams = tbl === 'articles' ? [id, language] : [id];
+    const countParams = tbl === 'articles' ? [id, language, type] : [id, type];
     const countResult = await query(countSql, countParams);
     const total = parseInt(countResult.rows[0].total) || 0;
     
@@ -162,12 +176,14 @@ router.get('/:id/articles', async (req, res) => {
            source_url,
            content_hash,
            category_id,
+           article_type,
            published_at,
            created_at
          FROM ${tbl} 
-         WHERE category_id = $1 AND language_code = $2
+         WHERE category_id = $1 AND language_code = $2 AND ${publishedOnly('')}
+           AND ($3::text IS NULL OR article_type = $3)
          ORDER BY COALESCE(published_at, created_at) DESC 
-         LIMIT $3 OFFSET $4`
+         LIMIT $4 OFFSET $5`
       : `SELECT 
            id,
            title,
@@ -191,14 +207,16 @@ router.get('/:id/articles', async (req, res) => {
            source_url,
            content_hash,
            category_id,
+           article_type,
            published_at,
            created_at
          FROM ${tbl} 
-         WHERE category_id = $1
+         WHERE category_id = $1 AND ${publishedOnly('')}
+           AND ($2::text IS NULL OR article_type = $2)
          ORDER BY COALESCE(published_at, created_at) DESC 
-         LIMIT $2 OFFSET $3`;
+         LIMIT $3 OFFSET $4`;
     
-    const queryParams = tbl === 'articles' ? [id, language, limit, offset] : [id, limit, offset];
+    const queryParams = tbl === 'articles' ? [id, language, type, limit, offset] : [id, type, limit, offset];
     const result = await query(querySql, queryParams);
     
     const pages = Math.ceil(total / limit);
@@ -231,7 +249,7 @@ router.get('/:id/articles', async (req, res) => {
         hasPrev
       }
     };
-    const etag = computeEtag(payload, `category:${id}|${language}|p:${page}|l:${limit}|o:${offset}`);
+    const etag = computeEtag(payload, `category:${id}|${language}|t:${type || ''}|p:${page}|l:${limit}|o:${offset}`);
     const lastModified = Date.now();
     setCacheHeaders(res, { maxAge: 60, swr: 300, vary: ['Accept-Language'], etag, lastModified });
     if (handleConditionalGet(req, res, { etag, lastModified })) return;
@@ -0,0 +1,471 @@
+import express from 'express';
+import { config } from '../config.js';
+import { AppError, ErrorTypes, sendError } from '../services/errorHandler.js';
+import { listArticlesByStatus, transitionArticle } from '../services/editorialService.js';
+import { findDuplicateClusters } from '../services/duplicateDetection.js';
+import { listRevisions, diffRevisions, rollbackToRevision } from '../services/revisionService.js';
+import { requireAdmin, requireEditor } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// Every editorial endpoint requires at least the editor role
+router.use(requireEditor);
+
+/**
+ * @openapi
+ * /editorial/articles:
+ *   get:
+ *     tags: [Editorial]
+ *     summary: List articles by workflow status
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     description: |
+ *       Returns the review queue (default), scheduled articles, drafts or any other
+ *       workflow state for one language. Requires the editor role.
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, in_review, scheduled, published, unpublished]
+ *           default: in_review
+ *       - in: query
+ *         name: lang
+ *         schema:
+ *           type: string
+ *           default: en
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       '200':
+ *         description: Articles in the requested state
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ApiResponseArticleList'
+ *       '400':
+ *         description: Invalid status or language
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/articles', async (req, res) => {
+  try {
+    const language = String(req.query.lang || 'en');
+    const status = String(req.query.status || 'in_review');
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const data = await listArticlesByStatus({ language, status, limit, offset });
+    res.json({ data, language, status, limit, offset });
+  } catch (err) {
+    sendError(res, err, 'Failed to list articles');
+  }
+});
+
+/**
+ * @openapi
+ * /editorial/articles/{language}/{id}/{action}:
+ *   post:
+ *     tags: [Editorial]
+ *     summary: Apply an editorial action to an article
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     description: |
+ *       Moves an article through the editorial workflow. Allowed transitions:
+ *       - **submit**: draft/unpublished → in_review
+ *       - **approve**: draft/in_review/scheduled/unpublished → published
+ *       - **reject**: in_review/scheduled → draft
+ *       - **schedule**: draft/in_review/unpublished → scheduled (requires `publishAt`)
+ *       - **unpublish**: published/scheduled → unpublished
+ *
+ *       Actions on an English master cascade to its translations that are in a
+ *       compatible state unless `includeTranslations` is false. Search engine and
+ *       WebSub notifications are sent only when an article becomes published.
+ *     parameters:
+ *       - in: path
+ *         name: language
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: en
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: path
+ *         name: action
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [submit, approve, reject, schedule, unpublish]
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               note:
+ *                 type: string
+ *                 description: Reviewer note, stored on approve and reject
+ *               publishAt:
+ *                 type: string
+ *                 format: date-time
+ *                 description: Future publish time, required for schedule
+ *               includeTranslations:
+ *                 type: boolean
+ *                 default: true
+ *     responses:
+ *       '200':
+ *         description: Transition applied
+ *       '400':
+ *         description: Invalid action, date or state transition
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: Article not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/articles/:language/:id/:action', async (req, res) => {
+  try {
+    const { language, id, action } = req.params;
+    const { note = null, publishAt = null, includeTranslations = true } = req.body || {};
+
+    const result = await transitionArticle({
+      language,
+      id,
+      action,
+      note,
+      publishAt,
+      includeTranslations: includeTranslations !== false && includeTranslations !== 'false'
+    });
+
+    res.json({
+      data: result.article,
+      translations: result.translations.map((t) => ({
+        id: t.id,
+        slug: t.slug,
+        language_code: t.language_code,
+        status: t.status
+      }))
+    });
+  } catch (err) {
+    sendError(res, err, 'Editorial action failed');
+  }
+});
+
+/**
+ * @openapi
+ * /editorial/articles/{language}/{id}/revisions:
+ *   get:
+ *     tags: [Editorial]
+ *     summary: List the revision history of an article
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     description: |
+ *       Every insert and every change to an article's title, content, summary, meta
+ *       fields, content hash or model/prompt is recorded by a database trigger,
+ *       including manual SQL fixes and retranslations. Newest revision first; content
+ *       is omitted (use the diff endpoint).
+ *     parameters:
+ *       - in: path
+ *         name: language
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: en
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       '200':
+ *         description: Revisions, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/ArticleRevision'
+ *       '400':
+ *         description: Invalid language or id
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: No revisions recorded for the article
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/articles/:language/:id/revisions', async (req, res) => {
+  try {
+    const { language, id } = req.params;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const data = await listRevisions({ language, id, limit, offset });
+    res.json({ data, language, limit, offset });
+  } catch (err) {
+    sendError(res, err, 'Failed to list revisions');
+  }
+});
+
+/**
+ * @openapi
+ * /editorial/articles/{language}/{id}/revisions/diff:
+ *   get:
+ *     tags: [Editorial]
+ *     summary: Diff two revisions of an article
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     description: |
+ *       Compares content block by block (headings, paragraphs, list items, table rows)
+ *       and changed blocks word by word. `content.html` is the newer version with
+ *       removed text in `<del>` and added text in `<ins>`. Changed plain text fields
+ *       (title, meta description...) are listed in `fields`.
+ *     parameters:
+ *       - in: path
+ *         name: language
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: en
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: from
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: Id of the older revision
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: integer
+ *         description: Id of the newer revision (defaults to the latest)
+ *     responses:
+ *       '200':
+ *         description: Diff between the two revisions
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/RevisionDiff'
+ *       '400':
+ *         description: Invalid language, id or revision ids
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: Revision not found for this article
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/articles/:language/:id/revisions/diff', async (req, res) => {
+  try {
+    const { language, id } = req.params;
+    const data = await diffRevisions({ language, id, from: req.query.from, to: req.query.to });
+    res.json({ data });
+  } catch (err) {
+    sendError(res, err, 'Failed to diff revisions');
+  }
+});
+
+/**
+ * @openapi
+ * /editorial/articles/{language}/{id}/revisions/{revisionId}/rollback:
+ *   post:
+ *     tags: [Editorial]
+ *     summary: Roll an article back to an earlier revision
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     description: |
+ *       Restores title, content, summary, meta fields, content hash and model/prompt
+ *       from the revision. The rollback itself is recorded as a new revision. The
+ *       article's `updated_at` moves forward so sitemaps report a fresh lastmod, and
+ *       published articles are re-announced to search engines and WebSub hubs.
+ *       Status is left unchanged.
+ *     parameters:
+ *       - in: path
+ *         name: language
+ *         required: true
+ *         schema:
+ *           type: string
+ *           example: en
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *       - in: path
+ *         name: revisionId
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Article restored
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/Article'
+ *                 restoredRevision:
+ *                   $ref: '#/components/schemas/ArticleRevision'
+ *       '400':
+ *         description: Invalid ids, or the article already matches the revision
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: Article or revision not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.post('/articles/:language/:id/revisions/:revisionId/rollback', async (req, res) => {
+  try {
+    const { language, id, revisionId } = req.params;
+    const { article, restoredRevision } = await rollbackToRevision({
+      language,
+      id,
+      revisionId,
+      changedBy: req.apiKey?.name || null
+    });
+    res.json({ data: article, restoredRevision });
+  } catch (err) {
+    sendError(res, err, 'Rollback failed');
+  }
+});
+
+/**
+ * @openapi
+ * /editorial/duplicates:
+ *   get:
+ *     tags: [Editorial]
+ *     summary: Report clusters of near-duplicate English articles
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     description: |
+ *       Groups English articles of the same category whose MinHash similarity is at or
+ *       above the threshold (default `DUPLICATE_SIMILARITY_THRESHOLD`). Articles in a
+ *       cluster are listed oldest first. Requires the admin role.
+ *     parameters:
+ *       - in: query
+ *         name: categoryId
+ *         schema:
+ *           type: integer
+ *       - in: query
+ *         name: threshold
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *     responses:
+ *       '200':
+ *         description: Duplicate clusters, largest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/DuplicateCluster'
+ *                 threshold:
+ *                   type: number
+ *       '400':
+ *         description: Invalid threshold or category id
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/duplicates', requireAdmin, async (req, res) => {
+  try {
+    const options = {};
+    if (req.query.threshold !== undefined) {
+      const threshold = Number(req.query.threshold);
+      if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+        throw new AppError('threshold must be a number between 0 and 1', ErrorTypes.VALIDATION_ERROR, { threshold: req.query.threshold });
+      }
+      options.threshold = threshold;
+    }
+    if (req.query.categoryId !== undefined) {
+      const categoryId = Number(req.query.categoryId);
+      if (!Number.isInteger(categoryId) || categoryId <= 0) {
+        throw new AppError('categoryId must be a positive integer', ErrorTypes.VALIDATION_ERROR, { categoryId: req.query.categoryId });
+      }
+      options.categoryId = categoryId;
+    }
+
+    const data = await findDuplicateClusters(options);
+    res.json({ data, threshold: options.threshold ?? config.duplicates.threshold });
+  } catch (err) {
+    sendError(res, err, 'Failed to build duplicate report');
+  }
+});
+
+export default router;
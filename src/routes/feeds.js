@@ -2,6 +2,8 @@ import express from 'express';
 import { query } from '../db.js';
 import { config } from '../config.js';
 import { articlesTable, LANG_SHARDED_ARTICLE_TABLES } from '../utils/articlesTable.js';
+import { publishedOnly } from '../utils/articleStatus.js';
+import { getTagBySlug } from '../services/tagService.js';
 
 const router = express.Router();
 
@@ -141,9 +143,11 @@ function formatRssDate(date) {
  */
 function generateRssXml(feedInfo, articles, categorySlug = null, requestedLanguage = null) {
   const baseUrl = FEED_CONFIG.siteInfo.link;
-  let feedUrl = categorySlug
-    ? `${baseUrl}/api/feeds/${categorySlug}.rss`
-    : `${baseUrl}/api/feeds/all.rss`;
+  let feedUrl = feedInfo.feedPath
+    ? `${baseUrl}${feedInfo.feedPath}`
+    : categorySlug
+      ? `${baseUrl}/api/feeds/${categorySlug}.rss`
+      : `${baseUrl}/api/feeds/all.rss`;
 
   // Add language parameter if it was explicitly requested (to ensure self-reference matches request URL)
   if (requestedLanguage) {
@@ -244,7 +248,7 @@ async function fetchCategoryArticles(categorySlug, language = 'en', limit = FEED
               c.name as category_name, c.slug as category_slug
        FROM ${tableName} a
        JOIN categories c ON c.id = a.category_id
-       WHERE c.slug = $1 AND a.language_code = $2
+       WHERE c.slug = $1 AND a.language_code = $2 AND ${publishedOnly('a')}
        ORDER BY COALESCE(a.published_at, a.created_at) DESC
        LIMIT $3`
     : `SELECT a.title, a.slug, a.summary, a.content, a.meta_description, a.image_url,
@@ -252,7 +256,7 @@ async function fetchCategoryArticles(categorySlug, language = 'en', limit = FEED
               c.name as category_name, c.slug as category_slug
        FROM ${tableName} a
        JOIN categories c ON c.id = a.category_id
-       WHERE c.slug = $1
+       WHERE c.slug = $1 AND ${publishedOnly('a')}
        ORDER BY COALESCE(a.published_at, a.created_at) DESC
        LIMIT $2`;
 
@@ -272,7 +276,7 @@ async function fetchCategoryArticles(categorySlug, language = 'en', limit = FEED
                                     c.name as category_name, c.slug as category_slug
                              FROM articles a
                              JOIN categories c ON c.id = a.category_id
-                             WHERE c.slug = $1 AND a.language_code = $2
+                             WHERE c.slug = $1 AND a.language_code = $2 AND ${publishedOnly('a')}
                              ORDER BY COALESCE(a.published_at, a.created_at) DESC
                              LIMIT $3`;
         const fallbackResult = await query(fallbackSql, [categorySlug, language, limit]);
@@ -287,6 +291,32 @@ async function fetchCategoryArticles(categorySlug, language = 'en', limit = FEED
   }
 }
 
+/**
+ * Fetch the latest articles carrying a tag
+ */
+async function fetchTagArticles(tagId, language = 'en', limit = FEED_CONFIG.itemsPerFeed) {
+  const tableName = articlesTable(language);
+
+  try {
+    const result = await query(
+      `SELECT a.title, a.slug, a.summary, a.content, a.meta_description, a.image_url,
+              '${language}' as language_code, a.published_at, a.created_at,
+              c.name as category_name, c.slug as category_slug
+       FROM article_tags at
+       JOIN ${tableName} a ON a.id = at.article_id
+       LEFT JOIN categories c ON c.id = a.category_id
+       WHERE at.tag_id = $1 AND at.language_code = $2 AND ${publishedOnly('a')}
+       ORDER BY COALESCE(a.published_at, a.created_at) DESC
+       LIMIT $3`,
+      [tagId, language, limit]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error(`Error fetching articles for tag ${tagId} from table ${tableName}:`, error);
+    return [];
+  }
+}
+
 /**
  * Fetch all recent articles (for main feed)
  */
@@ -299,7 +329,7 @@ async function fetchAllArticles(language = 'en', limit = FEED_CONFIG.itemsPerFee
               c.name as category_name, c.slug as category_slug
        FROM ${tableName} a
        JOIN categories c ON c.id = a.category_id
-       WHERE a.language_code = $1
+       WHERE a.language_code = $1 AND ${publishedOnly('a')}
        ORDER BY COALESCE(a.published_at, a.created_at) DESC
        LIMIT $2`
     : `SELECT a.title, a.slug, a.summary, a.content, a.meta_description, a.image_url,
@@ -307,6 +337,7 @@ async function fetchAllArticles(language = 'en', limit = FEED_CONFIG.itemsPerFee
               c.name as category_name, c.slug as category_slug
        FROM ${tableName} a
        JOIN categories c ON c.id = a.category_id
+       WHERE ${publishedOnly('a')}
        ORDER BY COALESCE(a.published_at, a.created_at) DESC
        LIMIT $1`;
   
@@ -325,7 +356,7 @@ async function fetchAllArticles(language = 'en', limit = FEED_CONFIG.itemsPerFee
  * Get available categories for feed generation (with full data)
  * Safely checks which article tables exist before referencing them to avoid 42P01 errors.
  */
-async function getAvailableCategories() {
+export async function getAvailableCategories() {
   try {
     // Candidate article tables: language-sharded + legacy 'articles'
     const candidateTables = [
@@ -351,7 +382,7 @@ async function getAvailableCategories() {
 
     // Build a UNION of EXISTS subqueries only for the tables that exist
     const unionSql = existingTables
-      .map(t => `SELECT 1 FROM ${t} a WHERE a.category_id = c.id`)
+      .map(t => `SELECT 1 FROM ${t} a WHERE a.category_id = c.id AND ${publishedOnly('a')}`)
       .join('\n        UNION ALL\n        ');
 
     const sql = `
@@ -380,6 +411,24 @@ async function getAvailableCategories() {
 
 // Routes
 
+/**
+ * RSS feed of the latest articles in every category
+ * @param {string} language
+ * @param {string} [requestedLanguage] language named in the feed URL, if any
+ * @returns {Promise<string>}
+ */
+export async function buildMainFeed(language = 'en', requestedLanguage = null) {
+  const articles = await fetchAllArticles(language);
+
+  const feedInfo = {
+    title: FEED_CONFIG.siteInfo.title,
+    description: FEED_CONFIG.siteInfo.description,
+    keywords: 'news, articles, insights, analysis, trends'
+  };
+
+  return generateRssXml(feedInfo, articles, null, requestedLanguage);
+}
+
 /**
  * Main RSS feed (all categories)
  */
@@ -387,25 +436,74 @@ router.get('/all.rss', async (req, res) => {
   try {
     const language = req.query.lang || 'en';
     const requestedLanguage = req.query.lang; // Only pass if explicitly requested
-    const articles = await fetchAllArticles(language);
+    const rssXml = await buildMainFeed(language, requestedLanguage);
+
+    res.setHeader('Content-Type', 'application/rss+xml; charset=UTF-8');
+    res.setHeader('Cache-Control', `public, max-age=${FEED_CONFIG.cacheMaxAge}`);
+    res.send(rssXml);
+  } catch (error) {
+    console.error('Error generating main RSS feed:', error);
+    res.status(500).type('text/plain').send('Failed to generate RSS feed');
+  }
+});
+
+/**
+ * Tag RSS feeds, one per tag and language (?lang=, default en)
+ */
+router.get('/tag/:tag.rss', async (req, res) => {
+  try {
+    const language = req.query.lang || 'en';
+    if (!config.languages.includes(language)) {
+      return res.status(404).type('text/plain').send('Language not supported');
+    }
+
+    const tag = await getTagBySlug(language, req.params.tag);
+    if (!tag) {
+      return res.status(404).type('text/plain').send('Tag feed not found');
+    }
 
+    const articles = await fetchTagArticles(tag.id, language);
     const feedInfo = {
-      title: FEED_CONFIG.siteInfo.title,
-      description: FEED_CONFIG.siteInfo.description,
-      keywords: 'news, articles, insights, analysis, trends'
+      title: `${FEED_CONFIG.siteInfo.title} - ${tag.name}`,
+      description: `Latest articles tagged "${tag.name}" from ${FEED_CONFIG.siteInfo.title}.`,
+      feedPath: `/api/feeds/tag/${encodeURIComponent(tag.slug)}.rss`
     };
 
-    const rssXml = generateRssXml(feedInfo, articles, null, requestedLanguage);
+    const rssXml = generateRssXml(feedInfo, articles, null, req.query.lang);
 
     res.setHeader('Content-Type', 'application/rss+xml; charset=UTF-8');
     res.setHeader('Cache-Control', `public, max-age=${FEED_CONFIG.cacheMaxAge}`);
     res.send(rssXml);
   } catch (error) {
-    console.error('Error generating main RSS feed:', error);
-    res.status(500).type('text/plain').send('Failed to generate RSS feed');
+    console.error(`Error generating RSS feed for tag ${req.params.tag}:`, error);
+    res.status(500).type('text/plain').send('Failed to generate tag RSS feed');
   }
 });
 
+/**
+ * RSS feed of one category, empty when it has no articles yet
+ * @param {string} categorySlug
+ * @param {string} language
+ * @param {string} [requestedLanguage] language named in the feed URL, if any
+ * @returns {Promise<string|null>} null for an unknown category
+ */
+export async function buildCategoryFeed(categorySlug, language = 'en', requestedLanguage = null) {
+  // Get category from database
+  const categoryResult = await query(
+    'SELECT id, name, slug FROM categories WHERE slug = $1',
+    [categorySlug]
+  );
+
+  if (categoryResult.rows.length === 0) return null;
+
+  const category = categoryResult.rows[0];
+  const articles = await fetchCategoryArticles(categorySlug, language);
+
+  // Generate dynamic feed configuration
+  const feedInfo = generateFeedConfig(category);
+  return generateRssXml(feedInfo, articles, categorySlug, requestedLanguage);
+}
+
 /**
  * Category-specific RSS feeds (dynamic from database)
  */
@@ -415,33 +513,11 @@ router.get('/:category.rss', async (req, res) => {
     const language = req.query.lang || 'en';
     const requestedLanguage = req.query.lang; // Only pass if explicitly requested
 
-    // Get category from database
-    const categoryResult = await query(
-      'SELECT id, name, slug FROM categories WHERE slug = $1',
-      [categorySlug]
-    );
-
-    if (categoryResult.rows.length === 0) {
+    const rssXml = await buildCategoryFeed(categorySlug, language, requestedLanguage);
+    if (rssXml === null) {
       return res.status(404).type('text/plain').send('Category feed not found');
     }
 
-    const category = categoryResult.rows[0];
-    const articles = await fetchCategoryArticles(categorySlug, language);
-
-    // Generate dynamic feed configuration
-    const feedInfo = generateFeedConfig(category);
-
-    if (articles.length === 0) {
-      // Return empty feed instead of 404
-      const rssXml = generateRssXml(feedInfo, [], categorySlug, requestedLanguage);
-
-      res.setHeader('Content-Type', 'application/rss+xml; charset=UTF-8');
-      res.setHeader('Cache-Control', `public, max-age=${FEED_CONFIG.cacheMaxAge}`);
-      return res.send(rssXml);
-    }
-
-    const rssXml = generateRssXml(feedInfo, articles, categorySlug, requestedLanguage);
-
     res.setHeader('Content-Type', 'application/rss+xml; charset=UTF-8');
     res.setHeader('Cache-Control', `public, max-age=${FEED_CONFIG.cacheMaxAge}`);
     res.send(rssXml);
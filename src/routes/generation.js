@@ -1,5 +1,6 @@
 import express from 'express';
 import { query } from '../db.js';
+import { config } from '../config.js';
 import {
   checkGenerationHealth,
   isOptimalTime,
@@ -8,9 +9,80 @@ import {
 } from '../services/optimizedGeneration.js';
 import { runManualGeneration } from '../services/manualGenerationService.js';
 import { genLog } from '../services/logger.js';
+import {
+  getJobTree,
+  listJobs,
+  retryJob,
+  isTerminalStatus
+} from '../services/jobQueue.js';
+import { getJobEvents, onJobEvent } from '../services/jobProgress.js';
+import { describeAIProviders } from '../services/aiClient.js';
+import { getTopicCoverage } from '../services/topicRegistry.js';
+import { getTranslationCoverage, COVERAGE_MAX_LIMIT } from '../services/translationFreshness.js';
+import { listSearchMisses, setSearchMissStatus } from '../services/searchSuggestions.js';
+import { AppError, ErrorTypes, sendError } from '../services/errorHandler.js';
+import { requireEditor, requireReader } from '../middleware/auth.js';
 
 const router = express.Router();
 
+const SSE_POLL_INTERVAL_MS = 2000;
+const SSE_HEARTBEAT_MS = 15000;
+
+function parseJobId(raw) {
+  const id = Number(raw);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new AppError('Job id must be a positive integer', ErrorTypes.VALIDATION_ERROR, { id: raw });
+  }
+  return id;
+}
+
+function serializeJob(job) {
+  return {
+    id: Number(job.id),
+    type: job.type,
+    status: job.status,
+    payload: job.payload,
+    result: job.result,
+    dependsOn: job.depends_on == null ? null : Number(job.depends_on),
+    attempts: job.attempts,
+    maxAttempts: job.max_attempts,
+    lastError: job.last_error,
+    runAt: job.run_at,
+    createdAt: job.created_at,
+    updatedAt: job.updated_at,
+    completedAt: job.completed_at
+  };
+}
+
+function serializeEvent(event) {
+  return {
+    id: Number(event.id),
+    jobId: Number(event.job_id),
+    stage: event.stage,
+    message: event.message,
+    data: event.data,
+    createdAt: event.created_at
+  };
+}
+
+/**
+ * Root job plus its dependents, with per-status counts for progress bars
+ */
+function summarizeJobTree(tree) {
+  const [root, ...dependents] = tree;
+  const counts = { pending: 0, running: 0, completed: 0, dead: 0, cancelled: 0 };
+  for (const job of tree) counts[job.status] = (counts[job.status] || 0) + 1;
+  return {
+    ...serializeJob(root),
+    dependents: dependents.map(serializeJob),
+    progress: {
+      total: tree.length,
+      ...counts,
+      done: tree.every((job) => isTerminalStatus(job.status))
+    }
+  };
+}
+
 /**
  * @openapi
  * /generation/health:
@@ -91,7 +163,7 @@ router.get('/status', async (_req, res) => {
         COUNT(a.id)::int as today_count,
         $1 - COUNT(a.id)::int as remaining
       FROM categories c
-      LEFT JOIN articles_en a ON a.category_id = c.id AND a.published_at::date = CURRENT_DATE
+      LEFT JOIN articles_en a ON a.category_id = c.id AND a.created_at::date = CURRENT_DATE
       GROUP BY c.id, c.slug, c.name
       ORDER BY c.slug
     `, [ARTICLES_PER_CATEGORY_PER_DAY]);
@@ -128,25 +200,34 @@ router.get('/status', async (_req, res) => {
  *   post:
  *     tags: [Generation]
  *     summary: Manually trigger daily generation process (Manual - Bypasses Time Restrictions)
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     description: |
  *       Manually triggers the daily generation process with the following behavior:
  *
  *       **IMPORTANT**: This manual endpoint bypasses all time-based restrictions and can be used at any time.
  *       - Bypasses all time-based restrictions and scheduling checks (unlike automated daily generation)
  *       - Can be triggered through Swagger UI regardless of optimal timing windows
- *       - Queries database to count articles generated today for each category
- *       - For each category with fewer than 2 English articles today, generates missing articles to reach exactly 2
- *       - Automatically translates each newly generated English article to all supported languages (de, fr, es, pt, ar, hi)
- *       - Returns detailed response showing categories processed, articles generated, and translation status
+ *       - Queries database to count articles generated (or already queued) today for each category
+ *       - For each category with fewer than 2 English articles today, queues a master generation job per missing article
+ *       - Queues one translation job per supported language (de, fr, es, pt, ar, hi) that runs once its master job completes
+ *       - Returns the queued job ids per category; the background job worker performs the generation
  *       - If all categories already have 2 English articles for today, returns completion status
  *       - Respects daily quotas while ignoring timing constraints
  *     responses:
  *       '200':
- *         description: Generation process completed successfully
+ *         description: Generation jobs queued (or nothing to do)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ApiResponseGenerationRun'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
  *       '500':
  *         description: Generation process failed
  *         content:
@@ -154,7 +235,7 @@ router.get('/status', async (_req, res) => {
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/run', async (_req, res) => {
+router.post('/run', requireEditor, async (_req, res) => {
   try {
     genLog('🚀 Manual generation triggered via API - BYPASSING TIME RESTRICTIONS', {
       endpoint: 'POST /generation/run',
@@ -165,7 +246,7 @@ router.post('/run', async (_req, res) => {
       currentDay: new Date().getDay()
     });
 
-    const result = await runManualGeneration();
+    const result = await runManualGeneration({ trigger: 'manual_api' });
 
     if (result.status === 'error') {
       return res.status(500).json({
@@ -199,6 +280,9 @@ router.post('/run', async (_req, res) => {
  *   get:
  *     tags: [Generation]
  *     summary: Get recent generation logs
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     parameters:
  *       - in: query
  *         name: lines
@@ -223,10 +307,16 @@ router.post('/run', async (_req, res) => {
  *                         type: string
  *                     count:
  *                       type: integer
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
  *       '500':
  *         description: Failed to read logs
  */
-router.get('/logs', async (req, res) => {
+router.get('/logs', requireReader, async (req, res) => {
   try {
     const lines = parseInt(req.query.lines) || 100;
     const fs = await import('fs');
@@ -263,4 +353,608 @@ router.get('/logs', async (req, res) => {
   }
 });
 
+/**
+ * @openapi
+ * /generation/providers:
+ *   get:
+ *     tags: [Generation]
+ *     summary: AI provider, model, available models and usage for each role
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     description: |
+ *       Each role (master writer, translator, alt-text writer) is served by the provider
+ *       configured with `AI_<ROLE>_PROVIDER` (`1minai`, `openai` or `mock`). Usage counts
+ *       calls and tokens since this process started.
+ *     responses:
+ *       '200':
+ *         description: Provider details per role
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/AIProviderRole'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.get('/providers', requireReader, async (_req, res) => {
+  try {
+    res.json({ data: await describeAIProviders() });
+  } catch (err) {
+    sendError(res, err, 'Failed to describe AI providers');
+  }
+});
+
+/**
+ * @openapi
+ * /generation/topics:
+ *   get:
+ *     tags: [Generation]
+ *     summary: Prompt templates used and left per category
+ *     description: |
+ *       Templates are picked in rotation: unused ones first, then the least recently
+ *       used. `unusedTemplates` is how many new topics a category can still produce
+ *       before it starts repeating.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           default: en
+ *     responses:
+ *       '200':
+ *         description: Template coverage per category
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/TopicCoverage'
+ *                 language:
+ *                   type: string
+ *       '400':
+ *         description: Unsupported language
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.get('/topics', requireReader, async (req, res) => {
+  try {
+    const language = String(req.query.language || 'en');
+    if (!config.languages.includes(language)) {
+      throw new AppError(`Unsupported language: ${language}`, ErrorTypes.VALIDATION_ERROR, { language });
+    }
+    res.json({ data: await getTopicCoverage({ language }), language });
+  } catch (err) {
+    sendError(res, err, 'Failed to read topic coverage');
+  }
+});
+
+/**
+ * @openapi
+ * /generation/translations/coverage:
+ *   get:
+ *     tags: [Generation]
+ *     summary: Translation coverage of every master article
+ *     description: |
+ *       Matrix of English masters (newest first) against each translation language.
+ *       A translation is `stale` when its master changed after it was translated;
+ *       the scheduled stale check re-translates those, up to
+ *       TRANSLATION_RETRANSLATE_BUDGET per run. `failed` marks a missing or stale
+ *       translation whose last translation job is dead.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       '200':
+ *         description: Coverage matrix
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/TranslationCoverage'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.get('/translations/coverage', requireReader, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), COVERAGE_MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    res.json(await getTranslationCoverage({ limit, offset }));
+  } catch (err) {
+    sendError(res, err, 'Failed to read translation coverage');
+  }
+});
+
+/**
+ * @openapi
+ * /generation/search-gaps:
+ *   get:
+ *     tags: [Generation]
+ *     summary: Searches that found nothing, as topics to generate next
+ *     description: |
+ *       Reader searches (without category or date filters) that returned no article
+ *       are counted per language. The most frequent open ones are the best candidates
+ *       for new articles; `has_results` flags queries an article published since then
+ *       already answers.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           default: en
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [open, dismissed]
+ *           default: open
+ *       - in: query
+ *         name: minCount
+ *         description: Only queries that missed at least this many times
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       '200':
+ *         description: Zero-result queries, most frequent first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SearchMiss'
+ *                 language:
+ *                   type: string
+ *       '400':
+ *         description: Invalid parameters
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.get('/search-gaps', requireReader, async (req, res) => {
+  try {
+    const language = String(req.query.language || 'en');
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const minCount = Math.max(parseInt(req.query.minCount, 10) || 1, 1);
+    const status = String(req.query.status || 'open');
+    const data = await listSearchMisses({ language, status, minCount, limit, offset });
+    res.json({ data, language });
+  } catch (err) {
+    sendError(res, err, 'Failed to list search gaps');
+  }
+});
+
+/**
+ * @openapi
+ * /generation/search-gaps/{id}:
+ *   patch:
+ *     tags: [Generation]
+ *     summary: Dismiss or reopen a search gap
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [status]
+ *             properties:
+ *               status:
+ *                 type: string
+ *                 enum: [open, dismissed]
+ *     responses:
+ *       '200':
+ *         description: Updated search gap
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/SearchMiss'
+ *       '400':
+ *         description: Invalid status
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '404':
+ *         description: Search gap not found
+ */
+router.patch('/search-gaps/:id', requireEditor, async (req, res) => {
+  try {
+    const data = await setSearchMissStatus(req.params.id, String(req.body?.status || ''));
+    res.json({ data });
+  } catch (err) {
+    sendError(res, err, 'Failed to update search gap');
+  }
+});
+
+/**
+ * @openapi
+ * /generation/jobs:
+ *   get:
+ *     tags: [Generation]
+ *     summary: List queued, running and finished jobs
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, running, completed, dead, cancelled]
+ *       - in: query
+ *         name: type
+ *         schema:
+ *           type: string
+ *           enum: [generate_master, translate_article, translate_batch]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 50
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       '200':
+ *         description: Jobs, newest first
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Job'
+ *       '400':
+ *         description: Invalid status filter
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.get('/jobs', requireReader, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit) || 50, 1), 200);
+    const offset = Math.max(parseInt(req.query.offset) || 0, 0);
+    const jobs = await listJobs({
+      status: req.query.status || null,
+      type: req.query.type || null,
+      limit,
+      offset
+    });
+    res.json({ data: jobs.map(serializeJob) });
+  } catch (err) {
+    sendError(res, err, 'Failed to list jobs');
+  }
+});
+
+/**
+ * @openapi
+ * /generation/jobs/{id}:
+ *   get:
+ *     tags: [Generation]
+ *     summary: Get the status of a generation job and the jobs that depend on it
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Job status
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/Job'
+ *                     - type: object
+ *                       properties:
+ *                         dependents:
+ *                           type: array
+ *                           items:
+ *                             $ref: '#/components/schemas/Job'
+ *                         progress:
+ *                           type: object
+ *                           properties:
+ *                             total:
+ *                               type: integer
+ *                             pending:
+ *                               type: integer
+ *                             running:
+ *                               type: integer
+ *                             completed:
+ *                               type: integer
+ *                             dead:
+ *                               type: integer
+ *                             cancelled:
+ *                               type: integer
+ *                             done:
+ *                               type: boolean
+ *       '404':
+ *         description: Job not found
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.get('/jobs/:id', requireReader, async (req, res) => {
+  try {
+    const id = parseJobId(req.params.id);
+    const tree = await getJobTree(id);
+    if (!tree.length) {
+      throw new AppError('Job not found', ErrorTypes.RESOURCE_NOT_FOUND, { id });
+    }
+    res.json({ data: summarizeJobTree(tree) });
+  } catch (err) {
+    sendError(res, err, 'Failed to get job');
+  }
+});
+
+/**
+ * @openapi
+ * /generation/jobs/{id}/events:
+ *   get:
+ *     tags: [Generation]
+ *     summary: Stream live progress of a job as Server-Sent Events
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     description: |
+ *       Opens a `text/event-stream` that first sends a `job` event with the current
+ *       status, then one `progress` event per stage of the job and its dependents
+ *       (prompt_selected, ai_call, ai_call_done, extraction, image_fetch, insert,
+ *       translation_started, translation_done, job_completed, ...). Each `progress`
+ *       event carries an id, so a reconnecting client sending `Last-Event-ID`
+ *       resumes where it left off. A final `done` event is sent, and the stream
+ *       closed, once the job and all of its dependents have finished.
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Event stream
+ *         content:
+ *           text/event-stream:
+ *             schema:
+ *               type: string
+ *       '404':
+ *         description: Job not found
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.get('/jobs/:id/events', requireReader, async (req, res) => {
+  let id;
+  let tree;
+  try {
+    id = parseJobId(req.params.id);
+    tree = await getJobTree(id);
+    if (!tree.length) {
+      throw new AppError('Job not found', ErrorTypes.RESOURCE_NOT_FOUND, { id });
+    }
+  } catch (err) {
+    return sendError(res, err, 'Failed to open job event stream');
+  }
+
+  res.status(200).set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    Connection: 'keep-alive',
+    // Stop nginx from buffering the stream
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  let lastEventId = Math.max(parseInt(req.get('Last-Event-ID')) || 0, 0);
+  let jobIds = tree.map((job) => Number(job.id));
+  let closed = false;
+  let flushing = false;
+  let flushAgain = false;
+
+  const send = (event, data, eventId) => {
+    if (eventId != null) res.write(`id: ${eventId}\n`);
+    res.write(`event: ${event}\n`);
+    res.write(`data: ${JSON.stringify(data)}\n\n`);
+  };
+
+  const cleanup = () => {
+    if (closed) return;
+    closed = true;
+    clearInterval(pollTimer);
+    clearInterval(heartbeatTimer);
+    unsubscribe();
+    res.end();
+  };
+
+  // Read events from the table rather than the in-process emitter so that
+  // ordering and replay are identical whichever process runs the worker
+  const flush = async () => {
+    if (closed) return;
+    if (flushing) {
+      flushAgain = true;
+      return;
+    }
+    flushing = true;
+    try {
+      do {
+        flushAgain = false;
+        tree = await getJobTree(id);
+        jobIds = tree.map((job) => Number(job.id));
+        const events = await getJobEvents(jobIds, lastEventId);
+        for (const event of events) {
+          if (closed) return;
+          send('progress', serializeEvent(event), event.id);
+          lastEventId = Number(event.id);
+        }
+        const summary = summarizeJobTree(tree);
+        if (summary.progress.done) {
+          send('done', summary);
+          cleanup();
+          return;
+        }
+      } while (flushAgain && !closed);
+    } catch (err) {
+      genLog('Job event stream error', { jobId: id, error: err.message }, 'error');
+      if (!closed) send('error', { error: 'Failed to read job events', message: err.message });
+    } finally {
+      flushing = false;
+    }
+  };
+
+  const unsubscribe = onJobEvent((event) => {
+    if (jobIds.includes(Number(event.job_id))) flush();
+  });
+  // Events recorded by a worker in another process only arrive via the table
+  const pollTimer = setInterval(flush, SSE_POLL_INTERVAL_MS);
+  const heartbeatTimer = setInterval(() => {
+    if (!closed) res.write(': heartbeat\n\n');
+  }, SSE_HEARTBEAT_MS);
+
+  req.on('close', cleanup);
+
+  send('job', summarizeJobTree(tree));
+  flush();
+});
+
+/**
+ * @openapi
+ * /generation/jobs/{id}/retry:
+ *   post:
+ *     tags: [Generation]
+ *     summary: Re-queue a dead or cancelled job together with its cancelled dependents
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '202':
+ *         description: Job re-queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     jobId:
+ *                       type: integer
+ *                     requeued:
+ *                       type: array
+ *                       items:
+ *                         type: integer
+ *       '400':
+ *         description: Job is not dead or cancelled, or its parent job is
+ *       '404':
+ *         description: Job not found
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
+ */
+router.post('/jobs/:id/retry', requireEditor, async (req, res) => {
+  try {
+    const id = parseJobId(req.params.id);
+    const requeued = await retryJob(id);
+    res.status(202)
+      .location(`/generation/jobs/${id}`)
+      .json({ data: { jobId: id, requeued: requeued.map(Number) } });
+  } catch (err) {
+    sendError(res, err, 'Failed to retry job');
+  }
+});
+
 export default router;
@@ -0,0 +1,313 @@
+import express from 'express';
+import { sendError } from '../services/errorHandler.js';
+import {
+  listGlossaryTerms,
+  createGlossaryTerm,
+  updateGlossaryTerm,
+  deleteGlossaryTerm,
+  checkArticleGlossary
+} from '../services/glossaryService.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * @openapi
+ * /admin/glossary:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List glossary terms
+ *     description: >
+ *       Terms translators must keep as written (translation null) or always
+ *       translate the same way. Terms without a language apply to every
+ *       language; a term for one language overrides them there.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: language
+ *         description: Terms that apply to this language, every-language terms included
+ *         schema:
+ *           type: string
+ *           enum: [de, fr, es, pt, ar, hi]
+ *       - in: query
+ *         name: search
+ *         description: Substring of the term or its translation
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       '200':
+ *         description: Glossary terms, alphabetically
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/GlossaryTerm'
+ *                 total:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *       '400':
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const { data, total } = await listGlossaryTerms({
+      language: req.query.language ? String(req.query.language) : null,
+      search: req.query.search ? String(req.query.search) : null,
+      limit,
+      offset
+    });
+    res.json({ data, total, limit, offset });
+  } catch (err) {
+    sendError(res, err, 'Failed to list glossary terms');
+  }
+});
+
+/**
+ * @openapi
+ * /admin/glossary:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Add a glossary term
+ *     description: Applies to translations started after the change, within a minute on other servers.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GlossaryTermInput'
+ *     responses:
+ *       '201':
+ *         description: Term added
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/GlossaryTerm'
+ *       '400':
+ *         description: Invalid body or the term already exists for this language
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/', async (req, res) => {
+  try {
+    const data = await createGlossaryTerm(req.body || {});
+    res.status(201).json({ data });
+  } catch (err) {
+    sendError(res, err, 'Failed to create glossary term');
+  }
+});
+
+/**
+ * @openapi
+ * /admin/glossary/check/{language}/{id}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Check a translated article against the glossary
+ *     description: >
+ *       Compares each field of the translation with its master and lists the
+ *       glossary terms of the master that the translation doesn't render as
+ *       required, using the glossary as it is now.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: language
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [de, fr, es, pt, ar, hi]
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Compliance report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     language:
+ *                       type: string
+ *                     id:
+ *                       type: integer
+ *                     master_id:
+ *                       type: integer
+ *                     compliant:
+ *                       type: boolean
+ *                     violations:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/GlossaryViolation'
+ *       '400':
+ *         description: Invalid language or id
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '404':
+ *         description: Article not found or not part of a translation group
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/check/:language/:id', async (req, res) => {
+  try {
+    const data = await checkArticleGlossary(req.params.language, req.params.id);
+    res.json({ data });
+  } catch (err) {
+    sendError(res, err, 'Failed to check glossary compliance');
+  }
+});
+
+/**
+ * @openapi
+ * /admin/glossary/{id}:
+ *   patch:
+ *     tags: [Admin]
+ *     summary: Edit a glossary term
+ *     description: Setting translation to null turns the term into a protected one.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/GlossaryTermInput'
+ *     responses:
+ *       '200':
+ *         description: Term updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/GlossaryTerm'
+ *       '400':
+ *         description: Invalid or unknown fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '404':
+ *         description: Term not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const data = await updateGlossaryTerm(req.params.id, req.body || {});
+    res.json({ data });
+  } catch (err) {
+    sendError(res, err, 'Failed to update glossary term');
+  }
+});
+
+/**
+ * @openapi
+ * /admin/glossary/{id}:
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Delete a glossary term
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '204':
+ *         description: Term deleted
+ *       '404':
+ *         description: Term not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await deleteGlossaryTerm(req.params.id);
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err, 'Failed to delete glossary term');
+  }
+});
+
+export default router;
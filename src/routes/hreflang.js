@@ -0,0 +1,88 @@
+import express from 'express';
+import { sendError } from '../services/errorHandler.js';
+import { validateHreflangClusters, VALIDATE_MAX_LIMIT } from '../services/hreflangService.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * @openapi
+ * /admin/hreflang/validate:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Report broken hreflang clusters
+ *     description: |
+ *       Checks the translation groups page by page, as crawlers see them. Issue types:
+ *       - **missing_article**: the group points at an article row that does not exist
+ *       - **redirected**: an alternate URL answers with a redirect or 410
+ *       - **canonical_mismatch**: a member's canonical URL is not its hreflang URL, so crawlers drop its return links
+ *       - **master_unpublished**: translations are live without their master, so x-default points at a translation
+ *
+ *       Only clusters with issues are listed. The first page also lists published
+ *       translations outside any group (`ungrouped`), whose pages only reference themselves.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: language
+ *         description: Only clusters with a member in this language
+ *         schema:
+ *           type: string
+ *           enum: [en, de, fr, es, pt, ar, hi]
+ *       - in: query
+ *         name: limit
+ *         description: Clusters to check
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       '200':
+ *         description: Validation report
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/HreflangReport'
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *       '400':
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/validate', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), VALIDATE_MAX_LIMIT);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const data = await validateHreflangClusters({
+      language: req.query.language ? String(req.query.language) : null,
+      limit,
+      offset
+    });
+    res.setHeader('Cache-Control', 'private, no-store');
+    res.json({ data, limit, offset });
+  } catch (err) {
+    sendError(res, err, 'Failed to validate hreflang');
+  }
+});
+
+export default router;
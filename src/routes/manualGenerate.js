@@ -1,17 +1,22 @@
 import express from 'express';
-import { query, withTransaction } from '../db.js';
-import { createMasterArticle, insertArticle, updateDailyTokenUsage, incrementJobCount } from '../services/generation.js';
-import { articlesTable } from '../utils/articlesTable.js';
+import { query } from '../db.js';
 import { config } from '../config.js';
 import {
   AppError,
   ErrorTypes,
   validateRequired,
-  withDatabaseErrorHandling,
-  withApiErrorHandling
+  withDatabaseErrorHandling
 } from '../services/errorHandler.js';
 import { genLog } from '../services/logger.js';
-import { notifySearchEnginesNewArticle } from '../services/seoNotificationService.js';
+import { describeQueuedJob } from '../services/jobQueue.js';
+import {
+  enqueueArticleGeneration,
+  enqueueTranslation,
+  enqueueTranslationBatch
+} from '../services/generationJobs.js';
+import { requireEditor } from '../middleware/auth.js';
+import { getTranslationId } from '../services/articleGroupService.js';
+import { ARTICLE_TYPES, DEFAULT_ARTICLE_TYPE, isValidArticleType } from '../utils/articleTypes.js';
 
 const router = express.Router();
 
@@ -21,12 +26,16 @@ const router = express.Router();
  *   post:
  *     tags: [Generation]
  *     summary: Generate a single article for a specific category (Manual - Bypasses Time Restrictions)
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     description: |
- *       Creates a new article in the specified category using AI generation.
+ *       Queues generation of a new article in the specified category and returns
+ *       immediately with a job id. Follow progress with `GET /generation/jobs/{id}`
+ *       or the Server-Sent Events stream at `GET /generation/jobs/{id}/events`.
  *
  *       **IMPORTANT**: This manual endpoint bypasses all time-based restrictions and can be used at any time.
  *       - Generates content in English and stores it in the articles_en table
- *       - Respects daily quotas (max 2 English articles per category per day)
  *       - Can be triggered through Swagger UI regardless of optimal timing windows
  *       - Accepts category either as query parameter or in request body
  *     parameters:
@@ -49,6 +58,14 @@ const router = express.Router();
  *           ]
  *         description: Category slug for article generation (alternative to request body)
  *         example: "technology"
+ *       - in: query
+ *         name: type
+ *         required: false
+ *         schema:
+ *           type: string
+ *           enum: [guide, best_of, how_to, compare, trends]
+ *           default: guide
+ *         description: Article type (alternative to request body)
  *     requestBody:
  *       required: false
  *       content:
@@ -56,14 +73,19 @@ const router = express.Router();
  *           schema:
  *             $ref: '#/components/schemas/GenerationRequest'
  *     responses:
- *       '200':
- *         description: Article generated successfully
+ *       '202':
+ *         description: Article generation queued
+ *         headers:
+ *           Location:
+ *             description: URL of the job status resource
+ *             schema:
+ *               type: string
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ApiResponseSingleArticle'
+ *               $ref: '#/components/schemas/ApiResponseJobAccepted'
  *       '400':
- *         description: Invalid parameters - category is required
+ *         description: Invalid parameters - category is required, type must be a known article type
  *         content:
  *           application/json:
  *             schema:
@@ -74,17 +96,23 @@ const router = express.Router();
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
  *       '500':
- *         description: Generation failed
+ *         description: Failed to queue generation
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/article', async (req, res) => {
+router.post('/article', requireEditor, async (req, res) => {
   try {
     // MANUAL ENDPOINT: Bypasses all time-based restrictions
-    genLog('🚀 Manual article generation started - BYPASSING TIME RESTRICTIONS', {
+    genLog('🚀 Manual article generation requested - BYPASSING TIME RESTRICTIONS', {
       endpoint: 'POST /generate/article',
       trigger: 'manual_swagger',
       bypassTiming: true,
@@ -94,6 +122,14 @@ router.post('/article', async (req, res) => {
     // Validate input
     const categorySlug = req.query.category || req.body?.category;
     validateRequired({ category: categorySlug }, ['category'], 'article generation');
+    const articleType = req.query.type || req.body?.type || DEFAULT_ARTICLE_TYPE;
+    if (!isValidArticleType(articleType)) {
+      throw new AppError(
+        `Invalid article type. Use one of: ${ARTICLE_TYPES.join(', ')}`,
+        ErrorTypes.VALIDATION_ERROR,
+        { type: articleType }
+      );
+    }
 
     // Resolve category with enhanced error handling
     const categoryObj = await withDatabaseErrorHandling(async () => {
@@ -104,24 +140,16 @@ router.post('/article', async (req, res) => {
       return catRes.rows[0];
     }, 'category lookup');
 
-    // Generate article with enhanced error handling
-    const { masterArticle } = await withApiErrorHandling(async () => {
-      return await createMasterArticle(categoryObj, { preferWebSearch: false });
-    }, 'article generation');
-
-    // Insert article with enhanced transaction handling
-    await withDatabaseErrorHandling(async () => {
-      await withTransaction(async (client) => {
-        await insertArticle(client, masterArticle);
-        await updateDailyTokenUsage(client, [{
-          prompt_tokens: masterArticle.ai_tokens_input,
-          completion_tokens: masterArticle.ai_tokens_output,
-        }]);
-        await incrementJobCount(client, 1);
-      });
-    }, 'article insertion');
+    // English master only; translations are requested separately
+    const { masterJob } = await enqueueArticleGeneration(categoryObj, {
+      languages: [],
+      enforceQuota: false,
+      trigger: 'manual_api',
+      type: articleType
+    });
 
-    res.json({ data: masterArticle });
+    const data = describeQueuedJob(masterJob);
+    res.status(202).location(data.statusUrl).json({ data });
   } catch (err) {
     if (err instanceof AppError) {
       const statusCode = err.type === ErrorTypes.VALIDATION_ERROR ? 400 :
@@ -133,8 +161,8 @@ router.post('/article', async (req, res) => {
       });
     }
 
-    console.error('[generate/article] generation failed', err);
-    res.status(500).json({ error: 'Generation failed', message: err.message });
+    console.error('[generate/article] failed to queue generation', err);
+    res.status(500).json({ error: 'Failed to queue generation', message: err.message });
   }
 });
 
@@ -144,8 +172,12 @@ router.post('/article', async (req, res) => {
  *   post:
  *     tags: [Generation]
  *     summary: Generate a translation of an existing English article (Manual - Bypasses Time Restrictions)
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     description: |
- *       Creates a translated version of an existing English article into the specified target language.
+ *       Queues a translation of an existing English article into the specified target language
+ *       and returns immediately with a job id (see `GET /generation/jobs/{id}`).
  *
  *       **IMPORTANT**: This manual endpoint bypasses all time-based restrictions and can be used at any time.
  *       - Translates existing English articles to target languages (de, fr, es, pt, ar, hi)
@@ -160,12 +192,12 @@ router.post('/article', async (req, res) => {
  *           schema:
  *             $ref: '#/components/schemas/TranslationRequest'
  *     responses:
- *       '200':
- *         description: Translation generated successfully
+ *       '202':
+ *         description: Translation queued
  *         content:
  *           application/json:
  *             schema:
- *               $ref: '#/components/schemas/ApiResponseSingleArticle'
+ *               $ref: '#/components/schemas/ApiResponseJobAccepted'
  *       '400':
  *         description: Invalid parameters - slug and language are required
  *         content:
@@ -184,17 +216,23 @@ router.post('/article', async (req, res) => {
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
  *       '500':
- *         description: Translation generation failed
+ *         description: Failed to queue translation
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  */
-router.post('/translate', async (req, res) => {
+router.post('/translate', requireEditor, async (req, res) => {
   try {
     // MANUAL ENDPOINT: Bypasses all time-based restrictions
-    genLog('🚀 Manual translation started - BYPASSING TIME RESTRICTIONS', {
+    genLog('🚀 Manual translation requested - BYPASSING TIME RESTRICTIONS', {
       endpoint: 'POST /generate/translate',
       trigger: 'manual_swagger',
       bypassTiming: true,
@@ -238,16 +276,10 @@ router.post('/translate', async (req, res) => {
     }, 'base article lookup');
 
     // Check if translation already exists
-    const translationExists = await withDatabaseErrorHandling(async () => {
-      const transTbl = articlesTable(language);
-      const existsQuerySql = transTbl === 'articles'
-        ? `SELECT 1 FROM ${transTbl} WHERE slug LIKE $1 || '-%' AND language_code = $2 LIMIT 1`
-        : `SELECT 1 FROM ${transTbl} WHERE slug LIKE $1 || '-%' LIMIT 1`;
-
-      const existsParams = transTbl === 'articles' ? [slug, language] : [slug];
-      const existsRes = await query(existsQuerySql, existsParams);
-      return existsRes.rowCount > 0;
-    }, 'translation existence check');
+    const translationExists = await withDatabaseErrorHandling(
+      async () => (await getTranslationId({ query }, baseArticle.id, language)) !== null,
+      'translation existence check'
+    );
 
     if (translationExists) {
       throw new AppError(
@@ -263,33 +295,16 @@ router.post('/translate', async (req, res) => {
       slug: baseArticle.category_slug,
     };
 
-    // Generate translation with enhanced error handling
-    const { translationArticle: tArticle } = await withApiErrorHandling(async () => {
-      const { generateTranslationArticle } = await import('../services/generation.js');
-      const result = await generateTranslationArticle({
-        lang: language,
-        category,
-        masterSlug: baseArticle.slug,
-        masterTitle: baseArticle.title,
-        masterSummary: baseArticle.summary,
-        imageUrl: baseArticle.image_url,
-        maxChunks: effectiveMaxChunks, // Pass the effective maxChunks parameter
-      });
-      return result;
-    }, 'translation generation');
-
-    // Insert translation with enhanced transaction handling
-    await withDatabaseErrorHandling(async () => {
-      await withTransaction(async (client) => {
-        await insertArticle(client, tArticle);
-        await updateDailyTokenUsage(client, [{
-          prompt_tokens: tArticle.ai_tokens_input,
-          completion_tokens: tArticle.ai_tokens_output,
-        }]);
-      });
-    }, 'translation insertion');
+    const job = await enqueueTranslation({
+      category,
+      masterSlug: baseArticle.slug,
+      lang: language,
+      maxChunks: effectiveMaxChunks,
+      trigger: 'manual_api'
+    });
 
-    res.json({ data: tArticle });
+    const data = describeQueuedJob(job);
+    res.status(202).location(data.statusUrl).json({ data });
   } catch (err) {
     if (err instanceof AppError) {
       const statusCode = err.type === ErrorTypes.VALIDATION_ERROR ?
@@ -302,8 +317,8 @@ router.post('/translate', async (req, res) => {
       });
     }
 
-    console.error('manual translate generation failed', err);
-    res.status(500).json({ error: 'Translation generation failed', message: err.message });
+    console.error('manual translate queueing failed', err);
+    res.status(500).json({ error: 'Failed to queue translation', message: err.message });
   }
 });
 
@@ -314,8 +329,14 @@ router.post('/translate', async (req, res) => {
  *   post:
  *     tags: [Generation]
  *     summary: Translate an English article to all other supported languages in one request
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
  *     description: |
- *       Translates an existing English article to all supported languages except English.
+ *       Queues translation of an existing English article to all supported languages except English
+ *       and returns immediately with a batch job id. Each language runs as its own job once the
+ *       batch job has resolved the master article; follow them all through
+ *       `GET /generation/jobs/{id}` or `GET /generation/jobs/{id}/events`.
  *       Uses chunked translation to preserve HTML and improve reliability. Existing
  *       translations are automatically skipped.
  *
@@ -347,52 +368,43 @@ router.post('/translate', async (req, res) => {
  *                 maximum: 10
  *                 example: 0
  *     responses:
- *       '200':
- *         description: Batch translation completed
+ *       '202':
+ *         description: Batch translation queued
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
  *                 data:
- *                   type: object
- *                   properties:
- *                     slug:
- *                       type: string
- *                     targets:
- *                       type: array
- *                       items:
- *                         type: object
- *                         properties:
- *                           language:
- *                             type: string
- *                             enum: ["de", "fr", "es", "pt", "ar", "hi"]
- *                           status:
- *                             type: string
- *                             enum: [created, skipped_exists, failed]
- *                           article:
- *                             type: object
- *                           error:
- *                             type: string
- *                     summary:
- *                       type: object
+ *                   allOf:
+ *                     - $ref: '#/components/schemas/JobAccepted'
+ *                     - type: object
  *                       properties:
- *                         attempted:
- *                           type: integer
- *                         created:
- *                           type: integer
- *                         skipped:
- *                           type: integer
- *                         failed:
- *                           type: integer
+ *                         slug:
+ *                           type: string
+ *                         targets:
+ *                           type: array
+ *                           items:
+ *                             type: object
+ *                             properties:
+ *                               language:
+ *                                 type: string
+ *                               jobId:
+ *                                 type: integer
  *       '400':
  *         description: Invalid parameters
  *       '404':
  *         description: English article not found
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ *       '429':
+ *         $ref: '#/components/responses/TooManyRequests'
  */
-router.post('/translate-all', async (req, res) => {
+router.post('/translate-all', requireEditor, async (req, res) => {
   try {
-    genLog('🚀 Batch translation started - BYPASSING TIME RESTRICTIONS', {
+    genLog('🚀 Batch translation requested - BYPASSING TIME RESTRICTIONS', {
       endpoint: 'POST /generate/translate-all',
       trigger: 'manual_swagger',
       bypassTiming: true,
@@ -440,63 +452,20 @@ router.post('/translate-all', async (req, res) => {
 
     const category = { id: baseArticle.category_id, name: baseArticle.category_name, slug: baseArticle.category_slug };
 
-    const results = [];
-    let created = 0, skipped = 0, failed = 0;
-
-    // Process sequentially to limit load; switch to parallel if needed
-    for (const lang of targets) {
-      try {
-        // Skip if translation already exists
-        const transTbl = (await import('../utils/articlesTable.js')).articlesTable(lang);
-        const existsSql = transTbl === 'articles'
-          ? `SELECT 1 FROM ${transTbl} WHERE slug LIKE $1 || '-%' AND language_code = $2 LIMIT 1`
-          : `SELECT 1 FROM ${transTbl} WHERE slug LIKE $1 || '-%' LIMIT 1`;
-        const existsParams = transTbl === 'articles' ? [slug, lang] : [slug];
-        const existsRes = await query(existsSql, existsParams);
-        if (existsRes.rowCount > 0) {
-          results.push({ language: lang, status: 'skipped_exists' });
-          skipped += 1;
-          continue;
-        }
-
-        // Generate translation
-        const { generateTranslationArticle } = await import('../services/generation.js');
-        const { translationArticle } = await generateTranslationArticle({
-          lang,
-          category,
-          masterSlug: baseArticle.slug,
-          masterTitle: baseArticle.title,
-          masterSummary: baseArticle.summary,
-          imageUrl: baseArticle.image_url,
-          maxChunks: effectiveMaxChunks,
-        });
-
-        // Insert translation
-        await withDatabaseErrorHandling(async () => {
-          await withTransaction(async (client) => {
-            await insertArticle(client, translationArticle);
-            await updateDailyTokenUsage(client, [{
-              prompt_tokens: translationArticle.ai_tokens_input,
-              completion_tokens: translationArticle.ai_tokens_output,
-            }]);
-          });
-        }, `translation insertion ${lang}`);
-
-        results.push({ language: lang, status: 'created', article: translationArticle });
-        created += 1;
-      } catch (e) {
-        results.push({ language: lang, status: 'failed', error: e.message });
-        failed += 1;
-      }
-    }
-
-    res.json({
-      data: {
-        slug,
-        targets: results,
-        summary: { attempted: targets.length, created, skipped, failed }
-      }
+    const { batchJob, translationJobs } = await enqueueTranslationBatch({
+      category,
+      masterSlug: baseArticle.slug,
+      languages: targets,
+      maxChunks: effectiveMaxChunks,
+      trigger: 'manual_api'
     });
+
+    const data = {
+      ...describeQueuedJob(batchJob),
+      slug,
+      targets: translationJobs.map((job) => ({ language: job.payload.lang, jobId: Number(job.id) }))
+    };
+    res.status(202).location(data.statusUrl).json({ data });
   } catch (err) {
     if (err instanceof AppError) {
       const statusCode = err.type === ErrorTypes.VALIDATION_ERROR ? 400 :
@@ -507,8 +476,8 @@ router.post('/translate-all', async (req, res) => {
         context: err.context
       });
     }
-    console.error('batch translate generation failed', err);
-    res.status(500).json({ error: 'Batch translation generation failed', message: err.message });
+    console.error('batch translate queueing failed', err);
+    res.status(500).json({ error: 'Failed to queue batch translation', message: err.message });
   }
 });
 
@@ -1,8 +1,7 @@
 import express from 'express';
-import { query } from '../db.js';
 import { resolveLanguage } from '../utils/lang.js';
 import { config } from '../config.js';
-import { articlesTable } from '../utils/articlesTable.js';
+import { getMostReadArticles, getMostReadByCategory, getTrendingArticles } from '../services/mostReadService.js';
 import { computeEtag, setCacheHeaders, handleConditionalGet } from '../utils/httpCache.js';
 
 const router = express.Router();
@@ -78,87 +77,8 @@ router.get('/', async (req, res) => {
     
     console.log(`[most-read] Requested language: ${language}, period: ${period}, limit: ${limit}`);
     
-    const tableName = articlesTable(language);
-    
-    // Get most read articles based on total_views
-    // If no views yet, fall back to recent articles
-    const result = await query(`
-      SELECT 
-        a.id,
-        a.title,
-        a.slug,
-        a.summary,
-        a.meta_description,
-        a.image_url,
-        a.total_views,
-        a.unique_views,
-        a.trending_score,
-        a.reading_time_minutes,
-        a.published_at,
-        a.created_at,
-        c.name AS category_name,
-        c.slug AS category_slug
-      FROM ${tableName} a
-      LEFT JOIN categories c ON c.id = a.category_id
-      WHERE a.published_at IS NOT NULL
-      ORDER BY 
-        CASE 
-          WHEN a.total_views > 0 THEN a.total_views 
-          ELSE 0 
-        END DESC,
-        a.trending_score DESC,
-        a.published_at DESC
-      LIMIT $1
-    `, [limit]);
-    
-    // If we don't have enough articles with views, get recent popular ones
-    let articles = result.rows;
-    
-    if (articles.length < limit) {
-      // Build parameterized query for excluded IDs
-      const excludedIds = articles.map(a => a.id);
-      let additionalQuery = `
-        SELECT 
-          a.id,
-          a.title,
-          a.slug,
-          a.summary,
-          a.meta_description,
-          a.image_url,
-          a.total_views,
-          a.unique_views,
-          a.trending_score,
-          a.reading_time_minutes,
-          a.published_at,
-          a.created_at,
-          c.name AS category_name,
-          c.slug AS category_slug
-        FROM ${tableName} a
-        LEFT JOIN categories c ON c.id = a.category_id
-        WHERE a.published_at IS NOT NULL`;
-      
-      const queryParams = [limit - articles.length];
-      
-      if (excludedIds.length > 0) {
-        const placeholders = excludedIds.map((_, index) => `$${index + 2}`).join(',');
-        additionalQuery += ` AND a.id NOT IN (${placeholders})`;
-        queryParams.push(...excludedIds);
-      }
-      
-      additionalQuery += ` ORDER BY a.published_at DESC LIMIT $1`;
-      
-      const additionalResult = await query(additionalQuery, queryParams);
-      articles = [...articles, ...additionalResult.rows];
-    }
-    
-    // Add view tracking info
-    const enrichedArticles = articles.map(article => ({
-      ...article,
-      total_views: parseInt(article.total_views) || 0,
-      unique_views: parseInt(article.unique_views) || 0,
-      trending_score: parseFloat(article.trending_score) || 0,
-      is_trending: (article.total_views || 0) > 10 && (article.trending_score || 0) > 1
-    }));
+    // Most viewed first, falling back to recent articles while views are scarce
+    const enrichedArticles = await getMostReadArticles(language, limit);
     
     console.log(`[most-read] Found ${enrichedArticles.length} articles for language: ${language}`);
     
@@ -230,48 +150,13 @@ router.get('/by-category', async (req, res) => {
     const articlesPerCategory = Math.min(parseInt(req.query.limit) || 3, 10);
     const maxCategories = Math.min(parseInt(req.query.categories) || 4, 10);
     
-    const tableName = articlesTable(language);
-    
-    const result = await query(`
-      SELECT 
-        c.id as category_id,
-        c.name as category_name,
-        c.slug as category_slug,
-        c.total_views as category_views,
-        json_agg(
-          json_build_object(
-            'id', a.id,
-            'title', a.title,
-            'slug', a.slug,
-            'summary', a.summary,
-            'image_url', a.image_url,
-            'total_views', a.total_views,
-            'unique_views', a.unique_views,
-            'published_at', a.published_at,
-            'reading_time_minutes', a.reading_time_minutes
-          ) ORDER BY a.total_views DESC, a.published_at DESC
-        ) as articles
-      FROM categories c
-      LEFT JOIN LATERAL (
-        SELECT * FROM ${tableName} 
-        WHERE category_id = c.id 
-          AND published_at IS NOT NULL
-        ORDER BY 
-          CASE WHEN total_views > 0 THEN total_views ELSE 0 END DESC,
-          published_at DESC
-        LIMIT $1
-      ) a ON true
-      WHERE a.id IS NOT NULL
-      GROUP BY c.id, c.name, c.slug, c.total_views
-      ORDER BY c.total_views DESC, c.name ASC
-      LIMIT $2
-    `, [articlesPerCategory, maxCategories]);
+    const rows = await getMostReadByCategory(language, { articlesPerCategory, maxCategories });
     
     const payload = {
-      data: result.rows,
+      data: rows,
       language,
       articlesPerCategory,
-      totalCategories: result.rows.length
+      totalCategories: rows.length
     };
     const etag = computeEtag(payload, `most-read-by-category|${language}|limit:${articlesPerCategory}|max:${maxCategories}`);
     const lastModified = Date.now();
@@ -317,36 +202,14 @@ router.get('/trending', async (req, res) => {
     const language = resolveLanguage(req, config.languages);
     const limit = Math.min(parseInt(req.query.limit) || 5, 15);
     
-    const tableName = articlesTable(language);
-    
-    const result = await query(`
-      SELECT 
-        a.id,
-        a.title,
-        a.slug,
-        a.summary,
-        a.image_url,
-        a.total_views,
-        a.unique_views,
-        a.trending_score,
-        a.reading_time_minutes,
-        a.published_at,
-        c.name AS category_name,
-        c.slug AS category_slug
-      FROM ${tableName} a
-      LEFT JOIN categories c ON c.id = a.category_id
-      WHERE a.published_at IS NOT NULL
-        AND a.trending_score > 0
-      ORDER BY a.trending_score DESC, a.total_views DESC
-      LIMIT $1
-    `, [limit]);
+    const rows = await getTrendingArticles(language, limit);
     
     res.set('Vary', 'Accept-Language');
     res.set('Cache-Control', 'public, max-age=180, stale-while-revalidate=300'); // 3 min cache
     res.json({ 
-      data: result.rows, 
+      data: rows, 
       language,
-      total: result.rows.length
+      total: rows.length
     });
     
   } catch (err) {
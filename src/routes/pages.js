@@ -2,21 +2,23 @@ import express from 'express';
 import { query } from '../db.js';
 import { config } from '../config.js';
 import { articlesTable } from '../utils/articlesTable.js';
+import { publishedOnly } from '../utils/articleStatus.js';
+import { resolveLanguage } from '../utils/lang.js';
+import { computeEtag, setCacheHeaders, handleConditionalGet } from '../utils/httpCache.js';
+import { searchArticles, SEARCH_QUERY_MAX_LENGTH } from '../services/searchService.js';
+import { getArticleTags, getTagBySlug, listArticlesByTag, TAG_INDEX_MIN_ARTICLES } from '../services/tagService.js';
+import { getMostReadArticles, getMostReadByCategory, getTrendingArticles } from '../services/mostReadService.js';
+import { getPublishedSitePage, getSitePageLanguages, RESERVED_PAGE_SLUGS } from '../services/sitePageService.js';
+import { getPublishedTranslations } from '../services/articleGroupService.js';
+import { articleVersions, buildArticleAlternates, hreflangBaseUrl } from '../services/hreflangService.js';
+import { AppError, ErrorTypes } from '../services/errorHandler.js';
+import { renderPage, renderPartial } from '../services/themeService.js';
+import { escapeHtml } from '../utils/template.js';
 
 const router = express.Router();
 
-/**
- * Escape HTML entities for safe HTML output
- */
-function escapeHtml(text) {
-  if (!text) return '';
-  return String(text)
-    .replace(/&/g, '&amp;')
-    .replace(/</g, '&lt;')
-    .replace(/>/g, '&gt;')
-    .replace(/"/g, '&quot;')
-    .replace(/'/g, '&#39;');
-}
+const SITE_NAME = 'VivaVerse';
+const SITE_DESCRIPTION = 'Discover insightful articles, expert analysis, and the latest trends across business, technology, health, science, education, and travel.';
 
 /**
  * Convert language code to Open Graph locale format
@@ -35,60 +37,46 @@ function getOgLocale(languageCode) {
 }
 
 /**
- * Generate Open Graph and Twitter Card meta tags
+ * Open Graph and Twitter Card values for the social-meta partial
  */
-function buildSocialMetaTags({ title, description, canonicalUrl, imageUrl, languageCode, siteName = 'VivaVerse' }) {
-  const metaTags = [];
-
-  // Open Graph tags
-  metaTags.push(`    <meta property="og:type" content="article">`);
-  metaTags.push(`    <meta property="og:title" content="${escapeHtml(title)}">`);
-  metaTags.push(`    <meta property="og:description" content="${escapeHtml(description)}">`);
-  metaTags.push(`    <meta property="og:site_name" content="${escapeHtml(siteName)}">`);
-  metaTags.push(`    <meta property="og:locale" content="${getOgLocale(languageCode)}">`);
-
-  if (canonicalUrl) {
-    metaTags.push(`    <meta property="og:url" content="${escapeHtml(canonicalUrl)}">`);
-  }
-
-  if (imageUrl) {
-    metaTags.push(`    <meta property="og:image" content="${escapeHtml(imageUrl)}">`);
-    metaTags.push(`    <meta property="og:image:alt" content="${escapeHtml(title)}">`);
-    metaTags.push(`    <meta property="og:image:width" content="1200">`);
-    metaTags.push(`    <meta property="og:image:height" content="630">`);
-  }
-
-  // Twitter Card tags
-  metaTags.push(`    <meta name="twitter:card" content="summary_large_image">`);
-  metaTags.push(`    <meta name="twitter:title" content="${escapeHtml(title)}">`);
-  metaTags.push(`    <meta name="twitter:description" content="${escapeHtml(description)}">`);
-
-  if (imageUrl) {
-    metaTags.push(`    <meta name="twitter:image" content="${escapeHtml(imageUrl)}">`);
-    metaTags.push(`    <meta name="twitter:image:alt" content="${escapeHtml(title)}">`);
-  }
-
-  return metaTags.join('\n');
+function buildSocialMeta({ title, description, canonicalUrl, imageUrl, languageCode, siteName = SITE_NAME, type = 'article' }) {
+  return {
+    type,
+    title,
+    description,
+    siteName,
+    locale: getOgLocale(languageCode),
+    url: canonicalUrl || null,
+    image: imageUrl || null
+  };
 }
 
 /**
- * Generate hreflang tags for multi-language content
+ * hreflang alternates of a listing page that exists in several languages
+ * @param {string} path path after the language prefix, e.g. '/categories'
+ * @param {string[]} languages languages the page exists in
  */
-function buildHreflangTags({ baseSlug, availableLanguages }) {
+function buildListingAlternates(path, languages, { xDefaultPath = null } = {}) {
   const baseUrl = config.seo?.canonicalBaseUrl || 'https://megaquantum.net';
-  const hreflangTags = [];
-
-  // Add hreflang for each available language
-  for (const lang of availableLanguages) {
-    const url = `${baseUrl}/${lang}/article/${baseSlug}`;
-    hreflangTags.push(`    <link rel="alternate" hreflang="${lang}" href="${url}">`);
+  const alternates = languages.map((lang) => ({ hreflang: lang, href: `${baseUrl}/${lang}${path}` }));
+  const defaultLang = languages.includes('en') ? 'en' : languages[0];
+  if (xDefaultPath) {
+    alternates.push({ hreflang: 'x-default', href: `${baseUrl}${xDefaultPath}` });
+  } else if (defaultLang) {
+    alternates.push({ hreflang: 'x-default', href: `${baseUrl}/${defaultLang}${path}` });
   }
+  return alternates;
+}
 
-  // Add x-default for English
-  const defaultUrl = `${baseUrl}/en/article/${baseSlug}`;
-  hreflangTags.push(`    <link rel="alternate" hreflang="x-default" href="${defaultUrl}">`);
+/**
+ * Structured data for a <script> element; '<' is escaped so no value can close it
+ */
+function toJsonLd(data) {
+  return JSON.stringify(data).replace(/</g, '\\u003c');
+}
 
-  return hreflangTags.join('\n');
+function countLabel(count, singular, plural) {
+  return `${count} ${count === 1 ? singular : plural}`;
 }
 
 /**
@@ -114,13 +102,9 @@ function insertContextualLinksIntoHtml(htmlContent, links, langBase, options = {
   }
   if (candidates.length === 0) return htmlContent;
 
-  const anchorList = candidates
-    .map(c => `<a href="${c.href}">${escapeHtml(c.title.length > 80 ? c.title.slice(0,77) + '…' : c.title)}</a>`)
-    .join(' • ');
-
-  const promoHtml = `\n<div class="in-context" role="complementary" aria-label="Related reading" style="margin:16px 0;padding:12px 14px;border-left:3px solid #3498db;background:#f3f7fb;border-radius:4px;">
-    <strong style="color:#2c3e50;">Also read:</strong> ${anchorList}
-  </div>\n`;
+  const promoHtml = renderPartial('contextual-links', {
+    links: candidates.map((c) => ({ href: c.href, title: c.title.length > 80 ? c.title.slice(0, 77) + '…' : c.title }))
+  });
 
   // Insert after the Nth </p>
   const parts = htmlContent.split(/<\/p>/i);
@@ -135,305 +119,898 @@ function insertContextualLinksIntoHtml(htmlContent, links, langBase, options = {
   return out;
 }
 
+/**
+ * Items of the article-list partial (tag, category and home pages)
+ */
+function toArticleListItems(articles, langBase) {
+  return articles.map((a) => ({
+    url: `${langBase}/article/${a.slug}`,
+    title: a.title,
+    summary: a.summary || null,
+    categoryName: a.category_name || null,
+    date: new Date(a.published_at || a.created_at).toISOString().slice(0, 10),
+    readingTime: a.reading_time_minutes || null
+  }));
+}
 
+/**
+ * Items of the link-list partial and the related articles list
+ */
+function toLinkItems(articles, langBase) {
+  return articles.map((a) => ({ url: `${langBase}/article/${a.slug}`, title: a.title }));
+}
+
+/**
+ * Previous/next links of a paginated listing, or null for a single page
+ */
+function buildPagination({ page, pages, pageUrl, label }) {
+  if (pages <= 1) return null;
+  return {
+    label,
+    prevUrl: page > 1 ? pageUrl(page - 1) : null,
+    nextUrl: page < pages ? pageUrl(page + 1) : null
+  };
+}
 
 /**
  * Generate complete HTML page for an article
  */
-function generateArticleHTML({ article, availableLanguages, language, category, relatedArticles = [], prevArticle = null, nextArticle = null }) {
-  const { title, meta_title, meta_description, canonical_url, content, language_code, image_url, slug, reading_time_minutes } = article;
+export function generateArticleHTML({ article, translations = [], language, category, tags = [], relatedArticles = [], prevArticle = null, nextArticle = null }) {
+  const { title, meta_title, meta_description, canonical_url, content, language_code, image_url, image_alt, slug, reading_time_minutes } = article;
+
+  const versions = articleVersions({ language, slug, translations });
+  const baseUrl = config.seo?.canonicalBaseUrl || '';
+  const langBase = `${baseUrl}/${language}`;
+  const articleUrl = canonical_url || `${langBase}/article/${slug}`;
+  const articleLink = (a) => (a ? { url: `${langBase}/article/${a.slug}`, title: a.title } : null);
 
-  // Extract base slug (remove language suffix if present)
-  const baseSlug = slug.replace(/-(?:de|fr|es|pt|ar|hi)$/, '');
+  // JSON-LD Breadcrumbs
+  const breadcrumbList = {
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: [
+      { '@type': 'ListItem', position: 1, name: 'Home', item: `${langBase}` },
+      { '@type': 'ListItem', position: 2, name: 'Categories', item: `${langBase}/categories` },
+      ...(category ? [{ '@type': 'ListItem', position: 3, name: category.name, item: `${langBase}/category/${category.slug}` }] : []),
+      { '@type': 'ListItem', position: category ? 4 : 3, name: title, item: `${langBase}/article/${slug}` }
+    ]
+  };
 
-  const socialMetaTags = buildSocialMetaTags({
+  return renderPage('article', {
+    lang: language_code,
     title: meta_title || title,
-    description: meta_description,
-    canonicalUrl: canonical_url,
-    imageUrl: image_url,
-    languageCode: language_code
+    description: meta_description || '',
+    canonicalUrl: canonical_url || null,
+    privacyUrl: articleUrl.replace(/\/article\/.*/, '/privacy'),
+    termsUrl: articleUrl.replace(/\/article\/.*/, '/terms'),
+    social: buildSocialMeta({
+      title: meta_title || title,
+      description: meta_description,
+      canonicalUrl: canonical_url,
+      imageUrl: image_url,
+      languageCode: language_code
+    }),
+    alternates: buildArticleAlternates(versions, hreflangBaseUrl()),
+    languageVersions: versions.length > 1
+      ? versions.map((v) => ({
+        lang: v.language,
+        label: v.language.toUpperCase(),
+        url: `${baseUrl}/${v.language}/article/${v.slug}`,
+        current: v.language === language
+      }))
+      : null,
+    jsonLd: toJsonLd(breadcrumbList),
+    langBase,
+    heading: title,
+    category: category ? { name: category.name, url: `${langBase}/category/${category.slug}` } : null,
+    languageLabel: language_code.toUpperCase(),
+    readingTime: reading_time_minutes || 5,
+    image: image_url ? { src: image_url, alt: image_alt || title } : null,
+    contentHtml: insertContextualLinksIntoHtml(content || '', relatedArticles, langBase, { maxLinks: 2, afterParagraph: 2 }),
+    tags: tags.map((t) => ({ name: t.name, url: `${langBase}/tag/${encodeURIComponent(t.slug)}` })),
+    prev: articleLink(prevArticle),
+    next: articleLink(nextArticle),
+    related: toLinkItems(relatedArticles || [], langBase),
+    relatedHeading: category ? category.name : 'this topic'
   });
+}
+
+/**
+ * Generate the homepage of one language
+ */
+function generateHomeHTML({ language, latest = [], mostRead = [], trending = [], categoryBlocks = [] }) {
+  const baseUrl = config.seo?.canonicalBaseUrl || '';
+  const langBase = `${baseUrl}/${language}`;
 
-  const hreflangTags = buildHreflangTags({
-    baseSlug,
-    availableLanguages
+  const organization = {
+    '@context': 'https://schema.org',
+    '@type': 'Organization',
+    '@id': `${baseUrl}/#organization`,
+    name: SITE_NAME,
+    url: `${baseUrl}/`
+  };
+  const website = {
+    '@context': 'https://schema.org',
+    '@type': 'WebSite',
+    '@id': `${langBase}#website`,
+    name: SITE_NAME,
+    description: SITE_DESCRIPTION,
+    url: langBase,
+    inLanguage: language,
+    publisher: { '@id': `${baseUrl}/#organization` },
+    potentialAction: {
+      '@type': 'SearchAction',
+      target: { '@type': 'EntryPoint', urlTemplate: `${langBase}/search?q={search_term_string}` },
+      'query-input': 'required name=search_term_string'
+    }
+  };
+
+  return renderPage('home', {
+    lang: language,
+    title: SITE_NAME,
+    siteName: SITE_NAME,
+    description: SITE_DESCRIPTION,
+    canonicalUrl: langBase,
+    feedUrl: `${baseUrl}/api/feeds/all.rss?lang=${language}`,
+    social: buildSocialMeta({ title: SITE_NAME, description: SITE_DESCRIPTION, canonicalUrl: langBase, languageCode: language, type: 'website' }),
+    alternates: buildListingAlternates('', config.languages, { xDefaultPath: '/' }),
+    jsonLd: toJsonLd([organization, website]),
+    langBase,
+    trending: trending.length ? { links: toLinkItems(trending, langBase) } : null,
+    latest: { articles: toArticleListItems(latest, langBase) },
+    mostRead: mostRead.length ? { links: toLinkItems(mostRead, langBase) } : null,
+    categoryBlocks: categoryBlocks.map((c) => ({
+      name: c.name,
+      url: `${langBase}/category/${c.slug}`,
+      countLabel: countLabel(c.article_count, 'article', 'articles'),
+      links: toLinkItems(c.articles, langBase)
+    }))
   });
+}
 
+/**
+ * Generate the categories index page
+ */
+function generateCategoriesHTML({ language, categories }) {
   const baseUrl = config.seo?.canonicalBaseUrl || '';
   const langBase = `${baseUrl}/${language}`;
+  const pageUrl = `${langBase}/categories`;
 
-  // JSON-LD Breadcrumbs
+  const collectionPage = {
+    '@context': 'https://schema.org',
+    '@type': 'CollectionPage',
+    name: 'Categories',
+    url: pageUrl,
+    inLanguage: language,
+    mainEntity: {
+      '@type': 'ItemList',
+      numberOfItems: categories.length,
+      itemListElement: categories.map((c, i) => ({
+        '@type': 'ListItem',
+        position: i + 1,
+        name: c.name,
+        url: `${langBase}/category/${c.slug}`
+      }))
+    }
+  };
+  const breadcrumbList = {
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: [
+      { '@type': 'ListItem', position: 1, name: 'Home', item: `${langBase}` },
+      { '@type': 'ListItem', position: 2, name: 'Categories', item: pageUrl }
+    ]
+  };
+
+  return renderPage('categories', {
+    lang: language,
+    title: 'Categories',
+    description: `Browse all ${categories.length} article categories.`,
+    canonicalUrl: pageUrl,
+    alternates: buildListingAlternates('/categories', config.languages),
+    jsonLd: toJsonLd([collectionPage, breadcrumbList]),
+    langBase,
+    crumbs: [{ name: 'Home', url: langBase }],
+    current: 'Categories',
+    heading: 'Categories',
+    categories: categories.map((c) => ({
+      name: c.name,
+      url: `${langBase}/category/${c.slug}`,
+      countLabel: countLabel(c.article_count, 'article', 'articles')
+    })),
+    hideCategoriesLink: true
+  });
+}
+
+/**
+ * Generate a category landing page: its published articles, newest first
+ */
+function generateCategoryHTML({ language, category, articles = [], total = 0, page = 1, pages = 1, perPage, languages }) {
+  const baseUrl = config.seo?.canonicalBaseUrl || '';
+  const langBase = `${baseUrl}/${language}`;
+  const categoryUrl = `${langBase}/category/${category.slug}`;
+  const pageUrl = (p) => (p > 1 ? `${categoryUrl}?page=${p}` : categoryUrl);
+  const description = `${countLabel(total, 'article', 'articles')} about ${category.name}.`;
+
+  const collectionPage = {
+    '@context': 'https://schema.org',
+    '@type': 'CollectionPage',
+    name: category.name,
+    url: pageUrl(page),
+    inLanguage: language,
+    mainEntity: {
+      '@type': 'ItemList',
+      numberOfItems: total,
+      itemListElement: articles.map((a, i) => ({
+        '@type': 'ListItem',
+        position: (page - 1) * perPage + i + 1,
+        name: a.title,
+        url: `${langBase}/article/${a.slug}`
+      }))
+    }
+  };
   const breadcrumbList = {
     '@context': 'https://schema.org',
     '@type': 'BreadcrumbList',
     itemListElement: [
       { '@type': 'ListItem', position: 1, name: 'Home', item: `${langBase}` },
       { '@type': 'ListItem', position: 2, name: 'Categories', item: `${langBase}/categories` },
-      ...(category ? [{ '@type': 'ListItem', position: 3, name: category.name, item: `${langBase}/category/${category.slug}` }] : []),
-      { '@type': 'ListItem', position: category ? 4 : 3, name: title, item: `${langBase}/article/${slug}` }
+      { '@type': 'ListItem', position: 3, name: category.name, item: categoryUrl }
     ]
   };
 
-  return `<!DOCTYPE html>
-<html lang="${language_code}">
-<head>
-    <meta charset="UTF-8">
-    <meta name="viewport" content="width=device-width, initial-scale=1.0">
-    <title>${escapeHtml(meta_title || title)}</title>
-    <meta name="description" content="${escapeHtml(meta_description || '')}">
-    <meta name="robots" content="index, follow">
-    ${canonical_url ? `<link rel=\"canonical\" href=\"${escapeHtml(canonical_url)}\">` : ''}
-    ${prevArticle ? `<link rel=\"prev\" href=\"${langBase}/article/${prevArticle.slug}\">` : ''}
-    ${nextArticle ? `<link rel=\"next\" href=\"${langBase}/article/${nextArticle.slug}\">` : ''}
-
-    <!-- Sitewide legal link relations -->
-    <link rel="privacy-policy" href="${escapeHtml((canonical_url || `${langBase}/article/${slug}`).replace(/\/article\/.*/, '/privacy'))}">
-    <link rel="terms-of-service" href="${escapeHtml((canonical_url || `${langBase}/article/${slug}`).replace(/\/article\/.*/, '/terms'))}">
-
-    <!-- Social Media Meta Tags -->
-${socialMetaTags}
-
-    <!-- Hreflang Tags -->
-${hreflangTags}
-
-    <!-- Breadcrumbs Structured Data -->
-    <script type="application/ld+json">${JSON.stringify(breadcrumbList)}</script>
-
-    <!-- Basic Styling -->
-    <style>
-        body {
-            font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif;
-            line-height: 1.6;
-            color: #333;
-            max-width: 820px;
-            margin: 0 auto;
-            padding: 20px;
-            background: #f8f9fa;
-        }
-        .article-container {
-            background: white;
-            border-radius: 8px;
-            padding: 32px;
-            box-shadow: 0 2px 10px rgba(0,0,0,0.06);
-        }
-        .breadcrumbs {
-            font-size: 0.9em;
-            color: #6c757d;
-            margin-bottom: 16px;
-        }
-        .breadcrumbs a { color: #3498db; text-decoration: none; }
-        .breadcrumbs a:hover { text-decoration: underline; }
-        h1 {
-            color: #2c3e50;
-            border-bottom: 3px solid #3498db;
-            padding-bottom: 10px;
-            margin-bottom: 20px;
-        }
-        img {
-            max-width: 100%;
-            height: auto;
-            border-radius: 8px;
-            margin: 16px 0 24px;
-        }
-        .meta-info {
-            color: #6c757d;
-            font-size: 0.9em;
-            margin-bottom: 24px;
-            padding: 12px 14px;
-            background: #f8f9fa;
-            border-radius: 5px;
-        }
-        .article-nav {
-            display: flex;
-            justify-content: space-between;
-            gap: 12px;
-            margin: 28px 0 8px;
-        }
-        .article-nav a { color: #3498db; text-decoration: none; }
-        .article-nav a:hover { text-decoration: underline; }
-        .related {
-            margin-top: 24px;
-            padding-top: 16px;
-            border-top: 1px solid #e9ecef;
-        }
-        .related h3 { margin: 0 0 10px; color: #2c3e50; }
-        .related-list { list-style: none; padding: 0; margin: 0; }
-        .related-list li { margin-bottom: 8px; }
-        .related-list a { color: #3498db; text-decoration: none; }
-        .related-list a:hover { text-decoration: underline; }
-        .explore-links { margin-top: 24px; font-size: 0.95em; color: #6c757d; }
-        .explore-links a { color: #3498db; text-decoration: none; }
-        .explore-links a:hover { text-decoration: underline; }
-    </style>
-</head>
-<body>
-    <div class="article-container">
-        <nav class="breadcrumbs" aria-label="Breadcrumb">
-            <a href="${langBase}">Home</a>
-            <span> › </span>
-            <a href="${langBase}/categories">Categories</a>
-            ${category ? `<span> › </span><a href="${langBase}/category/${category.slug}">${escapeHtml(category.name)}</a>` : ''}
-            <span> › </span>
-            <span aria-current="page">${escapeHtml(title)}</span>
-        </nav>
-
-        <h1>${escapeHtml(title)}</h1>
-
-        <div class="meta-info">
-            ${category ? `<strong>Category:</strong> <a href="${langBase}/category/${category.slug}">${escapeHtml(category.name)}</a> • ` : ''}
-            <strong>Language:</strong> ${language_code.toUpperCase()} •
-            <strong>Reading Time:</strong> ${reading_time_minutes || 5} min
-        </div>
-
-        ${image_url ? `<img src="${escapeHtml(image_url)}" alt="${escapeHtml(title)}" loading="lazy">` : ''}
-
-        <div class="article-content">
-            ${insertContextualLinksIntoHtml(content || '', relatedArticles, langBase, { maxLinks: 2, afterParagraph: 2 })}
-        </div>
-
-        <div class="article-nav" aria-label="Article navigation">
-            ${prevArticle ? `<a class="prev" href="${langBase}/article/${prevArticle.slug}">← ${escapeHtml(prevArticle.title)}</a>` : '<span></span>'}
-            ${nextArticle ? `<a class="next" href="${langBase}/article/${nextArticle.slug}">${escapeHtml(nextArticle.title)} →</a>` : ''}
-        </div>
-
-        ${relatedArticles && relatedArticles.length ? `
-        <section class="related" aria-label="More in this category">
-          <h3>More in ${category ? escapeHtml(category.name) : 'this topic'}</h3>
-          <ul class="related-list">
-            ${relatedArticles.map(a => `<li><a href="${langBase}/article/${a.slug}">${escapeHtml(a.title)}</a></li>`).join('')}
-          </ul>
-        </section>` : ''}
-
-        <p class="explore-links">
-          Explore more: <a href="${langBase}/categories">All categories</a> • <a href="${langBase}/sitemap">HTML sitemap</a> • <a href="${langBase}/about">About</a> • <a href="${langBase}/contact">Contact</a> • <a href="${langBase}/faq">FAQ</a>
-        </p>
-    </div>
-</body>
-</html>`;
+  return renderPage('category', {
+    lang: language,
+    title: `${category.name}${page > 1 ? ` - Page ${page}` : ''}`,
+    description,
+    canonicalUrl: pageUrl(page),
+    prevUrl: page > 1 ? pageUrl(page - 1) : null,
+    nextUrl: page < pages ? pageUrl(page + 1) : null,
+    feedUrl: `${baseUrl}/api/feeds/${category.slug}.rss?lang=${language}`,
+    alternates: buildListingAlternates(`/category/${category.slug}`, languages),
+    jsonLd: toJsonLd([collectionPage, breadcrumbList]),
+    langBase,
+    crumbs: [{ name: 'Home', url: langBase }, { name: 'Categories', url: `${langBase}/categories` }],
+    current: category.name,
+    heading: category.name,
+    pageLabel: pages > 1 ? `Page ${page} of ${pages}` : null,
+    articles: toArticleListItems(articles, langBase),
+    pagination: buildPagination({ page, pages, pageUrl, label: 'Category pages' })
+  });
 }
 
 /**
- * Serve article as complete HTML page with full SEO meta tags
+ * Generate the search results page. Result titles and snippets arrive as
+ * escaped HTML with <mark> highlights from searchArticles.
  */
-router.get('/:language/article/:slug', async (req, res) => {
+function generateSearchHTML({ language, q, results = [], total = 0, page = 1, pages = 0, categories = [], filters = {}, didYouMean = null, error = null }) {
+  const baseUrl = config.seo?.canonicalBaseUrl || '';
+  const langBase = `${baseUrl}/${language}`;
+  const pageUrl = (p) => {
+    const params = new URLSearchParams({ q });
+    if (filters.category) params.set('category', filters.category);
+    if (filters.from) params.set('from', filters.from);
+    if (filters.to) params.set('to', filters.to);
+    if (p > 1) params.set('page', String(p));
+    return `${langBase}/search?${params.toString()}`;
+  };
+
+  return renderPage('search', {
+    lang: language,
+    title: q ? `${q} - Search` : 'Search',
+    langBase,
+    crumbs: [{ name: 'Home', url: langBase }],
+    current: 'Search',
+    q,
+    categories: categories.map((c) => ({ slug: c.slug, name: c.name, selected: c.slug === filters.category })),
+    filters: { from: filters.from || '', to: filters.to || '' },
+    error,
+    didYouMean: didYouMean
+      ? { text: didYouMean, url: `${langBase}/search?${new URLSearchParams({ q: didYouMean }).toString()}` }
+      : null,
+    summary: q && !error ? `${countLabel(total, 'result', 'results')}${pages > 1 ? ` • Page ${page} of ${pages}` : ''}` : null,
+    results: results.map((r) => ({
+      url: `${langBase}/article/${r.slug}`,
+      titleHtml: r.title_highlight || escapeHtml(r.title),
+      snippetHtml: r.snippet || escapeHtml(r.summary || ''),
+      categoryName: r.category_name || null,
+      date: new Date(r.published_at || r.created_at).toISOString().slice(0, 10),
+      readingTime: r.reading_time_minutes || null
+    })),
+    pagination: buildPagination({ page, pages, pageUrl, label: 'Search results pages' })
+  });
+}
+
+/**
+ * Generate a tag landing page: the tag's published articles, newest first
+ */
+function generateTagHTML({ language, tag, articles = [], page = 1, pages = 1 }) {
+  const baseUrl = config.seo?.canonicalBaseUrl || '';
+  const langBase = `${baseUrl}/${language}`;
+  const tagUrl = `${langBase}/tag/${encodeURIComponent(tag.slug)}`;
+  const pageUrl = (p) => (p > 1 ? `${tagUrl}?page=${p}` : tagUrl);
+
+  const breadcrumbList = {
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: [
+      { '@type': 'ListItem', position: 1, name: 'Home', item: `${langBase}` },
+      { '@type': 'ListItem', position: 2, name: tag.name, item: tagUrl }
+    ]
+  };
+
+  return renderPage('tag', {
+    lang: language,
+    title: `${tag.name}${page > 1 ? ` - Page ${page}` : ''}`,
+    description: `${countLabel(tag.article_count, 'article', 'articles')} tagged "${tag.name}".`,
+    robots: tag.article_count >= TAG_INDEX_MIN_ARTICLES ? 'index, follow' : 'noindex, follow',
+    canonicalUrl: pageUrl(page),
+    prevUrl: page > 1 ? pageUrl(page - 1) : null,
+    nextUrl: page < pages ? pageUrl(page + 1) : null,
+    feedUrl: `${baseUrl}/api/feeds/tag/${encodeURIComponent(tag.slug)}.rss?lang=${language}`,
+    jsonLd: toJsonLd(breadcrumbList),
+    langBase,
+    crumbs: [{ name: 'Home', url: langBase }],
+    current: tag.name,
+    heading: tag.name,
+    pageLabel: pages > 1 ? `Page ${page} of ${pages}` : null,
+    articles: toArticleListItems(articles, langBase),
+    pagination: buildPagination({ page, pages, pageUrl, label: 'Tag pages' })
+  });
+}
+
+// schema.org types of well-known site pages; the rest (FAQ included, whose
+// questions cannot be derived from free HTML) are plain WebPages
+const SITE_PAGE_TYPES = { about: 'AboutPage', contact: 'ContactPage' };
+
+/**
+ * Generate a site page (about, contact, FAQ, privacy, terms...)
+ */
+function generateSitePageHTML({ page, languages }) {
+  const baseUrl = config.seo?.canonicalBaseUrl || '';
+  const language = page.language_code;
+  const langBase = `${baseUrl}/${language}`;
+  const pageUrl = `${langBase}/${page.slug}`;
+  const description = page.meta_description || `${page.title} - ${SITE_NAME}`;
+
+  const webPage = {
+    '@context': 'https://schema.org',
+    '@type': SITE_PAGE_TYPES[page.slug] || 'WebPage',
+    name: page.title,
+    description,
+    url: pageUrl,
+    inLanguage: language,
+    dateModified: page.updated_at,
+    isPartOf: { '@type': 'WebSite', name: SITE_NAME, url: langBase }
+  };
+  const breadcrumbList = {
+    '@context': 'https://schema.org',
+    '@type': 'BreadcrumbList',
+    itemListElement: [
+      { '@type': 'ListItem', position: 1, name: 'Home', item: `${langBase}` },
+      { '@type': 'ListItem', position: 2, name: page.title, item: pageUrl }
+    ]
+  };
+
+  return renderPage('site-page', {
+    lang: language,
+    title: `${page.title} - ${SITE_NAME}`,
+    description,
+    canonicalUrl: pageUrl,
+    alternates: buildListingAlternates(`/${page.slug}`, languages),
+    social: buildSocialMeta({ title: page.title, description, canonicalUrl: pageUrl, imageUrl: null, languageCode: language, type: 'website' }),
+    jsonLd: toJsonLd([webPage, breadcrumbList]),
+    langBase,
+    crumbs: [{ name: 'Home', url: langBase }],
+    current: page.title,
+    heading: page.title,
+    contentHtml: page.content
+  });
+}
+
+/**
+ * Serve search results as an HTML page (kept out of the index via robots.txt and noindex)
+ */
+router.get('/:language/search', async (req, res) => {
+  const { language } = req.params;
+  if (!config.languages.includes(language)) {
+    return res.status(404).send('Language not supported');
+  }
+
+  const q = String(req.query.q || '').trim().slice(0, SEARCH_QUERY_MAX_LENGTH);
+  const filters = {
+    category: req.query.category ? String(req.query.category) : '',
+    from: req.query.from ? String(req.query.from) : '',
+    to: req.query.to ? String(req.query.to) : ''
+  };
+  const rawPage = Number(req.query.page);
+  const page = Number.isFinite(rawPage) ? Math.max(1, Math.trunc(rawPage)) : 1;
+  const perPage = 10;
+
   try {
-    const { language, slug } = req.params;
+    const catRes = await query(
+      `SELECT c.slug, COALESCE(ct.name, c.name) AS name
+       FROM categories c
+       LEFT JOIN category_translations ct ON ct.category_id = c.id AND ct.language_code = $1
+       ORDER BY name`,
+      [language]
+    );
+
+    let status = 200;
+    let view = { results: [], total: 0, pages: 0, didYouMean: null, error: null };
+    if (q) {
+      try {
+        const { data, total, didYouMean } = await searchArticles({
+          q,
+          language,
+          category: filters.category || null,
+          from: filters.from || null,
+          to: filters.to || null,
+          limit: perPage,
+          offset: (page - 1) * perPage
+        });
+        view = { results: data, total, pages: Math.ceil(total / perPage), didYouMean, error: null };
+      } catch (err) {
+        if (!(err instanceof AppError) || err.type !== ErrorTypes.VALIDATION_ERROR) throw err;
+        status = 400;
+        view = { ...view, error: err.message };
+      }
+    }
 
-    // Validate language
-    if (!config.languages.includes(language)) {
-      return res.status(404).send('Language not supported');
+    const html = generateSearchHTML({ language, q, page, categories: catRes.rows, filters, ...view });
+
+    res.setHeader('Content-Type', 'text/html; charset=UTF-8');
+    res.setHeader('Cache-Control', 'public, max-age=300, stale-while-revalidate=3600');
+    res.setHeader('X-Robots-Tag', 'noindex, follow');
+    res.status(status).send(html);
+  } catch (error) {
+    console.error('Error serving search page:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+/**
+ * Categories with published articles in a language, with localized names
+ */
+async function fetchCategoriesWithCounts(language) {
+  const tableName = articlesTable(language);
+  const { rows } = await query(
+    `SELECT c.id, c.slug, COALESCE(ct_lang.name, ct_en.name, c.name) AS name,
+            counts.article_count, counts.lastmod
+     FROM categories c
+     JOIN (
+       SELECT category_id, COUNT(*)::int AS article_count,
+              MAX(COALESCE(updated_at, published_at, created_at)) AS lastmod
+       FROM ${tableName}
+       WHERE ${publishedOnly('')} ${tableName === 'articles' ? 'AND language_code = $1' : ''}
+       GROUP BY category_id
+     ) counts ON counts.category_id = c.id
+     LEFT JOIN category_translations ct_lang ON ct_lang.category_id = c.id AND ct_lang.language_code = $1
+     LEFT JOIN category_translations ct_en ON ct_en.category_id = c.id AND ct_en.language_code = 'en'
+     ORDER BY name ASC`,
+    [language]
+  );
+  return rows;
+}
+
+/**
+ * Languages in which a category has published articles
+ */
+async function fetchCategoryLanguages(categoryId) {
+  const found = await Promise.all(config.languages.map(async (lang) => {
+    const tableName = articlesTable(lang);
+    try {
+      const { rowCount } = await query(
+        `SELECT 1 FROM ${tableName}
+         WHERE category_id = $1 AND ${publishedOnly('')} ${tableName === 'articles' ? 'AND language_code = $2' : ''}
+         LIMIT 1`,
+        tableName === 'articles' ? [categoryId, lang] : [categoryId]
+      );
+      return rowCount > 0 ? lang : null;
+    } catch (err) {
+      // Skip if table doesn't exist yet
+      if (err.code !== '42P01') throw err;
+      return null;
     }
+  }));
+  return found.filter(Boolean);
+}
 
-    // Get article from appropriate table
-    const tableName = articlesTable(language);
-    const articleQuery = tableName === 'articles'
-      ? `SELECT * FROM ${tableName} WHERE slug = $1 AND language_code = $2 LIMIT 1`
-      : `SELECT *, '${language}' AS language_code FROM ${tableName} WHERE slug = $1 LIMIT 1`;
+/**
+ * Send a rendered page with ETag / Last-Modified validation
+ */
+function sendCachedHtml(req, res, html, { key, lastModified, maxAge = 600 }) {
+  const etag = computeEtag(html, key);
+  setCacheHeaders(res, { maxAge, swr: 3600, etag, lastModified });
+  if (handleConditionalGet(req, res, { etag, lastModified })) return;
+  res.setHeader('Content-Type', 'text/html; charset=UTF-8');
+  res.setHeader('X-Robots-Tag', 'index, follow');
+  res.send(html);
+}
 
-    const queryParams = tableName === 'articles' ? [slug, language] : [slug];
-    const result = await query(articleQuery, queryParams);
+/**
+ * Send visitors of the bare domain to the homepage in their language
+ */
+router.get('/', (req, res) => {
+  const language = resolveLanguage(req, config.languages);
+  // The answer depends on Accept-Language; shared caches must key on it
+  res.setHeader('Vary', 'Accept-Language');
+  res.setHeader('Cache-Control', 'public, max-age=3600');
+  res.redirect(302, `/${language}`);
+});
 
-    if (result.rows.length === 0) {
-      return res.status(404).send('Article not found');
+/**
+ * Render the homepage of one language
+ * @returns {Promise<string>}
+ */
+export async function renderHomePage(language) {
+  const tableName = articlesTable(language);
+  const [latestRes, mostRead, trending, categories, byCategory] = await Promise.all([
+    query(
+      `SELECT a.title, a.slug, a.summary, a.reading_time_minutes, a.published_at, a.created_at,
+              COALESCE(ct.name, c.name) AS category_name
+       FROM ${tableName} a
+       LEFT JOIN categories c ON c.id = a.category_id
+       LEFT JOIN category_translations ct ON ct.category_id = c.id AND ct.language_code = $1
+       WHERE ${publishedOnly('a')} ${tableName === 'articles' ? 'AND a.language_code = $1' : ''}
+       ORDER BY COALESCE(a.published_at, a.created_at) DESC, a.id DESC
+       LIMIT $2`,
+      [language, 10]
+    ),
+    getMostReadArticles(language, 5),
+    getTrendingArticles(language, 5),
+    fetchCategoriesWithCounts(language),
+    getMostReadByCategory(language, { articlesPerCategory: 3, maxCategories: 6 })
+  ]);
+
+  // Localized names and counts for the most read categories
+  const categoriesById = new Map(categories.map((c) => [c.id, c]));
+  const categoryBlocks = byCategory
+    .filter((block) => categoriesById.has(block.category_id))
+    .map((block) => ({ ...categoriesById.get(block.category_id), articles: block.articles }));
+
+  return generateHomeHTML({ language, latest: latestRes.rows, mostRead, trending, categoryBlocks });
+}
+
+/**
+ * Serve the homepage of one language
+ */
+router.get('/:language', async (req, res, next) => {
+  const { language } = req.params;
+  // Single-segment paths such as /robots.txt belong to later routers
+  if (!config.languages.includes(language)) return next();
+
+  try {
+    const html = await renderHomePage(language);
+    sendCachedHtml(req, res, html, { key: `home|${language}`, maxAge: 300 });
+  } catch (error) {
+    console.error('Error serving homepage:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+/**
+ * Render the categories index page
+ * @returns {Promise<{ categories: object[], html: string, lastModified: Date|null }>}
+ */
+export async function renderCategoriesPage(language) {
+  const categories = await fetchCategoriesWithCounts(language);
+  const lastModified = categories.reduce(
+    (latest, c) => (c.lastmod && (!latest || new Date(c.lastmod) > latest) ? new Date(c.lastmod) : latest),
+    null
+  );
+  return { categories, html: generateCategoriesHTML({ language, categories }), lastModified };
+}
+
+/**
+ * Serve the categories index page
+ */
+router.get('/:language/categories', async (req, res) => {
+  const { language } = req.params;
+  if (!config.languages.includes(language)) {
+    return res.status(404).send('Language not supported');
+  }
+
+  try {
+    const { html, lastModified } = await renderCategoriesPage(language);
+    sendCachedHtml(req, res, html, { key: `categories|${language}`, lastModified });
+  } catch (error) {
+    console.error('Error serving categories page:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+/**
+ * Render one page of a category listing
+ * @returns {Promise<{ category: object, pages: number, html: string|null }|null>}
+ *   null for an unknown category; html is null past the last page
+ */
+export async function renderCategoryPage(language, slug, page = 1) {
+  const perPage = 20;
+  const categories = await fetchCategoriesWithCounts(language);
+  const category = categories.find((c) => c.slug === slug);
+  if (!category) return null;
+
+  const pages = Math.max(1, Math.ceil(category.article_count / perPage));
+  if (page > pages) return { category, pages, html: null };
+
+  const tableName = articlesTable(language);
+  const { rows: articles } = await query(
+    `SELECT a.title, a.slug, a.summary, a.reading_time_minutes, a.published_at, a.created_at
+     FROM ${tableName} a
+     WHERE a.category_id = $1 AND ${publishedOnly('a')} ${tableName === 'articles' ? 'AND a.language_code = $4' : ''}
+     ORDER BY COALESCE(a.published_at, a.created_at) DESC, a.id DESC
+     LIMIT $2 OFFSET $3`,
+    tableName === 'articles'
+      ? [category.id, perPage, (page - 1) * perPage, language]
+      : [category.id, perPage, (page - 1) * perPage]
+  );
+  const languages = await fetchCategoryLanguages(category.id);
+
+  const html = generateCategoryHTML({
+    language,
+    category,
+    articles,
+    total: category.article_count,
+    page,
+    pages,
+    perPage,
+    languages
+  });
+  return { category, pages, html };
+}
+
+/**
+ * Serve a paginated category landing page
+ */
+router.get('/:language/category/:slug', async (req, res) => {
+  const { language, slug } = req.params;
+  if (!config.languages.includes(language)) {
+    return res.status(404).send('Language not supported');
+  }
+
+  const rawPage = Number(req.query.page);
+  const page = Number.isFinite(rawPage) ? Math.max(1, Math.trunc(rawPage)) : 1;
+
+  try {
+    const result = await renderCategoryPage(language, slug, page);
+    if (!result) {
+      return res.status(404).send('Category not found');
+    }
+    if (!result.html) {
+      return res.status(404).send('Page not found');
     }
 
-    const article = result.rows[0];
-
-    // Fetch category info (localized name) if available
-    let category = null;
-    if (article.category_id) {
-      const catRes = await query(
-        `SELECT c.id, c.slug, COALESCE(ct_lang.name, ct_en.name, c.name) AS name
-         FROM categories c
-         LEFT JOIN category_translations ct_lang ON ct_lang.category_id = c.id AND ct_lang.language_code = $2
-         LEFT JOIN category_translations ct_en ON ct_en.category_id = c.id AND ct_en.language_code = 'en'
-         WHERE c.id = $1`,
-        [article.category_id, language]
-      );
-      if (catRes.rows.length) {
-        category = catRes.rows[0];
-      }
+    sendCachedHtml(req, res, result.html, { key: `category|${language}|${slug}|${page}`, lastModified: result.category.lastmod });
+  } catch (error) {
+    console.error('Error serving category page:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+/**
+ * Render one page of a tag listing
+ * @returns {Promise<{ tag: object, pages: number, html: string|null }|null>}
+ *   null for an unknown or unused tag; html is null past the last page
+ */
+export async function renderTagPage(language, slug, page = 1) {
+  const perPage = 20;
+  const tag = await getTagBySlug(language, slug);
+  if (!tag || tag.article_count === 0) return null;
+
+  const { data, total } = await listArticlesByTag({ language, tagId: tag.id, limit: perPage, offset: (page - 1) * perPage });
+  const pages = Math.max(1, Math.ceil(total / perPage));
+  if (page > pages) return { tag, pages, html: null };
+
+  return { tag, pages, html: generateTagHTML({ language, tag, articles: data, page, pages }) };
+}
+
+/**
+ * Serve a tag landing page
+ */
+router.get('/:language/tag/:slug', async (req, res) => {
+  const { language, slug } = req.params;
+  if (!config.languages.includes(language)) {
+    return res.status(404).send('Language not supported');
+  }
+
+  const rawPage = Number(req.query.page);
+  const page = Number.isFinite(rawPage) ? Math.max(1, Math.trunc(rawPage)) : 1;
+
+  try {
+    const result = await renderTagPage(language, slug, page);
+    if (!result) {
+      return res.status(404).send('Tag not found');
+    }
+    if (!result.html) {
+      return res.status(404).send('Page not found');
     }
 
-    // Build related articles list (same category)
-    let relatedArticles = [];
-    if (article.category_id) {
-      const relatedSql = tableName === 'articles'
-        ? `SELECT title, slug
-           FROM ${tableName}
-           WHERE category_id = $1 AND language_code = $2 AND slug <> $3
-           ORDER BY COALESCE(published_at, created_at) DESC
-           LIMIT 8`
-        : `SELECT title, slug
-           FROM ${tableName}
-           WHERE category_id = $1 AND slug <> $2
-           ORDER BY COALESCE(published_at, created_at) DESC
-           LIMIT 8`;
-      const relatedParams = tableName === 'articles'
-        ? [article.category_id, language, slug]
-        : [article.category_id, slug];
-      const relRes = await query(relatedSql, relatedParams);
-      relatedArticles = relRes.rows;
+    res.setHeader('Content-Type', 'text/html; charset=UTF-8');
+    res.setHeader('Cache-Control', 'public, max-age=1800, stale-while-revalidate=86400');
+    res.setHeader('X-Robots-Tag', result.tag.article_count >= TAG_INDEX_MIN_ARTICLES ? 'index, follow' : 'noindex, follow');
+    res.send(result.html);
+  } catch (error) {
+    console.error('Error serving tag page:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
+/**
+ * Render the page of a published article
+ * @returns {Promise<{ article: object, html: string }|null>} null when no such article is published
+ */
+export async function renderArticlePage(language, slug) {
+  // Get article from appropriate table
+  const tableName = articlesTable(language);
+  const articleQuery = tableName === 'articles'
+    ? `SELECT * FROM ${tableName} WHERE slug = $1 AND language_code = $2 AND ${publishedOnly('')} LIMIT 1`
+    : `SELECT *, '${language}' AS language_code FROM ${tableName} WHERE slug = $1 AND ${publishedOnly('')} LIMIT 1`;
+
+  const queryParams = tableName === 'articles' ? [slug, language] : [slug];
+  const result = await query(articleQuery, queryParams);
+
+  if (result.rows.length === 0) return null;
+
+  const article = result.rows[0];
+
+  // Fetch category info (localized name) if available
+  let category = null;
+  if (article.category_id) {
+    const catRes = await query(
+      `SELECT c.id, c.slug, COALESCE(ct_lang.name, ct_en.name, c.name) AS name
+       FROM categories c
+       LEFT JOIN category_translations ct_lang ON ct_lang.category_id = c.id AND ct_lang.language_code = $2
+       LEFT JOIN category_translations ct_en ON ct_en.category_id = c.id AND ct_en.language_code = 'en'
+       WHERE c.id = $1`,
+      [article.category_id, language]
+    );
+    if (catRes.rows.length) {
+      category = catRes.rows[0];
     }
+  }
+
+  // Build related articles list (same category)
+  let relatedArticles = [];
+  if (article.category_id) {
+    const relatedSql = tableName === 'articles'
+      ? `SELECT title, slug
+         FROM ${tableName}
+         WHERE category_id = $1 AND language_code = $2 AND slug <> $3 AND ${publishedOnly('')}
+         ORDER BY COALESCE(published_at, created_at) DESC
+         LIMIT 8`
+      : `SELECT title, slug
+         FROM ${tableName}
+         WHERE category_id = $1 AND slug <> $2 AND ${publishedOnly('')}
+         ORDER BY COALESCE(published_at, created_at) DESC
+         LIMIT 8`;
+    const relatedParams = tableName === 'articles'
+      ? [article.category_id, language, slug]
+      : [article.category_id, slug];
+    const relRes = await query(relatedSql, relatedParams);
+    relatedArticles = relRes.rows;
+  }
+
+  // Previous and next articles by publish/create date
+  const ts = article.published_at || article.created_at;
+  let prevArticle = null;
+  let nextArticle = null;
+  if (ts) {
+    const prevSql = tableName === 'articles'
+      ? `SELECT title, slug
+         FROM ${tableName}
+         WHERE language_code = $1 AND COALESCE(published_at, created_at) < $2 AND ${publishedOnly('')}
+         ORDER BY COALESCE(published_at, created_at) DESC
+         LIMIT 1`
+      : `SELECT title, slug
+         FROM ${tableName}
+         WHERE COALESCE(published_at, created_at) < $1 AND ${publishedOnly('')}
+         ORDER BY COALESCE(published_at, created_at) DESC
+         LIMIT 1`;
+    const nextSql = tableName === 'articles'
+      ? `SELECT title, slug
+         FROM ${tableName}
+         WHERE language_code = $1 AND COALESCE(published_at, created_at) > $2 AND ${publishedOnly('')}
+         ORDER BY COALESCE(published_at, created_at) ASC
+         LIMIT 1`
+      : `SELECT title, slug
+         FROM ${tableName}
+         WHERE COALESCE(published_at, created_at) > $1 AND ${publishedOnly('')}
+         ORDER BY COALESCE(published_at, created_at) ASC
+         LIMIT 1`;
+    const prevParams = tableName === 'articles' ? [language, ts] : [ts];
+    const nextParams = prevParams;
+    const [prevRes, nextRes] = await Promise.all([
+      query(prevSql, prevParams),
+      query(nextSql, nextParams)
+    ]);
+    prevArticle = prevRes.rows[0] || null;
+    nextArticle = nextRes.rows[0] || null;
+  }
 
-    // Previous and next articles by publish/create date
-    const ts = article.published_at || article.created_at;
-    let prevArticle = null;
-    let nextArticle = null;
-    if (ts) {
-      const prevSql = tableName === 'articles'
-        ? `SELECT title, slug
-           FROM ${tableName}
-           WHERE language_code = $1 AND COALESCE(published_at, created_at) < $2
-           ORDER BY COALESCE(published_at, created_at) DESC
-           LIMIT 1`
-        : `SELECT title, slug
-           FROM ${tableName}
-           WHERE COALESCE(published_at, created_at) < $1
-           ORDER BY COALESCE(published_at, created_at) DESC
-           LIMIT 1`;
-      const nextSql = tableName === 'articles'
-        ? `SELECT title, slug
-           FROM ${tableName}
-           WHERE language_code = $1 AND COALESCE(published_at, created_at) > $2
-           ORDER BY COALESCE(published_at, created_at) ASC
-           LIMIT 1`
-        : `SELECT title, slug
-           FROM ${tableName}
-           WHERE COALESCE(published_at, created_at) > $1
-           ORDER BY COALESCE(published_at, created_at) ASC
-           LIMIT 1`;
-      const prevParams = tableName === 'articles' ? [language, ts] : [ts];
-      const nextParams = prevParams;
-      const [prevRes, nextRes] = await Promise.all([
-        query(prevSql, prevParams),
-        query(nextSql, nextParams)
-      ]);
-      prevArticle = prevRes.rows[0] || null;
-      nextArticle = nextRes.rows[0] || null;
+  const tags = await getArticleTags(language, article.id);
+  const translations = await getPublishedTranslations(language, article.id);
+
+  // Generate HTML with internal links and meta
+  const html = generateArticleHTML({
+    article,
+    translations,
+    language,
+    category,
+    tags,
+    relatedArticles,
+    prevArticle,
+    nextArticle
+  });
+  return { article, html };
+}
+
+/**
+ * Serve article as complete HTML page with full SEO meta tags
+ */
+router.get('/:language/article/:slug', async (req, res) => {
+  try {
+    const { language, slug } = req.params;
+
+    // Validate language
+    if (!config.languages.includes(language)) {
+      return res.status(404).send('Language not supported');
     }
 
-    // Generate HTML with internal links and meta
-    const html = generateArticleHTML({
-      article,
-      availableLanguages: config.languages,
-      language,
-      category,
-      relatedArticles,
-      prevArticle,
-      nextArticle
-    });
+    const page = await renderArticlePage(language, slug);
+    if (!page) {
+      // Deleted and renamed articles are answered by the redirects middleware
+      return res.status(404).send('Article not found');
+    }
 
     // Set proper headers
     res.setHeader('Content-Type', 'text/html; charset=UTF-8');
     res.setHeader('Cache-Control', 'public, max-age=3600, stale-while-revalidate=86400');
     res.setHeader('X-Robots-Tag', 'index, follow');
 
-    res.send(html);
+    res.send(page.html);
   } catch (error) {
     console.error('Error serving article page:', error);
     res.status(500).send('Internal server error');
   }
 });
 
+/**
+ * Render a published site page
+ * @returns {Promise<{ page: object, html: string }|null>}
+ */
+export async function renderSitePage(language, slug) {
+  const page = await getPublishedSitePage(language, slug);
+  if (!page) return null;
+
+  const languages = await getSitePageLanguages(page.slug);
+  return { page, html: generateSitePageHTML({ page, languages }) };
+}
+
+/**
+ * Serve a site page (about, contact, FAQ, privacy, terms...). Registered last
+ * so it never shadows the fixed /:language/... routes above.
+ */
+router.get('/:language/:pageSlug', async (req, res, next) => {
+  const { language, pageSlug } = req.params;
+  // Paths such as /sitemaps/en.xml belong to later routers
+  if (!config.languages.includes(language) || RESERVED_PAGE_SLUGS.includes(pageSlug)) return next();
+
+  try {
+    const result = await renderSitePage(language, pageSlug);
+    if (!result) {
+      return res.status(404).send('Page not found');
+    }
+
+    sendCachedHtml(req, res, result.html, {
+      key: `page|${language}|${result.page.slug}`,
+      lastModified: result.page.updated_at ? new Date(result.page.updated_at) : undefined,
+      maxAge: 3600
+    });
+  } catch (error) {
+    console.error('Error serving site page:', error);
+    res.status(500).send('Internal server error');
+  }
+});
+
 export default router;
@@ -0,0 +1,261 @@
+import express from 'express';
+import { AppError, ErrorTypes, sendError } from '../services/errorHandler.js';
+import {
+  REDIRECT_STATUS_CODES,
+  listRedirects,
+  upsertRedirects,
+  parseRedirectCsv,
+  deleteRedirects
+} from '../services/redirectService.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * @openapi
+ * /admin/redirects:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List redirects
+ *     description: Most recently changed first, with hit counts.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         description: Substring of the source or target path
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: statusCode
+ *         schema:
+ *           type: integer
+ *           enum: [301, 302, 307, 308, 410]
+ *       - in: query
+ *         name: reason
+ *         schema:
+ *           type: string
+ *           enum: [manual, import, slug_change, delete]
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 500
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       '200':
+ *         description: Redirects
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Redirect'
+ *                 total:
+ *                   type: integer
+ *                 limit:
+ *                   type: integer
+ *                 offset:
+ *                   type: integer
+ *       '400':
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 500);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+    const statusCode = req.query.statusCode ? Number(req.query.statusCode) : null;
+    if (statusCode !== null && !REDIRECT_STATUS_CODES.includes(statusCode)) {
+      throw new AppError(`statusCode must be one of: ${REDIRECT_STATUS_CODES.join(', ')}`, ErrorTypes.VALIDATION_ERROR);
+    }
+    const { data, total } = await listRedirects({
+      search: req.query.search ? String(req.query.search) : null,
+      statusCode,
+      reason: req.query.reason ? String(req.query.reason) : null,
+      limit,
+      offset
+    });
+    res.json({ data, total, limit, offset });
+  } catch (err) {
+    sendError(res, err, 'Failed to list redirects');
+  }
+});
+
+/**
+ * @openapi
+ * /admin/redirects:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Create or replace redirects in bulk
+ *     description: >
+ *       Each source path gets exactly one redirect; posting an existing source
+ *       replaces it. Redirects that pointed at a new source are retargeted so
+ *       chains never form. Invalid rows are reported and skipped.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [redirects]
+ *             properties:
+ *               redirects:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/RedirectInput'
+ *     responses:
+ *       '200':
+ *         description: Redirects applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RedirectUpsertResult'
+ *       '400':
+ *         description: Invalid body
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/', async (req, res) => {
+  try {
+    const result = await upsertRedirects(req.body?.redirects, { reason: 'manual' });
+    res.json(result);
+  } catch (err) {
+    sendError(res, err, 'Failed to save redirects');
+  }
+});
+
+/**
+ * @openapi
+ * /admin/redirects/import:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Import redirects from CSV
+ *     description: >
+ *       CSV with a header row and the columns `source`, `target` and optional
+ *       `status` (default 301; 410 needs no target). Send it as `text/csv`, or
+ *       as JSON `{ "csv": "..." }`. Rows are applied like POST /admin/redirects.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         text/csv:
+ *           schema:
+ *             type: string
+ *             example: "source,target,status\n/en/article/old,/en/article/new,301\n/en/article/removed,,410"
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [csv]
+ *             properties:
+ *               csv:
+ *                 type: string
+ *     responses:
+ *       '200':
+ *         description: Import applied
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/RedirectUpsertResult'
+ *       '400':
+ *         description: Invalid CSV
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/import', express.text({ type: ['text/csv', 'text/plain'], limit: '2mb' }), async (req, res) => {
+  try {
+    const csv = typeof req.body === 'string' ? req.body : req.body?.csv;
+    const result = await upsertRedirects(parseRedirectCsv(csv), { reason: 'import' });
+    res.json(result);
+  } catch (err) {
+    sendError(res, err, 'Failed to import redirects');
+  }
+});
+
+/**
+ * @openapi
+ * /admin/redirects:
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Delete redirects in bulk
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [ids]
+ *             properties:
+ *               ids:
+ *                 type: array
+ *                 items:
+ *                   type: integer
+ *     responses:
+ *       '200':
+ *         description: Redirects deleted
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 deleted:
+ *                   type: integer
+ *       '400':
+ *         description: Invalid ids
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.delete('/', async (req, res) => {
+  try {
+    const deleted = await deleteRedirects(req.body?.ids);
+    res.json({ deleted });
+  } catch (err) {
+    sendError(res, err, 'Failed to delete redirects');
+  }
+});
+
+export default router;
@@ -2,6 +2,11 @@ import express from 'express';
 import { query } from '../db.js';
 import { config } from '../config.js';
 import { articlesTable } from '../utils/articlesTable.js';
+import { publishedOnly } from '../utils/articleStatus.js';
+import { TAG_INDEX_MIN_ARTICLES } from '../services/tagService.js';
+import { listPublishedSitePages } from '../services/sitePageService.js';
+import { requireAdmin } from '../middleware/auth.js';
+import { buildArticleAlternates, getLanguageClusters } from '../services/hreflangService.js';
 
 /**
  * Smart Priority and Freshness Calculation for SEO
@@ -191,8 +196,8 @@ async function safeQuery(sql, params = []) {
 async function getLatestContentTimestampForLang(lang) {
   const tbl = articlesTable(lang);
   const sql = tbl === 'articles'
-    ? `SELECT MAX(COALESCE(updated_at, published_at, created_at)) AS lastmod FROM ${tbl} WHERE language_code = $1`
-    : `SELECT MAX(COALESCE(updated_at, published_at, created_at)) AS lastmod FROM ${tbl}`;
+    ? `SELECT MAX(COALESCE(updated_at, published_at, created_at)) AS lastmod FROM ${tbl} WHERE language_code = $1 AND ${publishedOnly('')}`
+    : `SELECT MAX(COALESCE(updated_at, published_at, created_at)) AS lastmod FROM ${tbl} WHERE ${publishedOnly('')}`;
   const params = tbl === 'articles' ? [lang] : [];
   const res = await safeQuery(sql, params);
   return res.rows?.[0]?.lastmod || null;
@@ -208,13 +213,20 @@ function buildUrlsetXml(urls, options = {}) {
     parts.push(`<!-- ${options.comment} -->`);
   }
 
-  parts.push('<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
+  // hreflang alternates need the xhtml namespace
+  const hasAlternates = urls.some((u) => u.alternates?.length);
+  parts.push(hasAlternates
+    ? '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9" xmlns:xhtml="http://www.w3.org/1999/xhtml">'
+    : '<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">');
   for (const u of urls) {
     parts.push('  <url>');
     parts.push(`    <loc>${escXml(u.loc)}</loc>`);
     if (u.lastmod) parts.push(`    <lastmod>${escXml(new Date(u.lastmod).toISOString())}</lastmod>`);
     if (u.changefreq) parts.push(`    <changefreq>${u.changefreq}</changefreq>`);
     if (u.priority) parts.push(`    <priority>${u.priority}</priority>`);
+    for (const alt of u.alternates || []) {
+      parts.push(`    <xhtml:link rel="alternate" hreflang="${escXml(alt.hreflang)}" href="${escXml(alt.href)}"/>`);
+    }
     parts.push('  </url>');
   }
   parts.push('</urlset>');
@@ -235,17 +247,34 @@ function buildSitemapIndexXml(sitemaps) {
   return parts.join('\n');
 }
 
+// Crawl hints for well-known site pages; others use SITE_PAGE_DEFAULT_HINT
+const SITE_PAGE_HINTS = {
+  about: { changefreq: 'monthly', priority: '0.5' }, // About - static content
+  contact: { changefreq: 'monthly', priority: '0.6' }, // Contact - important but static
+  faq: { changefreq: 'monthly', priority: '0.4' }, // FAQ - helpful but static
+  privacy: { changefreq: 'yearly', priority: '0.3' }, // Legal pages - rarely change
+  terms: { changefreq: 'yearly', priority: '0.3' },
+  cookies: { changefreq: 'yearly', priority: '0.3' }
+};
+const SITE_PAGE_DEFAULT_HINT = { changefreq: 'monthly', priority: '0.4' };
+
+/**
+ * Sitemap entries for the site pages published in one language
+ */
+async function generateSitePageUrlsForLang(base, lang) {
+  const pages = await listPublishedSitePages(lang);
+  return pages.map((page) => ({
+    loc: `${base}/${lang}/${page.slug}`,
+    ...(SITE_PAGE_HINTS[page.slug] || SITE_PAGE_DEFAULT_HINT),
+    lastmod: page.updated_at
+  }));
+}
+
 async function generateStaticAndCategoryUrls(base, langs) {
   // Static pages with smart priority and changefreq
   const staticPages = [
     { path: '/', changefreq: 'hourly', priority: '1.0' }, // Homepage - highest priority, changes frequently
-    { path: '/categories', changefreq: 'daily', priority: '0.9' }, // Categories page - high priority
-    { path: '/about', changefreq: 'monthly', priority: '0.5' }, // About - static content
-    { path: '/contact', changefreq: 'monthly', priority: '0.6' }, // Contact - important but static
-    { path: '/faq', changefreq: 'monthly', priority: '0.4' }, // FAQ - helpful but static
-    { path: '/privacy', changefreq: 'yearly', priority: '0.3' }, // Legal pages - rarely change
-    { path: '/terms', changefreq: 'yearly', priority: '0.3' },
-    { path: '/cookies', changefreq: 'yearly', priority: '0.3' }
+    { path: '/categories', changefreq: 'daily', priority: '0.9' } // Categories page - high priority
   ];
 
   const urls = [];
@@ -267,6 +296,8 @@ async function generateStaticAndCategoryUrls(base, langs) {
         priority: page.priority
       });
     }
+
+    urls.push(...await generateSitePageUrlsForLang(base, l));
   }
 
   // Query all language-specific tables to get category information
@@ -280,12 +311,13 @@ async function generateStaticAndCategoryUrls(base, langs) {
                 MAX(COALESCE(a.published_at, a.created_at)) AS lastmod
          FROM ${tableName} a
          JOIN categories c ON c.id = a.category_id
-         WHERE a.language_code = $1
+         WHERE a.language_code = $1 AND ${publishedOnly('a')}
          GROUP BY c.slug, a.language_code`
       : `SELECT c.slug AS slug, '${lang}' AS language_code,
                 MAX(COALESCE(a.published_at, a.created_at)) AS lastmod
          FROM ${tableName} a
          JOIN categories c ON c.id = a.category_id
+         WHERE ${publishedOnly('a')}
          GROUP BY c.slug`;
 
     const catParams = tableName === 'articles' ? [lang] : [];
@@ -324,8 +356,8 @@ async function countArticles(langs) {
   for (const lang of langs) {
     const tableName = articlesTable(lang);
     const countSql = tableName === 'articles'
-      ? `SELECT COUNT(*)::bigint AS count FROM ${tableName} WHERE language_code = $1`
-      : `SELECT COUNT(*)::bigint AS count FROM ${tableName}`;
+      ? `SELECT COUNT(*)::bigint AS count FROM ${tableName} WHERE language_code = $1 AND ${publishedOnly('')}`
+      : `SELECT COUNT(*)::bigint AS count FROM ${tableName} WHERE ${publishedOnly('')}`;
 
     const countParams = tableName === 'articles' ? [lang] : [];
     const { rows } = await safeQuery(countSql, countParams);
@@ -346,12 +378,13 @@ async function fetchArticlesSlice(base, langs, offset, limit) {
                 c.slug AS category_slug, COALESCE(a.published_at, a.created_at) AS published_at
          FROM ${tableName} a
          LEFT JOIN categories c ON c.id = a.category_id
-         WHERE a.language_code = $1
+         WHERE a.language_code = $1 AND ${publishedOnly('a')}
          ORDER BY COALESCE(a.published_at, a.created_at) DESC, a.id DESC`
       : `SELECT a.slug, '${lang}' AS language_code, COALESCE(a.published_at, a.created_at) AS lastmod,
                 c.slug AS category_slug, COALESCE(a.published_at, a.created_at) AS published_at
          FROM ${tableName} a
          LEFT JOIN categories c ON c.id = a.category_id
+         WHERE ${publishedOnly('a')}
          ORDER BY COALESCE(a.published_at, a.created_at) DESC, a.id DESC`;
 
     const articleParams = tableName === 'articles' ? [lang] : [];
@@ -392,13 +425,7 @@ async function generateStaticAndCategoryUrlsForLang(base, lang) {
   // Static pages with smart priority and changefreq
   const staticPages = [
     { path: '/', changefreq: 'hourly', priority: '1.0' }, // Homepage - highest priority, changes frequently
-    { path: '/categories', changefreq: 'daily', priority: '0.9' }, // Categories page - high priority
-    { path: '/about', changefreq: 'monthly', priority: '0.5' }, // About - static content
-    { path: '/contact', changefreq: 'monthly', priority: '0.6' }, // Contact - important but static
-    { path: '/faq', changefreq: 'monthly', priority: '0.4' }, // FAQ - helpful but static
-    { path: '/privacy', changefreq: 'yearly', priority: '0.3' }, // Legal pages - rarely change
-    { path: '/terms', changefreq: 'yearly', priority: '0.3' },
-    { path: '/cookies', changefreq: 'yearly', priority: '0.3' }
+    { path: '/categories', changefreq: 'daily', priority: '0.9' } // Categories page - high priority
   ];
 
   const urls = [];
@@ -413,6 +440,9 @@ async function generateStaticAndCategoryUrlsForLang(base, lang) {
     });
   }
 
+  // About, contact, legal... pages published in this language
+  urls.push(...await generateSitePageUrlsForLang(base, lang));
+
   // Categories that actually have articles in this language
   const tbl = articlesTable(lang);
   // In the legacy `articles` table we must filter by language_code, whereas
@@ -424,12 +454,13 @@ async function generateStaticAndCategoryUrlsForLang(base, lang) {
             MAX(COALESCE(a.published_at, a.created_at)) AS lastmod
        FROM ${tbl} a
        JOIN categories c ON c.id = a.category_id
-       WHERE a.language_code = $1
+       WHERE a.language_code = $1 AND ${publishedOnly('a')}
        GROUP BY c.slug`
     : `SELECT DISTINCT c.slug AS slug,
             MAX(COALESCE(a.published_at, a.created_at)) AS lastmod
        FROM ${tbl} a
        JOIN categories c ON c.id = a.category_id
+       WHERE ${publishedOnly('a')}
        GROUP BY c.slug`;
   const catParams = tbl === 'articles' ? [lang] : [];
   // Use safeQuery to ignore missing sharded tables
@@ -453,19 +484,22 @@ async function fetchAllArticleUrlsForLang(base, lang) {
   const tbl = articlesTable(lang);
   // Include category information for smart priority calculation
   const artSql = tbl === 'articles'
-    ? `SELECT a.slug, COALESCE(a.published_at, a.created_at) AS lastmod,
+    ? `SELECT a.id, a.slug, COALESCE(a.published_at, a.created_at) AS lastmod,
               c.slug AS category_slug, COALESCE(a.published_at, a.created_at) AS published_at
        FROM ${tbl} a
        LEFT JOIN categories c ON c.id = a.category_id
-       WHERE a.language_code = $1
+       WHERE a.language_code = $1 AND ${publishedOnly('a')}
        ORDER BY COALESCE(a.published_at, a.created_at) DESC, a.id DESC`
-    : `SELECT a.slug, COALESCE(a.published_at, a.created_at) AS lastmod,
+    : `SELECT a.id, a.slug, COALESCE(a.published_at, a.created_at) AS lastmod,
               c.slug AS category_slug, COALESCE(a.published_at, a.created_at) AS published_at
        FROM ${tbl} a
        LEFT JOIN categories c ON c.id = a.category_id
+       WHERE ${publishedOnly('a')}
        ORDER BY COALESCE(a.published_at, a.created_at) DESC, a.id DESC`;
   const artParams = tbl === 'articles' ? [lang] : [];
   const res = await safeQuery(artSql, artParams);
+  // Translated articles list their cluster as xhtml:link alternates
+  const clusters = await getLanguageClusters(lang);
   const urls = [];
   for (const a of res.rows) {
     // Calculate smart priority and changefreq based on article age and category
@@ -477,16 +511,38 @@ async function fetchAllArticleUrlsForLang(base, lang) {
       lastmod: a.lastmod || undefined,
       changefreq: changefreq,
       priority: priority.toString(),
+      alternates: clusters.has(Number(a.id)) ? buildArticleAlternates(clusters.get(Number(a.id)), base) : undefined,
     });
   }
   return urls;
 }
 
+async function fetchTagUrlsForLang(base, lang) {
+  const tbl = articlesTable(lang);
+  const res = await safeQuery(
+    `SELECT t.slug, MAX(COALESCE(a.updated_at, a.published_at, a.created_at)) AS lastmod
+     FROM tags t
+     JOIN article_tags at ON at.tag_id = t.id AND at.language_code = t.language_code
+     JOIN ${tbl} a ON a.id = at.article_id
+     WHERE t.language_code = $1 AND ${publishedOnly('a')}
+     GROUP BY t.id, t.slug
+     HAVING COUNT(*) >= $2
+     ORDER BY COUNT(*) DESC, t.slug`,
+    [lang, TAG_INDEX_MIN_ARTICLES]
+  );
+  return res.rows.map((row) => ({
+    loc: `${base}/${lang}/tag/${encodeURIComponent(row.slug)}`,
+    lastmod: row.lastmod || undefined,
+    changefreq: 'weekly',
+    priority: '0.5',
+  }));
+}
+
 /**
  * Generate Freshness Sitemap with only recently updated URLs
  * Super hack: Small sitemaps with fresh content get crawled more aggressively
  */
-async function generateFreshnessSitemap() {
+export async function generateFreshnessSitemap() {
   const base = process.env.CANONICAL_BASE_URL || 'https://megaquantum.net';
   const langs = Array.isArray(config.languages) && config.languages.length > 0 ? config.languages : ['en'];
 
@@ -513,7 +569,7 @@ async function generateFreshnessSitemap() {
                   c.name AS category_name, c.slug AS category_slug
            FROM ${tableName} a
            JOIN categories c ON c.id = a.category_id
-           WHERE a.language_code = $1
+           WHERE a.language_code = $1 AND ${publishedOnly('a')}
            AND (a.updated_at >= $2 OR a.published_at >= $2 OR a.created_at >= $2)
            ORDER BY COALESCE(a.updated_at, a.published_at, a.created_at) DESC
            LIMIT $3`
@@ -521,7 +577,8 @@ async function generateFreshnessSitemap() {
                   c.name AS category_name, c.slug AS category_slug
            FROM ${tableName} a
            JOIN categories c ON c.id = a.category_id
-           WHERE (a.updated_at >= $1 OR a.published_at >= $1 OR a.created_at >= $1)
+           WHERE ${publishedOnly('a')}
+           AND (a.updated_at >= $1 OR a.published_at >= $1 OR a.created_at >= $1)
            ORDER BY COALESCE(a.updated_at, a.published_at, a.created_at) DESC
            LIMIT $2`;
 
@@ -587,29 +644,47 @@ async function generateFreshnessSitemap() {
   }
 }
 
-// Serve sitemap index on both /sitemap.xml and /api/sitemap.xml for compatibility
-router.get(['/sitemap.xml', '/api/sitemap.xml'], async (req, res) => {
-  try {
-    const base = getBaseUrl(req);
-    const langs = Array.isArray(config.languages) && config.languages.length > 0 ? config.languages : ['en'];
+/**
+ * Sitemap index pointing at one sitemap per language
+ * @returns {Promise<{ xml: string, lastModified: Date|string|null }>}
+ */
+export async function buildSitemapIndex(base) {
+  const langs = Array.isArray(config.languages) && config.languages.length > 0 ? config.languages : ['en'];
 
-    const sitemaps = [];
-    let latestOverall = null;
-    for (const lang of langs) {
-      const lastmod = await getLatestContentTimestampForLang(lang);
-      if (lastmod && (!latestOverall || new Date(lastmod) > new Date(latestOverall))) {
-        latestOverall = lastmod;
-      }
-      sitemaps.push({ loc: `${base}/sitemaps/${lang}.xml`, lastmod });
+  const sitemaps = [];
+  let latestOverall = null;
+  for (const lang of langs) {
+    const lastmod = await getLatestContentTimestampForLang(lang);
+    if (lastmod && (!latestOverall || new Date(lastmod) > new Date(latestOverall))) {
+      latestOverall = lastmod;
     }
+    sitemaps.push({ loc: `${base}/sitemaps/${lang}.xml`, lastmod });
+  }
+
+  return { xml: buildSitemapIndexXml(sitemaps), lastModified: latestOverall };
+}
 
-    const indexXml = buildSitemapIndexXml(sitemaps);
+/**
+ * Sitemap of one language: static, site and category pages, tags, then articles
+ * @returns {Promise<string>}
+ */
+export async function buildLanguageSitemap(base, lang) {
+  const staticUrls = await generateStaticAndCategoryUrlsForLang(base, lang);
+  const tagUrls = await fetchTagUrlsForLang(base, lang);
+  const articleUrls = await fetchAllArticleUrlsForLang(base, lang);
+  return buildUrlsetXml([...staticUrls, ...tagUrls, ...articleUrls]);
+}
+
+// Serve sitemap index on both /sitemap.xml and /api/sitemap.xml for compatibility
+router.get(['/sitemap.xml', '/api/sitemap.xml'], async (req, res) => {
+  try {
+    const { xml, lastModified } = await buildSitemapIndex(getBaseUrl(req));
     res.setHeader('Content-Type', 'application/xml; charset=UTF-8');
     res.setHeader('Cache-Control', 'public, max-age=3600');
-    if (latestOverall) {
-      res.setHeader('Last-Modified', new Date(latestOverall).toUTCString());
+    if (lastModified) {
+      res.setHeader('Last-Modified', new Date(lastModified).toUTCString());
     }
-    res.send(indexXml);
+    res.send(xml);
   } catch (err) {
     console.error('Sitemap index generation error:', err);
     res.status(500).type('text/plain').send('Failed to generate sitemap index');
@@ -631,9 +706,7 @@ router.get('/sitemaps/:file', async (req, res) => {
       const lang = langMatch[1].toLowerCase();
       if (!allLangs.includes(lang)) return res.status(404).type('text/plain').send('Language not supported');
 
-      const staticUrls = await generateStaticAndCategoryUrlsForLang(base, lang);
-      const articleUrls = await fetchAllArticleUrlsForLang(base, lang);
-      const xml = buildUrlsetXml([...staticUrls, ...articleUrls]);
+      const xml = await buildLanguageSitemap(base, lang);
       res.setHeader('Content-Type', 'application/xml; charset=UTF-8');
       res.setHeader('Cache-Control', 'public, max-age=3600');
       return res.send(xml);
@@ -698,9 +771,11 @@ router.get('/sitemap-fresh.xml', async (req, res) => {
   }
 });
 
-router.get('/robots.txt', async (req, res) => {
-  const base = getBaseUrl(req);
-
+/**
+ * robots.txt pointing crawlers at the sitemaps and feeds
+ * @returns {Promise<string>}
+ */
+export async function buildRobotsTxt(base) {
   try {
     // Get categories dynamically from database
     const categoriesResult = await query('SELECT slug, name FROM categories ORDER BY slug');
@@ -730,14 +805,12 @@ router.get('/robots.txt', async (req, res) => {
       robotsLines.push(`# ${category.name}: ${base}/api/feeds/${category.slug}.rss`);
     }
 
-    res.setHeader('Content-Type', 'text/plain; charset=UTF-8');
-    res.send(robotsLines.join('\n'));
+    return robotsLines.join('\n');
   } catch (error) {
     console.error('Error generating robots.txt:', error);
 
     // Fallback robots.txt
-    res.setHeader('Content-Type', 'text/plain; charset=UTF-8');
-    res.send([
+    return [
       'User-agent: *',
       'Allow: /',
       '',
@@ -750,8 +823,14 @@ router.get('/robots.txt', async (req, res) => {
       '',
       '# RSS Feeds',
       `# Main feed: ${base}/api/feeds/all.rss`,
-    ].join('\n'));
+    ].join('\n');
   }
+}
+
+router.get('/robots.txt', async (req, res) => {
+  const robotsTxt = await buildRobotsTxt(getBaseUrl(req));
+  res.setHeader('Content-Type', 'text/plain; charset=UTF-8');
+  res.send(robotsTxt);
 });
 
 // Serve IndexNow verification key file at /{INDEXNOW_API_KEY}.txt
@@ -771,13 +850,9 @@ router.get('/:key.txt', (req, res) => {
 
 
 // Expose a safe endpoint to trigger sitemap update notifications post-deploy
-// Requires X-Admin-Token header to match process.env.SEO_ADMIN_TOKEN
-router.post('/notify/sitemaps', async (req, res) => {
+// Requires an admin API key (or the legacy X-Admin-Token / SEO_ADMIN_TOKEN)
+router.post('/notify/sitemaps', requireAdmin, async (req, res) => {
   try {
-    const token = (req.headers['x-admin-token'] || '').toString();
-    if (!token || token !== (process.env.SEO_ADMIN_TOKEN || '')) {
-      return res.status(401).json({ error: 'Unauthorized' });
-    }
     const { notifySearchEnginesSitemapUpdate } = await import('../services/seoNotificationService.js');
     const result = await notifySearchEnginesSitemapUpdate();
     res.json({ ok: true, result });
@@ -0,0 +1,349 @@
+import express from 'express';
+import { sendError } from '../services/errorHandler.js';
+import { describeQueuedJob } from '../services/jobQueue.js';
+import {
+  listSitePages,
+  getSitePage,
+  createSitePage,
+  updateSitePage,
+  deleteSitePage,
+  enqueueSitePageTranslation
+} from '../services/sitePageService.js';
+import { requireAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+router.use(requireAdmin);
+
+/**
+ * @openapi
+ * /admin/pages:
+ *   get:
+ *     tags: [Admin]
+ *     summary: List site pages
+ *     description: About, contact, FAQ, privacy, terms and other static pages, one entry per language, without content.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: language
+ *         schema:
+ *           type: string
+ *           enum: [en, de, fr, es, pt, ar, hi]
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [draft, published]
+ *     responses:
+ *       '200':
+ *         description: Site pages
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/SitePage'
+ *       '400':
+ *         description: Invalid parameters
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/', async (req, res) => {
+  try {
+    const data = await listSitePages({
+      language: req.query.language ? String(req.query.language) : null,
+      status: req.query.status ? String(req.query.status) : null
+    });
+    res.json({ data });
+  } catch (err) {
+    sendError(res, err, 'Failed to list pages');
+  }
+});
+
+/**
+ * @openapi
+ * /admin/pages:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Create a site page in one language
+ *     description: >
+ *       The page is served at /{language}/{slug} once published. Content is
+ *       sanitized HTML. Slugs used by other pages (article, category, tag,
+ *       search...) are rejected.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/SitePageInput'
+ *     responses:
+ *       '201':
+ *         description: Page created
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/SitePage'
+ *       '400':
+ *         description: Invalid body or the slug already exists in this language
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/', async (req, res) => {
+  try {
+    const { slug, language, title, content, meta_description, status } = req.body || {};
+    const data = await createSitePage({ slug, language, title, content, meta_description, status });
+    res.status(201).json({ data });
+  } catch (err) {
+    sendError(res, err, 'Failed to create page');
+  }
+});
+
+/**
+ * @openapi
+ * /admin/pages/{id}:
+ *   get:
+ *     tags: [Admin]
+ *     summary: Get a site page with its content
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '200':
+ *         description: Site page
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/SitePage'
+ *       '404':
+ *         description: Page not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.get('/:id', async (req, res) => {
+  try {
+    const data = await getSitePage(req.params.id);
+    res.json({ data });
+  } catch (err) {
+    sendError(res, err, 'Failed to load page');
+  }
+});
+
+/**
+ * @openapi
+ * /admin/pages/{id}:
+ *   patch:
+ *     tags: [Admin]
+ *     summary: Edit a site page
+ *     description: Only title, content, meta_description and status can change; slug and language are fixed.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               title:
+ *                 type: string
+ *               content:
+ *                 type: string
+ *               meta_description:
+ *                 type: string
+ *                 nullable: true
+ *               status:
+ *                 type: string
+ *                 enum: [draft, published]
+ *     responses:
+ *       '200':
+ *         description: Page updated
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   $ref: '#/components/schemas/SitePage'
+ *       '400':
+ *         description: Invalid or unknown fields
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '404':
+ *         description: Page not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.patch('/:id', async (req, res) => {
+  try {
+    const data = await updateSitePage(req.params.id, req.body || {});
+    res.json({ data });
+  } catch (err) {
+    sendError(res, err, 'Failed to update page');
+  }
+});
+
+/**
+ * @openapi
+ * /admin/pages/{id}:
+ *   delete:
+ *     tags: [Admin]
+ *     summary: Delete one language version of a site page
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     responses:
+ *       '204':
+ *         description: Page deleted
+ *       '404':
+ *         description: Page not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.delete('/:id', async (req, res) => {
+  try {
+    await deleteSitePage(req.params.id);
+    res.status(204).end();
+  } catch (err) {
+    sendError(res, err, 'Failed to delete page');
+  }
+});
+
+/**
+ * @openapi
+ * /admin/pages/{id}/translate:
+ *   post:
+ *     tags: [Admin]
+ *     summary: Translate an English site page with AI
+ *     description: >
+ *       Queues one translation job per target language. Existing translations
+ *       are overwritten but keep their status; new ones are saved as drafts
+ *       unless `publish` is true.
+ *     security:
+ *       - ApiKeyAuth: []
+ *       - BearerAuth: []
+ *     parameters:
+ *       - name: id
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: integer
+ *     requestBody:
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               languages:
+ *                 type: array
+ *                 description: Target languages (defaults to every language except English)
+ *                 items:
+ *                   type: string
+ *                   enum: [de, fr, es, pt, ar, hi]
+ *               publish:
+ *                 type: boolean
+ *                 default: false
+ *     responses:
+ *       '202':
+ *         description: Translations queued
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/JobAccepted'
+ *       '400':
+ *         description: The page is not English or no valid target language was given
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '404':
+ *         description: Page not found
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '401':
+ *         $ref: '#/components/responses/Unauthorized'
+ *       '403':
+ *         $ref: '#/components/responses/Forbidden'
+ */
+router.post('/:id/translate', async (req, res) => {
+  try {
+    const { languages, publish } = req.body || {};
+    const jobs = await enqueueSitePageTranslation({ id: req.params.id, languages, publish: publish === true });
+    res.status(202).json({ data: jobs.map(describeQueuedJob) });
+  } catch (err) {
+    sendError(res, err, 'Failed to queue page translation');
+  }
+});
+
+export default router;
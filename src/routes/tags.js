@@ -0,0 +1,168 @@
+import express from 'express';
+import { config } from '../config.js';
+import { resolveLanguage } from '../utils/lang.js';
+import { computeEtag, setCacheHeaders, handleConditionalGet } from '../utils/httpCache.js';
+import { sendError } from '../services/errorHandler.js';
+import { listTags, getTagBySlug, listArticlesByTag } from '../services/tagService.js';
+
+const router = express.Router();
+
+/**
+ * @openapi
+ * /tags:
+ *   get:
+ *     tags: [Tags]
+ *     summary: List tags that have published articles in the requested language
+ *     description: Most used first.
+ *     parameters:
+ *       - $ref: '#/components/parameters/AcceptLanguage'
+ *       - in: query
+ *         name: search
+ *         description: Substring of the tag name
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 100
+ *           maximum: 200
+ *       - in: query
+ *         name: offset
+ *         schema:
+ *           type: integer
+ *           default: 0
+ *     responses:
+ *       '200':
+ *         description: Tags
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Tag'
+ *                 total:
+ *                   type: integer
+ *                 language:
+ *                   type: string
+ *       '500':
+ *         description: Failed to load tags
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/', async (req, res) => {
+  const language = resolveLanguage(req, config.languages);
+  const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 100, 1), 200);
+  const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+  const search = req.query.search ? String(req.query.search).trim() || null : null;
+
+  try {
+    const { total, data } = await listTags({ language, search, limit, offset });
+    const payload = { data, total, language };
+    const etag = computeEtag(payload, `tags|${language}|s:${search || ''}|l:${limit}|o:${offset}`);
+    setCacheHeaders(res, { maxAge: 300, swr: 600, vary: ['Accept-Language'], etag });
+    if (handleConditionalGet(req, res, { etag })) return;
+    res.json(payload);
+  } catch (err) {
+    sendError(res, err, 'Failed to load tags');
+  }
+});
+
+/**
+ * @openapi
+ * /tags/{slug}:
+ *   get:
+ *     tags: [Tags]
+ *     summary: Get a tag and its published articles, newest first
+ *     parameters:
+ *       - name: slug
+ *         in: path
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - $ref: '#/components/parameters/AcceptLanguage'
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 12
+ *           maximum: 200
+ *     responses:
+ *       '200':
+ *         description: Tag with articles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 tag:
+ *                   $ref: '#/components/schemas/Tag'
+ *                 data:
+ *                   type: array
+ *                   items:
+ *                     $ref: '#/components/schemas/Article'
+ *                 language:
+ *                   type: string
+ *                 pagination:
+ *                   type: object
+ *       '404':
+ *         description: No such tag in this language
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ *       '500':
+ *         description: Failed to load tag
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/ErrorResponse'
+ */
+router.get('/:slug', async (req, res) => {
+  const language = resolveLanguage(req, config.languages);
+  const rawLimit = Number(req.query.limit);
+  const rawPage = Number(req.query.page);
+  const limit = Number.isFinite(rawLimit) ? Math.max(1, Math.min(200, Math.trunc(rawLimit))) : 12;
+  const page = Number.isFinite(rawPage) ? Math.max(1, Math.trunc(rawPage)) : 1;
+  const offset = (page - 1) * limit;
+
+  try {
+    const tag = await getTagBySlug(language, String(req.params.slug || '').trim());
+    if (!tag) return res.status(404).json({ error: 'Tag not found' });
+
+    const { total, data } = await listArticlesByTag({ language, tagId: tag.id, limit, offset });
+    const pages = Math.ceil(total / limit);
+    const payload = {
+      tag,
+      data,
+      language,
+      pagination: {
+        page,
+        limit,
+        offset,
+        total,
+        pages,
+        hasNext: page < pages,
+        hasPrev: page > 1
+      }
+    };
+    const etag = computeEtag(payload, `tag|${language}|${tag.slug}|p:${page}|l:${limit}`);
+    setCacheHeaders(res, { maxAge: 300, swr: 600, vary: ['Accept-Language'], etag });
+    if (handleConditionalGet(req, res, { etag })) return;
+    res.json(payload);
+  } catch (err) {
+    sendError(res, err, 'Failed to load tag');
+  }
+});
+
+export default router;
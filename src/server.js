@@ -15,10 +15,16 @@ import manualGenerateRoute from './routes/manualGenerate.js';
 import generationRoute from './routes/generation.js';
 import analyticsRoute from './routes/analytics.js';
 import mostReadRoute from './routes/mostRead.js';
+import tagsRoute from './routes/tags.js';
 
 import { runDailyGeneration, runStartupGeneration } from './services/dailyGenerationService.js';
 import { genLog, genError, cleanupOldLogs } from './services/logger.js';
 import { updateTrendingScores } from './services/viewTracker.js';
+import { publishDueScheduledArticles } from './services/editorialService.js';
+import { refreshAllSearchTerms } from './services/searchSuggestions.js';
+import { queueStaleRetranslations } from './services/translationFreshness.js';
+import { startJobWorker, stopJobWorker } from './services/jobQueue.js';
+import './services/generationJobs.js';
 import { validateConfigurationOnStartup } from './services/configValidator.js';
 import { expressErrorHandler } from './services/errorHandler.js';
 import seoRoute from './routes/seo.js';
@@ -26,6 +32,13 @@ import feedsRoute from './routes/feeds.js';
 import htmlSitemapRoute from './routes/htmlSitemap.js';
 import crawlOptimizationRoute from './routes/crawlOptimization.js';
 import pagesRoute from './routes/pages.js';
+import editorialRoute from './routes/editorial.js';
+import apiKeysRoute from './routes/apiKeys.js';
+import redirectsRoute from './routes/redirects.js';
+import sitePagesRoute from './routes/sitePages.js';
+import hreflangRoute from './routes/hreflang.js';
+import glossaryRoute from './routes/glossary.js';
+import { redirectMiddleware } from './middleware/redirects.js';
 import { query } from './db.js';
 import { openapiSpecification } from './docs/swagger.js';
 
@@ -76,9 +89,18 @@ app.use('/generate', manualGenerateRoute);
 app.use('/generation', generationRoute);
 app.use('/analytics', analyticsRoute);
 app.use('/most-read', mostReadRoute);
+app.use('/tags', tagsRoute);
+app.use('/editorial', editorialRoute);
+app.use('/admin/api-keys', apiKeysRoute);
+app.use('/admin/redirects', redirectsRoute);
+app.use('/admin/pages', sitePagesRoute);
+app.use('/admin/hreflang', hreflangRoute);
+app.use('/admin/glossary', glossaryRoute);
 app.use('/api/feeds', feedsRoute);
 app.use('/crawl-optimization', crawlOptimizationRoute);
 app.use('/', htmlSitemapRoute);
+// Old and removed page URLs, before the pages router can 404 them
+app.use(redirectMiddleware());
 app.use('/', pagesRoute);
 app.use('/', seoRoute);
 
@@ -137,6 +159,8 @@ async function ensureDailyQuota() {
       status: 'success',
       generated: result.details.totalArticlesGenerated,
       translations: result.details.totalTranslationsCompleted,
+      queued: result.details.totalArticlesQueued || 0,
+      jobsQueued: result.details.totalJobsQueued || 0,
       processedCategories: result.details.categoriesProcessed.length,
       executionTimeMs: result.details.executionTimeMs
     };
@@ -169,7 +193,7 @@ if (config.generation.enabled) {
       const result = await ensureDailyQuota();
       
       if (result.status === 'success') {
-        genLog(`✅ Daily generation completed successfully: ${result.generated} articles, ${result.translations} translations`);
+        genLog(`✅ Daily generation queued successfully: ${result.queued} articles, ${result.jobsQueued} jobs`);
       } else if (result.status === 'skipped') {
         genLog(`📊 Daily generation skipped: ${result.message || result.reason}`);
       } else if (result.status === 'error' || result.status === 'critical_error') {
@@ -192,14 +216,47 @@ if (config.generation.enabled) {
     }
   });
   
+  // Re-translate translations whose master changed since, a budget's worth per run
+  if (config.translation.retranslateBudget > 0) {
+    cron.schedule(config.translation.staleCheckCron, async () => {
+      try {
+        await queueStaleRetranslations();
+      } catch (error) {
+        genError('Stale translation check failed', { error: error.message }, false);
+      }
+    });
+  }
+
   genLog('📅 Auto-generation schedulers initialized', {
     dailyGeneration: '0 10 * * * (10 AM daily)',
     logCleanup: '0 2 * * * (2 AM daily)',
     trendingUpdates: '*/30 * * * * (every 30 min)',
+    staleTranslationCheck: config.translation.retranslateBudget > 0
+      ? `${config.translation.staleCheckCron} (up to ${config.translation.retranslateBudget} re-translations)`
+      : 'disabled',
     articlesPerCategory: config.generation.articlesPerCategoryPerDay
   });
 }
 
+// Scheduled publishing runs regardless of generation so editors can queue
+// articles even when auto-generation is disabled
+cron.schedule(config.editorial.scheduleCron, async () => {
+  try {
+    await publishDueScheduledArticles();
+  } catch (error) {
+    genError('Scheduled publishing failed', { error: error.message }, false);
+  }
+});
+
+// "Did you mean" vocabulary follows newly published titles - hourly
+cron.schedule('20 * * * *', async () => {
+  try {
+    await refreshAllSearchTerms();
+  } catch (error) {
+    genError('Search term refresh failed', { error: error.message }, false);
+  }
+});
+
 // Enhanced startup generation on server start
 if (config.generation.enabled) {
   // Immediate startup check (conservative)
@@ -238,6 +295,12 @@ function startServer() {
     process.exit(1);
   }
 
+  // Drain the generation/translation job queue; jobs interrupted by a previous
+  // shutdown are picked up again once their lock expires
+  if (config.jobs.workerEnabled) {
+    startJobWorker();
+  }
+
   if (isProduction && config.https.certPath && config.https.keyPath) {
     const cert = fs.readFileSync(config.https.certPath);
     const key = fs.readFileSync(config.https.keyPath);
@@ -261,6 +324,16 @@ function startServer() {
   }
 }
 
+// Let in-flight jobs finish before exiting
+async function shutdown(signal) {
+  genLog('Shutdown signal received, stopping job worker', { signal });
+  await stopJobWorker();
+  process.exit(0);
+}
+
+process.once('SIGTERM', () => shutdown('SIGTERM'));
+process.once('SIGINT', () => shutdown('SIGINT'));
+
 startServer();
 
 
@@ -0,0 +1,138 @@
+import crypto from 'crypto';
+import { query } from '../db.js';
+import { AppError, ErrorTypes, withDatabaseErrorHandling } from './errorHandler.js';
+
+/**
+ * API key management. Keys are random tokens handed out once; only their
+ * SHA-256 hash and a short display prefix are kept in the database.
+ */
+
+export const API_KEY_ROLES = ['reader', 'editor', 'admin'];
+
+const KEY_PREFIX = 'aa_';
+
+// Columns that are safe to return from the admin API
+const PUBLIC_COLUMNS = `id, name, key_prefix, role, rate_limit_points, rate_limit_duration,
+  created_at, last_used_at, expires_at, revoked_at`;
+
+export function hashApiKey(apiKey) {
+  return crypto.createHash('sha256').update(String(apiKey)).digest('hex');
+}
+
+export function generateApiKey() {
+  return `${KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+function optionalPositiveInt(value, field) {
+  if (value == null || value === '') return null;
+  const num = Number(value);
+  if (!Number.isInteger(num) || num <= 0) {
+    throw new AppError(`${field} must be a positive integer`, ErrorTypes.VALIDATION_ERROR, { [field]: value });
+  }
+  return num;
+}
+
+/**
+ * Create a new API key. The plaintext key is only available in the return value.
+ *
+ * @param {object} options
+ * @param {string} options.name human readable label (who/what uses the key)
+ * @param {'reader'|'editor'|'admin'} [options.role]
+ * @param {number} [options.rateLimitPoints] requests allowed per window (role default when omitted)
+ * @param {number} [options.rateLimitDuration] window length in seconds
+ * @param {string|Date} [options.expiresAt]
+ * @returns {Promise<{ apiKey: string, key: object }>}
+ */
+export async function createApiKey({ name, role = 'reader', rateLimitPoints = null, rateLimitDuration = null, expiresAt = null }) {
+  if (!name || !String(name).trim()) {
+    throw new AppError('name is required', ErrorTypes.VALIDATION_ERROR);
+  }
+  if (!API_KEY_ROLES.includes(role)) {
+    throw new AppError(`Invalid role, expected one of: ${API_KEY_ROLES.join(', ')}`, ErrorTypes.VALIDATION_ERROR, { role });
+  }
+  const points = optionalPositiveInt(rateLimitPoints, 'rateLimitPoints');
+  const duration = optionalPositiveInt(rateLimitDuration, 'rateLimitDuration');
+
+  let expires = null;
+  if (expiresAt) {
+    expires = new Date(expiresAt);
+    if (Number.isNaN(expires.getTime())) {
+      throw new AppError('expiresAt must be a valid date', ErrorTypes.VALIDATION_ERROR, { expiresAt });
+    }
+  }
+
+  const apiKey = generateApiKey();
+
+  return await withDatabaseErrorHandling(async () => {
+    const { rows } = await query(
+      `INSERT INTO api_keys (name, key_prefix, key_hash, role, rate_limit_points, rate_limit_duration, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [String(name).trim(), apiKey.slice(0, KEY_PREFIX.length + 6), hashApiKey(apiKey), role, points, duration, expires]
+    );
+    return { apiKey, key: rows[0] };
+  }, 'createApiKey');
+}
+
+/**
+ * Resolve a plaintext key to its active (not revoked, not expired) record
+ */
+export async function findActiveApiKey(apiKey) {
+  if (!apiKey) return null;
+  const { rows } = await query(
+    `SELECT ${PUBLIC_COLUMNS}
+     FROM api_keys
+     WHERE key_hash = $1
+       AND revoked_at IS NULL
+       AND (expires_at IS NULL OR expires_at > now())
+     LIMIT 1`,
+    [hashApiKey(apiKey)]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Record key usage without blocking the request
+ */
+export function touchApiKey(id) {
+  query('UPDATE api_keys SET last_used_at = now() WHERE id = $1', [id])
+    .catch((err) => console.error('Failed to update api key usage:', err.message));
+}
+
+export async function listApiKeys({ includeRevoked = false } = {}) {
+  return await withDatabaseErrorHandling(async () => {
+    const { rows } = await query(
+      `SELECT ${PUBLIC_COLUMNS}
+       FROM api_keys
+       ${includeRevoked ? '' : 'WHERE revoked_at IS NULL'}
+       ORDER BY created_at DESC, id DESC`
+    );
+    return rows;
+  }, 'listApiKeys');
+}
+
+export async function revokeApiKey(id) {
+  const { rows } = await withDatabaseErrorHandling(async () => {
+    return await query(
+      `UPDATE api_keys SET revoked_at = COALESCE(revoked_at, now())
+       WHERE id = $1
+       RETURNING ${PUBLIC_COLUMNS}`,
+      [id]
+    );
+  }, 'revokeApiKey');
+  if (rows.length === 0) {
+    throw new AppError('API key not found', ErrorTypes.RESOURCE_NOT_FOUND, { id });
+  }
+  return rows[0];
+}
+
+export default {
+  API_KEY_ROLES,
+  hashApiKey,
+  generateApiKey,
+  createApiKey,
+  findActiveApiKey,
+  touchApiKey,
+  listApiKeys,
+  revokeApiKey
+};
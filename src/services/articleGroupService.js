@@ -0,0 +1,250 @@
+import { query } from '../db.js';
+import { config } from '../config.js';
+import { articlesTable } from '../utils/articlesTable.js';
+import { publishedOnly } from '../utils/articleStatus.js';
+import { AppError, ErrorTypes, withDatabaseErrorHandling } from './errorHandler.js';
+
+/**
+ * Translation groups.
+ *
+ * `article_groups` (scripts/add-article-groups.js) ties every translation to
+ * its English master by id: each group has one row per language, the master
+ * included, recording which article a translation was made from and that
+ * article's content_hash at the time. Article ids are only unique within
+ * their language table, so a member is identified by (language, id).
+ * Slugs play no part, so a slug that happens to end in `-es` or got a `-2`
+ * suffix is never mistaken for a translation.
+ */
+
+function assertLanguage(language) {
+  if (!config.languages.includes(language)) {
+    throw new AppError('Unsupported language', ErrorTypes.VALIDATION_ERROR, { language });
+  }
+}
+
+function toId(value) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new AppError('id must be a positive integer', ErrorTypes.VALIDATION_ERROR, { id: value });
+  }
+  return id;
+}
+
+/**
+ * Position of a language in config.languages, unknown languages last
+ */
+export function languageOrder(language) {
+  const index = config.languages.indexOf(language);
+  return index === -1 ? config.languages.length : index;
+}
+
+/**
+ * Start the group of a newly inserted English master
+ * @param {{ query: Function }} executor pool or transaction client
+ */
+export async function addMasterToGroup(executor, masterId) {
+  await executor.query(
+    `INSERT INTO article_groups (master_id, language_code, article_id)
+     VALUES ($1, 'en', $1)
+     ON CONFLICT DO NOTHING`,
+    [masterId]
+  );
+}
+
+/**
+ * Record a translation in its master's group, replacing an earlier
+ * translation into the same language
+ *
+ * @param {{ query: Function }} executor pool or transaction client
+ * @param {object} link
+ * @param {number} link.masterId
+ * @param {string} link.language
+ * @param {number} link.articleId id in the articles table of `language`
+ * @param {number} [link.sourceArticleId] article it was translated from, the master by default
+ * @param {string} [link.sourceContentHash] content_hash of that article when it was translated
+ */
+export async function linkTranslation(executor, { masterId, language, articleId, sourceArticleId = masterId, sourceContentHash = null }) {
+  await executor.query(
+    `INSERT INTO article_groups (master_id, language_code, article_id, source_article_id, source_content_hash)
+     VALUES ($1, $2, $3, $4, $5)
+     ON CONFLICT (master_id, language_code) DO UPDATE
+     SET article_id = EXCLUDED.article_id,
+         source_article_id = EXCLUDED.source_article_id,
+         source_content_hash = EXCLUDED.source_content_hash,
+         updated_at = now()`,
+    [masterId, language, articleId, sourceArticleId, sourceContentHash]
+  );
+}
+
+/**
+ * Translations of a master, without the master itself
+ * @param {{ query: Function }} executor pool or transaction client
+ * @returns {Promise<Array<{ language: string, id: number }>>}
+ */
+export async function getTranslationIds(executor, masterId) {
+  const { rows } = await executor.query(
+    `SELECT language_code, article_id FROM article_groups
+     WHERE master_id = $1 AND language_code <> 'en'`,
+    [masterId]
+  );
+  return rows
+    .map((row) => ({ language: row.language_code, id: Number(row.article_id) }))
+    .sort((a, b) => languageOrder(a.language) - languageOrder(b.language));
+}
+
+/**
+ * Id of a master's translation into one language, or null
+ * @param {{ query: Function }} executor pool or transaction client
+ */
+export async function getTranslationId(executor, masterId, language) {
+  const { rows } = await executor.query(
+    'SELECT article_id FROM article_groups WHERE master_id = $1 AND language_code = $2',
+    [masterId, language]
+  );
+  return rows[0] ? Number(rows[0].article_id) : null;
+}
+
+/**
+ * Group row of a master's translation into one language, or null
+ * @param {{ query: Function }} executor pool or transaction client
+ * @returns {Promise<{ articleId: number, sourceArticleId: number|null, sourceContentHash: string|null }|null>}
+ */
+export async function getTranslationLink(executor, masterId, language) {
+  const { rows } = await executor.query(
+    `SELECT article_id, source_article_id, source_content_hash FROM article_groups
+     WHERE master_id = $1 AND language_code = $2`,
+    [masterId, language]
+  );
+  if (!rows.length) return null;
+  return {
+    articleId: Number(rows[0].article_id),
+    sourceArticleId: rows[0].source_article_id === null ? null : Number(rows[0].source_article_id),
+    sourceContentHash: rows[0].source_content_hash
+  };
+}
+
+/**
+ * Master id of the group an article belongs to, or null
+ */
+export async function getGroupMasterId(language, articleId) {
+  try {
+    const { rows } = await query(
+      'SELECT master_id FROM article_groups WHERE language_code = $1 AND article_id = $2',
+      [language, articleId]
+    );
+    return rows[0] ? Number(rows[0].master_id) : null;
+  } catch (err) {
+    // Treat every article as ungrouped until the migration has run
+    if (err.code === '42P01') return null;
+    throw err;
+  }
+}
+
+/**
+ * Members of a group with their article fields, in configured language order
+ */
+async function loadGroupMembers(masterId, { includeUnpublished }) {
+  const { rows: links } = await query(
+    `SELECT language_code, article_id, source_article_id, source_content_hash
+     FROM article_groups WHERE master_id = $1`,
+    [masterId]
+  );
+
+  const members = [];
+  for (const link of links) {
+    const tableName = articlesTable(link.language_code);
+    try {
+      const { rows } = await query(
+        `SELECT id, slug, title, status, canonical_url, content_hash, published_at, updated_at
+         FROM ${tableName}
+         WHERE id = $1 AND ${includeUnpublished ? 'deleted_at IS NULL' : publishedOnly('')}`,
+        [link.article_id]
+      );
+      if (!rows.length) continue;
+      members.push({
+        ...rows[0],
+        id: Number(rows[0].id),
+        language_code: link.language_code,
+        is_master: link.language_code === 'en' && Number(link.article_id) === masterId,
+        source_article_id: link.source_article_id === null ? null : Number(link.source_article_id),
+        source_content_hash: link.source_content_hash
+      });
+    } catch (err) {
+      // Skip if table doesn't exist yet
+      if (err.code !== '42P01') throw err;
+    }
+  }
+  return members.sort((a, b) => languageOrder(a.language_code) - languageOrder(b.language_code));
+}
+
+/**
+ * The translation group of an article: its master and every translation
+ *
+ * @param {string} language language of the article table
+ * @param {string|number} id article id
+ * @param {object} [options]
+ * @param {boolean} [options.includeUnpublished] also list drafts, articles in review...
+ * @returns {Promise<{ master_id: number|null, translations: object[] }>}
+ *   master_id is null for an article outside any group, listed on its own
+ */
+export async function getArticleTranslations(language, id, { includeUnpublished = false } = {}) {
+  assertLanguage(language);
+  const articleId = toId(id);
+  const tableName = articlesTable(language);
+
+  const { rows } = await withDatabaseErrorHandling(() => query(
+    `SELECT id FROM ${tableName} WHERE id = $1 AND ${includeUnpublished ? 'deleted_at IS NULL' : publishedOnly('')}`,
+    [articleId]
+  ), 'getArticleTranslations');
+  if (!rows.length) {
+    throw new AppError('Article not found', ErrorTypes.RESOURCE_NOT_FOUND, { language, id: articleId });
+  }
+
+  return await withDatabaseErrorHandling(async () => {
+    const masterId = await getGroupMasterId(language, articleId);
+    if (masterId === null) {
+      const { rows: self } = await query(
+        `SELECT id, slug, title, status, canonical_url, content_hash, published_at, updated_at
+         FROM ${tableName} WHERE id = $1`,
+        [articleId]
+      );
+      return {
+        master_id: null,
+        translations: [{
+          ...self[0],
+          id: articleId,
+          language_code: language,
+          is_master: false,
+          source_article_id: null,
+          source_content_hash: null
+        }]
+      };
+    }
+
+    return { master_id: masterId, translations: await loadGroupMembers(masterId, { includeUnpublished }) };
+  }, 'getArticleTranslations');
+}
+
+/**
+ * Published versions of an article in every language, itself included, for
+ * hreflang links and language switchers
+ * @returns {Promise<Array<{ language: string, slug: string, isMaster: boolean }>>}
+ */
+export async function getPublishedTranslations(language, articleId) {
+  const masterId = await getGroupMasterId(language, articleId);
+  if (masterId === null) return [];
+  const members = await loadGroupMembers(masterId, { includeUnpublished: false });
+  return members.map((m) => ({ language: m.language_code, slug: m.slug, isMaster: m.is_master }));
+}
+
+export default {
+  languageOrder,
+  addMasterToGroup,
+  linkTranslation,
+  getTranslationIds,
+  getTranslationId,
+  getTranslationLink,
+  getGroupMasterId,
+  getArticleTranslations,
+  getPublishedTranslations
+};
@@ -0,0 +1,698 @@
+import { query, withTransaction } from '../db.js';
+import { config } from '../config.js';
+import { articlesTable } from '../utils/articlesTable.js';
+import { isValidStatus } from '../utils/articleStatus.js';
+import { isValidArticleType } from '../utils/articleTypes.js';
+import { AppError, ErrorTypes, withDatabaseErrorHandling } from './errorHandler.js';
+import { notifyArticlePublished } from './editorialService.js';
+import { setRevisionContext } from './revisionService.js';
+import { fetchBestImageUrl } from './unsplash.js';
+import {
+  sanitizeHtmlContent,
+  estimateReadingTimeMinutes,
+  computeHash,
+  writeImageAlt,
+  canonicalForSlug
+} from './generation.js';
+import { articlePath, upsertRedirect, invalidateRedirectCache } from './redirectService.js';
+import { getTranslationIds, getTranslationId } from './articleGroupService.js';
+import { toSlug } from '../utils/slug.js';
+import { escapeHtml } from '../utils/template.js';
+import { genLog, genError } from './logger.js';
+
+/**
+ * Editor-facing article management: edits, soft deletes and bulk operations
+ * over the language-sharded articles tables.
+ *
+ * Deleted articles are kept as tombstones (deleted_at set, status
+ * `unpublished`) and get a row in the redirects table so their URLs answer
+ * 410 Gone, or 301 to `replacement_slug` in the same language. Slug edits
+ * leave a 301 from the old URL. Approving a deleted article in the editorial
+ * workflow restores it.
+ */
+
+// Fields accepted by updateArticle, besides category_slug
+export const EDITABLE_FIELDS = [
+  'title',
+  'slug',
+  'summary',
+  'meta_title',
+  'meta_description',
+  'content',
+  'image_url',
+  'image_alt',
+  'category_id'
+];
+
+export const DELETE_MODES = ['gone', 'redirect'];
+
+export const BULK_ACTIONS = ['recategorize', 'refetch_image', 'delete'];
+
+// Largest number of articles one bulk request may touch
+export const BULK_LIMIT = 500;
+// Image re-fetch calls image providers and the alt text model per article
+export const BULK_IMAGE_LIMIT = 50;
+
+const JSON_LD_RE = /<script type="application\/ld\+json">[\s\S]*?<\/script>/gi;
+
+function assertLanguage(language) {
+  if (!config.languages.includes(language)) {
+    throw new AppError('Unsupported language', ErrorTypes.VALIDATION_ERROR, { language });
+  }
+}
+
+function toId(value, name = 'id') {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new AppError(`${name} must be a positive integer`, ErrorTypes.VALIDATION_ERROR, { [name]: value });
+  }
+  return id;
+}
+
+function unwrapTransactionError(err) {
+  // withTransaction wraps errors; surface our own AppError unchanged
+  if (err.originalError instanceof AppError) return err.originalError;
+  return err;
+}
+
+/**
+ * Resolve a category given by id or slug
+ * @returns {Promise<{ id: number, slug: string, name: string }>}
+ */
+async function resolveCategory({ categoryId, categorySlug }) {
+  const byId = categoryId !== undefined && categoryId !== null;
+  const { rows } = await query(
+    byId
+      ? 'SELECT id, slug, name FROM categories WHERE id = $1'
+      : 'SELECT id, slug, name FROM categories WHERE slug = $1',
+    [byId ? toId(categoryId, 'category_id') : String(categorySlug)]
+  );
+  if (rows.length === 0) {
+    throw new AppError('Category not found', ErrorTypes.VALIDATION_ERROR, { categoryId, categorySlug });
+  }
+  return { ...rows[0], id: Number(rows[0].id) };
+}
+
+/**
+ * Apply an update to every translation in a master's group
+ */
+async function updateTranslations(client, masterId, setSql, params) {
+  const updated = [];
+  for (const { language: lang, id } of await getTranslationIds(client, masterId)) {
+    const res = await client.query(
+      `UPDATE ${articlesTable(lang)}
+       SET ${setSql}
+       WHERE id = $1
+       RETURNING id, slug, '${lang}' AS language_code`,
+      [id, ...params]
+    );
+    updated.push(...res.rows);
+  }
+  return updated;
+}
+
+function validateChanges(changes) {
+  const unknown = Object.keys(changes).filter((key) => !EDITABLE_FIELDS.includes(key) && key !== 'category_slug');
+  if (unknown.length) {
+    throw new AppError(
+      `Unknown fields: ${unknown.join(', ')}. Editable fields: ${EDITABLE_FIELDS.join(', ')}, category_slug`,
+      ErrorTypes.VALIDATION_ERROR,
+      { unknown }
+    );
+  }
+  if (Object.keys(changes).length === 0) {
+    throw new AppError('No changes given', ErrorTypes.VALIDATION_ERROR);
+  }
+
+  for (const field of ['title', 'content']) {
+    if (field in changes && (typeof changes[field] !== 'string' || !changes[field].trim())) {
+      throw new AppError(`${field} must be a non-empty string`, ErrorTypes.VALIDATION_ERROR, { field });
+    }
+  }
+  for (const field of ['summary', 'meta_title', 'meta_description', 'image_alt']) {
+    if (field in changes && changes[field] !== null && typeof changes[field] !== 'string') {
+      throw new AppError(`${field} must be a string or null`, ErrorTypes.VALIDATION_ERROR, { field });
+    }
+  }
+  if ('slug' in changes && (typeof changes.slug !== 'string' || !changes.slug || toSlug(changes.slug) !== changes.slug)) {
+    throw new AppError(
+      'slug must be lowercase letters, digits and hyphens',
+      ErrorTypes.VALIDATION_ERROR,
+      { field: 'slug', suggestion: typeof changes.slug === 'string' ? toSlug(changes.slug) : undefined }
+    );
+  }
+  if ('title' in changes && changes.title.trim().length > 200) {
+    throw new AppError('title must be at most 200 characters', ErrorTypes.VALIDATION_ERROR, { field: 'title' });
+  }
+  if ('image_url' in changes && changes.image_url !== null && !/^https?:\/\/\S+$/i.test(String(changes.image_url))) {
+    throw new AppError('image_url must be an http(s) URL or null', ErrorTypes.VALIDATION_ERROR, { field: 'image_url' });
+  }
+}
+
+/**
+ * Slugs are unique across all language tables (see generateUniqueSlug)
+ */
+async function assertSlugAvailable(client, slug, { language, id }) {
+  for (const lang of config.languages) {
+    try {
+      const { rows } = await client.query(
+        `SELECT id FROM ${articlesTable(lang)} WHERE slug = $1`,
+        [slug]
+      );
+      if (rows.some((row) => lang !== language || Number(row.id) !== id)) {
+        throw new AppError('slug is already used by another article', ErrorTypes.VALIDATION_ERROR, { slug, language: lang });
+      }
+    } catch (err) {
+      // Skip if table doesn't exist yet
+      if (err.code !== '42P01') throw err;
+    }
+  }
+}
+
+/**
+ * Follow a master's slug change on its translations (`${old}-${lang}` becomes
+ * `${new}-${lang}`, keeping any numeric suffix), leaving a redirect from
+ * each old URL. Translations given a slug of their own keep it.
+ */
+async function renameTranslations(client, masterId, oldSlug, newSlug) {
+  const renamed = [];
+  for (const { language: lang, id } of await getTranslationIds(client, masterId)) {
+    const tableName = articlesTable(lang);
+    const { rows } = await client.query(
+      `SELECT id, slug FROM ${tableName} WHERE id = $1 FOR UPDATE`,
+      [id]
+    );
+    for (const row of rows) {
+      if (!row.slug.startsWith(`${oldSlug}-`)) continue;
+      const slug = `${newSlug}${row.slug.slice(oldSlug.length)}`;
+      await assertSlugAvailable(client, slug, { language: lang, id: Number(row.id) });
+      const res = await client.query(
+        `UPDATE ${tableName}
+         SET slug = $2, canonical_url = $3, updated_at = now()
+         WHERE id = $1
+         RETURNING *, '${lang}' AS language_code`,
+        [row.id, slug, canonicalForSlug(slug, lang)]
+      );
+      await upsertRedirect(client, {
+        source: articlePath(lang, row.slug),
+        target: articlePath(lang, slug),
+        statusCode: 301,
+        reason: 'slug_change'
+      });
+      renamed.push(res.rows[0]);
+    }
+  }
+  return renamed;
+}
+
+/**
+ * Sanitize edited content the same way generated content is, keeping the
+ * JSON-LD blocks the sanitizer would strip. When the edit carries no JSON-LD,
+ * the article's existing blocks are kept.
+ */
+function prepareContent(content, previousContent, previousTitle, title) {
+  const submittedLd = content.match(JSON_LD_RE) || [];
+  const jsonLd = submittedLd.length ? submittedLd : (String(previousContent || '').match(JSON_LD_RE) || []);
+  let html = sanitizeHtmlContent(content.replace(JSON_LD_RE, '')).trim();
+  if (title !== previousTitle) {
+    // Titles are stored raw, headings as the sanitizer escaped them
+    const heading = (text) => sanitizeHtmlContent(`<h1>${escapeHtml(text)}</h1>`);
+    html = html.split(heading(previousTitle)).join(heading(title));
+  }
+  return [html, ...jsonLd].join('\n');
+}
+
+/**
+ * Edit an article's title, slug, meta fields, content, category or image.
+ * A category or slug change on an English master is applied to its
+ * translations too unless `includeTranslations` is false. A slug change
+ * leaves a 301 from the old URL to the new one.
+ *
+ * @param {object} options
+ * @param {string} options.language
+ * @param {string|number} options.id
+ * @param {object} options.changes subset of EDITABLE_FIELDS (or category_slug)
+ * @param {string} [options.changedBy] recorded on the revision
+ * @param {boolean} [options.includeTranslations]
+ * @returns {Promise<{ article: object, translations: object[] }>}
+ */
+export async function updateArticle({ language, id, changes = {}, changedBy = null, includeTranslations = true }) {
+  assertLanguage(language);
+  const articleId = toId(id);
+  validateChanges(changes);
+
+  const category = ('category_id' in changes || 'category_slug' in changes)
+    ? await resolveCategory({ categoryId: changes.category_id, categorySlug: changes.category_slug })
+    : null;
+  const tableName = articlesTable(language);
+
+  let result;
+  try {
+    result = await withTransaction(async (client) => {
+      const current = await client.query(
+        `SELECT id, slug, title, content, category_id, deleted_at FROM ${tableName} WHERE id = $1 FOR UPDATE`,
+        [articleId]
+      );
+      if (current.rowCount === 0) {
+        throw new AppError('Article not found', ErrorTypes.RESOURCE_NOT_FOUND, { language, id: articleId });
+      }
+      const previous = current.rows[0];
+      if (previous.deleted_at) {
+        throw new AppError('Article is deleted; approve it to restore before editing', ErrorTypes.VALIDATION_ERROR, { language, id: articleId });
+      }
+
+      const updates = {};
+      for (const field of ['summary', 'meta_title', 'meta_description', 'image_url', 'image_alt']) {
+        if (field in changes) updates[field] = changes[field] === null ? null : String(changes[field]).trim();
+      }
+      const title = 'title' in changes ? changes.title.trim() : previous.title;
+      if ('title' in changes) updates.title = title;
+      if ('content' in changes || 'title' in changes) {
+        const content = 'content' in changes
+          ? prepareContent(changes.content, previous.content, previous.title, title)
+          : prepareContent(previous.content, previous.content, previous.title, title);
+        updates.content = content;
+        updates.content_hash = computeHash(content + title);
+        updates.reading_time_minutes = estimateReadingTimeMinutes(content);
+      }
+      if (category) updates.category_id = category.id;
+      const slugChanged = 'slug' in changes && changes.slug !== previous.slug;
+      if (slugChanged) {
+        await assertSlugAvailable(client, changes.slug, { language, id: articleId });
+        updates.slug = changes.slug;
+        updates.canonical_url = canonicalForSlug(changes.slug, language);
+      }
+      if (Object.keys(updates).length === 0) {
+        throw new AppError('No changes given', ErrorTypes.VALIDATION_ERROR);
+      }
+
+      await setRevisionContext(client, { source: 'edit', changedBy });
+
+      const fields = Object.keys(updates);
+      const updated = await client.query(
+        `UPDATE ${tableName}
+         SET ${fields.map((field, i) => `${field} = $${i + 2}`).join(', ')}, updated_at = now()
+         WHERE id = $1
+         RETURNING *, '${language}' AS language_code`,
+        [articleId, ...fields.map((field) => updates[field])]
+      );
+
+      const cascade = includeTranslations && language === 'en';
+      const translations = cascade && category && category.id !== Number(previous.category_id)
+        ? await updateTranslations(client, articleId, 'category_id = $2, updated_at = now()', [category.id])
+        : [];
+
+      if (slugChanged) {
+        await upsertRedirect(client, {
+          source: articlePath(language, previous.slug),
+          target: articlePath(language, changes.slug),
+          statusCode: 301,
+          reason: 'slug_change'
+        });
+        if (cascade) {
+          for (const row of await renameTranslations(client, articleId, previous.slug, changes.slug)) {
+            if (!translations.some((t) => t.language_code === row.language_code && Number(t.id) === Number(row.id))) {
+              translations.push(row);
+            }
+          }
+        }
+      }
+
+      return { article: updated.rows[0], translations, fields, previousSlug: slugChanged ? previous.slug : null };
+    });
+  } catch (err) {
+    throw unwrapTransactionError(err);
+  }
+  if (result.previousSlug) invalidateRedirectCache();
+
+  genLog('Article updated', {
+    language,
+    id: articleId,
+    slug: result.article.slug,
+    previousSlug: result.previousSlug || undefined,
+    fields: result.fields,
+    translations: result.translations.length,
+    changedBy
+  });
+
+  // Search engines should recrawl edited live pages
+  notifyArticlePublished(result.article);
+
+  return { article: result.article, translations: result.translations };
+}
+
+/**
+ * Published, non-deleted article in the given table that a deleted article may point to
+ */
+async function findReplacement(executor, tableName, slug) {
+  const { rows } = await executor.query(
+    `SELECT id, slug FROM ${tableName} WHERE slug = $1 AND status = 'published' AND deleted_at IS NULL`,
+    [slug]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * The published translation of a replacement article, found through its group
+ */
+async function findTranslatedReplacement(client, replacementId, language) {
+  const id = await getTranslationId(client, replacementId, language);
+  if (id === null) return null;
+  const { rows } = await client.query(
+    `SELECT id, slug FROM ${articlesTable(language)} WHERE id = $1 AND status = 'published' AND deleted_at IS NULL`,
+    [id]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Redirect row for a deleted article: 301 to its replacement, or 410
+ */
+async function redirectDeletedArticle(client, language, slug, replacementSlug) {
+  await upsertRedirect(client, {
+    source: articlePath(language, slug),
+    target: replacementSlug ? articlePath(language, replacementSlug) : null,
+    statusCode: replacementSlug ? 301 : 410,
+    reason: 'delete'
+  });
+}
+
+/**
+ * Soft-delete an article. `gone` makes its URL answer 410; `redirect` makes it
+ * answer 301 to `replacementSlug` (a published article in the same language).
+ * Deleting an English master deletes its translations as well; each one
+ * redirects to the replacement's translation when that exists and is gone
+ * otherwise.
+ *
+ * @param {object} options
+ * @param {string} options.language
+ * @param {string|number} options.id
+ * @param {'gone'|'redirect'} [options.mode]
+ * @param {string} [options.replacementSlug] required for `redirect`
+ * @param {boolean} [options.includeTranslations]
+ * @param {string} [options.changedBy]
+ * @returns {Promise<{ article: object, translations: object[] }>}
+ */
+export async function deleteArticle({ language, id, mode = 'gone', replacementSlug = null, includeTranslations = true, changedBy = null }) {
+  assertLanguage(language);
+  const articleId = toId(id);
+  if (!DELETE_MODES.includes(mode)) {
+    throw new AppError(`mode must be one of: ${DELETE_MODES.join(', ')}`, ErrorTypes.VALIDATION_ERROR, { mode });
+  }
+  if (mode === 'redirect' && !replacementSlug) {
+    throw new AppError('replacementSlug is required for redirect mode', ErrorTypes.VALIDATION_ERROR);
+  }
+  const tableName = articlesTable(language);
+
+  let result;
+  try {
+    result = await withTransaction(async (client) => {
+      const current = await client.query(
+        `SELECT id, slug FROM ${tableName} WHERE id = $1 FOR UPDATE`,
+        [articleId]
+      );
+      if (current.rowCount === 0) {
+        throw new AppError('Article not found', ErrorTypes.RESOURCE_NOT_FOUND, { language, id: articleId });
+      }
+      const { slug } = current.rows[0];
+
+      let replacement = null;
+      if (mode === 'redirect') {
+        replacement = await findReplacement(client, tableName, replacementSlug);
+        if (!replacement || Number(replacement.id) === articleId) {
+          throw new AppError(
+            'replacementSlug must be another published article in the same language',
+            ErrorTypes.VALIDATION_ERROR,
+            { language, replacementSlug }
+          );
+        }
+      }
+
+      const deleteSql = `status = 'unpublished', scheduled_at = NULL, deleted_at = now(), replacement_slug = $2, updated_at = now()`;
+      const updated = await client.query(
+        `UPDATE ${tableName}
+         SET ${deleteSql}
+         WHERE id = $1
+         RETURNING id, slug, status, deleted_at, replacement_slug, '${language}' AS language_code`,
+        [articleId, replacement?.slug || null]
+      );
+      await redirectDeletedArticle(client, language, slug, replacement?.slug);
+
+      const translations = [];
+      if (includeTranslations && language === 'en') {
+        for (const { language: lang, id } of await getTranslationIds(client, articleId)) {
+          const translatedReplacement = replacement
+            ? await findTranslatedReplacement(client, Number(replacement.id), lang)
+            : null;
+          const res = await client.query(
+            `UPDATE ${articlesTable(lang)}
+             SET ${deleteSql}
+             WHERE id = $1 AND deleted_at IS NULL
+             RETURNING id, slug, status, deleted_at, replacement_slug, '${lang}' AS language_code`,
+            [id, translatedReplacement?.slug || null]
+          );
+          for (const row of res.rows) {
+            await redirectDeletedArticle(client, lang, row.slug, row.replacement_slug);
+          }
+          translations.push(...res.rows);
+        }
+      }
+
+      return { article: updated.rows[0], translations };
+    });
+  } catch (err) {
+    throw unwrapTransactionError(err);
+  }
+  invalidateRedirectCache();
+
+  genLog('Article deleted', {
+    language,
+    id: articleId,
+    slug: result.article.slug,
+    mode,
+    replacementSlug: result.article.replacement_slug,
+    translations: result.translations.length,
+    changedBy
+  });
+
+  return result;
+}
+
+/**
+ * Fetch a new lead image and alt text for one article
+ * @returns {Promise<{ id: number, slug: string, image_url: string|null, updated: boolean }>}
+ */
+export async function refetchArticleImage({ language, id }) {
+  assertLanguage(language);
+  const articleId = toId(id);
+  const tableName = articlesTable(language);
+
+  const { rows } = await query(
+    `SELECT a.id, a.slug, a.title, a.summary, c.id AS category_id, c.slug AS category_slug, c.name AS category_name
+     FROM ${tableName} a
+     LEFT JOIN categories c ON c.id = a.category_id
+     WHERE a.id = $1`,
+    [articleId]
+  );
+  if (rows.length === 0) {
+    throw new AppError('Article not found', ErrorTypes.RESOURCE_NOT_FOUND, { language, id: articleId });
+  }
+  const article = rows[0];
+  const category = { id: article.category_id, slug: article.category_slug || '', name: article.category_name || '' };
+
+  const imageUrl = await fetchBestImageUrl(article.title, category.slug);
+  if (!imageUrl) {
+    return { id: articleId, slug: article.slug, image_url: null, updated: false };
+  }
+  const imageAlt = await writeImageAlt({ title: article.title, summary: article.summary, category });
+
+  await query(
+    `UPDATE ${tableName} SET image_url = $2, image_alt = $3, updated_at = now() WHERE id = $1`,
+    [articleId, imageUrl, imageAlt]
+  );
+  return { id: articleId, slug: article.slug, image_url: imageUrl, updated: true };
+}
+
+/**
+ * WHERE clause for a bulk filter. At least one criterion is required so a
+ * typo can't select the whole table.
+ */
+function buildBulkFilter(filter = {}) {
+  const conditions = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    conditions.push(sql.replace('?', `$${params.length}`));
+  };
+
+  if (filter.ids !== undefined) {
+    if (!Array.isArray(filter.ids) || !filter.ids.length) {
+      throw new AppError('filter.ids must be a non-empty array', ErrorTypes.VALIDATION_ERROR);
+    }
+    add('a.id = ANY(?)', filter.ids.map((v) => toId(v, 'filter.ids')));
+  }
+  if (filter.slugs !== undefined) {
+    if (!Array.isArray(filter.slugs) || !filter.slugs.length) {
+      throw new AppError('filter.slugs must be a non-empty array', ErrorTypes.VALIDATION_ERROR);
+    }
+    add('a.slug = ANY(?)', filter.slugs.map(String));
+  }
+  if (filter.categoryId !== undefined) add('a.category_id = ?', toId(filter.categoryId, 'filter.categoryId'));
+  if (filter.categorySlug !== undefined) add('a.category_id = (SELECT id FROM categories WHERE slug = ?)', String(filter.categorySlug));
+  if (filter.status !== undefined) {
+    if (!isValidStatus(filter.status)) {
+      throw new AppError('Invalid filter.status', ErrorTypes.VALIDATION_ERROR, { status: filter.status });
+    }
+    add('a.status = ?', filter.status);
+  }
+  if (filter.type !== undefined) {
+    if (!isValidArticleType(filter.type)) {
+      throw new AppError('Invalid filter.type', ErrorTypes.VALIDATION_ERROR, { type: filter.type });
+    }
+    add('a.article_type = ?', filter.type);
+  }
+  for (const [key, sql] of [['createdAfter', 'a.created_at >= ?'], ['createdBefore', 'a.created_at < ?']]) {
+    if (filter[key] === undefined) continue;
+    const date = new Date(filter[key]);
+    if (Number.isNaN(date.getTime())) {
+      throw new AppError(`filter.${key} must be a valid date`, ErrorTypes.VALIDATION_ERROR, { [key]: filter[key] });
+    }
+    add(sql, date);
+  }
+  if (filter.missingImage === true) conditions.push('a.image_url IS NULL');
+
+  if (conditions.length === 0) {
+    throw new AppError(
+      'filter needs at least one of: ids, slugs, categoryId, categorySlug, status, type, createdAfter, createdBefore, missingImage',
+      ErrorTypes.VALIDATION_ERROR
+    );
+  }
+  // Deleted articles are only reachable through the editorial workflow
+  conditions.push('a.deleted_at IS NULL');
+  return { where: conditions.join(' AND '), params };
+}
+
+/**
+ * Apply one action to every article of a language matching a filter
+ *
+ * @param {object} options
+ * @param {'recategorize'|'refetch_image'|'delete'} options.action
+ * @param {string} options.language
+ * @param {object} options.filter see buildBulkFilter
+ * @param {number|string} [options.categoryId] target category for recategorize
+ * @param {string} [options.categorySlug] target category for recategorize
+ * @param {'gone'|'redirect'} [options.mode] for delete
+ * @param {string} [options.replacementSlug] for delete in redirect mode
+ * @param {boolean} [options.includeTranslations] cascade from English masters
+ * @param {boolean} [options.dryRun] only report the matching articles
+ * @param {string} [options.changedBy]
+ */
+export async function bulkUpdateArticles({
+  action,
+  language = 'en',
+  filter,
+  categoryId,
+  categorySlug,
+  mode = 'gone',
+  replacementSlug = null,
+  includeTranslations = true,
+  dryRun = false,
+  changedBy = null
+}) {
+  assertLanguage(language);
+  if (!BULK_ACTIONS.includes(action)) {
+    throw new AppError(`action must be one of: ${BULK_ACTIONS.join(', ')}`, ErrorTypes.VALIDATION_ERROR, { action });
+  }
+  if (action === 'delete' && !DELETE_MODES.includes(mode)) {
+    throw new AppError(`mode must be one of: ${DELETE_MODES.join(', ')}`, ErrorTypes.VALIDATION_ERROR, { mode });
+  }
+  const target = action === 'recategorize'
+    ? await resolveCategory({ categoryId, categorySlug })
+    : null;
+  const limit = action === 'refetch_image' ? BULK_IMAGE_LIMIT : BULK_LIMIT;
+  const { where, params } = buildBulkFilter(filter);
+  const tableName = articlesTable(language);
+
+  const matched = await withDatabaseErrorHandling(async () => {
+    const res = await query(
+      `SELECT a.id, a.slug FROM ${tableName} a WHERE ${where} ORDER BY a.id LIMIT ${limit + 1}`,
+      params
+    );
+    return res.rows.map((row) => ({ id: Number(row.id), slug: row.slug }));
+  }, 'bulkUpdateArticles');
+
+  if (matched.length > limit) {
+    throw new AppError(
+      `Filter matches more than ${limit} articles; narrow it down`,
+      ErrorTypes.VALIDATION_ERROR,
+      { action, limit }
+    );
+  }
+  if (dryRun || matched.length === 0) {
+    return { action, language, dryRun, matched: matched.length, affected: 0, articles: matched };
+  }
+
+  let articles;
+  if (action === 'recategorize') {
+    try {
+      articles = await withTransaction(async (client) => {
+        const ids = matched.map((a) => a.id);
+        await setRevisionContext(client, { source: 'bulk', changedBy });
+        const res = await client.query(
+          `UPDATE ${tableName} SET category_id = $2, updated_at = now()
+           WHERE id = ANY($1)
+           RETURNING id, slug`,
+          [ids, target.id]
+        );
+        if (includeTranslations && language === 'en') {
+          for (const row of res.rows) {
+            await updateTranslations(client, Number(row.id), 'category_id = $2, updated_at = now()', [target.id]);
+          }
+        }
+        return res.rows.map((row) => ({ id: Number(row.id), slug: row.slug, ok: true }));
+      });
+    } catch (err) {
+      throw unwrapTransactionError(err);
+    }
+  } else {
+    // One article at a time: a failure is reported and the rest still run
+    articles = [];
+    for (const article of matched) {
+      try {
+        if (action === 'delete') {
+          await deleteArticle({ language, id: article.id, mode, replacementSlug, includeTranslations, changedBy });
+          articles.push({ ...article, ok: true });
+        } else {
+          const res = await refetchArticleImage({ language, id: article.id });
+          articles.push({ ...article, ok: res.updated, image_url: res.image_url, ...(res.updated ? {} : { error: 'No image found' }) });
+        }
+      } catch (err) {
+        genError('Bulk article action failed', { action, language, id: article.id, error: err.message }, false);
+        articles.push({ ...article, ok: false, error: err.message });
+      }
+    }
+  }
+
+  const affected = articles.filter((a) => a.ok).length;
+  genLog('Bulk article action applied', {
+    action,
+    language,
+    matched: matched.length,
+    affected,
+    categoryId: target?.id,
+    mode: action === 'delete' ? mode : undefined,
+    changedBy
+  });
+
+  return { action, language, dryRun, matched: matched.length, affected, articles };
+}
+
+export default {
+  EDITABLE_FIELDS,
+  DELETE_MODES,
+  BULK_ACTIONS,
+  updateArticle,
+  deleteArticle,
+  refetchArticleImage,
+  bulkUpdateArticles
+};
@@ -2,6 +2,7 @@ import { query, withTransaction, queryWithErrorHandling } from '../db.js';
 import { articlesTable } from '../utils/articlesTable.js';
 import { AppError, ErrorTypes, withDatabaseErrorHandling } from './errorHandler.js';
 import { genLog } from './logger.js';
+import { initialArticleStatus } from './editorialService.js';
 
 /**
  * Reusable article service that consolidates common database operations
@@ -60,7 +61,7 @@ export async function getTodayArticleCountsByCategory() {
         COUNT(a.id)::int as today_count,
         $1 - COUNT(a.id)::int as needed
       FROM categories c
-      LEFT JOIN articles_en a ON a.category_id = c.id AND a.published_at::date = CURRENT_DATE
+      LEFT JOIN articles_en a ON a.category_id = c.id AND a.created_at::date = CURRENT_DATE
       GROUP BY c.id, c.name, c.slug
       ORDER BY c.id ASC
     `, [2], 'today article counts by category');
@@ -138,10 +139,12 @@ export async function getArticleBySlug(slug, language = 'en') {
  */
 export async function translationExists(baseSlug, targetLanguage) {
   return await withDatabaseErrorHandling(async () => {
-    const tableName = articlesTable(targetLanguage);
     const result = await queryWithErrorHandling(
-      `SELECT 1 FROM ${tableName} WHERE slug LIKE $1 || '-%' LIMIT 1`,
-      [baseSlug],
+      `SELECT 1 FROM article_groups g
+       JOIN articles_en m ON m.id = g.master_id
+       WHERE m.slug = $1 AND g.language_code = $2
+       LIMIT 1`,
+      [baseSlug, targetLanguage],
       `translation existence check (${targetLanguage})`
     );
     return result.rowCount > 0;
@@ -255,6 +258,7 @@ export async function insertArticleWithLogging(client, article, context = 'artic
     content_hash,
   } = article;
 
+  const status = article.status || initialArticleStatus();
   const tableName = articlesTable(language_code);
   
   genLog('Inserting article', {
@@ -263,6 +267,7 @@ export async function insertArticleWithLogging(client, article, context = 'artic
     language: language_code,
     table: tableName,
     category_id,
+    status,
     tokens: { input: ai_tokens_input, output: ai_tokens_output }
   });
 
@@ -271,18 +276,18 @@ export async function insertArticleWithLogging(client, article, context = 'artic
       title, slug, content, summary, language_code, category_id, image_url,
       meta_title, meta_description, canonical_url, reading_time_minutes,
       ai_model, ai_prompt, ai_tokens_input, ai_tokens_output, total_tokens,
-      source_url, content_hash, published_at
+      source_url, content_hash, status, published_at
     ) VALUES (
       $1,$2,$3,$4,$5,$6,$7,
       $8,$9,$10,$11,
       $12,$13,$14,$15,$16,
-      $17,$18, now()
+      $17,$18,$19, CASE WHEN $19 = 'published' THEN now() ELSE NULL END
     ) RETURNING *`,
     [
       title, slug, content, summary, language_code, category_id, image_url,
       meta_title, meta_description, canonical_url, reading_time_minutes,
       ai_model, ai_prompt, ai_tokens_input, ai_tokens_output, total_tokens,
-      source_url, content_hash,
+      source_url, content_hash, status,
     ]
   );
 
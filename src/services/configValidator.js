@@ -1,4 +1,5 @@
 import { config } from '../config.js';
+import { AI_PROVIDERS } from './aiClient.js';
 import { AppError, ErrorTypes } from './errorHandler.js';
 import { genLog, genError } from './logger.js';
 
@@ -68,6 +69,31 @@ const validationRules = {
     }
   },
   
+  ai: {
+    required: ['roles'],
+    validate: {
+      roles: (value) => {
+        for (const [role, roleConfig] of Object.entries(value || {})) {
+          if (!AI_PROVIDERS.includes(roleConfig.provider)) {
+            throw new Error(`AI provider "${roleConfig.provider}" for role ${role} is not supported (use one of: ${AI_PROVIDERS.join(', ')})`);
+          }
+          if (roleConfig.baseUrl) {
+            try {
+              new URL(roleConfig.baseUrl);
+            } catch {
+              throw new Error(`Base URL for AI role ${role} must be a valid URL`);
+            }
+            // The OPENAI_DEFAULT_MODEL fallback is an api.openai.com model
+            if (!roleConfig.model) {
+              const prefix = role.replace(/[A-Z]/g, '_$&').toUpperCase();
+              throw new Error(`AI role ${role} sets a base URL but no model: set AI_${prefix}_MODEL to a model served at ${roleConfig.baseUrl}`);
+            }
+          }
+        }
+      }
+    }
+  },
+
   generation: {
     required: ['enabled'],
     validate: {
@@ -125,6 +151,18 @@ const validationRules = {
   }
 };
 
+/**
+ * Provider credentials are only required when some AI role uses that provider;
+ * roles pointed at their own OpenAI-compatible base URL (local servers) need no key
+ */
+function getRequiredAIProviders() {
+  const roles = Object.values(config.ai.roles);
+  return {
+    usesOneMinAI: roles.some((r) => r.provider === '1minai'),
+    usesOpenAI: roles.some((r) => r.provider === 'openai' && !r.baseUrl)
+  };
+}
+
 /**
  * Validate a specific configuration section
  */
@@ -163,15 +201,24 @@ export function validateConfiguration() {
   
   genLog('Starting configuration validation');
   
+  const { usesOneMinAI, usesOpenAI } = getRequiredAIProviders();
+
   // Map config sections to validation rules
   const configSections = {
     database: { databaseUrl: config.databaseUrl },
-    oneMinAI: {
-      apiKeys: config.oneMinAI.apiKeys,
-      baseUrl: config.oneMinAI.baseUrl
-    },
-    openAI: {
-      apiKeys: config.openAI.apiKeys
+    ...(usesOneMinAI ? {
+      oneMinAI: {
+        apiKeys: config.oneMinAI.apiKeys,
+        baseUrl: config.oneMinAI.baseUrl
+      }
+    } : {}),
+    ...(usesOpenAI ? {
+      openAI: {
+        apiKeys: config.openAI.apiKeys
+      }
+    } : {}),
+    ai: {
+      roles: config.ai.roles
     },
     generation: {
       enabled: config.generation.enabled,
@@ -273,6 +320,9 @@ export function getConfigurationSummary() {
       apiKeys: config.openAI.apiKeys.length,
       defaultModel: config.openAI.defaultModel
     },
+    ai: Object.fromEntries(
+      Object.entries(config.ai.roles).map(([role, r]) => [role, { provider: r.provider, model: r.model || null }])
+    ),
     generation: {
       enabled: config.generation.enabled,
       maxCategoriesPerRun: config.generation.maxCategoriesPerRun,
@@ -289,10 +339,11 @@ export function getConfigurationSummary() {
  * Check if all required services are properly configured
  */
 export function checkServiceHealth() {
+  const { usesOneMinAI, usesOpenAI } = getRequiredAIProviders();
   const health = {
     database: !!config.databaseUrl,
-    oneMinAI: config.oneMinAI.apiKeys.length > 0,
-    openAI: config.openAI.apiKeys.length > 0,
+    oneMinAI: !usesOneMinAI || config.oneMinAI.apiKeys.length > 0,
+    openAI: !usesOpenAI || config.openAI.apiKeys.length > 0,
     generation: config.generation.enabled,
     languages: config.languages.length > 0 && config.languages.includes('en'),
     categories: config.categoriesEnv.length > 0
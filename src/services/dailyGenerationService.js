@@ -112,7 +112,7 @@ export async function runDailyGeneration() {
     });
     
     // Use the same robust manual generation logic
-    const result = await runManualGeneration();
+    const result = await runManualGeneration({ trigger: 'daily_auto' });
     
     // Add daily generation specific metadata
     result.details.generationType = 'daily_auto';
@@ -197,7 +197,7 @@ export async function runStartupGeneration() {
     });
     
     // Use manual generation logic (bypasses timing constraints)
-    const result = await runManualGeneration();
+    const result = await runManualGeneration({ trigger: 'startup' });
     
     // Add startup generation specific metadata
     result.details.generationType = 'startup';
@@ -0,0 +1,244 @@
+import { query } from '../db.js';
+import { config } from '../config.js';
+
+/**
+ * Near-duplicate detection with MinHash.
+ *
+ * An article's text is cut into overlapping word shingles; its signature is
+ * the minimum of NUM_HASHES seeded hashes over those shingles. The share of
+ * equal positions in two signatures estimates the Jaccard similarity of their
+ * shingle sets. Signatures are stored on English masters (minhash_signature)
+ * and compared within a category before a new master is saved.
+ *
+ * Changing SHINGLE_SIZE or NUM_HASHES invalidates stored signatures; re-run
+ * `npm run migrate:duplicates -- --recompute` afterwards.
+ */
+
+export const SHINGLE_SIZE = 3;
+export const NUM_HASHES = 128;
+
+// Banding for the cluster report: pairs sharing any band become candidates
+const LSH_BANDS = 32;
+const LSH_ROWS = NUM_HASHES / LSH_BANDS;
+
+// murmur3 finalizer
+function mix32(h) {
+  h ^= h >>> 16;
+  h = Math.imul(h, 0x85ebca6b);
+  h ^= h >>> 13;
+  h = Math.imul(h, 0xc2b2ae35);
+  h ^= h >>> 16;
+  return h >>> 0;
+}
+
+// FNV-1a over UTF-16 code units
+function hashString(str) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < str.length; i++) {
+    h ^= str.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return h >>> 0;
+}
+
+const SEEDS = Array.from({ length: NUM_HASHES }, (_, i) => mix32((i + 1) * 0x9e3779b9));
+
+/**
+ * Plain text from HTML
+ */
+export function htmlToText(html) {
+  return String(html || '')
+    .replace(/<(script|style)[^>]*>[\s\S]*?<\/\1>/gi, ' ')
+    .replace(/<[^>]+>/g, ' ')
+    .replace(/&[a-z#0-9]+;/gi, ' ');
+}
+
+/**
+ * signatureText of a saved master: the HTML assembleHtml built from intro,
+ * sections and FAQ, without the FAQ heading and the related links it adds
+ */
+export function htmlSignatureText(html) {
+  const body = String(html || '')
+    .split(/<h2[^>]*>\s*Related links\s*<\/h2>/i)[0]
+    .replace(/<h2[^>]*>\s*FAQ\s*<\/h2>/i, ' ');
+  return htmlToText(body);
+}
+
+/**
+ * Body text of an extracted master: intro, sections and FAQ
+ */
+export function signatureText(masterJson) {
+  const parts = [masterJson?.intro];
+  for (const s of masterJson?.sections || []) parts.push(s?.heading, s?.body);
+  for (const f of masterJson?.faq || []) parts.push(f?.q, f?.a);
+  return parts.filter(Boolean).join('\n');
+}
+
+function shingles(text) {
+  const words = String(text || '')
+    .toLowerCase()
+    .replace(/[^\p{L}\p{N}\s]+/gu, ' ')
+    .split(/\s+/)
+    .filter(Boolean);
+  const set = new Set();
+  if (words.length < SHINGLE_SIZE) {
+    if (words.length) set.add(words.join(' '));
+    return set;
+  }
+  for (let i = 0; i <= words.length - SHINGLE_SIZE; i++) {
+    set.add(words.slice(i, i + SHINGLE_SIZE).join(' '));
+  }
+  return set;
+}
+
+/**
+ * MinHash signature of a text as signed 32-bit integers (fits INTEGER[])
+ * @returns {number[]|null} null when the text has no words
+ */
+export function computeSignature(text) {
+  const set = shingles(text);
+  if (!set.size) return null;
+  const mins = new Array(NUM_HASHES).fill(0xffffffff);
+  for (const shingle of set) {
+    const base = hashString(shingle);
+    for (let i = 0; i < NUM_HASHES; i++) {
+      const h = mix32(base ^ SEEDS[i]);
+      if (h < mins[i]) mins[i] = h;
+    }
+  }
+  return mins.map((h) => h | 0);
+}
+
+/**
+ * Estimated Jaccard similarity (0-1) of two signatures
+ */
+export function estimateSimilarity(a, b) {
+  if (!Array.isArray(a) || !Array.isArray(b) || a.length !== b.length || !a.length) return 0;
+  let equal = 0;
+  for (let i = 0; i < a.length; i++) {
+    if (a[i] === b[i]) equal += 1;
+  }
+  return equal / a.length;
+}
+
+/**
+ * Most similar English article of the category at or above the threshold
+ *
+ * @param {number} categoryId
+ * @param {number[]} signature
+ * @param {object} [options]
+ * @param {number} [options.threshold]
+ * @returns {Promise<{ id: number, slug: string, title: string, status: string, similarity: number }|null>}
+ */
+export async function findNearDuplicate(categoryId, signature, { threshold = config.duplicates.threshold } = {}) {
+  if (!signature) return null;
+  const { rows } = await query(
+    `SELECT id, slug, title, status, minhash_signature
+     FROM articles_en
+     WHERE category_id = $1 AND minhash_signature IS NOT NULL`,
+    [categoryId]
+  );
+
+  let best = null;
+  for (const row of rows) {
+    const similarity = estimateSimilarity(signature, row.minhash_signature);
+    if (similarity >= threshold && (!best || similarity > best.similarity)) {
+      best = { id: Number(row.id), slug: row.slug, title: row.title, status: row.status, similarity };
+    }
+  }
+  return best;
+}
+
+/**
+ * Groups of English articles whose pairwise similarity links them above the
+ * threshold, largest groups first
+ *
+ * @param {object} [options]
+ * @param {number} [options.categoryId] limit to one category
+ * @param {number} [options.threshold]
+ * @returns {Promise<Array<{ categoryId: number, categorySlug: string, size: number, maxSimilarity: number, articles: object[] }>>}
+ */
+export async function findDuplicateClusters({ categoryId = null, threshold = config.duplicates.threshold } = {}) {
+  const { rows } = await query(
+    `SELECT a.id, a.slug, a.title, a.status, a.created_at, a.category_id, a.minhash_signature,
+            c.slug AS category_slug
+     FROM articles_en a
+     JOIN categories c ON c.id = a.category_id
+     WHERE a.minhash_signature IS NOT NULL
+       AND ($1::int IS NULL OR a.category_id = $1)
+     ORDER BY a.created_at`,
+    [categoryId]
+  );
+
+  // Union-find over articles; candidates come from LSH buckets within a category
+  const parent = rows.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+  const maxSimilarity = new Map();
+  const checked = new Set();
+  const buckets = new Map();
+
+  rows.forEach((row, i) => {
+    for (let band = 0; band < LSH_BANDS; band++) {
+      const key = `${row.category_id}:${band}:${row.minhash_signature.slice(band * LSH_ROWS, (band + 1) * LSH_ROWS).join(',')}`;
+      if (!buckets.has(key)) buckets.set(key, []);
+      buckets.get(key).push(i);
+    }
+  });
+
+  for (const members of buckets.values()) {
+    for (let x = 0; x < members.length; x++) {
+      for (let y = x + 1; y < members.length; y++) {
+        const i = members[x];
+        const j = members[y];
+        const pairKey = `${i}:${j}`;
+        if (checked.has(pairKey)) continue;
+        checked.add(pairKey);
+
+        const similarity = estimateSimilarity(rows[i].minhash_signature, rows[j].minhash_signature);
+        if (similarity < threshold) continue;
+        const root = find(i);
+        const other = find(j);
+        if (root !== other) parent[other] = root;
+        const top = Math.max(maxSimilarity.get(root) || 0, maxSimilarity.get(other) || 0, similarity);
+        maxSimilarity.set(root, top);
+      }
+    }
+  }
+
+  const clusters = new Map();
+  rows.forEach((row, i) => {
+    const root = find(i);
+    if (!clusters.has(root)) clusters.set(root, []);
+    clusters.get(root).push(row);
+  });
+
+  return [...clusters.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([root, members]) => ({
+      categoryId: members[0].category_id,
+      categorySlug: members[0].category_slug,
+      size: members.length,
+      maxSimilarity: Math.round((maxSimilarity.get(root) || 0) * 100) / 100,
+      // Oldest first: the first article is the natural one to keep
+      articles: members.map((m) => ({
+        id: Number(m.id),
+        slug: m.slug,
+        title: m.title,
+        status: m.status,
+        createdAt: m.created_at
+      }))
+    }))
+    .sort((a, b) => b.size - a.size || b.maxSimilarity - a.maxSimilarity);
+}
+
+export default {
+  SHINGLE_SIZE,
+  NUM_HASHES,
+  htmlToText,
+  htmlSignatureText,
+  signatureText,
+  computeSignature,
+  estimateSimilarity,
+  findNearDuplicate,
+  findDuplicateClusters
+};
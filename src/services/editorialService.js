@@ -0,0 +1,291 @@
+import { query, withTransaction } from '../db.js';
+import { config } from '../config.js';
+import { articlesTable } from '../utils/articlesTable.js';
+import { ARTICLE_STATUSES, PUBLISHED_STATUS, isValidStatus } from '../utils/articleStatus.js';
+import { AppError, ErrorTypes, withDatabaseErrorHandling } from './errorHandler.js';
+import { notifySearchEnginesNewArticle } from './seoNotificationService.js';
+import { articlePath, removeRedirectsFrom, invalidateRedirectCache } from './redirectService.js';
+import { getTranslationIds } from './articleGroupService.js';
+import { genLog, genError } from './logger.js';
+
+/**
+ * Editorial workflow: moves articles between draft, in_review, scheduled,
+ * published and unpublished, and fires search engine / WebSub notifications
+ * only at the moment an article actually goes live.
+ */
+
+/**
+ * Allowed source states for every editorial action
+ */
+const TRANSITIONS = {
+  submit: { from: ['draft', 'unpublished'], to: 'in_review' },
+  approve: { from: ['draft', 'in_review', 'scheduled', 'unpublished'], to: 'published' },
+  reject: { from: ['in_review', 'scheduled'], to: 'draft' },
+  schedule: { from: ['draft', 'in_review', 'unpublished'], to: 'scheduled' },
+  unpublish: { from: ['published', 'scheduled'], to: 'unpublished' },
+};
+
+// The only action that applies to a deleted article: it restores it along
+// with its URLs. Anything else would leave deleted_at and the 410/301
+// redirect in place, so the article could go "live" while answering 410.
+const RESTORE_ACTION = 'approve';
+
+/**
+ * Status given to freshly generated master articles
+ */
+export function initialArticleStatus() {
+  return config.editorial.autoPublish ? PUBLISHED_STATUS : 'in_review';
+}
+
+function assertLanguage(language) {
+  if (!config.languages.includes(language)) {
+    throw new AppError('Unsupported language', ErrorTypes.VALIDATION_ERROR, { language });
+  }
+}
+
+/**
+ * List articles in a given workflow state (review queue, scheduled list, ...)
+ */
+export async function listArticlesByStatus({ language = 'en', status = 'in_review', limit = 50, offset = 0 } = {}) {
+  assertLanguage(language);
+  if (!isValidStatus(status)) {
+    throw new AppError(`Invalid status, expected one of: ${ARTICLE_STATUSES.join(', ')}`, ErrorTypes.VALIDATION_ERROR, { status });
+  }
+
+  return await withDatabaseErrorHandling(async () => {
+    const tableName = articlesTable(language);
+    const { rows } = await query(
+      `SELECT a.id, a.title, a.slug, a.summary, a.meta_description, a.image_url,
+              '${language}' AS language_code, a.category_id, a.status, a.scheduled_at,
+              a.reviewed_at, a.review_note, a.published_at, a.created_at,
+              c.name AS category_name, c.slug AS category_slug
+       FROM ${tableName} a
+       LEFT JOIN categories c ON c.id = a.category_id
+       WHERE a.status = $1
+       ORDER BY COALESCE(a.scheduled_at, a.created_at) ASC, a.id ASC
+       LIMIT $2 OFFSET $3`,
+      [status, limit, offset]
+    );
+    return rows;
+  }, 'listArticlesByStatus');
+}
+
+/**
+ * Attach the category slug so WebSub can ping the category feed too
+ */
+async function withCategorySlug(article) {
+  if (!article?.category_id || article.category_slug) return article;
+  const { rows } = await query('SELECT slug FROM categories WHERE id = $1', [article.category_id]);
+  return { ...article, category_slug: rows[0]?.slug || null };
+}
+
+/**
+ * Fire SEO + WebSub notifications for an article that just went live.
+ * Never throws: notification failures must not undo a publish.
+ */
+export function notifyArticlePublished(article) {
+  if (!article || article.status !== PUBLISHED_STATUS) return;
+
+  withCategorySlug(article)
+    .then((enriched) => notifySearchEnginesNewArticle(enriched))
+    .catch((error) => {
+      genError('SEO notification failed for published article', {
+        slug: article.slug,
+        language: article.language_code,
+        error: error.message
+      }, false);
+    });
+}
+
+/**
+ * Transition every translation in a master's group that is in one of `fromStates`.
+ * Deleted translations are only touched when restoring.
+ */
+async function transitionTranslations(client, masterId, fromStates, setSql, params, { includeDeleted = false } = {}) {
+  const updated = [];
+  for (const { language: lang, id } of await getTranslationIds(client, masterId)) {
+    const res = await client.query(
+      `UPDATE ${articlesTable(lang)}
+       SET ${setSql}
+       WHERE id = $1 AND status = ANY($2) ${includeDeleted ? '' : 'AND deleted_at IS NULL'}
+       RETURNING *, '${lang}' AS language_code`,
+      [id, fromStates, ...params]
+    );
+    updated.push(...res.rows);
+  }
+  return updated;
+}
+
+/**
+ * Apply an editorial action to one article, optionally cascading to the
+ * translations of an English master.
+ *
+ * @param {object} options
+ * @param {string} options.language language of the article table
+ * @param {string|number} options.id article id
+ * @param {'submit'|'approve'|'reject'|'schedule'|'unpublish'} options.action
+ * @param {string} [options.note] reviewer note (stored on reject/approve)
+ * @param {string|Date} [options.publishAt] required for `schedule`
+ * @param {boolean} [options.includeTranslations] apply to translations as well
+ */
+export async function transitionArticle({ language, id, action, note = null, publishAt = null, includeTranslations = true }) {
+  assertLanguage(language);
+  const transition = TRANSITIONS[action];
+  if (!transition) {
+    throw new AppError('Unknown editorial action', ErrorTypes.VALIDATION_ERROR, { action });
+  }
+
+  let scheduledAt = null;
+  if (action === 'schedule') {
+    scheduledAt = new Date(publishAt);
+    if (!publishAt || Number.isNaN(scheduledAt.getTime())) {
+      throw new AppError('publishAt must be a valid date', ErrorTypes.VALIDATION_ERROR, { publishAt });
+    }
+    if (scheduledAt.getTime() <= Date.now()) {
+      throw new AppError('publishAt must be in the future', ErrorTypes.VALIDATION_ERROR, { publishAt });
+    }
+  }
+
+  // Column updates per target state; $3.. are appended after id/from params
+  const setByAction = {
+    submit: { sql: `status = 'in_review', updated_at = now()`, params: [] },
+    // Approving a deleted article restores it
+    approve: {
+      sql: `status = 'published', published_at = COALESCE(published_at, now()), scheduled_at = NULL,
+            reviewed_at = now(), review_note = COALESCE($3, review_note), updated_at = now(),
+            deleted_at = NULL, replacement_slug = NULL`,
+      params: [note]
+    },
+    reject: {
+      sql: `status = 'draft', scheduled_at = NULL, reviewed_at = now(), review_note = $3, updated_at = now()`,
+      params: [note]
+    },
+    schedule: {
+      sql: `status = 'scheduled', scheduled_at = $3, reviewed_at = now(), updated_at = now()`,
+      params: [scheduledAt]
+    },
+    unpublish: { sql: `status = 'unpublished', scheduled_at = NULL, updated_at = now()`, params: [] },
+  };
+  const { sql: setSql, params: setParams } = setByAction[action];
+
+  const tableName = articlesTable(language);
+
+  let result;
+  let redirectsRemoved = 0;
+  try {
+    result = await withTransaction(async (client) => {
+      const current = await client.query(
+        `SELECT id, slug, status, deleted_at FROM ${tableName} WHERE id = $1 FOR UPDATE`,
+        [id]
+      );
+      if (current.rowCount === 0) {
+        throw new AppError('Article not found', ErrorTypes.RESOURCE_NOT_FOUND, { language, id });
+      }
+      const { status, deleted_at: deletedAt } = current.rows[0];
+      if (deletedAt && action !== RESTORE_ACTION) {
+        throw new AppError(
+          `Cannot ${action} a deleted article; approve it to restore it`,
+          ErrorTypes.VALIDATION_ERROR,
+          { language, id, deletedAt }
+        );
+      }
+      if (!transition.from.includes(status)) {
+        throw new AppError(
+          `Cannot ${action} an article in status "${status}"`,
+          ErrorTypes.VALIDATION_ERROR,
+          { language, id, status, allowedFrom: transition.from }
+        );
+      }
+
+      // Reuse the same parameter layout as the translation cascade: $1 id, $2 states
+      const updatedRes = await client.query(
+        `UPDATE ${tableName}
+         SET ${setSql}
+         WHERE id = $1 AND status = ANY($2)
+         RETURNING *, '${language}' AS language_code`,
+        [id, transition.from, ...setParams]
+      );
+      const article = updatedRes.rows[0];
+
+      const translations = includeTranslations && language === 'en'
+        ? await transitionTranslations(client, id, transition.from, setSql, setParams, {
+          includeDeleted: action === RESTORE_ACTION
+        })
+        : [];
+
+      // A restored article's URLs must stop answering 410 / redirecting away
+      if (action === RESTORE_ACTION) {
+        redirectsRemoved = await removeRedirectsFrom(
+          client,
+          [article, ...translations].map((a) => articlePath(a.language_code, a.slug))
+        );
+      }
+
+      return { article, translations };
+    });
+  } catch (err) {
+    // withTransaction wraps errors; surface our own AppError unchanged
+    if (err.originalError instanceof AppError) throw err.originalError;
+    throw err;
+  }
+  if (redirectsRemoved) invalidateRedirectCache();
+
+  genLog('Editorial transition applied', {
+    action,
+    language,
+    id,
+    slug: result.article.slug,
+    status: result.article.status,
+    translations: result.translations.length
+  });
+
+  if (transition.to === PUBLISHED_STATUS) {
+    notifyArticlePublished(result.article);
+    result.translations.forEach(notifyArticlePublished);
+  }
+
+  return result;
+}
+
+/**
+ * Publish every scheduled article whose publish time has passed.
+ * Runs from the scheduler in server.js.
+ */
+export async function publishDueScheduledArticles() {
+  const published = [];
+
+  for (const lang of config.languages) {
+    const tableName = articlesTable(lang);
+    try {
+      const { rows } = await query(
+        `UPDATE ${tableName}
+         SET status = 'published', published_at = COALESCE(published_at, now()),
+             scheduled_at = NULL, updated_at = now()
+         WHERE status = 'scheduled' AND scheduled_at <= now() AND deleted_at IS NULL
+         RETURNING *, '${lang}' AS language_code`
+      );
+      published.push(...rows);
+    } catch (err) {
+      // Skip if table doesn't exist yet
+      if (err.code !== '42P01') throw err;
+    }
+  }
+
+  if (published.length) {
+    genLog('Scheduled articles published', {
+      count: published.length,
+      slugs: published.map((a) => a.slug)
+    });
+    published.forEach(notifyArticlePublished);
+  }
+
+  return published;
+}
+
+export default {
+  initialArticleStatus,
+  listArticlesByStatus,
+  transitionArticle,
+  notifyArticlePublished,
+  publishDueScheduledArticles
+};
@@ -330,6 +330,38 @@ export function expressErrorHandler(err, req, res, next) {
   });
 }
 
+/**
+ * Error response for a route's own catch block. AppErrors answer like
+ * expressErrorHandler; anything else is logged and answered with a 500 and
+ * the route's fallback message.
+ */
+export function sendError(res, err, fallbackMessage) {
+  const req = res.req || {};
+  if (err instanceof AppError) {
+    genError(fallbackMessage, {
+      type: err.type,
+      message: err.message,
+      context: err.context,
+      url: req.url,
+      method: req.method
+    }, false);
+
+    return res.status(getStatusCodeForErrorType(err.type)).json({
+      error: err.message,
+      type: err.type,
+      timestamp: err.timestamp
+    });
+  }
+
+  genError(fallbackMessage, {
+    message: err.message,
+    stack: err.stack,
+    url: req.url,
+    method: req.method
+  }, false);
+  res.status(500).json({ error: fallbackMessage, message: err.message });
+}
+
 /**
  * Map error types to HTTP status codes
  */
@@ -358,5 +390,6 @@ export default {
   validateRequired,
   withDatabaseErrorHandling,
   withApiErrorHandling,
-  expressErrorHandler
+  expressErrorHandler,
+  sendError
 };
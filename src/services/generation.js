@@ -3,21 +3,31 @@ import { query, withTransaction } from '../db.js';
 import { config } from '../config.js';
 import { toSlug } from '../utils/slug.js';
 import { fetchBestImageUrl } from './unsplash.js';
-import { generateArticleWithSearch, generateNoSearch, generateRobustArticle } from './oneMinAI.js';
-import { chatCompletion as openAIChat } from './openAI.js';
+import { getAIProvider } from './aiClient.js';
 import sanitizeHtml from 'sanitize-html';
-import { getPrompt } from '../prompts/index.js';
+import { selectTemplate } from './topicRegistry.js';
+import { computeSignature, signatureText, findNearDuplicate } from './duplicateDetection.js';
+import { parseStructuredArticle, toMasterJson } from './structuredArticle.js';
+import { DEFAULT_ARTICLE_TYPE, isValidArticleType } from '../utils/articleTypes.js';
+import { toStructuredPrompt, JSON_REPAIR_SYSTEM, buildRepairPrompt } from '../prompts/json_structure.js';
 import { buildPrompt as buildTranslationPrompt } from '../prompts/translation.js';
 // Import table routing helper
 import { articlesTable, LANG_SHARDED_ARTICLE_TABLES } from '../utils/articlesTable.js';
 import { translateChunk } from './translator.js';
 import { HTMLTranslator } from './htmlTranslator.js';
-import { notifySearchEnginesNewArticle } from './seoNotificationService.js';
-
-// Debug logging for generation flow (enable with DEBUG_GENERATION=true)
+import { initialArticleStatus, notifyArticlePublished } from './editorialService.js';
+import { setRevisionContext } from './revisionService.js';
+import { setArticleTags, getArticleTags, translateTagNames } from './tagService.js';
+import { addMasterToGroup, linkTranslation, getTranslationIds } from './articleGroupService.js';
+import { reportProgress } from './jobProgress.js';
+import { evaluateMasterQuality } from './qualityGate.js';
+
+// Debug logging for generation flow (enable with DEBUG_GENERATION=true).
+// Stage messages are also reported as progress of the job being run, if any.
 const DEBUG_GENERATION = String(process.env.DEBUG_GENERATION || 'false') === 'true';
 function genLog(...args) {
   if (DEBUG_GENERATION) console.log('[generation]', ...args);
+  reportProgress(...args);
 }
 
 const TOP_REVENUE_LANGUAGES = new Set(['en', 'de', 'fr', 'es', 'pt', 'ar']);
@@ -68,7 +78,7 @@ function estimateReadingTimeMinutes(htmlContent) {
 
 function canonicalForSlug(slug, languageCode = 'en') {
   const baseUrl = config.seo?.canonicalBaseUrl || 'https://megaquantum.net';
-  return `${baseUrl}/${languageCode}/${slug}`;
+  return `${baseUrl}/${languageCode}/article/${slug}`;
 }
 
 function sanitizeHtmlContent(html) {
@@ -165,11 +175,6 @@ async function generateUniqueSlug(baseSlug) {
 
 // Legacy functions removed - now using template system from src/prompts/
 
-function countWords(text) {
-  return String(text || '')
-    .split(/\s+/)
-    .filter(Boolean).length;
-}
 
 
 
@@ -526,51 +531,6 @@ function extractSummaryFromRaw(content) {
   return summary.length > 300 ? summary.slice(0, 297) + '...' : summary;
 }
 
-function evaluateMasterQuality(masterJson) {
-  const introWords = countWords(masterJson?.intro || '');
-  const sections = Array.isArray(masterJson?.sections) ? masterJson.sections : [];
-  const faq = Array.isArray(masterJson?.faq) ? masterJson.faq : [];
-  const sources = Array.isArray(masterJson?.sourceUrls) ? masterJson.sourceUrls : [];
-
-  let sectionMinOk = true;
-  let sectionsTotal = 0;
-  for (const s of sections) {
-    const w = countWords(s?.body || '');
-    sectionsTotal += w;
-    if (w < 400) sectionMinOk = false;
-  }
-
-  let faqMinOk = faq.length >= 8;
-  let faqTotal = 0;
-  for (const f of faq) {
-    const w = countWords(f?.a || '');
-    faqTotal += w;
-    if (w < 100) faqMinOk = false;
-  }
-
-  const totalWords = introWords + sectionsTotal + faqTotal;
-
-  const validSources = sources.filter((u) =>
-    typeof u === 'string' &&
-    /^https?:\/\//i.test(u) &&
-    !/example\.com/i.test(u) &&
-    !/lorem|dummy|test/i.test(u)
-  );
-  const sourcesOk = validSources.length >= 5;
-
-  return {
-    totalWords,
-    introOk: introWords >= 200,
-    sectionMinOk,
-    faqMinOk,
-    sourcesOk,
-    meetsAll: introWords >= 200 && sectionMinOk && faqMinOk && totalWords >= 2000 && sourcesOk,
-  };
-}
-
-
-
-
 // Removed: repair prompts and JSON parsing helpers (no longer needed in natural text approach)
 
 
@@ -590,7 +550,7 @@ async function getTodaysMastersCount() {
   const res = await query(
     `SELECT COUNT(*)::int AS count
      FROM articles_en
-     WHERE published_at::date = CURRENT_DATE`
+     WHERE created_at::date = CURRENT_DATE`
   );
   return res.rows[0]?.count || 0;
 }
@@ -600,7 +560,7 @@ async function getTodaysHowTosCount() {
     `SELECT COUNT(*)::int AS count
      FROM articles_en
      WHERE slug LIKE 'how-to-%'
-       AND published_at::date = CURRENT_DATE`
+       AND created_at::date = CURRENT_DATE`
   );
   return res.rows[0]?.count || 0;
 }
@@ -617,7 +577,7 @@ async function getMastersFromToday() {
             c.name AS category_name
      FROM articles_en a
      LEFT JOIN categories c ON c.id = a.category_id
-     WHERE a.published_at::date = CURRENT_DATE
+     WHERE a.created_at::date = CURRENT_DATE
      ORDER BY a.id ASC`
   );
   return res.rows.map((r) => ({
@@ -630,25 +590,15 @@ async function getMastersFromToday() {
   }));
 }
 
-async function getExistingTranslationLanguagesForMaster(slugBase) {
-  // Check all language-specific tables for existing translations
-  const languages = ['en', 'de', 'fr', 'es', 'pt', 'ar', 'hi'];
+async function getExistingTranslationLanguagesForMaster(masterId) {
   const existingLanguages = new Set();
-  
-  for (const lang of languages) {
-    const tableName = articlesTable(lang);
-    try {
-      const res = await query(
-        `SELECT language_code FROM ${tableName} WHERE slug LIKE $1 || '-%'`,
-        [slugBase]
-      );
-      res.rows.forEach(row => existingLanguages.add(row.language_code));
-    } catch (err) {
-      // Skip if table doesn't exist yet
-      if (err.code !== '42P01') throw err;
-    }
+  try {
+    const translations = await getTranslationIds({ query }, masterId);
+    translations.forEach(({ language }) => existingLanguages.add(language));
+  } catch (err) {
+    // Skip if table doesn't exist yet
+    if (err.code !== '42P01') throw err;
   }
-  
   return existingLanguages;
 }
 
@@ -670,6 +620,7 @@ async function insertArticle(client, article) {
     language_code,
     category_id,
     image_url,
+    image_alt,
     meta_title,
     meta_description,
     canonical_url,
@@ -681,20 +632,38 @@ async function insertArticle(client, article) {
     total_tokens,
     source_url,
     content_hash,
+    word_count,
+    word_count_status,
+    quality_score,
+    quality_reasons,
+    minhash_signature,
+    duplicate_of,
+    duplicate_similarity,
+    article_type,
   } = article;
 
+  // New articles go through the editorial workflow unless a status is given
+  const status = article.status || initialArticleStatus();
+  const scheduledAt = status === 'scheduled' ? article.scheduled_at || null : null;
+
   const tableName = articlesTable(language_code);
+  // Tags the revision the insert trigger records
+  await setRevisionContext(client, { source: language_code === 'en' ? 'generation' : 'translation' });
   const res = await client.query(
     `INSERT INTO ${tableName} (
       title, slug, content, summary, language_code, category_id, image_url,
       meta_title, meta_description, canonical_url, reading_time_minutes,
       ai_model, ai_prompt, ai_tokens_input, ai_tokens_output, total_tokens,
-      source_url, content_hash, published_at
+      source_url, content_hash, status, scheduled_at, image_alt,
+      word_count, word_count_status, quality_score, quality_reasons,
+      minhash_signature, duplicate_of, duplicate_similarity, article_type, published_at
     ) VALUES (
       $1,$2,$3,$4,$5,$6,$7,
       $8,$9,$10,$11,
       $12,$13,$14,$15,$16,
-      $17,$18, now()
+      $17,$18,$19,$20,$21,
+      $22,$23,$24,$25,
+      $26,$27,$28,$29, CASE WHEN $19 = 'published' THEN now() ELSE NULL END
     ) RETURNING *`,
     [
       title,
@@ -715,25 +684,93 @@ async function insertArticle(client, article) {
       total_tokens,
       source_url,
       content_hash,
+      status,
+      scheduledAt,
+      image_alt || null,
+      word_count ?? null,
+      word_count_status || null,
+      quality_score ?? null,
+      quality_reasons ? JSON.stringify(quality_reasons) : null,
+      minhash_signature || null,
+      duplicate_of ?? null,
+      duplicate_similarity ?? null,
+      article_type || DEFAULT_ARTICLE_TYPE,
     ]
   );
 
   const insertedArticle = res.rows[0];
 
-  // Notify search engines about new article (async, don't wait)
-  if (insertedArticle) {
-    notifySearchEnginesNewArticle(insertedArticle).catch(error => {
-      genError('SEO notification failed for new article', {
-        slug: insertedArticle.slug,
-        language: insertedArticle.language_code,
-        error: error.message
-      }, false); // Don't stop generation for SEO notification failures
+  if (Array.isArray(article.tags) && article.tags.length) {
+    await setArticleTags(client, { language: language_code, articleId: insertedArticle.id, names: article.tags });
+  }
+
+  // Translations join their master's group; every English article starts one
+  if (article.translation_of) {
+    await linkTranslation(client, {
+      masterId: article.translation_of.masterId,
+      language: language_code,
+      articleId: insertedArticle.id,
+      sourceContentHash: article.translation_of.sourceContentHash
     });
+  } else if (language_code === 'en') {
+    await addMasterToGroup(client, insertedArticle.id);
   }
 
+  // Notify search engines only when the article goes live right away;
+  // otherwise the editorial workflow notifies on publish
+  notifyArticlePublished(insertedArticle);
+
   return insertedArticle;
 }
 
+/**
+ * Replace the text of an existing translation with a new translation of its
+ * master, keeping its slug, URL and editorial status
+ * @returns {Promise<object|null>} null when the translation was deleted meanwhile
+ */
+async function updateTranslationArticle(client, articleId, article) {
+  const { language_code } = article;
+  const tableName = articlesTable(language_code);
+  await setRevisionContext(client, { source: 'retranslation' });
+  const res = await client.query(
+    `UPDATE ${tableName}
+     SET title = $2, content = $3, summary = $4, meta_title = $5, meta_description = $6,
+         image_alt = COALESCE($7, image_alt), reading_time_minutes = $8, content_hash = $9,
+         ai_tokens_input = $10, ai_tokens_output = $11, updated_at = now()
+     WHERE id = $1 AND deleted_at IS NULL
+     RETURNING *`,
+    [
+      articleId,
+      article.title,
+      article.content,
+      article.summary,
+      article.meta_title,
+      article.meta_description,
+      article.image_alt || null,
+      article.reading_time_minutes,
+      article.content_hash,
+      article.ai_tokens_input,
+      article.ai_tokens_output,
+    ]
+  );
+  const updatedArticle = res.rows[0];
+  if (!updatedArticle) return null;
+
+  if (Array.isArray(article.tags)) {
+    await setArticleTags(client, { language: language_code, articleId: updatedArticle.id, names: article.tags });
+  }
+  // The translation now follows the master content it was made from
+  if (article.translation_of) {
+    await linkTranslation(client, {
+      masterId: article.translation_of.masterId,
+      language: language_code,
+      articleId: updatedArticle.id,
+      sourceContentHash: article.translation_of.sourceContentHash
+    });
+  }
+  return updatedArticle;
+}
+
 async function updateDailyTokenUsage(client, usageList) {
   let inSum = 0;
   let outSum = 0;
@@ -759,40 +796,57 @@ async function getCategories() {
 
 
 
-function validateWordCount(content, minWords = 600, maxWords = 800) {
-  const wordCount = countWords(content);
-  return {
-    wordCount,
-    isValid: wordCount >= minWords && wordCount <= maxWords,
-    minWords,
-    maxWords,
-    status: wordCount < minWords ? 'too_short' : wordCount > maxWords ? 'too_long' : 'valid'
-  };
-}
-
-function addWordCountToArticle(articleObject, contentHtml, categorySlug) {
-  const wordValidation = validateWordCount(contentHtml, 600, 800);
-  genLog('Word count validation', { 
-    category: categorySlug, 
-    wordCount: wordValidation.wordCount,
-    status: wordValidation.status,
-    target: `${wordValidation.minWords}-${wordValidation.maxWords}` 
-  });
-  
-  return {
-    ...articleObject,
-    word_count: wordValidation.wordCount,
-    word_count_status: wordValidation.status,
-  };
+// Markdown table (header row, separator row, body rows) to <table>; null if the lines aren't one
+function markdownTableToHtml(lines) {
+  const cells = (line) => line.trim().replace(/^\|/, '').replace(/\|$/, '').split('|').map((c) => c.trim());
+  if (lines.length < 2 || !/^\|?\s*:?-{3,}:?\s*(\|\s*:?-{3,}:?\s*)*\|?$/.test(lines[1].trim())) return null;
+  const head = cells(lines[0]);
+  const rows = lines.slice(2).map(cells);
+  return [
+    '<table>',
+    `<thead><tr>${head.map((c) => `<th>${c}</th>`).join('')}</tr></thead>`,
+    `<tbody>${rows.map((r) => `<tr>${r.map((c) => `<td>${c}</td>`).join('')}</tr>`).join('')}</tbody>`,
+    '</table>'
+  ].join('');
 }
 
 function assembleHtml(master) {
   const parts = [];
-  // Helper: split on double newline for paragraphs, keep single newline as <br/>
+  // Helper: split on double newline for paragraphs, keep single newline as <br/>;
+  // runs of lines starting with "|" become tables (comparison articles)
   function toParagraphs(raw) {
     if (!raw) return [];
     const chunks = String(raw).split(/\n{2,}/g);
-    return chunks.map(chunk => `<p>${chunk.replace(/\n/g, '<br/>')}</p>`);
+    return chunks.flatMap((chunk) => {
+      const out = [];
+      let text = [];
+      let table = [];
+      const flushText = () => {
+        if (text.length) out.push(`<p>${text.join('<br/>')}</p>`);
+        text = [];
+      };
+      const flushTable = () => {
+        const html = markdownTableToHtml(table);
+        if (html) {
+          flushText();
+          out.push(html);
+        } else {
+          text.push(...table);
+        }
+        table = [];
+      };
+      for (const line of chunk.split('\n')) {
+        if (line.trim().startsWith('|')) {
+          table.push(line);
+        } else {
+          if (table.length) flushTable();
+          text.push(line);
+        }
+      }
+      if (table.length) flushTable();
+      flushText();
+      return out;
+    });
   }
   if (master.intro) parts.push(...toParagraphs(master.intro));
   if (Array.isArray(master.sections)) {
@@ -840,10 +894,7 @@ function assembleHtml(master) {
     }
     parts.push('</ul>');
   }
-  if (Array.isArray(master.keywords) && master.keywords.length) {
-    parts.push('<h2>Tags</h2>');
-    parts.push(`<p>${master.keywords.join(', ')}</p>`);
-  }
+  // Keywords are stored as tags by insertArticle and linked from the article page
   return parts.join('\n');
 }
 
@@ -855,7 +906,60 @@ function escapeJsonForHtml(obj) {
   }
 }
 
-function buildArticleJsonLd({ masterJson, title, description, canonicalUrl, imageUrl, languageCode }) {
+// Sections whose heading starts with the given prefix pattern, prefix stripped
+function prefixedSections(masterJson, prefix) {
+  return (Array.isArray(masterJson?.sections) ? masterJson.sections : [])
+    .filter((s) => prefix.test(String(s?.heading || '')))
+    .map((s) => ({
+      name: String(s.heading).replace(prefix, '').trim(),
+      text: String(s.body || '').replace(/\s+/g, ' ').trim(),
+    }))
+    .filter((s) => s.name);
+}
+
+// ItemList for best-of articles, HowTo for how-to articles
+function buildTypeJsonLd({ masterJson, title, description, imageUrl, languageCode, articleType }) {
+  if (articleType === 'best_of') {
+    const items = prefixedSections(masterJson, /^\s*(?:#|no\.\s*)?\d+\s*[.):-]\s*/i);
+    if (!items.length) return null;
+    return {
+      '@context': 'https://schema.org',
+      '@type': 'ItemList',
+      name: title,
+      numberOfItems: items.length,
+      itemListOrder: 'https://schema.org/ItemListOrderDescending',
+      itemListElement: items.map((item, i) => ({
+        '@type': 'ListItem',
+        position: i + 1,
+        name: item.name,
+        description: item.text.slice(0, 300) || undefined,
+      })),
+    };
+  }
+
+  if (articleType === 'how_to') {
+    const steps = prefixedSections(masterJson, /^\s*step\s*\d+\s*[.):-]?\s*/i);
+    if (!steps.length) return null;
+    return {
+      '@context': 'https://schema.org',
+      '@type': 'HowTo',
+      name: title,
+      description,
+      inLanguage: languageCode || 'en',
+      image: imageUrl ? [imageUrl] : undefined,
+      step: steps.map((step, i) => ({
+        '@type': 'HowToStep',
+        position: i + 1,
+        name: step.name,
+        text: step.text.slice(0, 500) || step.name,
+      })),
+    };
+  }
+
+  return null;
+}
+
+function buildArticleJsonLd({ masterJson, title, description, canonicalUrl, imageUrl, languageCode, articleType = DEFAULT_ARTICLE_TYPE }) {
   const faqEntities = Array.isArray(masterJson?.faq)
     ? masterJson.faq.map((f) => ({
         '@type': 'Question',
@@ -885,7 +989,9 @@ function buildArticleJsonLd({ masterJson, title, description, canonicalUrl, imag
       }
     : null;
 
-  return [articleLd, faqLd].filter(Boolean);
+  const typeLd = buildTypeJsonLd({ masterJson, title, description, imageUrl, languageCode, articleType });
+
+  return [articleLd, typeLd, faqLd].filter(Boolean);
 }
 
 /**
@@ -955,29 +1061,10 @@ function escapeHtml(text) {
 }
 
 /**
- * Generate hreflang tags for multi-language content
+ * Generate complete meta tags for an article (standard + social). hreflang
+ * comes from the translation group, see hreflangService.js
  */
-function buildHreflangTags({ baseSlug, availableLanguages, currentLanguage }) {
-  const baseUrl = config.seo?.canonicalBaseUrl || 'https://megaquantum.net';
-  const hreflangTags = [];
-
-  // Add hreflang for each available language
-  for (const lang of availableLanguages) {
-    const url = `${baseUrl}/${lang}/article/${baseSlug}`;
-    hreflangTags.push(`<link rel="alternate" hreflang="${lang}" href="${url}">`);
-  }
-
-  // Add x-default for English
-  const defaultUrl = `${baseUrl}/en/article/${baseSlug}`;
-  hreflangTags.push(`<link rel="alternate" hreflang="x-default" href="${defaultUrl}">`);
-
-  return hreflangTags.join('\n');
-}
-
-/**
- * Generate complete meta tags for an article (standard + social + hreflang)
- */
-function buildCompleteMetaTags({ title, description, canonicalUrl, imageUrl, languageCode, baseSlug, availableLanguages }) {
+function buildCompleteMetaTags({ title, description, canonicalUrl, imageUrl, languageCode }) {
   const metaTags = [];
 
   // Standard meta tags
@@ -995,12 +1082,6 @@ function buildCompleteMetaTags({ title, description, canonicalUrl, imageUrl, lan
   const socialTags = buildSocialMetaTags({ title, description, canonicalUrl, imageUrl, languageCode });
   metaTags.push(socialTags);
 
-  // Hreflang tags for multi-language support
-  if (baseSlug && availableLanguages && availableLanguages.length > 1) {
-    const hreflangTags = buildHreflangTags({ baseSlug, availableLanguages, currentLanguage: languageCode });
-    metaTags.push(hreflangTags);
-  }
-
   return metaTags.join('\n');
 }
 
@@ -1011,23 +1092,89 @@ function appendJsonLd(html, ldArray) {
   return `${html}\n<script type="application/ld+json">${json}</script>`;
 }
 
-async function createMasterArticle(category, { preferWebSearch = false } = {}) {
-  const { system, user } = getPrompt('', category.slug);
-  genLog('AI master start (natural text)', { category: category.slug });
-  const tMasterStart = Date.now();
-  
-  // SINGLE AI CALL - asking for natural text
-  const ai = await generateRobustArticle({ 
-    system, 
-    user, 
-    preferWebSearch 
+/**
+ * Short alt text for the article image from the altText role. Falls back to
+ * the title when disabled or when the provider fails.
+ */
+async function writeImageAlt({ title, summary, category }) {
+  if (!config.ai.altTextEnabled) return title;
+  try {
+    const ai = await getAIProvider('altText').generate({
+      system: 'You write concise, descriptive image alt text for accessibility. Reply with the alt text only: one sentence, at most 125 characters, no quotes, no "image of".',
+      user: `Write alt text for the lead image of this article.\nTitle: ${title}\nSummary: ${summary || ''}`,
+      context: { category: category.name, title }
+    });
+    const alt = String(ai.content || '').replace(/\s+/g, ' ').replace(/^["']|["']$/g, '').trim();
+    return alt ? alt.slice(0, 250) : title;
+  } catch (err) {
+    genLog('Alt text generation failed, using title', { category: category.slug, error: err.message });
+    return title;
+  }
+}
+
+function sumUsage(usages) {
+  return usages.reduce((total, usage) => ({
+    prompt_tokens: total.prompt_tokens + (usage?.prompt_tokens || 0),
+    completion_tokens: total.completion_tokens + (usage?.completion_tokens || 0),
+    total_tokens: total.total_tokens + (usage?.total_tokens || 0),
+  }), { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 });
+}
+
+/**
+ * Structured output mode: ask for a JSON document, validate it and make one
+ * repair call if validation fails. `draft` is null when the reply could not
+ * be repaired; `usage` covers every call either way.
+ */
+async function writeStructuredMaster(category, { system, user, preferWebSearch, attempt }) {
+  const provider = getAIProvider('master');
+  const context = { category: category.name, format: 'json' };
+
+  const ai = await provider.generate({ system, user: toStructuredPrompt(user), preferWebSearch, context });
+  const calls = [ai];
+  let reply = ai;
+  let parsed = parseStructuredArticle(ai.content);
+
+  if (!parsed.success) {
+    genLog('Structured output invalid, repairing', { category: category.slug, attempt, issues: parsed.issues.slice(0, 5) });
+    reply = await provider.generate({
+      system: JSON_REPAIR_SYSTEM,
+      user: buildRepairPrompt(ai.content, parsed.issues),
+      context
+    });
+    calls.push(reply);
+    parsed = parseStructuredArticle(reply.content);
+  }
+
+  const usage = sumUsage(calls.map((c) => c.usage));
+  if (!parsed.success) {
+    genLog('Structured output repair failed, falling back to markdown', {
+      category: category.slug,
+      attempt,
+      issues: parsed.issues.slice(0, 5)
+    });
+    return { draft: null, usage };
+  }
+
+  return {
+    draft: { ai: { ...reply, usage }, masterJson: toMasterJson(parsed.data, category.name) },
+    usage
+  };
+}
+
+/**
+ * Markdown mode: free-form COMMON_STRUCTURE reply parsed by extractFromNaturalText
+ */
+async function writeMarkdownMaster(category, { system, user, preferWebSearch }) {
+  const ai = await getAIProvider('master').generate({
+    system,
+    user,
+    preferWebSearch,
+    context: { category: category.name }
   });
-  
-  genLog('AI master done', { category: category.slug, ms: Date.now() - tMasterStart });
-  
+
   // ALWAYS extract - no JSON parsing needed
   const extracted = extractFromNaturalText(ai.content, category.name);
-  
+
   // Convert to expected JSON structure
   const masterJson = {
     title: extracted.title,
@@ -1043,17 +1190,141 @@ async function createMasterArticle(category, { preferWebSearch = false } = {}) {
     category: category.name
   };
 
-  const totalWords = (extracted.intro + extracted.sections.map(s => s.body).join(' ') + 
-                     extracted.faq.map(f => f.a).join(' ')).split(' ').length;
+  return { ai, masterJson };
+}
+
+/**
+ * One draft (structured or markdown) plus quality evaluation
+ */
+async function writeMasterDraft(category, { preferWebSearch, usedTemplates, attempt, type }) {
+  // Regenerations move on to another template
+  const template = await selectTemplate(category.slug, {
+    language: 'en',
+    exclude: usedTemplates,
+    type,
+    categoryName: category.name
+  });
+  usedTemplates.add(template.id);
+  const { system, user } = template;
+  genLog('Prompt selected', {
+    category: category.slug,
+    attempt,
+    type,
+    templateId: template.id,
+    previousUses: template.uses
+  });
+  const structuredMode = config.generation.outputMode === 'json';
+  genLog(structuredMode ? 'AI master start (structured)' : 'AI master start (natural text)', { category: category.slug, attempt });
+  const tMasterStart = Date.now();
+
+  let draft = null;
+  let failedUsage = null;
+  if (structuredMode) {
+    const structured = await writeStructuredMaster(category, { system, user, preferWebSearch, attempt });
+    draft = structured.draft;
+    if (!draft) failedUsage = structured.usage;
+  }
+  if (!draft) {
+    draft = await writeMarkdownMaster(category, { system, user, preferWebSearch });
+    // Tokens spent on the structured attempt still count
+    if (failedUsage) draft.ai = { ...draft.ai, usage: sumUsage([failedUsage, draft.ai.usage]) };
+  }
+  const { ai, masterJson } = draft;
+  const structured = structuredMode && !failedUsage;
+
+  genLog('AI master done', { category: category.slug, attempt, structured, ms: Date.now() - tMasterStart });
+
+  const quality = evaluateMasterQuality(masterJson, {
+    rawContent: ai.content,
+    categorySlug: category.slug,
+    structured
+  });
   
-  genLog('Natural text extraction completed', { 
+  genLog(structured ? 'Structured output validated' : 'Natural text extraction completed', { 
     category: category.slug, 
-    sections: extracted.sections.length,
-    faq: extracted.faq.length,
-    words: totalWords,
-    successRate: '100%'
+    sections: masterJson.sections.length,
+    faq: masterJson.faq.length,
+    words: quality.wordCount
   });
 
+  const signature = computeSignature(signatureText(masterJson));
+  const duplicate = config.duplicates.enabled
+    ? await findNearDuplicate(category.id, signature)
+    : null;
+  if (duplicate) {
+    genLog('Near-duplicate draft', {
+      category: category.slug,
+      attempt,
+      duplicateOf: duplicate.slug,
+      similarity: duplicate.similarity
+    });
+  }
+
+  return { ai, user, templateId: template.id, masterJson, quality, signature, duplicate };
+}
+
+/**
+ * Write, check and assemble an English master article
+ *
+ * @param {{ id: number, slug: string, name: string }} category
+ * @param {object} [options]
+ * @param {boolean} [options.preferWebSearch]
+ * @param {string} [options.type] article type (see src/utils/articleTypes.js)
+ */
+async function createMasterArticle(category, { preferWebSearch = false, type = DEFAULT_ARTICLE_TYPE } = {}) {
+  if (!isValidArticleType(type)) {
+    throw Object.assign(new Error(`Unknown article type: ${type}`), { retryable: false });
+  }
+  const usedTemplates = new Set();
+  const maxAttempts = config.quality.enabled ? config.quality.maxRegenerations + 1 : 1;
+  const usage = { prompt_tokens: 0, completion_tokens: 0, total_tokens: 0 };
+  let best = null;
+
+  for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+    const draft = await writeMasterDraft(category, { preferWebSearch, usedTemplates, attempt, type });
+    usage.prompt_tokens += draft.ai.usage?.prompt_tokens || 0;
+    usage.completion_tokens += draft.ai.usage?.completion_tokens || 0;
+    usage.total_tokens += draft.ai.usage?.total_tokens || 0;
+    // Prefer original drafts over near-duplicates, then the higher score
+    if (!best || (best.duplicate && !draft.duplicate) ||
+        (Boolean(best.duplicate) === Boolean(draft.duplicate) && draft.quality.score > best.quality.score)) {
+      best = draft;
+    }
+
+    const qualityOk = !config.quality.enabled || draft.quality.passed;
+    if (qualityOk && !draft.duplicate) {
+      if (config.quality.enabled) {
+        genLog('Quality gate passed', { category: category.slug, attempt, score: draft.quality.score });
+      }
+      best = draft;
+      break;
+    }
+
+    if (!qualityOk) {
+      genLog('Quality gate failed', {
+        category: category.slug,
+        attempt,
+        maxAttempts,
+        score: draft.quality.score,
+        reasons: draft.quality.reasons.map((r) => r.code)
+      });
+    }
+  }
+
+  const { ai, user, templateId, masterJson, quality, signature, duplicate } = best;
+  const qualityPassed = !config.quality.enabled || quality.passed;
+  if (!qualityPassed && config.quality.onFailure === 'reject') {
+    const err = new Error(`Quality gate failed after ${maxAttempts} attempt(s): ${quality.reasons.map((r) => r.message).join('; ')}`);
+    // Every regeneration already ran; retrying the job would only repeat them
+    err.retryable = false;
+    throw err;
+  }
+  if (duplicate && config.duplicates.action === 'reject') {
+    const err = new Error(`Draft duplicates "${duplicate.slug}" (similarity ${duplicate.similarity.toFixed(2)}) after ${maxAttempts} attempt(s)`);
+    err.retryable = false;
+    throw err;
+  }
+
   // Build final article
   const title = masterJson.title;
   const slugBase = await generateUniqueSlug(toSlug(title));
@@ -1071,33 +1342,48 @@ async function createMasterArticle(category, { preferWebSearch = false } = {}) {
     ms: Date.now() - tImgStart,
     hasImage: Boolean(imageUrl)
   });
+  const imageAlt = imageUrl ? await writeImageAlt({ title, summary, category }) : null;
   
   const readingTime = estimateReadingTimeMinutes(contentHtml);
 
-  let masterArticle = {
+  const masterArticle = {
     title,
     slug: slugBase,
     content: contentHtml,
     summary,
     language_code: 'en',
     category_id: category.id,
+    article_type: type,
+    tags: Array.isArray(masterJson.keywords) ? masterJson.keywords : [],
     image_url: imageUrl,
+    image_alt: imageAlt,
     meta_title: metaTitle,
     meta_description: metaDescription,
     canonical_url: canonicalUrl,
     reading_time_minutes: readingTime,
     ai_model: ai.model,
     ai_prompt: user,
-    ai_tokens_input: ai.usage?.prompt_tokens || 0,
-    ai_tokens_output: ai.usage?.completion_tokens || 0,
-    total_tokens: ai.usage?.total_tokens || 0,
+    // Recorded in topic_usage by the caller once the article is saved
+    template_id: templateId,
+    // Tokens of every attempt, including drafts rejected by the quality gate
+    ai_tokens_input: usage.prompt_tokens,
+    ai_tokens_output: usage.completion_tokens,
+    total_tokens: usage.total_tokens,
     source_url: null,
+    word_count: quality.wordCount,
+    word_count_status: quality.wordCountStatus,
+    quality_score: config.quality.enabled ? quality.score : null,
+    quality_reasons: quality.reasons,
+    quality_passed: qualityPassed,
+    minhash_signature: signature,
+    duplicate_of: duplicate?.id ?? null,
+    duplicate_similarity: duplicate?.similarity ?? null,
+    // Drafts that failed the gate or resemble an existing article wait for an
+    // editor instead of going live
+    ...(qualityPassed && !duplicate ? {} : { status: 'draft' }),
     // content_hash will be added after final content is assembled
   };
 
-  // Add word count validation to article structure
-  masterArticle = addWordCountToArticle(masterArticle, contentHtml, category.slug);
-
   // Append JSON-LD schema
   const masterLd = buildArticleJsonLd({
     masterJson,
@@ -1106,6 +1392,7 @@ async function createMasterArticle(category, { preferWebSearch = false } = {}) {
     canonicalUrl,
     imageUrl,
     languageCode: 'en',
+    articleType: type,
   });
   masterArticle.content = appendJsonLd(masterArticle.content, masterLd);
   // Final content hash after sanitization and JSON-LD inclusion
@@ -1124,7 +1411,7 @@ async function generateTranslationArticle({ lang, category, masterSlug, masterTi
 
   // Get the master article's HTML content directly from database
   const masterRes = await query(
-    `SELECT title, content, summary, meta_description FROM articles_en WHERE slug = $1`,
+    `SELECT id, title, content, summary, meta_description, image_alt, status, scheduled_at, article_type, content_hash FROM articles_en WHERE slug = $1`,
     [masterSlug]
   );
   
@@ -1159,6 +1446,11 @@ async function generateTranslationArticle({ lang, category, masterSlug, masterTi
   const translatedTitle = translatedResult.title;
   const translatedSummary = translatedResult.summary;
   const translatedMetaDesc = translatedResult.metaDescription;
+  const translatedImageAlt = imageUrl && masterArticle.image_alt
+    ? await translator.translateText(masterArticle.image_alt)
+    : null;
+  const masterTags = await getArticleTags('en', masterArticle.id);
+  const translatedTags = await translateTagNames(translator, masterTags.map((t) => t.name));
 
   // Update title in HTML content
   translatedContent = translatedContent.replace(
@@ -1191,15 +1483,23 @@ async function generateTranslationArticle({ lang, category, masterSlug, masterTi
     meta_description: translatedMetaDesc,
     canonical_url: finalCanonicalUrl,
     image_url: imageUrl,
+    image_alt: translatedImageAlt || null,
     reading_time_minutes: readingTime,
     language_code: lang,
     category_id: category.id,
+    article_type: masterArticle.article_type,
+    tags: translatedTags,
+    // Translations follow their master through the editorial workflow
+    status: masterArticle.status === 'published' || masterArticle.status === 'scheduled' ? masterArticle.status : 'in_review',
+    scheduled_at: masterArticle.scheduled_at || null,
     published_at: new Date().toISOString(),
     created_at: new Date().toISOString(),
     updated_at: new Date().toISOString(),
     content_hash: computeHash(translatedContent + translatedTitle),
     ai_tokens_input: translator.getTokenStats().input || 0,
-    ai_tokens_output: translator.getTokenStats().output || 0
+    ai_tokens_output: translator.getTokenStats().output || 0,
+    // Links the translation into its master's group on insert
+    translation_of: { masterId: masterArticle.id, sourceContentHash: masterArticle.content_hash || null }
   };
 
   genLog('AI translation done', { 
@@ -1208,245 +1508,29 @@ async function generateTranslationArticle({ lang, category, masterSlug, masterTi
     ms: Date.now() - tTransStart 
   });
 
+  const glossaryReport = translator.getGlossaryReport();
+  if (glossaryReport.violations.length) {
+    genLog('Glossary violations left in translation', {
+      lang,
+      masterSlug,
+      repaired: glossaryReport.repaired,
+      violations: glossaryReport.violations
+    });
+  }
+
   trackSuccess();
 
   return { 
     translationArticle, 
     translatedTitle, 
     translatedSummary, 
-    translatedContent 
+    translatedContent,
+    glossaryReport
   };
 }
 
 // ========== UTILITY FUNCTIONS ==========
 
-// Legacy functions (disabled)
-/*
-async function createBestOfArticle(category, { preferWebSearch = false } = {}) {
-  const { system, user } = getPrompt('best_of', category.name);
-  genLog('AI best-of start', { category: category.slug });
-  const tStart = Date.now();
-
-  const ai = await generateRobustArticle({ system, user, preferWebSearch });
-
-  genLog('AI best-of done', { category: category.slug, ms: Date.now() - tStart });
-
-  const extracted = extractFromNaturalText(ai.content, category.name);
-
-  const bestOfJson = {
-    title: extracted.title,
-    metaTitle: extracted.title.length <= 60 ? extracted.title : extracted.title.slice(0, 57) + '...',
-    metaDescription: extracted.metaDescription,
-    intro: extracted.intro,
-    sections: extracted.sections,
-    faq: extracted.faq,
-    keywords: extracted.keywords,
-    externalLinks: extracted.externalLinks,
-    summary: extracted.summary,
-    sourceUrls: [],
-    category: category.name,
-  };
-
-  const title = bestOfJson.title;
-  const slugBase = await generateUniqueSlug(toSlug(title));
-  let contentHtml = sanitizeHtmlContent(assembleHtml(bestOfJson));
-  const summary = bestOfJson.summary;
-  const metaTitle = bestOfJson.metaTitle;
-  const metaDescription = bestOfJson.metaDescription;
-  const canonicalUrl = canonicalForSlug(slugBase, 'en');
-
-  const imageUrl = await fetchBestImageUrl(title, category.slug);
-  const readingTime = estimateReadingTimeMinutes(contentHtml);
-
-  let bestOfArticle = {
-    title,
-    slug: slugBase,
-    content: contentHtml,
-    summary,
-    language_code: 'en',
-    category_id: category.id,
-    image_url: imageUrl,
-    meta_title: metaTitle,
-    meta_description: metaDescription,
-    canonical_url: canonicalUrl,
-    reading_time_minutes: readingTime,
-    ai_model: ai.model,
-    ai_prompt: user,
-    ai_tokens_input: ai.usage?.prompt_tokens || 0,
-    ai_tokens_output: ai.usage?.completion_tokens || 0,
-    total_tokens: ai.usage?.total_tokens || 0,
-    source_url: null,
-  };
-
-  // Add word count validation to article structure
-  bestOfArticle = addWordCountToArticle(bestOfArticle, contentHtml, category.slug);
-
-  const bestOfLd = buildArticleJsonLd({
-    masterJson: bestOfJson,
-    title,
-    description: metaDescription,
-    canonicalUrl,
-    imageUrl,
-    languageCode: 'en',
-  });
-  bestOfArticle.content = appendJsonLd(bestOfArticle.content, bestOfLd);
-  bestOfArticle.content_hash = computeHash(bestOfArticle.content + title);
-
-  trackSuccess();
-
-  return { bestOfArticle, bestOfJson };
-}
-
-async function createCompareArticle(category, { preferWebSearch = false } = {}) {
-  const { system, user } = getPrompt('compare', category.name);
-  genLog('AI compare start', { category: category.slug });
-  const tStart = Date.now();
-
-  const ai = await generateRobustArticle({ system, user, preferWebSearch });
-
-  genLog('AI compare done', { category: category.slug, ms: Date.now() - tStart });
-
-  const extracted = extractFromNaturalText(ai.content, category.name);
-
-  const compareJson = {
-    title: extracted.title,
-    metaTitle: extracted.title.length <= 60 ? extracted.title : extracted.title.slice(0, 57) + '...',
-    metaDescription: extracted.metaDescription,
-    intro: extracted.intro,
-    sections: extracted.sections,
-    faq: extracted.faq,
-    keywords: extracted.keywords,
-    externalLinks: extracted.externalLinks,
-    summary: extracted.summary,
-    sourceUrls: [],
-    category: category.name,
-  };
-
-  const title = compareJson.title;
-  const slugBase = await generateUniqueSlug(toSlug(title));
-  let contentHtml = sanitizeHtmlContent(assembleHtml(compareJson));
-  const summary = compareJson.summary;
-  const metaTitle = compareJson.metaTitle;
-  const metaDescription = compareJson.metaDescription;
-  const canonicalUrl = canonicalForSlug(slugBase, 'en');
-
-  const imageUrl = await fetchBestImageUrl(title, category.slug);
-  const readingTime = estimateReadingTimeMinutes(contentHtml);
-
-  let compareArticle = {
-    title,
-    slug: slugBase,
-    content: contentHtml,
-    summary,
-    language_code: 'en',
-    category_id: category.id,
-    image_url: imageUrl,
-    meta_title: metaTitle,
-    meta_description: metaDescription,
-    canonical_url: canonicalUrl,
-    reading_time_minutes: readingTime,
-    ai_model: ai.model,
-    ai_prompt: user,
-    ai_tokens_input: ai.usage?.prompt_tokens || 0,
-    ai_tokens_output: ai.usage?.completion_tokens || 0,
-    total_tokens: ai.usage?.total_tokens || 0,
-    source_url: null,
-  };
-
-  // Add word count validation to article structure
-  compareArticle = addWordCountToArticle(compareArticle, contentHtml, category.slug);
-
-  const compareLd = buildArticleJsonLd({
-    masterJson: compareJson,
-    title,
-    description: metaDescription,
-    canonicalUrl,
-    imageUrl,
-    languageCode: 'en',
-  });
-  compareArticle.content = appendJsonLd(compareArticle.content, compareLd);
-  compareArticle.content_hash = computeHash(compareArticle.content + title);
-
-  trackSuccess();
-
-  return { compareArticle, compareJson };
-}
-
-async function createTrendsArticle(category, { preferWebSearch = false } = {}) {
-  const { system, user } = getPrompt('trends', category.name);
-  genLog('AI trends start', { category: category.slug });
-  const tStart = Date.now();
-
-  const ai = await generateRobustArticle({ system, user, preferWebSearch });
-  genLog('AI trends done', { category: category.slug, ms: Date.now() - tStart });
-
-  const extracted = extractFromNaturalText(ai.content, category.name);
-
-  const trendsJson = {
-    title: extracted.title,
-    metaTitle: extracted.title.length <= 60 ? extracted.title : extracted.title.slice(0, 57) + '...',
-    metaDescription: extracted.metaDescription,
-    intro: extracted.intro,
-    sections: extracted.sections,
-    faq: extracted.faq,
-    keywords: extracted.keywords,
-    externalLinks: extracted.externalLinks,
-    summary: extracted.summary,
-    sourceUrls: [],
-    category: category.name,
-  };
-
-  const title = trendsJson.title;
-  const slugBase = await generateUniqueSlug(toSlug(title));
-  let contentHtml = sanitizeHtmlContent(assembleHtml(trendsJson));
-  const summary = trendsJson.summary;
-  const metaTitle = trendsJson.metaTitle;
-  const metaDescription = trendsJson.metaDescription;
-  const canonicalUrl = canonicalForSlug(slugBase, 'en');
-
-  const imageUrl = await fetchBestImageUrl(title, category.slug);
-  const readingTime = estimateReadingTimeMinutes(contentHtml);
-
-  let trendsArticle = {
-    title,
-    slug: slugBase,
-    content: contentHtml,
-    summary,
-    language_code: 'en',
-    category_id: category.id,
-    image_url: imageUrl,
-    meta_title: metaTitle,
-    meta_description: metaDescription,
-    canonical_url: canonicalUrl,
-    reading_time_minutes: readingTime,
-    ai_model: ai.model,
-    ai_prompt: user,
-    ai_tokens_input: ai.usage?.prompt_tokens || 0,
-    ai_tokens_output: ai.usage?.completion_tokens || 0,
-    total_tokens: ai.usage?.total_tokens || 0,
-    source_url: null,
-  };
-
-  // Add word count validation to article structure
-  trendsArticle = addWordCountToArticle(trendsArticle, contentHtml, category.slug);
-
-  const trendsLd = buildArticleJsonLd({
-    masterJson: trendsJson,
-    title,
-    description: metaDescription,
-    canonicalUrl,
-    imageUrl,
-    languageCode: 'en',
-  });
-  trendsArticle.content = appendJsonLd(trendsArticle.content, trendsLd);
-  trendsArticle.content_hash = computeHash(trendsArticle.content + title);
-
-  trackSuccess();
-
-  return { trendsArticle, trendsJson };
-}
-*/
-
 // DEPRECATED: Legacy generation batch function - replaced by optimized generation
 // This function uses different quota logic and can cause quota violations
 export async function runGenerationBatch() {
@@ -1465,4 +1549,10 @@ export async function runGenerationBatch() {
 }
 
 // Named export for on-demand generation endpoints
-export { createMasterArticle, generateTranslationArticle, extractFromNaturalText, insertArticle, updateDailyTokenUsage, incrementJobCount, getCategories };
+export { createMasterArticle, generateTranslationArticle, extractFromNaturalText, insertArticle, updateTranslationArticle, updateDailyTokenUsage, incrementJobCount, getCategories };
+
+// Shared with editor edits (src/services/articleManagementService.js)
+export { sanitizeHtmlContent, estimateReadingTimeMinutes, computeHash, writeImageAlt, canonicalForSlug };
+
+// Content assembly, checked by scripts/test-markdown-tables.js
+export { markdownTableToHtml, assembleHtml };
@@ -0,0 +1,460 @@
+import { query, withTransaction } from '../db.js';
+import { config } from '../config.js';
+import { articlesTable } from '../utils/articlesTable.js';
+import { DEFAULT_ARTICLE_TYPE } from '../utils/articleTypes.js';
+import {
+  createMasterArticle,
+  generateTranslationArticle,
+  insertArticle,
+  updateTranslationArticle,
+  updateDailyTokenUsage,
+  incrementJobCount
+} from './generation.js';
+import { enqueueJob, registerJobHandler } from './jobQueue.js';
+import { recordJobEvent } from './jobProgress.js';
+import { recordTopicUsage, recordTranslationTopicUsage } from './topicRegistry.js';
+import { getTranslationId, getTranslationLink } from './articleGroupService.js';
+import { genLog } from './logger.js';
+
+/**
+ * Generation and translation as queue jobs.
+ *
+ * One `generate_master` job produces an English article; one
+ * `translate_article` job per language depends on it and translates the
+ * master once it exists. Each step commits its article and its job
+ * completion in the same transaction, so a restart resumes exactly where
+ * the previous process stopped.
+ */
+
+export const JOB_TYPES = {
+  GENERATE_MASTER: 'generate_master',
+  TRANSLATE_ARTICLE: 'translate_article',
+  // Parent of a set of translate_article jobs for an existing master
+  TRANSLATE_BATCH: 'translate_batch',
+  // New translation of an existing translation whose master changed since
+  RETRANSLATE_ARTICLE: 'retranslate_article',
+};
+
+/**
+ * Get all supported languages from config, excluding English
+ */
+export function getSupportedTranslationLanguages() {
+  return (config.languages || []).filter((lang) => lang !== 'en');
+}
+
+/**
+ * Queue one master article for a category plus its translations
+ *
+ * @param {{ id: number, slug: string, name: string }} category
+ * @param {object} [options]
+ * @param {string[]} [options.languages] translation targets (defaults to all non-English languages)
+ * @param {boolean} [options.enforceQuota] skip the master when the category's daily quota is met
+ * @param {number} [options.quota] English articles allowed per category per day
+ * @param {number} [options.priority]
+ * @param {string} [options.trigger] who asked for it (manual, daily_auto, api...)
+ * @param {string} [options.type] article type (guide, best_of, how_to, compare, trends)
+ * @returns {Promise<{ masterJob: object, translationJobs: object[] }>}
+ */
+export async function enqueueArticleGeneration(category, {
+  languages = getSupportedTranslationLanguages(),
+  enforceQuota = true,
+  quota = config.generation.articlesPerCategoryPerDay,
+  priority = 0,
+  trigger = 'manual',
+  type = DEFAULT_ARTICLE_TYPE
+} = {}) {
+  const categoryRef = { id: category.id, slug: category.slug, name: category.name };
+
+  return await withTransaction(async (client) => {
+    const masterJob = await enqueueJob({
+      type: JOB_TYPES.GENERATE_MASTER,
+      payload: { category: categoryRef, enforceQuota, quota, trigger, articleType: type },
+      priority
+    }, client);
+
+    const translationJobs = [];
+    for (const lang of languages) {
+      translationJobs.push(await enqueueJob({
+        type: JOB_TYPES.TRANSLATE_ARTICLE,
+        payload: { category: categoryRef, lang, trigger },
+        priority,
+        dependsOn: masterJob.id
+      }, client));
+    }
+
+    genLog('Article generation queued', {
+      category: category.slug,
+      articleType: type,
+      masterJobId: masterJob.id,
+      translationJobIds: translationJobs.map((j) => j.id),
+      trigger
+    });
+
+    return { masterJob, translationJobs };
+  });
+}
+
+/**
+ * Queue a single translation of an existing English master
+ */
+export async function enqueueTranslation({ category, masterSlug, lang, maxChunks, priority = 0, trigger = 'manual' }) {
+  const categoryRef = { id: category.id, slug: category.slug, name: category.name };
+  return await enqueueJob({
+    type: JOB_TYPES.TRANSLATE_ARTICLE,
+    payload: { category: categoryRef, lang, masterSlug, maxChunks, trigger },
+    priority
+  });
+}
+
+/**
+ * Queue translations of an existing English master into several languages.
+ * A `translate_batch` parent job gives the whole batch a single id to track.
+ *
+ * @returns {Promise<{ batchJob: object, translationJobs: object[] }>}
+ */
+export async function enqueueTranslationBatch({ category, masterSlug, languages = getSupportedTranslationLanguages(), maxChunks, priority = 0, trigger = 'manual' }) {
+  const categoryRef = { id: category.id, slug: category.slug, name: category.name };
+
+  return await withTransaction(async (client) => {
+    const batchJob = await enqueueJob({
+      type: JOB_TYPES.TRANSLATE_BATCH,
+      payload: { category: categoryRef, masterSlug, languages, trigger },
+      priority
+    }, client);
+
+    const translationJobs = [];
+    for (const lang of languages) {
+      translationJobs.push(await enqueueJob({
+        type: JOB_TYPES.TRANSLATE_ARTICLE,
+        payload: { category: categoryRef, lang, maxChunks, trigger },
+        priority,
+        dependsOn: batchJob.id
+      }, client));
+    }
+
+    return { batchJob, translationJobs };
+  });
+}
+
+/**
+ * Queue a new translation of a translation that is stale, i.e. made from an
+ * older version of its master. The translation keeps its slug and URL.
+ *
+ * @param {object} options
+ * @param {number} options.masterId
+ * @param {string} options.lang
+ * @param {string} options.sourceContentHash master content_hash the job is meant to catch up with
+ * @param {object} [client] pg client to enqueue inside an existing transaction
+ */
+export async function enqueueRetranslation({ masterId, lang, sourceContentHash, maxChunks, priority = 0, trigger = 'stale_check' }, client = null) {
+  return await enqueueJob({
+    type: JOB_TYPES.RETRANSLATE_ARTICLE,
+    payload: { masterId, lang, sourceContentHash, maxChunks, trigger },
+    priority
+  }, client);
+}
+
+async function countCategoryArticlesToday(executor, categoryId) {
+  const { rows } = await executor.query(
+    `SELECT COUNT(*)::int AS count FROM articles_en
+     WHERE category_id = $1 AND created_at::date = CURRENT_DATE`,
+    [categoryId]
+  );
+  return rows[0]?.count || 0;
+}
+
+async function handleGenerateMaster(job, ctx) {
+  const {
+    category,
+    enforceQuota = true,
+    quota = config.generation.articlesPerCategoryPerDay,
+    articleType = DEFAULT_ARTICLE_TYPE
+  } = job.payload;
+
+  const quotaMet = (currentCount) => {
+    genLog('Quota already met for category, skipping', {
+      jobId: job.id,
+      category: category.slug,
+      currentCount,
+      quota
+    });
+    return { skipped: true, reason: 'quota_met', currentCount, quota };
+  };
+
+  // Cheap check before spending tokens; re-checked under the lock below
+  if (enforceQuota) {
+    const currentCount = await countCategoryArticlesToday({ query }, category.id);
+    if (currentCount >= quota) return quotaMet(currentCount);
+  }
+
+  genLog('Generating master article from job', { jobId: job.id, category: category.slug, articleType });
+
+  // The AI calls take minutes: keep them outside the transaction so no pool
+  // connection or category lock is held meanwhile
+  const { masterArticle } = await createMasterArticle(category, { preferWebSearch: false, type: articleType });
+
+  await recordJobEvent(job.id, 'insert', 'Saving article', { slug: masterArticle.slug, language: 'en' });
+  return await withTransaction(async (client) => {
+    if (enforceQuota) {
+      // Serialise quota checks per category across workers
+      await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`generate_master:${category.id}`]);
+      const currentCount = await countCategoryArticlesToday(client, category.id);
+      if (currentCount >= quota) {
+        // Another worker filled the quota while this one was generating
+        await updateDailyTokenUsage(client, [{
+          prompt_tokens: masterArticle.ai_tokens_input,
+          completion_tokens: masterArticle.ai_tokens_output,
+        }]);
+        const result = quotaMet(currentCount);
+        await ctx.complete(client, result);
+        return result;
+      }
+    }
+
+    const inserted = await insertArticle(client, masterArticle);
+    await recordTopicUsage(client, {
+      templateId: masterArticle.template_id,
+      categoryId: category.id,
+      categorySlug: category.slug,
+      language: 'en',
+      articleId: inserted.id,
+      articleSlug: inserted.slug
+    });
+    await updateDailyTokenUsage(client, [{
+      prompt_tokens: masterArticle.ai_tokens_input,
+      completion_tokens: masterArticle.ai_tokens_output,
+    }]);
+    await incrementJobCount(client, 1);
+
+    const result = {
+      articleId: inserted.id,
+      masterSlug: inserted.slug,
+      title: inserted.title,
+      summary: inserted.summary,
+      imageUrl: inserted.image_url,
+      qualityScore: inserted.quality_score,
+      templateId: masterArticle.template_id,
+      articleType: masterArticle.article_type
+    };
+    // Saved as a draft for editors; don't spend tokens translating it
+    if (!masterArticle.quality_passed) {
+      Object.assign(result, { skipped: true, reason: 'quality_gate_failed' });
+    } else if (masterArticle.duplicate_of) {
+      Object.assign(result, {
+        skipped: true,
+        reason: 'near_duplicate',
+        duplicateOf: masterArticle.duplicate_of,
+        similarity: masterArticle.duplicate_similarity
+      });
+    }
+    await ctx.complete(client, result);
+
+    genLog('Master article generated successfully', {
+      jobId: job.id,
+      slug: inserted.slug,
+      category: category.slug
+    });
+    return result;
+  });
+}
+
+async function resolveMasterForTranslation(job) {
+  if (job.payload.masterSlug) {
+    const { rows } = await query(
+      'SELECT id, slug, title, summary, image_url FROM articles_en WHERE slug = $1 LIMIT 1',
+      [job.payload.masterSlug]
+    );
+    if (!rows.length) {
+      throw Object.assign(new Error(`Master article not found: ${job.payload.masterSlug}`), { retryable: false });
+    }
+    return {
+      articleId: rows[0].id,
+      masterSlug: rows[0].slug,
+      title: rows[0].title,
+      summary: rows[0].summary,
+      imageUrl: rows[0].image_url
+    };
+  }
+
+  if (!job.depends_on) {
+    throw Object.assign(new Error('Translation job has neither masterSlug nor a master job'), { retryable: false });
+  }
+  const { rows } = await query('SELECT result FROM jobs WHERE id = $1', [job.depends_on]);
+  const parentResult = rows[0]?.result;
+  // A skipped master (failed quality gate, near-duplicate) stays a draft and is never translated
+  if (parentResult?.skipped) {
+    throw Object.assign(
+      new Error(`Master job ${job.depends_on} was skipped: ${parentResult.reason || 'skipped'}`),
+      { retryable: false }
+    );
+  }
+  if (!parentResult?.masterSlug) {
+    throw Object.assign(new Error(`Master job ${job.depends_on} has no article`), { retryable: false });
+  }
+  return parentResult;
+}
+
+async function handleTranslateArticle(job, ctx) {
+  const { category, lang, maxChunks } = job.payload;
+  const master = await resolveMasterForTranslation(job);
+
+  // A previous attempt may have inserted the translation before the process died
+  const translationId = await getTranslationId({ query }, master.articleId, lang);
+  const existing = translationId === null
+    ? { rows: [] }
+    : await query(`SELECT id, slug FROM ${articlesTable(lang)} WHERE id = $1`, [translationId]);
+  if (existing.rows.length) {
+    genLog('Translation already exists, skipping', { jobId: job.id, language: lang, slug: existing.rows[0].slug });
+    return { skipped: true, reason: 'already_exists', slug: existing.rows[0].slug, language: lang };
+  }
+
+  genLog('Generating translation', {
+    jobId: job.id,
+    category: category.slug,
+    language: lang,
+    masterSlug: master.masterSlug
+  });
+
+  const { translationArticle, glossaryReport } = await generateTranslationArticle({
+    lang,
+    category,
+    masterSlug: master.masterSlug,
+    masterTitle: master.title,
+    masterSummary: master.summary,
+    imageUrl: master.imageUrl,
+    maxChunks
+  });
+
+  await recordJobEvent(job.id, 'insert', 'Saving translation', { slug: translationArticle.slug, language: lang });
+  return await withTransaction(async (client) => {
+    const inserted = await insertArticle(client, translationArticle);
+    await recordTranslationTopicUsage(client, {
+      masterSlug: master.masterSlug,
+      language: lang,
+      articleId: inserted.id,
+      articleSlug: inserted.slug
+    });
+    await updateDailyTokenUsage(client, [{
+      prompt_tokens: translationArticle.ai_tokens_input,
+      completion_tokens: translationArticle.ai_tokens_output,
+    }]);
+    await incrementJobCount(client, 1);
+
+    const result = { articleId: inserted.id, slug: inserted.slug, language: lang, masterSlug: master.masterSlug };
+    if (glossaryReport.violations.length) result.glossaryViolations = glossaryReport.violations;
+    await ctx.complete(client, result);
+
+    genLog('Translation completed successfully', {
+      jobId: job.id,
+      slug: inserted.slug,
+      language: lang,
+      category: category.slug
+    });
+    return result;
+  });
+}
+
+async function handleRetranslateArticle(job, ctx) {
+  const { masterId, lang, maxChunks } = job.payload;
+  const { rows } = await query(
+    `SELECT m.slug, m.title, m.summary, m.image_url, m.content_hash,
+            c.id AS category_id, c.slug AS category_slug, c.name AS category_name
+     FROM articles_en m
+     LEFT JOIN categories c ON c.id = m.category_id
+     WHERE m.id = $1 AND m.deleted_at IS NULL`,
+    [masterId]
+  );
+  if (!rows.length) {
+    throw Object.assign(new Error(`Master article not found: ${masterId}`), { retryable: false });
+  }
+  const master = rows[0];
+
+  const link = await getTranslationLink({ query }, masterId, lang);
+  if (!link) {
+    return { skipped: true, reason: 'translation_missing', masterId, language: lang };
+  }
+  // An earlier job may already have caught up with the current master
+  if (master.content_hash && link.sourceContentHash === master.content_hash) {
+    return { skipped: true, reason: 'already_fresh', articleId: link.articleId, language: lang };
+  }
+
+  genLog('Re-translating stale translation', {
+    jobId: job.id,
+    language: lang,
+    masterSlug: master.slug,
+    articleId: link.articleId
+  });
+
+  const { translationArticle, glossaryReport } = await generateTranslationArticle({
+    lang,
+    category: { id: master.category_id, slug: master.category_slug, name: master.category_name },
+    masterSlug: master.slug,
+    masterTitle: master.title,
+    masterSummary: master.summary,
+    imageUrl: master.image_url,
+    maxChunks
+  });
+
+  await recordJobEvent(job.id, 'update', 'Saving translation', { articleId: link.articleId, language: lang });
+  return await withTransaction(async (client) => {
+    const updated = await updateTranslationArticle(client, link.articleId, translationArticle);
+    if (!updated) {
+      const result = { skipped: true, reason: 'translation_deleted', articleId: link.articleId, language: lang };
+      await ctx.complete(client, result);
+      return result;
+    }
+    await updateDailyTokenUsage(client, [{
+      prompt_tokens: translationArticle.ai_tokens_input,
+      completion_tokens: translationArticle.ai_tokens_output,
+    }]);
+
+    const result = {
+      articleId: updated.id,
+      slug: updated.slug,
+      language: lang,
+      masterSlug: master.slug,
+      sourceContentHash: translationArticle.translation_of.sourceContentHash
+    };
+    if (glossaryReport.violations.length) result.glossaryViolations = glossaryReport.violations;
+    await ctx.complete(client, result);
+
+    genLog('Re-translation completed successfully', { jobId: job.id, slug: updated.slug, language: lang });
+    return result;
+  });
+}
+
+/**
+ * Resolve the master once so every translation in the batch starts from the same article
+ */
+async function handleTranslateBatch(job) {
+  const { masterSlug } = job.payload;
+  const { rows } = await query(
+    'SELECT id, slug, title, summary, image_url FROM articles_en WHERE slug = $1 LIMIT 1',
+    [masterSlug]
+  );
+  if (!rows.length) {
+    throw Object.assign(new Error(`Master article not found: ${masterSlug}`), { retryable: false });
+  }
+  return {
+    articleId: rows[0].id,
+    masterSlug: rows[0].slug,
+    title: rows[0].title,
+    summary: rows[0].summary,
+    imageUrl: rows[0].image_url,
+    languages: job.payload.languages
+  };
+}
+
+registerJobHandler(JOB_TYPES.GENERATE_MASTER, handleGenerateMaster);
+registerJobHandler(JOB_TYPES.TRANSLATE_ARTICLE, handleTranslateArticle);
+registerJobHandler(JOB_TYPES.TRANSLATE_BATCH, handleTranslateBatch);
+registerJobHandler(JOB_TYPES.RETRANSLATE_ARTICLE, handleRetranslateArticle);
+
+export default {
+  JOB_TYPES,
+  getSupportedTranslationLanguages,
+  enqueueArticleGeneration,
+  enqueueTranslation,
+  enqueueTranslationBatch,
+  enqueueRetranslation
+};
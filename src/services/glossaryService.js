@@ -0,0 +1,365 @@
+import { query } from '../db.js';
+import { config } from '../config.js';
+import { articlesTable } from '../utils/articlesTable.js';
+import { AppError, ErrorTypes, withDatabaseErrorHandling } from './errorHandler.js';
+import { getGroupMasterId } from './articleGroupService.js';
+import { genLog } from './logger.js';
+
+/**
+ * Translation glossary.
+ *
+ * `glossary_terms` (scripts/add-glossary.js) holds English terms the
+ * translators must handle in a fixed way:
+ * - a protected term (no translation) is kept exactly as written: the site
+ *   name, brands, product names
+ * - a mapped term is always translated as given
+ *
+ * A term without a language applies to every target language; a term for
+ * one language overrides it there. Translators load the glossary of their
+ * target language into their prompts and check each translated chunk
+ * against it afterwards (see HTMLTranslator). Terms are served from an
+ * in-memory copy that is reloaded after every change made here and at most
+ * GLOSSARY_CACHE_TTL_MS after changes made elsewhere.
+ */
+
+// Fields accepted by createGlossaryTerm and updateGlossaryTerm
+export const GLOSSARY_EDITABLE_FIELDS = ['term', 'language', 'translation', 'case_sensitive', 'note'];
+
+const GLOSSARY_CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+let cacheLoadedAt = 0;
+let cacheLoading = null;
+
+function toId(value) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new AppError('id must be a positive integer', ErrorTypes.VALIDATION_ERROR, { id: value });
+  }
+  return id;
+}
+
+function toTermRow(row) {
+  const { language_code: language, ...rest } = row;
+  return { ...rest, id: Number(row.id), language };
+}
+
+function validateFields(fields, { partial = false } = {}) {
+  if ((!partial || 'term' in fields) && (typeof fields.term !== 'string' || !fields.term.trim())) {
+    throw new AppError('term must be a non-empty string', ErrorTypes.VALIDATION_ERROR, { field: 'term' });
+  }
+  if ('language' in fields && fields.language !== null) {
+    if (fields.language === 'en' || !config.languages.includes(fields.language)) {
+      throw new AppError(
+        'language must be a translation language, or null for every language',
+        ErrorTypes.VALIDATION_ERROR,
+        { language: fields.language }
+      );
+    }
+  }
+  if ('translation' in fields && fields.translation !== null &&
+      (typeof fields.translation !== 'string' || !fields.translation.trim())) {
+    throw new AppError('translation must be a non-empty string, or null to keep the term as written', ErrorTypes.VALIDATION_ERROR);
+  }
+  if ('case_sensitive' in fields && typeof fields.case_sensitive !== 'boolean') {
+    throw new AppError('case_sensitive must be a boolean', ErrorTypes.VALIDATION_ERROR);
+  }
+  if ('note' in fields && fields.note !== null && typeof fields.note !== 'string') {
+    throw new AppError('note must be a string or null', ErrorTypes.VALIDATION_ERROR);
+  }
+}
+
+function rejectUnknownFields(fields) {
+  const unknown = Object.keys(fields).filter((key) => !GLOSSARY_EDITABLE_FIELDS.includes(key));
+  if (unknown.length) {
+    throw new AppError(
+      `Unknown fields: ${unknown.join(', ')}. Editable fields: ${GLOSSARY_EDITABLE_FIELDS.join(', ')}`,
+      ErrorTypes.VALIDATION_ERROR,
+      { unknown }
+    );
+  }
+}
+
+function writeError(err, fields, operation) {
+  if (err.code === '23505') {
+    return new AppError('This term is already in the glossary for this language', ErrorTypes.VALIDATION_ERROR, {
+      term: fields.term,
+      language: fields.language ?? null
+    });
+  }
+  return new AppError(`Database operation failed: ${operation}`, ErrorTypes.DATABASE_ERROR, { originalError: err.message });
+}
+
+/**
+ * Glossary terms, alphabetically
+ *
+ * @param {object} [options]
+ * @param {string} [options.language] terms that apply to this language, every-language terms included
+ * @param {string} [options.search] substring of the term or its translation
+ */
+export async function listGlossaryTerms({ language = null, search = null, limit = 100, offset = 0 } = {}) {
+  if (language !== null && !config.languages.includes(language)) {
+    throw new AppError('Unsupported language', ErrorTypes.VALIDATION_ERROR, { language });
+  }
+  return await withDatabaseErrorHandling(async () => {
+    const { rows } = await query(
+      `SELECT id, term, language_code, translation, case_sensitive, note, created_at, updated_at,
+              COUNT(*) OVER()::int AS total
+       FROM glossary_terms
+       WHERE ($1::text IS NULL OR language_code IS NULL OR language_code = $1)
+         AND ($2::text IS NULL OR term ILIKE '%' || $2 || '%' OR translation ILIKE '%' || $2 || '%')
+       ORDER BY lower(term), language_code NULLS FIRST
+       LIMIT $3 OFFSET $4`,
+      [language, search, limit, offset]
+    );
+    return {
+      total: rows[0]?.total ?? 0,
+      data: rows.map(({ total, ...row }) => toTermRow(row))
+    };
+  }, 'listGlossaryTerms');
+}
+
+/**
+ * Add a term. Without a translation it is kept as written.
+ */
+export async function createGlossaryTerm(fields = {}) {
+  rejectUnknownFields(fields);
+  validateFields(fields);
+  const { term, language = null, translation = null, case_sensitive: caseSensitive = false, note = null } = fields;
+
+  try {
+    const { rows } = await query(
+      `INSERT INTO glossary_terms (term, language_code, translation, case_sensitive, note)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [term.trim(), language, translation === null ? null : translation.trim(), caseSensitive, note]
+    );
+    invalidateGlossaryCache();
+    genLog('Glossary term created', { term: term.trim(), language, protected: translation === null });
+    return toTermRow(rows[0]);
+  } catch (err) {
+    throw writeError(err, fields, 'createGlossaryTerm');
+  }
+}
+
+/**
+ * Edit a term. Setting translation to null makes it protected.
+ */
+export async function updateGlossaryTerm(id, changes = {}) {
+  const termId = toId(id);
+  rejectUnknownFields(changes);
+  if (Object.keys(changes).length === 0) {
+    throw new AppError('No changes given', ErrorTypes.VALIDATION_ERROR);
+  }
+  validateFields(changes, { partial: true });
+
+  const values = { ...changes };
+  if ('term' in values) values.term = values.term.trim();
+  if (typeof values.translation === 'string') values.translation = values.translation.trim();
+  const columns = Object.keys(values).map((field) => (field === 'language' ? 'language_code' : field));
+  const setSql = columns.map((column, i) => `${column} = $${i + 2}`).join(', ');
+
+  let rows;
+  try {
+    ({ rows } = await query(
+      `UPDATE glossary_terms SET ${setSql}, updated_at = now() WHERE id = $1 RETURNING *`,
+      [termId, ...Object.values(values)]
+    ));
+  } catch (err) {
+    throw writeError(err, changes, 'updateGlossaryTerm');
+  }
+  if (!rows.length) {
+    throw new AppError('Glossary term not found', ErrorTypes.RESOURCE_NOT_FOUND, { id: termId });
+  }
+  invalidateGlossaryCache();
+  genLog('Glossary term updated', { id: termId, fields: Object.keys(values) });
+  return toTermRow(rows[0]);
+}
+
+export async function deleteGlossaryTerm(id) {
+  const termId = toId(id);
+  const { rowCount } = await withDatabaseErrorHandling(
+    () => query('DELETE FROM glossary_terms WHERE id = $1', [termId]),
+    'deleteGlossaryTerm'
+  );
+  if (!rowCount) {
+    throw new AppError('Glossary term not found', ErrorTypes.RESOURCE_NOT_FOUND, { id: termId });
+  }
+  invalidateGlossaryCache();
+  genLog('Glossary term deleted', { id: termId });
+}
+
+/**
+ * Forget the in-memory terms; the next lookup reloads them
+ */
+export function invalidateGlossaryCache() {
+  cache = null;
+  cacheLoadedAt = 0;
+}
+
+async function loadCache() {
+  if (cache && Date.now() - cacheLoadedAt < GLOSSARY_CACHE_TTL_MS) return cache;
+  if (!cacheLoading) {
+    cacheLoading = query('SELECT term, language_code, translation, case_sensitive FROM glossary_terms')
+      .catch((err) => {
+        // Translate without a glossary until scripts/add-glossary.js has run
+        if (err.code === '42P01') return { rows: [] };
+        throw err;
+      })
+      .then(({ rows }) => {
+        cache = rows;
+        cacheLoadedAt = Date.now();
+        return cache;
+      })
+      .finally(() => {
+        cacheLoading = null;
+      });
+  }
+  return await cacheLoading;
+}
+
+/**
+ * Glossary of one target language: its own terms plus every-language terms
+ * it doesn't override, longest first so a longer term wins over a term it
+ * contains
+ *
+ * @returns {Promise<Array<{ term: string, translation: string|null, caseSensitive: boolean }>>}
+ *   translation is null for terms kept as written
+ */
+export async function getGlossary(language) {
+  const rows = await loadCache();
+  const byTerm = new Map();
+  for (const row of rows) {
+    if (row.language_code !== null && row.language_code !== language) continue;
+    const key = row.term.toLowerCase();
+    // A language's own entry beats the every-language one
+    if (byTerm.has(key) && row.language_code === null) continue;
+    byTerm.set(key, { term: row.term, translation: row.translation, caseSensitive: row.case_sensitive });
+  }
+  return [...byTerm.values()].sort((a, b) => b.term.length - a.term.length);
+}
+
+/**
+ * Glossary section of a translation prompt, empty without terms
+ * @param {Array<{ term: string, translation: string|null }>} glossary
+ * @param {string} [bullet] list marker matching the rest of the prompt
+ */
+export function buildGlossaryPrompt(glossary, bullet = '-') {
+  if (!glossary?.length) return '';
+  const kept = glossary.filter((entry) => entry.translation === null);
+  const mapped = glossary.filter((entry) => entry.translation !== null);
+
+  const lines = ['', '', 'GLOSSARY (mandatory):'];
+  if (kept.length) {
+    lines.push(`${bullet} Keep these names exactly as written, never translate or transliterate them: ${kept.map((e) => `"${e.term}"`).join(', ')}`);
+  }
+  if (mapped.length) {
+    lines.push(`${bullet} Always translate these terms as given:`);
+    for (const entry of mapped) lines.push(`  "${entry.term}" → "${entry.translation}"`);
+  }
+  return lines.join('\n');
+}
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function countOccurrences(text, needle, { caseSensitive, wholeWord }) {
+  const pattern = wholeWord
+    ? `(?<![\\p{L}\\p{N}_])${escapeRegex(needle)}(?![\\p{L}\\p{N}_])`
+    : escapeRegex(needle);
+  return (text.match(new RegExp(pattern, caseSensitive ? 'gu' : 'giu')) || []).length;
+}
+
+// Markup and attribute values (URLs, file names) aren't translated text
+function visibleText(text) {
+  return String(text || '').replace(/<[^>]*>/g, ' ');
+}
+
+/**
+ * Glossary terms a translation got wrong: the term is in the source but its
+ * expected form is nowhere in the translation. Source terms match as whole
+ * words; translations often inflect or prefix a term, so the expected form
+ * matches anywhere in the translation.
+ *
+ * @param {Array<{ term: string, translation: string|null, caseSensitive: boolean }>} glossary
+ * @param {string} source English text or HTML
+ * @param {string} translated
+ * @returns {Array<{ term: string, expected: string, type: 'protected'|'mapping', occurrences: number }>}
+ */
+export function findGlossaryViolations(glossary, source, translated) {
+  if (!glossary?.length) return [];
+  const sourceText = visibleText(source);
+  const translatedText = visibleText(translated);
+
+  const violations = [];
+  for (const entry of glossary) {
+    const occurrences = countOccurrences(sourceText, entry.term, { caseSensitive: entry.caseSensitive, wholeWord: true });
+    if (!occurrences) continue;
+    const expected = entry.translation ?? entry.term;
+    if (countOccurrences(translatedText, expected, { caseSensitive: entry.caseSensitive, wholeWord: false }) > 0) continue;
+    violations.push({
+      term: entry.term,
+      expected,
+      type: entry.translation === null ? 'protected' : 'mapping',
+      occurrences
+    });
+  }
+  return violations;
+}
+
+/**
+ * Glossary compliance of a stored translation against its master, field by
+ * field, with the glossary as it is now
+ *
+ * @returns {Promise<{ language: string, id: number, master_id: number, compliant: boolean, violations: object[] }>}
+ *   each violation names the field it was found in
+ */
+export async function checkArticleGlossary(language, id) {
+  if (language === 'en' || !config.languages.includes(language)) {
+    throw new AppError('language must be a translation language', ErrorTypes.VALIDATION_ERROR, { language });
+  }
+  const articleId = toId(id);
+
+  const fields = ['title', 'content', 'summary', 'meta_description', 'image_alt'];
+  const masterId = await withDatabaseErrorHandling(() => getGroupMasterId(language, articleId), 'checkArticleGlossary');
+  if (masterId === null) {
+    throw new AppError('Article is not a translation in any group', ErrorTypes.RESOURCE_NOT_FOUND, { language, id: articleId });
+  }
+
+  const { translation, master, glossary } = await withDatabaseErrorHandling(async () => {
+    const load = async (table, rowId) => {
+      const { rows } = await query(
+        `SELECT ${fields.join(', ')} FROM ${table} WHERE id = $1 AND deleted_at IS NULL`,
+        [rowId]
+      );
+      return rows[0] || null;
+    };
+    return {
+      translation: await load(articlesTable(language), articleId),
+      master: await load(articlesTable('en'), masterId),
+      glossary: await getGlossary(language)
+    };
+  }, 'checkArticleGlossary');
+  if (!translation || !master) {
+    throw new AppError('Article not found', ErrorTypes.RESOURCE_NOT_FOUND, { language, id: articleId, master_id: masterId });
+  }
+
+  const violations = fields.flatMap((field) =>
+    findGlossaryViolations(glossary, master[field], translation[field]).map((v) => ({ field, ...v }))
+  );
+  return { language, id: articleId, master_id: masterId, compliant: violations.length === 0, violations };
+}
+
+export default {
+  GLOSSARY_EDITABLE_FIELDS,
+  listGlossaryTerms,
+  createGlossaryTerm,
+  updateGlossaryTerm,
+  deleteGlossaryTerm,
+  invalidateGlossaryCache,
+  getGlossary,
+  buildGlossaryPrompt,
+  findGlossaryViolations,
+  checkArticleGlossary
+};
@@ -0,0 +1,309 @@
+import { query } from '../db.js';
+import { config } from '../config.js';
+import { articlesTable } from '../utils/articlesTable.js';
+import { publishedOnly } from '../utils/articleStatus.js';
+import { AppError, ErrorTypes, withDatabaseErrorHandling } from './errorHandler.js';
+import { articlePath, lookupRedirect } from './redirectService.js';
+import { getPublishedTranslations, languageOrder } from './articleGroupService.js';
+
+/**
+ * hreflang clusters of articles.
+ *
+ * An article's cluster is the published part of its translation group (see
+ * articleGroupService.js): every member lists every member, itself
+ * included, plus x-default for the English master, or for the first member
+ * in language order while the master isn't published. The HTML head, the
+ * language sitemaps and the article API all build their alternates here,
+ * so a cluster is the same from whichever member it is read. An article
+ * outside any group only lists itself.
+ */
+
+export const VALIDATE_MAX_LIMIT = 500;
+
+/**
+ * Base URL for hreflang links outside a request
+ */
+export function hreflangBaseUrl() {
+  return String(config.seo?.canonicalBaseUrl || 'https://megaquantum.net').trim().replace(/\/$/, '');
+}
+
+function articleUrl(baseUrl, language, slug) {
+  return `${baseUrl}/${language}/article/${encodeURIComponent(slug)}`;
+}
+
+/**
+ * Published versions of an article, from its translation group
+ * @param {Array<{ language: string, slug: string, isMaster: boolean }>} translations
+ */
+export function articleVersions({ language, slug, translations = [] }) {
+  return translations.length ? translations : [{ language, slug, isMaster: language === 'en' }];
+}
+
+/**
+ * hreflang alternates of a cluster: one per version plus x-default
+ * @param {Array<{ language: string, slug: string, isMaster: boolean }>} versions
+ * @param {string} baseUrl
+ * @returns {Array<{ hreflang: string, href: string }>}
+ */
+export function buildArticleAlternates(versions, baseUrl) {
+  if (!versions.length) return [];
+  const alternates = versions.map((v) => ({ hreflang: v.language, href: articleUrl(baseUrl, v.language, v.slug) }));
+
+  const fallback = versions.find((v) => v.isMaster) || versions.find((v) => v.language === 'en') || versions[0];
+  alternates.push({ hreflang: 'x-default', href: articleUrl(baseUrl, fallback.language, fallback.slug) });
+  return alternates;
+}
+
+/**
+ * hreflang alternates of one published article
+ * @param {string} language language of the article table
+ * @param {{ id: number, slug: string }} article
+ */
+export async function getArticleAlternates(language, { id, slug }, baseUrl = hreflangBaseUrl()) {
+  const translations = await getPublishedTranslations(language, Number(id));
+  return buildArticleAlternates(articleVersions({ language, slug, translations }), baseUrl);
+}
+
+/**
+ * Published slugs of group members, one query per language
+ * @param {Map<string, Set<number>>} idsByLanguage
+ * @returns {Promise<Map<string, object>>} keyed by `${language}:${id}`
+ */
+async function loadMemberRows(idsByLanguage, { columns = 'id, slug', includeUnpublished = false } = {}) {
+  const members = new Map();
+  for (const [language, ids] of idsByLanguage) {
+    try {
+      const { rows } = await query(
+        `SELECT ${columns} FROM ${articlesTable(language)}
+         WHERE id = ANY($1) ${includeUnpublished ? '' : `AND ${publishedOnly('')}`}`,
+        [[...ids]]
+      );
+      for (const row of rows) members.set(`${language}:${Number(row.id)}`, row);
+    } catch (err) {
+      // Skip if table doesn't exist yet
+      if (err.code !== '42P01') throw err;
+    }
+  }
+  return members;
+}
+
+function groupIdsByLanguage(links) {
+  const idsByLanguage = new Map();
+  for (const link of links) {
+    if (!idsByLanguage.has(link.language_code)) idsByLanguage.set(link.language_code, new Set());
+    idsByLanguage.get(link.language_code).add(Number(link.article_id));
+  }
+  return idsByLanguage;
+}
+
+/**
+ * Clusters of every article of one language that has at least one published
+ * translation, for the language sitemap
+ * @returns {Promise<Map<number, Array<{ language: string, slug: string, isMaster: boolean }>>>}
+ *   versions by article id; ungrouped and untranslated articles are left out
+ */
+export async function getLanguageClusters(language) {
+  let links;
+  try {
+    ({ rows: links } = await query(
+      `SELECT own.article_id AS own_id, member.master_id, member.language_code, member.article_id
+       FROM article_groups own
+       JOIN article_groups member ON member.master_id = own.master_id
+       WHERE own.language_code = $1`,
+      [language]
+    ));
+  } catch (err) {
+    // Every article is ungrouped until the migration has run
+    if (err.code === '42P01') return new Map();
+    throw err;
+  }
+
+  const published = await loadMemberRows(groupIdsByLanguage(links));
+  const clusters = new Map();
+  for (const link of links) {
+    const row = published.get(`${link.language_code}:${Number(link.article_id)}`);
+    if (!row) continue;
+    const ownId = Number(link.own_id);
+    if (!clusters.has(ownId)) clusters.set(ownId, []);
+    clusters.get(ownId).push({
+      language: link.language_code,
+      slug: row.slug,
+      isMaster: link.language_code === 'en' && Number(link.article_id) === Number(link.master_id)
+    });
+  }
+
+  for (const [ownId, versions] of clusters) {
+    // Unpublished articles and clusters of one have no alternates to list
+    if (versions.length < 2 || !published.has(`${language}:${ownId}`)) {
+      clusters.delete(ownId);
+      continue;
+    }
+    versions.sort((a, b) => languageOrder(a.language) - languageOrder(b.language));
+  }
+  return clusters;
+}
+
+/**
+ * Problems of one cluster, as crawlers would see them
+ */
+async function checkCluster(masterId, links, rows, baseUrl) {
+  const issues = [];
+  const members = [];
+  for (const link of links) {
+    const id = Number(link.article_id);
+    const row = rows.get(`${link.language_code}:${id}`);
+    if (!row) {
+      issues.push({ type: 'missing_article', language: link.language_code, id });
+      continue;
+    }
+    members.push({
+      language: link.language_code,
+      id,
+      slug: row.slug,
+      status: row.status,
+      canonical_url: row.canonical_url,
+      isMaster: link.language_code === 'en' && id === masterId
+    });
+  }
+  members.sort((a, b) => languageOrder(a.language) - languageOrder(b.language));
+
+  const published = members.filter((m) => m.status === 'published');
+  if (published.length > 0 && !published.some((m) => m.isMaster)) {
+    issues.push({ type: 'master_unpublished', language: 'en', id: masterId });
+  }
+
+  for (const member of published) {
+    const href = articleUrl(baseUrl, member.language, member.slug);
+
+    if (member.canonical_url && member.canonical_url !== href) {
+      issues.push({ type: 'canonical_mismatch', language: member.language, id: member.id, href, canonical_url: member.canonical_url });
+    }
+
+    const redirect = await lookupRedirect(articlePath(member.language, member.slug));
+    if (redirect) {
+      issues.push({ type: 'redirected', language: member.language, id: member.id, href, status_code: redirect.statusCode });
+    }
+  }
+
+  return {
+    master_id: masterId,
+    members: members.map(({ language, id, slug, status }) => ({
+      language,
+      id,
+      slug,
+      status,
+      href: articleUrl(baseUrl, language, slug)
+    })),
+    alternates: buildArticleAlternates(published, baseUrl),
+    issues
+  };
+}
+
+/**
+ * Published translations that belong to no group, so their pages only
+ * reference themselves
+ */
+async function findUngrouped(languages, limit) {
+  const ungrouped = [];
+  for (const language of languages.filter((l) => l !== 'en')) {
+    try {
+      const { rows } = await query(
+        `SELECT a.id, a.slug FROM ${articlesTable(language)} a
+         WHERE ${publishedOnly('a')}
+           AND NOT EXISTS (
+             SELECT 1 FROM article_groups g WHERE g.language_code = $1 AND g.article_id = a.id
+           )
+         ORDER BY a.id
+         LIMIT $2`,
+        [language, limit]
+      );
+      ungrouped.push(...rows.map((row) => ({ language, id: Number(row.id), slug: row.slug })));
+    } catch (err) {
+      // Skip if table doesn't exist yet
+      if (err.code !== '42P01') throw err;
+    }
+  }
+  return ungrouped;
+}
+
+/**
+ * Check hreflang clusters for broken links.
+ *
+ * Every member's alternates are built from the same group, so clusters are
+ * reciprocal by construction; what can break is a link's target.
+ *
+ * Issue types:
+ * - missing_article: the group points at an article row that does not exist
+ * - redirected: an alternate URL answers with a redirect or 410
+ * - canonical_mismatch: a member's canonical URL is not its hreflang URL,
+ *   so crawlers drop its return links
+ * - master_unpublished: translations are live without their master, so
+ *   x-default points at a translation
+ *
+ * @param {object} [options]
+ * @param {string} [options.language] only clusters with a member in this language
+ * @param {number} [options.limit] clusters to check, at most VALIDATE_MAX_LIMIT
+ * @param {number} [options.offset]
+ * @param {string} [options.baseUrl]
+ * @returns {Promise<{ checked: number, valid: number, invalid: number, clusters: object[], ungrouped: object[] }>}
+ *   clusters lists the invalid ones only
+ */
+export async function validateHreflangClusters({ language = null, limit = 100, offset = 0, baseUrl = hreflangBaseUrl() } = {}) {
+  if (language !== null && !config.languages.includes(language)) {
+    throw new AppError('Unsupported language', ErrorTypes.VALIDATION_ERROR, { language });
+  }
+  const pageSize = Math.min(Math.max(Number(limit) || 100, 1), VALIDATE_MAX_LIMIT);
+  const start = Math.max(Number(offset) || 0, 0);
+
+  return await withDatabaseErrorHandling(async () => {
+    const { rows: masters } = await query(
+      `SELECT DISTINCT master_id FROM article_groups
+       ${language ? 'WHERE language_code = $3' : ''}
+       ORDER BY master_id
+       LIMIT $1 OFFSET $2`,
+      language ? [pageSize, start, language] : [pageSize, start]
+    );
+    const masterIds = masters.map((row) => Number(row.master_id));
+
+    const { rows: links } = masterIds.length
+      ? await query(
+        'SELECT master_id, language_code, article_id FROM article_groups WHERE master_id = ANY($1)',
+        [masterIds]
+      )
+      : { rows: [] };
+    const rows = await loadMemberRows(groupIdsByLanguage(links), {
+      columns: 'id, slug, status, canonical_url',
+      includeUnpublished: true
+    });
+
+    const clusters = [];
+    for (const masterId of masterIds) {
+      const cluster = await checkCluster(
+        masterId,
+        links.filter((link) => Number(link.master_id) === masterId),
+        rows,
+        baseUrl
+      );
+      if (cluster.issues.length) clusters.push(cluster);
+    }
+
+    const ungrouped = start === 0 ? await findUngrouped(language ? [language] : config.languages, pageSize) : [];
+    return {
+      checked: masterIds.length,
+      valid: masterIds.length - clusters.length,
+      invalid: clusters.length,
+      clusters,
+      ungrouped
+    };
+  }, 'validateHreflangClusters');
+}
+
+export default {
+  VALIDATE_MAX_LIMIT,
+  hreflangBaseUrl,
+  articleVersions,
+  buildArticleAlternates,
+  getArticleAlternates,
+  getLanguageClusters,
+  validateHreflangClusters
+};
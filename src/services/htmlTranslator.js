@@ -1,5 +1,6 @@
-import { chatCompletion } from './openAI.js';
+import { getAIProvider } from './aiClient.js';
 import { config } from '../config.js';
+import { getGlossary, buildGlossaryPrompt, findGlossaryViolations } from './glossaryService.js';
 
 /**
  * Simple HTMLTranslator - Clean and straightforward translation service
@@ -16,6 +17,11 @@ export class HTMLTranslator {
     this.options = options;
     this._promptTokens = 0;
     this._completionTokens = 0;
+
+    // Glossary of the target language, loaded on first use unless given
+    this.glossary = options.glossary || null;
+    this._glossaryViolations = [];
+    this._glossaryRepairs = 0;
   }
 
   /**
@@ -37,6 +43,79 @@ export class HTMLTranslator {
     this._completionTokens = 0;
   }
 
+  /**
+   * Glossary terms left wrong after repair, merged per term, and the number
+   * of chunks a repair fixed
+   */
+  getGlossaryReport() {
+    const byTerm = new Map();
+    for (const violation of this._glossaryViolations) {
+      const merged = byTerm.get(violation.term);
+      if (merged) merged.occurrences += violation.occurrences;
+      else byTerm.set(violation.term, { ...violation });
+    }
+    return { violations: [...byTerm.values()], repaired: this._glossaryRepairs };
+  }
+
+  async loadGlossary() {
+    if (!this.glossary) this.glossary = await getGlossary(this.targetLang);
+    return this.glossary;
+  }
+
+  /**
+   * Check a translated chunk against the glossary. Wrong terms are sent back
+   * to the translator once for repair (unless TRANSLATION_GLOSSARY_REPAIR is
+   * false); whatever is still wrong is recorded for getGlossaryReport().
+   */
+  async enforceGlossary(source, translated, { html = false } = {}) {
+    const glossary = await this.loadGlossary();
+    let violations = findGlossaryViolations(glossary, source, translated);
+    if (!violations.length) return translated;
+
+    if (config.translation.glossaryRepair) {
+      try {
+        const repaired = await this.repairGlossaryTerms(translated, violations, { html });
+        const remaining = findGlossaryViolations(glossary, source, repaired);
+        if (remaining.length < violations.length) {
+          translated = repaired;
+          violations = remaining;
+          this._glossaryRepairs += 1;
+        }
+      } catch (error) {
+        console.error(`Glossary repair failed: ${error.message}`);
+      }
+    }
+
+    this._glossaryViolations.push(...violations);
+    return translated;
+  }
+
+  /**
+   * Ask the translator to correct the glossary terms of a translation
+   */
+  async repairGlossaryTerms(translated, violations, { html = false } = {}) {
+    const kind = html ? 'HTML' : 'text';
+    const rules = violations.map((v) => (v.type === 'protected'
+      ? `• "${v.term}" is a name: write it exactly as "${v.term}", never translated or transliterated`
+      : `• "${v.term}" must be translated as "${v.expected}"`));
+
+    const { content, usage } = await getAIProvider('translator').translate({
+      system: `You are a translation editor. The USER ${kind} is a ${this.targetLang} translation that breaks the glossary:
+${rules.join('\n')}
+
+Replace the wrong renderings of these terms with the required ones, adjusting only the words around them where grammar requires it.
+${html ? 'Keep every HTML tag, attribute and URL exactly as it is.\n' : ''}Change nothing else. Output ONLY the corrected ${kind}.`,
+      user: translated,
+      targetLang: this.targetLang,
+    });
+
+    if (usage) {
+      this._promptTokens += usage.prompt_tokens || 0;
+      this._completionTokens += usage.completion_tokens || 0;
+    }
+    return content || translated;
+  }
+
   /**
    * Main translation method - translates HTML content
    */
@@ -111,7 +190,8 @@ export class HTMLTranslator {
    */
   async translateChunk(htmlChunk) {
     try {
-      const { content: translated, usage } = await chatCompletion({
+      const glossary = await this.loadGlossary();
+      const { content: translated, usage } = await getAIProvider('translator').translate({
         system: `You are a professional native-speaker translator specializing in natural, human-like translations. Translate the USER HTML into ${this.targetLang}.
 
 CRITICAL REQUIREMENTS:
@@ -121,6 +201,7 @@ CRITICAL REQUIREMENTS:
   - Text content inside JSON-LD scripts (questions, answers, descriptions, etc.)
   - Meta descriptions and titles
 • Keep URLs, image filenames, and technical attributes unchanged
+• Keep brand, product and site names as written
 • Maintain exact spacing and formatting
 • Output ONLY the translated HTML
 
@@ -131,9 +212,9 @@ HUMAN-LIKE TRANSLATION GUIDELINES:
 • Maintain the engaging, authentic voice that makes content feel human-written
 • Adapt cultural references appropriately for ${this.targetLang} speakers when needed
 • Avoid robotic or overly formal translation patterns
-• Ensure the translation flows naturally as if originally written by a human native speaker`,
+• Ensure the translation flows naturally as if originally written by a human native speaker${buildGlossaryPrompt(glossary, '•')}`,
         user: htmlChunk,
-        model: config.openAI.defaultModel,
+        targetLang: this.targetLang,
       });
 
       if (usage) {
@@ -141,7 +222,7 @@ HUMAN-LIKE TRANSLATION GUIDELINES:
         this._completionTokens += usage.completion_tokens || 0;
       }
 
-      return translated;
+      return await this.enforceGlossary(htmlChunk, translated, { html: true });
     } catch (error) {
       console.error(`Translation failed for chunk: ${error.message}`);
       throw error;
@@ -157,13 +238,14 @@ HUMAN-LIKE TRANSLATION GUIDELINES:
     }
 
     try {
-      const { content: translated, usage } = await chatCompletion({
+      const glossary = await this.loadGlossary();
+      const { content: translated, usage } = await getAIProvider('translator').translate({
         system: `You are a professional native-speaker translator. Translate the USER text into ${this.targetLang}.
 
 CRITICAL RULES:
-- Translate EVERY WORD including proper nouns, technical terms, and all text
+- Translate EVERY WORD including technical terms and all text, except brand, product and site names
 - Preserve formatting exactly
-- Do NOT keep any English words unless they are URLs or code
+- Do NOT keep any English words unless they are URLs, code or names
 - Output ONLY the translation, no explanations
 
 HUMAN-LIKE TRANSLATION GUIDELINES:
@@ -172,9 +254,9 @@ HUMAN-LIKE TRANSLATION GUIDELINES:
 - Use natural contractions, idioms, and colloquialisms appropriate to ${this.targetLang}
 - Maintain the engaging, authentic voice that makes content feel human-written
 - Adapt cultural references appropriately for ${this.targetLang} speakers when needed
-- Avoid robotic or overly formal translation patterns`,
+- Avoid robotic or overly formal translation patterns${buildGlossaryPrompt(glossary)}`,
         user: text,
-        model: config.openAI.defaultModel,
+        targetLang: this.targetLang,
       });
 
       if (usage) {
@@ -182,7 +264,7 @@ HUMAN-LIKE TRANSLATION GUIDELINES:
         this._completionTokens += usage.completion_tokens || 0;
       }
 
-      return translated;
+      return await this.enforceGlossary(text, translated);
     } catch (error) {
       console.error(`Text translation failed: ${error.message}`);
       throw error;
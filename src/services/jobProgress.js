@@ -0,0 +1,113 @@
+import { AsyncLocalStorage } from 'async_hooks';
+import { EventEmitter } from 'events';
+import { query } from '../db.js';
+
+/**
+ * Per-job progress events.
+ *
+ * The job worker runs each handler inside `runWithJobContext`, so progress
+ * logged deep inside generation/translation code is attributed to the right
+ * job without threading a job id through every call. Events are stored in
+ * `job_events` (so a client can replay them, and so a worker in another
+ * process is visible) and also emitted in-process for instant SSE delivery.
+ */
+
+const jobContext = new AsyncLocalStorage();
+const emitter = new EventEmitter();
+emitter.setMaxListeners(0);
+
+// genLog messages in generation.js that mark a user-visible stage
+const STAGE_BY_MESSAGE = {
+  'Prompt selected': 'prompt_selected',
+  'AI master start (natural text)': 'ai_call',
+  'AI master start (structured)': 'ai_call',
+  'AI master done': 'ai_call_done',
+  'Natural text extraction completed': 'extraction',
+  'Structured output validated': 'extraction',
+  'Structured output invalid, repairing': 'structured_repair',
+  'Structured output repair failed, falling back to markdown': 'structured_fallback',
+  'Quality gate passed': 'quality_check',
+  'Quality gate failed': 'quality_failed',
+  'Near-duplicate draft': 'duplicate_check',
+  'Image fetched': 'image_fetch',
+  'AI translation start': 'translation_started',
+  'AI translation done': 'translation_done',
+};
+
+export function runWithJobContext(jobId, fn) {
+  return jobContext.run({ jobId }, fn);
+}
+
+export function currentJobId() {
+  return jobContext.getStore()?.jobId ?? null;
+}
+
+/**
+ * Store and broadcast one event for a job
+ *
+ * @param {object} [client] pg client, to commit the event together with the
+ *   job state it describes; a failed insert is rolled back to a savepoint so
+ *   it never aborts that transaction
+ */
+export async function recordJobEvent(jobId, stage, message, data = {}, client = null) {
+  const executor = client || { query };
+  try {
+    if (client) await client.query('SAVEPOINT job_event');
+    const { rows } = await executor.query(
+      `INSERT INTO job_events (job_id, stage, message, data)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, job_id, stage, message, data, created_at`,
+      [jobId, stage, message, JSON.stringify(data)]
+    );
+    if (client) await client.query('RELEASE SAVEPOINT job_event');
+    emitter.emit('event', rows[0]);
+    return rows[0];
+  } catch (err) {
+    if (client) await client.query('ROLLBACK TO SAVEPOINT job_event').catch(() => {});
+    // Progress reporting must never break the job itself
+    console.error('Failed to record job event:', err.message);
+    return null;
+  }
+}
+
+/**
+ * Forward a generation log line as a progress event when it maps to a stage
+ * and we are running inside a job. Fire-and-forget.
+ */
+export function reportProgress(message, meta = {}) {
+  const jobId = currentJobId();
+  const stage = STAGE_BY_MESSAGE[message];
+  if (jobId == null || !stage) return;
+  recordJobEvent(jobId, stage, message, meta);
+}
+
+/**
+ * Stored events for a set of jobs, after a given event id
+ */
+export async function getJobEvents(jobIds, afterId = 0) {
+  const { rows } = await query(
+    `SELECT id, job_id, stage, message, data, created_at
+     FROM job_events
+     WHERE job_id = ANY($1::bigint[]) AND id > $2
+     ORDER BY id ASC`,
+    [jobIds, afterId]
+  );
+  return rows;
+}
+
+/**
+ * Subscribe to events recorded by this process; returns an unsubscribe function
+ */
+export function onJobEvent(listener) {
+  emitter.on('event', listener);
+  return () => emitter.off('event', listener);
+}
+
+export default {
+  runWithJobContext,
+  currentJobId,
+  recordJobEvent,
+  reportProgress,
+  getJobEvents,
+  onJobEvent
+};
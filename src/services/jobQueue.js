@@ -0,0 +1,488 @@
+import os from 'os';
+import { query, withTransaction } from '../db.js';
+import { config } from '../config.js';
+import { AppError, ErrorTypes, withDatabaseErrorHandling } from './errorHandler.js';
+import { genLog, genError } from './logger.js';
+import { recordJobEvent, runWithJobContext } from './jobProgress.js';
+
+/**
+ * Durable Postgres-backed job queue.
+ *
+ * - Jobs are claimed with FOR UPDATE SKIP LOCKED so several workers (or
+ *   processes) can drain the queue without double-processing.
+ * - A job with `depends_on` is only claimable once its parent completed; when
+ *   a parent dies or is cancelled its pending dependents are cancelled too.
+ * - Failures are retried with exponential backoff until `max_attempts`, then
+ *   the job is dead-lettered (status `dead`) for manual inspection/retry.
+ * - A running job refreshes its lock every `config.jobs.heartbeatMs`. Jobs
+ *   left `running` by a crashed or restarted process are released again once
+ *   their lock is older than `config.jobs.lockTimeoutMs`, or dead-lettered if
+ *   they already used all their attempts (a job that crashes the process
+ *   would otherwise be re-queued forever). A worker whose lock expired can
+ *   no longer complete or fail the job.
+ */
+
+export const JOB_STATUSES = ['pending', 'running', 'completed', 'dead', 'cancelled'];
+
+const WORKER_ID = `${os.hostname()}:${process.pid}`;
+
+const handlers = new Map();
+
+let workerRunning = false;
+let activeLoops = [];
+let lastRecoveryAt = 0;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Register the function that processes jobs of a given type.
+ * Handlers receive (job, ctx) and return a JSON-serialisable result.
+ * `ctx.complete(client, result)` lets a handler mark the job completed inside
+ * its own transaction so the side effect and the completion commit together.
+ */
+export function registerJobHandler(type, handler) {
+  handlers.set(type, handler);
+}
+
+/**
+ * Add a job to the queue.
+ *
+ * @param {object} options
+ * @param {string} options.type registered job type
+ * @param {object} [options.payload]
+ * @param {number} [options.priority] higher runs first
+ * @param {number} [options.dependsOn] id of the job that must complete first
+ * @param {number} [options.maxAttempts]
+ * @param {Date} [options.runAt] earliest start time
+ * @param {object} [client] pg client to enqueue inside an existing transaction
+ */
+export async function enqueueJob({ type, payload = {}, priority = 0, dependsOn = null, maxAttempts = config.jobs.maxAttempts, runAt = null }, client = null) {
+  if (!type) {
+    throw new AppError('Job type is required', ErrorTypes.VALIDATION_ERROR);
+  }
+  const executor = client || { query };
+  const { rows } = await executor.query(
+    `INSERT INTO jobs (type, payload, priority, depends_on, max_attempts, run_at)
+     VALUES ($1, $2, $3, $4, $5, COALESCE($6, now()))
+     RETURNING *`,
+    [type, JSON.stringify(payload), priority, dependsOn, maxAttempts, runAt]
+  );
+  return rows[0];
+}
+
+/**
+ * Atomically claim the next runnable job
+ */
+export async function claimNextJob(workerId = WORKER_ID, types = null) {
+  const { rows } = await query(
+    `UPDATE jobs
+     SET status = 'running', locked_at = now(), locked_by = $1,
+         attempts = attempts + 1, updated_at = now()
+     WHERE id = (
+       SELECT j.id
+       FROM jobs j
+       LEFT JOIN jobs parent ON parent.id = j.depends_on
+       WHERE j.status = 'pending'
+         AND j.run_at <= now()
+         AND (j.depends_on IS NULL OR parent.status = 'completed')
+         AND ($2::text[] IS NULL OR j.type = ANY($2))
+       ORDER BY j.priority DESC, j.run_at ASC, j.id ASC
+       LIMIT 1
+       FOR UPDATE OF j SKIP LOCKED
+     )
+     RETURNING *`,
+    [workerId, types]
+  );
+  return rows[0] || null;
+}
+
+/**
+ * Mark a claimed job completed. Only the worker holding its lock can: once
+ * the lock expired the job may be running elsewhere.
+ * @returns {Promise<boolean>} false if the job is no longer locked by its worker
+ */
+export async function completeJob(job, result = null, client = null) {
+  const executor = client || { query };
+  const { rowCount } = await executor.query(
+    `UPDATE jobs
+     SET status = 'completed', result = $2, last_error = NULL,
+         locked_at = NULL, locked_by = NULL, completed_at = now(), updated_at = now()
+     WHERE id = $1 AND status = 'running' AND locked_by = $3`,
+    [job.id, result == null ? null : JSON.stringify(result), job.locked_by]
+  );
+  return rowCount > 0;
+}
+
+function lockLostError(job) {
+  return Object.assign(new Error(`Job ${job.id} is no longer locked by ${job.locked_by}`), { retryable: false, lockLost: true });
+}
+
+function discardLostAttempt(job) {
+  genLog('Job lock lost, attempt discarded', { jobId: job.id, type: job.type, workerId: job.locked_by }, 'warn');
+  return 'lost';
+}
+
+/**
+ * Cancel pending jobs that depend (directly or transitively) on a job that will never complete
+ * @param {object} [client] pg client, to cancel in the same transaction as the parent's outcome
+ * @returns {Promise<number[]>} cancelled job ids
+ */
+async function cancelDependents(id, reason, client = null) {
+  const executor = client || { query };
+  const { rows } = await executor.query(
+    `WITH RECURSIVE dependents AS (
+       SELECT id FROM jobs WHERE depends_on = $1
+       UNION
+       SELECT j.id FROM jobs j JOIN dependents d ON j.depends_on = d.id
+     )
+     UPDATE jobs
+     SET status = 'cancelled', last_error = $2, updated_at = now()
+     WHERE id IN (SELECT id FROM dependents) AND status = 'pending'
+     RETURNING id`,
+    [id, reason]
+  );
+  for (const row of rows) {
+    await recordJobEvent(row.id, 'job_cancelled', reason, {}, client);
+  }
+  return rows.map((r) => r.id);
+}
+
+function skippedReason(id, result) {
+  return `Dependency job ${id} skipped: ${result.reason || 'skipped'}`;
+}
+
+/**
+ * Mark a job completed, with its job_completed event. A skipped result
+ * cancels its dependents in the same transaction, so no worker ever sees
+ * the parent completed with dependents still runnable, and an event stream
+ * never sees the tree finished without its last events. Throws if the job's
+ * lock was lost, rolling back the transaction with the handler's work.
+ */
+async function completeJobWithDependents(client, job, result, eventData) {
+  if (!await completeJob(job, result, client)) throw lockLostError(job);
+  if (result?.skipped) await cancelDependents(job.id, skippedReason(job.id, result), client);
+  await recordJobEvent(job.id, 'job_completed', 'Job completed', { ...eventData, result }, client);
+}
+
+function retryDelayMs(attempts) {
+  const delay = config.jobs.retryBaseDelayMs * 2 ** Math.max(0, attempts - 1);
+  return Math.min(delay, config.jobs.retryMaxDelayMs);
+}
+
+/**
+ * Record a failed attempt: schedule a retry with backoff, or dead-letter the
+ * job. Like completeJob, only the worker holding the job's lock can.
+ * @returns {Promise<'retry'|'dead'|'lost'>} 'lost' if the lock was lost and nothing was recorded
+ */
+export async function failJob(job, error) {
+  const message = error?.message || String(error);
+  const retryable = error?.retryable !== false && job.attempts < job.max_attempts;
+
+  if (error?.lockLost) return discardLostAttempt(job);
+
+  if (retryable) {
+    const delayMs = retryDelayMs(job.attempts);
+    const { rowCount } = await query(
+      `UPDATE jobs
+       SET status = 'pending', last_error = $2, locked_at = NULL, locked_by = NULL,
+           run_at = now() + ($3::int * interval '1 millisecond'), updated_at = now()
+       WHERE id = $1 AND status = 'running' AND locked_by = $4`,
+      [job.id, message, delayMs, job.locked_by]
+    );
+    if (!rowCount) return discardLostAttempt(job);
+    genLog('Job attempt failed, retry scheduled', {
+      jobId: job.id,
+      type: job.type,
+      attempt: job.attempts,
+      maxAttempts: job.max_attempts,
+      retryInMs: delayMs,
+      error: message
+    }, 'warn');
+    await recordJobEvent(job.id, 'job_retry_scheduled', message, { attempt: job.attempts, retryInMs: delayMs });
+    return 'retry';
+  }
+
+  const cancelled = await withTransaction(async (client) => {
+    const { rowCount } = await client.query(
+      `UPDATE jobs
+       SET status = 'dead', last_error = $2, locked_at = NULL, locked_by = NULL, updated_at = now()
+       WHERE id = $1 AND status = 'running' AND locked_by = $3`,
+      [job.id, message, job.locked_by]
+    );
+    if (!rowCount) return null;
+    await recordJobEvent(job.id, 'job_dead', message, { attempts: job.attempts }, client);
+    return await cancelDependents(job.id, `Dependency job ${job.id} failed: ${message}`, client);
+  });
+  if (!cancelled) return discardLostAttempt(job);
+  genError('Job moved to dead-letter queue', {
+    jobId: job.id,
+    type: job.type,
+    attempts: job.attempts,
+    error: message,
+    cancelledDependents: cancelled
+  }, false);
+  return 'dead';
+}
+
+/**
+ * Release jobs whose worker disappeared (crash, deploy, restart). Jobs out of
+ * attempts are dead-lettered instead, with their dependents cancelled.
+ */
+export async function recoverStaleJobs(lockTimeoutMs = config.jobs.lockTimeoutMs) {
+  const message = 'Worker lock expired on the last attempt';
+  const rows = await withTransaction(async (client) => {
+    const { rows: recovered } = await client.query(
+      `UPDATE jobs
+       SET status = CASE WHEN attempts >= max_attempts THEN 'dead' ELSE 'pending' END,
+           locked_at = NULL, locked_by = NULL,
+           last_error = CASE WHEN attempts >= max_attempts THEN $2 ELSE COALESCE(last_error, 'Worker lock expired') END,
+           updated_at = now()
+       WHERE status = 'running'
+         AND locked_at < now() - ($1::int * interval '1 millisecond')
+       RETURNING id, type, locked_by, status, attempts`,
+      [lockTimeoutMs, message]
+    );
+    for (const job of recovered.filter((row) => row.status === 'dead')) {
+      await recordJobEvent(job.id, 'job_dead', message, { attempts: job.attempts }, client);
+      await cancelDependents(job.id, `Dependency job ${job.id} failed: ${message}`, client);
+    }
+    return recovered;
+  });
+
+  if (rows.length) {
+    genLog('Recovered stale jobs', { count: rows.length, jobs: rows });
+  }
+  for (const job of rows.filter((row) => row.status === 'dead')) {
+    genError('Stale job moved to dead-letter queue', { jobId: job.id, type: job.type, attempts: job.attempts }, false);
+  }
+  return rows;
+}
+
+/**
+ * Keep a running job's lock fresh until the returned function is called
+ */
+function startHeartbeat(job) {
+  const timer = setInterval(() => {
+    query(
+      `UPDATE jobs SET locked_at = now()
+       WHERE id = $1 AND status = 'running' AND locked_by = $2`,
+      [job.id, WORKER_ID]
+    ).catch((error) => {
+      genError('Job heartbeat failed', { jobId: job.id, error: error.message }, false);
+    });
+  }, config.jobs.heartbeatMs);
+  timer.unref();
+  return () => clearInterval(timer);
+}
+
+export async function getJob(id) {
+  return await withDatabaseErrorHandling(async () => {
+    const { rows } = await query('SELECT * FROM jobs WHERE id = $1', [id]);
+    return rows[0] || null;
+  }, 'getJob');
+}
+
+export async function getDependentJobs(id) {
+  return await withDatabaseErrorHandling(async () => {
+    const { rows } = await query('SELECT * FROM jobs WHERE depends_on = $1 ORDER BY id ASC', [id]);
+    return rows;
+  }, 'getDependentJobs');
+}
+
+/**
+ * A job and everything that transitively depends on it, root first
+ */
+export async function getJobTree(id) {
+  return await withDatabaseErrorHandling(async () => {
+    const { rows } = await query(
+      `WITH RECURSIVE tree AS (
+         SELECT * FROM jobs WHERE id = $1
+         UNION ALL
+         SELECT j.* FROM jobs j JOIN tree t ON j.depends_on = t.id
+       )
+       SELECT * FROM tree ORDER BY id ASC`,
+      [id]
+    );
+    return rows;
+  }, 'getJobTree');
+}
+
+export function isTerminalStatus(status) {
+  return status === 'completed' || status === 'dead' || status === 'cancelled';
+}
+
+/**
+ * Response body for an endpoint that queued work instead of doing it inline
+ */
+export function describeQueuedJob(job) {
+  return {
+    jobId: Number(job.id),
+    type: job.type,
+    status: job.status,
+    statusUrl: `/generation/jobs/${job.id}`,
+    eventsUrl: `/generation/jobs/${job.id}/events`
+  };
+}
+
+export async function listJobs({ status = null, type = null, limit = 50, offset = 0 } = {}) {
+  if (status && !JOB_STATUSES.includes(status)) {
+    throw new AppError(`Invalid job status, expected one of: ${JOB_STATUSES.join(', ')}`, ErrorTypes.VALIDATION_ERROR, { status });
+  }
+  return await withDatabaseErrorHandling(async () => {
+    const { rows } = await query(
+      `SELECT * FROM jobs
+       WHERE ($1::text IS NULL OR status = $1)
+         AND ($2::text IS NULL OR type = $2)
+       ORDER BY id DESC
+       LIMIT $3 OFFSET $4`,
+      [status, type, limit, offset]
+    );
+    return rows;
+  }, 'listJobs');
+}
+
+/**
+ * Put a dead or cancelled job (and its cancelled dependents) back in the queue.
+ * A job whose parent is dead or cancelled could never run, so the parent has
+ * to be retried instead; that brings this job back with it.
+ */
+export async function retryJob(id) {
+  const job = await getJob(id);
+  if (!job) {
+    throw new AppError('Job not found', ErrorTypes.RESOURCE_NOT_FOUND, { id });
+  }
+  if (!['dead', 'cancelled'].includes(job.status)) {
+    throw new AppError(`Only dead or cancelled jobs can be retried (status "${job.status}")`, ErrorTypes.VALIDATION_ERROR, { id, status: job.status });
+  }
+  const parent = job.depends_on ? await getJob(job.depends_on) : null;
+  if (parent && ['dead', 'cancelled'].includes(parent.status)) {
+    throw new AppError(
+      `Job depends on job ${parent.id}, which is ${parent.status}; retry that job instead`,
+      ErrorTypes.VALIDATION_ERROR,
+      { id, dependsOn: Number(parent.id), parentStatus: parent.status }
+    );
+  }
+
+  return await withTransaction(async (client) => {
+    const { rows } = await client.query(
+      `WITH RECURSIVE tree AS (
+         SELECT id FROM jobs WHERE id = $1
+         UNION
+         SELECT j.id FROM jobs j JOIN tree t ON j.depends_on = t.id
+       )
+       UPDATE jobs
+       SET status = 'pending', attempts = 0, run_at = now(), last_error = NULL, updated_at = now()
+       WHERE id IN (SELECT id FROM tree) AND status IN ('dead', 'cancelled')
+       RETURNING id`,
+      [id]
+    );
+    genLog('Job re-queued', { jobId: id, requeued: rows.map((r) => r.id) });
+    return rows.map((r) => r.id);
+  });
+}
+
+async function runJob(job) {
+  const handler = handlers.get(job.type);
+  const startTime = Date.now();
+
+  if (!handler) {
+    await failJob(job, Object.assign(new Error(`No handler registered for job type "${job.type}"`), { retryable: false }));
+    return;
+  }
+
+  let completedByHandler = false;
+  const ctx = {
+    workerId: WORKER_ID,
+    complete: async (client, result) => {
+      await completeJobWithDependents(client, job, result, { ms: Date.now() - startTime });
+      completedByHandler = true;
+    }
+  };
+
+  genLog('Job started', { jobId: job.id, type: job.type, attempt: job.attempts });
+  await recordJobEvent(job.id, 'job_started', 'Job started', { type: job.type, attempt: job.attempts });
+
+  const stopHeartbeat = startHeartbeat(job);
+  try {
+    const result = await runWithJobContext(job.id, () => handler(job, ctx));
+    if (!completedByHandler) {
+      await withTransaction((client) => completeJobWithDependents(client, job, result, { ms: Date.now() - startTime }));
+    }
+    genLog('Job completed', { jobId: job.id, type: job.type, ms: Date.now() - startTime });
+  } catch (error) {
+    // The handler's transaction rolled back, so the job is still ours to fail
+    try {
+      await failJob(job, error);
+    } catch (failError) {
+      genError('Failed to record job failure', { jobId: job.id, error: failError.message }, false);
+    }
+  } finally {
+    stopHeartbeat();
+  }
+}
+
+async function workerLoop(types) {
+  while (workerRunning) {
+    try {
+      if (Date.now() - lastRecoveryAt > 60000) {
+        lastRecoveryAt = Date.now();
+        await recoverStaleJobs();
+      }
+
+      const job = await claimNextJob(WORKER_ID, types);
+      if (!job) {
+        await sleep(config.jobs.pollIntervalMs);
+        continue;
+      }
+      await runJob(job);
+    } catch (error) {
+      // Missing table, lost connection...: log and back off instead of spinning
+      genError('Job worker loop error', { workerId: WORKER_ID, error: error.message }, false);
+      await sleep(Math.max(config.jobs.pollIntervalMs, 10000));
+    }
+  }
+}
+
+/**
+ * Start draining the queue in this process
+ *
+ * @param {object} [options]
+ * @param {number} [options.concurrency]
+ * @param {string[]} [options.types] restrict this worker to some job types
+ */
+export function startJobWorker({ concurrency = config.jobs.concurrency, types = null } = {}) {
+  if (workerRunning) return;
+  workerRunning = true;
+  activeLoops = Array.from({ length: concurrency }, () => workerLoop(types));
+  genLog('Job worker started', { workerId: WORKER_ID, concurrency, types: types || 'all' });
+}
+
+/**
+ * Stop claiming new jobs and wait for in-flight ones to finish
+ */
+export async function stopJobWorker() {
+  if (!workerRunning) return;
+  workerRunning = false;
+  await Promise.allSettled(activeLoops);
+  activeLoops = [];
+  genLog('Job worker stopped', { workerId: WORKER_ID });
+}
+
+export default {
+  JOB_STATUSES,
+  registerJobHandler,
+  enqueueJob,
+  claimNextJob,
+  completeJob,
+  failJob,
+  recoverStaleJobs,
+  getJob,
+  getDependentJobs,
+  getJobTree,
+  isTerminalStatus,
+  describeQueuedJob,
+  listJobs,
+  retryJob,
+  startJobWorker,
+  stopJobWorker
+};
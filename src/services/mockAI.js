@@ -0,0 +1,218 @@
+import crypto from 'crypto';
+
+/**
+ * Deterministic offline AI provider.
+ *
+ * Returns canned markdown in the shape requested by COMMON_STRUCTURE
+ * (title, meta description, sections, FAQ, key takeaways, keywords, external
+ * resources) so the whole generation pipeline can run without network access.
+ * The same prompt always produces the same output.
+ */
+
+const MOCK_MODEL = 'mock-writer';
+
+const ANGLES = [
+  'A Practical Guide',
+  'Beginner Mistakes to Avoid',
+  'What Actually Works',
+  'Field Notes From Real Projects',
+  'A Step-by-Step Playbook',
+  'Common Questions Answered',
+];
+
+const SECTION_HEADINGS = [
+  'Why {topic} Matters Right Now',
+  'Getting Started Without Overthinking It',
+  'The Habits That Make the Biggest Difference',
+  'Tools and Resources Worth Your Time',
+  'Mistakes I See Over and Over',
+  'Measuring Progress the Simple Way',
+];
+
+const SENTENCES = [
+  'Most people approach {topic} with big plans and very little structure, and that is usually where things start to drift.',
+  "Here's the thing: the basics are not glamorous, but they carry most of the results you will actually notice.",
+  'In my experience, a short weekly routine beats an ambitious plan that only survives for a few days.',
+  'Start by writing down what you already do, because you cannot improve a process you have never looked at closely.',
+  'That said, there is no single right answer, and the best approach depends on your time, budget and goals.',
+  'Small, repeatable steps compound surprisingly fast once they stop feeling like extra work.',
+  'On the flip side, chasing every new trend tends to scatter your attention without moving anything forward.',
+  'A useful rule of thumb is to change one thing at a time and give it at least two weeks before judging it.',
+  'Keep notes as you go; they make it far easier to see patterns and explain your choices later.',
+  "If something feels confusing, it's often because two different goals are tangled together, so separate them first.",
+  'Experts in {topic} rarely rely on secrets, they simply apply the fundamentals with unusual consistency.',
+  'It also helps to talk with people who are one or two steps ahead of you, since their advice is still fresh and concrete.',
+];
+
+const QUESTIONS = [
+  'How long does it take to see results with {topic}?',
+  'Do I need special tools to get started?',
+  'What is the most common beginner mistake?',
+  'How do I stay consistent when life gets busy?',
+  'Is it worth paying for expert help?',
+  'How do I know if my approach is working?',
+];
+
+const TAKEAWAYS = [
+  'Start small and build a routine you can keep for months',
+  'Change one variable at a time so you learn what actually works',
+  'Write things down; notes turn vague impressions into evidence',
+  'Ignore most trends and double down on the fundamentals',
+  'Ask people slightly ahead of you for concrete advice',
+  'Review your progress on a fixed schedule',
+  'Good enough and consistent beats perfect and occasional',
+];
+
+const RESOURCES = [
+  ['Wikipedia overview', 'https://en.wikipedia.org/wiki/Main_Page'],
+  ['Khan Academy', 'https://www.khanacademy.org/'],
+  ['MIT OpenCourseWare', 'https://ocw.mit.edu/'],
+  ['Harvard Business Review', 'https://hbr.org/'],
+  ['National Geographic', 'https://www.nationalgeographic.com/'],
+];
+
+// Small seeded PRNG so output only depends on the prompt
+function createRandom(seedText) {
+  let seed = crypto.createHash('sha256').update(seedText).digest().readUInt32LE(0);
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = seed;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function pick(random, list, count) {
+  const pool = [...list];
+  const picked = [];
+  while (picked.length < count && pool.length) {
+    picked.push(pool.splice(Math.floor(random() * pool.length), 1)[0]);
+  }
+  return picked;
+}
+
+function fill(template, topic) {
+  return template.replace(/\{topic\}/g, topic);
+}
+
+function paragraph(random, topic, sentences = 4) {
+  return pick(random, SENTENCES, sentences).map((s) => fill(s, topic)).join(' ');
+}
+
+// Rough token count used for usage reporting (~4 characters per token)
+function estimateTokens(text) {
+  return Math.ceil(String(text || '').length / 4);
+}
+
+function usageFor(prompt, content) {
+  const prompt_tokens = estimateTokens(prompt);
+  const completion_tokens = estimateTokens(content);
+  return { prompt_tokens, completion_tokens, total_tokens: prompt_tokens + completion_tokens };
+}
+
+/**
+ * Canned article content as the structured (JSON) output mode expects it
+ */
+export function buildMockArticleData({ topic = 'Everyday Skills', seed = '' } = {}) {
+  const random = createRandom(`${topic}\n${seed}`);
+  const angle = pick(random, ANGLES, 1)[0];
+  const lower = topic.toLowerCase();
+
+  const intro = [paragraph(random, lower, 3), paragraph(random, lower, 2)].join('\n\n');
+  const sections = pick(random, SECTION_HEADINGS, 3).map((heading) => ({
+    heading: fill(heading, topic),
+    body: [paragraph(random, lower, 3), paragraph(random, lower, 2)].join('\n\n'),
+  }));
+  const faq = pick(random, QUESTIONS, 4).map((question) => ({
+    q: fill(question, lower),
+    a: paragraph(random, lower, 3),
+  }));
+  const keyTakeaways = pick(random, TAKEAWAYS, 5);
+  const keywords = [lower, `${lower} tips`, `${lower} guide`, `${lower} for beginners`, 'best practices',
+    'common mistakes', 'getting started', 'habits', 'routine', 'progress tracking'];
+  const externalLinks = pick(random, RESOURCES, 3).map(([anchor, url]) => ({ anchor, url }));
+
+  return {
+    title: `${topic}: ${angle}`,
+    metaDescription: `A down-to-earth look at ${lower}: what matters, what to skip, and simple habits that make real progress easier to keep up week after week.`,
+    intro,
+    sections,
+    faq,
+    keyTakeaways,
+    keywords,
+    externalLinks,
+    sources: externalLinks.map((link) => link.url),
+  };
+}
+
+/**
+ * Canned article following COMMON_STRUCTURE
+ */
+export function buildMockArticle({ topic = 'Everyday Skills', seed = '' } = {}) {
+  const article = buildMockArticleData({ topic, seed });
+
+  const lines = [
+    `# ${article.title}`,
+    '',
+    `**Meta Description:** ${article.metaDescription}`,
+    '',
+    '## Introduction',
+    article.intro,
+    '',
+  ];
+
+  for (const section of article.sections) {
+    lines.push(`## ${section.heading}`, section.body, '');
+  }
+
+  lines.push('## Frequently Asked Questions', '');
+  for (const { q, a } of article.faq) {
+    lines.push(`### ${q}`, a, '');
+  }
+
+  lines.push('## Key Takeaways');
+  for (const takeaway of article.keyTakeaways) lines.push(`- ${takeaway}`);
+  lines.push('');
+
+  lines.push(`**Keywords:** ${article.keywords.join(', ')}`, '');
+
+  lines.push('## External Resources');
+  for (const { anchor, url } of article.externalLinks) lines.push(`- [${anchor}](${url})`);
+
+  return lines.join('\n');
+}
+
+/**
+ * Write an article as markdown or, with context.format 'json', as a JSON
+ * document (for the alt-text role, a one-line image description)
+ */
+export async function generate({ system, user, model, context = {} }) {
+  const prompt = `${system || ''}\n${user || ''}`;
+  let content;
+  if (context.role === 'altText') {
+    const subject = context.title || context.category || 'the article topic';
+    content = `Photo illustrating ${subject}`;
+  } else if (context.format === 'json') {
+    content = JSON.stringify(buildMockArticleData({ topic: context.category || 'Everyday Skills', seed: prompt }), null, 2);
+  } else {
+    content = buildMockArticle({ topic: context.category || 'Everyday Skills', seed: prompt });
+  }
+  return { content, usage: usageFor(prompt, content), model: model || MOCK_MODEL };
+}
+
+/**
+ * "Translate" by tagging the text with the target language. HTML is returned
+ * untouched so the translator's structure checks still pass.
+ */
+export async function translate({ system, user, model, targetLang }) {
+  const text = String(user || '');
+  const content = /<\/?[a-z][^>]*>/i.test(text) || !targetLang ? text : `[${targetLang}] ${text}`;
+  return { content, usage: usageFor(`${system || ''}\n${text}`, content), model: model || MOCK_MODEL };
+}
+
+export function listModels() {
+  return [MOCK_MODEL];
+}
+
+export default { buildMockArticleData, buildMockArticle, generate, translate, listModels };
@@ -0,0 +1,161 @@
+import { query } from '../db.js';
+import { articlesTable } from '../utils/articlesTable.js';
+import { publishedOnly } from '../utils/articleStatus.js';
+
+/**
+ * Popularity queries behind the /most-read API and the homepage blocks.
+ * They read the view counters and trending scores kept by viewTracker.js.
+ */
+
+const ARTICLE_COLUMNS = `a.id,
+        a.title,
+        a.slug,
+        a.summary,
+        a.meta_description,
+        a.image_url,
+        a.total_views,
+        a.unique_views,
+        a.trending_score,
+        a.reading_time_minutes,
+        a.published_at,
+        a.created_at,
+        c.name AS category_name,
+        c.slug AS category_slug`;
+
+/**
+ * Most viewed articles, topped up with the newest ones while views are scarce
+ */
+export async function getMostReadArticles(language, limit) {
+  const tableName = articlesTable(language);
+
+  const result = await query(`
+    SELECT ${ARTICLE_COLUMNS}
+    FROM ${tableName} a
+    LEFT JOIN categories c ON c.id = a.category_id
+    WHERE ${publishedOnly('a')}
+    ORDER BY
+      CASE
+        WHEN a.total_views > 0 THEN a.total_views
+        ELSE 0
+      END DESC,
+      a.trending_score DESC,
+      a.published_at DESC
+    LIMIT $1
+  `, [limit]);
+
+  // If we don't have enough articles with views, get recent popular ones
+  let articles = result.rows;
+
+  if (articles.length < limit) {
+    // Build parameterized query for excluded IDs
+    const excludedIds = articles.map(a => a.id);
+    let additionalQuery = `
+      SELECT ${ARTICLE_COLUMNS}
+      FROM ${tableName} a
+      LEFT JOIN categories c ON c.id = a.category_id
+      WHERE ${publishedOnly('a')}`;
+
+    const queryParams = [limit - articles.length];
+
+    if (excludedIds.length > 0) {
+      const placeholders = excludedIds.map((_, index) => `$${index + 2}`).join(',');
+      additionalQuery += ` AND a.id NOT IN (${placeholders})`;
+      queryParams.push(...excludedIds);
+    }
+
+    additionalQuery += ` ORDER BY a.published_at DESC LIMIT $1`;
+
+    const additionalResult = await query(additionalQuery, queryParams);
+    articles = [...articles, ...additionalResult.rows];
+  }
+
+  // Add view tracking info
+  return articles.map(article => ({
+    ...article,
+    total_views: parseInt(article.total_views) || 0,
+    unique_views: parseInt(article.unique_views) || 0,
+    trending_score: parseFloat(article.trending_score) || 0,
+    is_trending: (article.total_views || 0) > 10 && (article.trending_score || 0) > 1
+  }));
+}
+
+/**
+ * Most viewed articles of the most viewed categories
+ */
+export async function getMostReadByCategory(language, { articlesPerCategory, maxCategories }) {
+  const tableName = articlesTable(language);
+
+  const result = await query(`
+    SELECT
+      c.id as category_id,
+      c.name as category_name,
+      c.slug as category_slug,
+      c.total_views as category_views,
+      json_agg(
+        json_build_object(
+          'id', a.id,
+          'title', a.title,
+          'slug', a.slug,
+          'summary', a.summary,
+          'image_url', a.image_url,
+          'total_views', a.total_views,
+          'unique_views', a.unique_views,
+          'published_at', a.published_at,
+          'reading_time_minutes', a.reading_time_minutes
+        ) ORDER BY a.total_views DESC, a.published_at DESC
+      ) as articles
+    FROM categories c
+    LEFT JOIN LATERAL (
+      SELECT * FROM ${tableName}
+      WHERE category_id = c.id
+        AND ${publishedOnly('')}
+      ORDER BY
+        CASE WHEN total_views > 0 THEN total_views ELSE 0 END DESC,
+        published_at DESC
+      LIMIT $1
+    ) a ON true
+    WHERE a.id IS NOT NULL
+    GROUP BY c.id, c.name, c.slug, c.total_views
+    ORDER BY c.total_views DESC, c.name ASC
+    LIMIT $2
+  `, [articlesPerCategory, maxCategories]);
+
+  return result.rows;
+}
+
+/**
+ * Articles with the highest current trending score
+ */
+export async function getTrendingArticles(language, limit) {
+  const tableName = articlesTable(language);
+
+  const result = await query(`
+    SELECT
+      a.id,
+      a.title,
+      a.slug,
+      a.summary,
+      a.image_url,
+      a.total_views,
+      a.unique_views,
+      a.trending_score,
+      a.reading_time_minutes,
+      a.published_at,
+      c.name AS category_name,
+      c.slug AS category_slug
+    FROM ${tableName} a
+    LEFT JOIN categories c ON c.id = a.category_id
+    WHERE ${publishedOnly('a')}
+      AND a.trending_score > 0
+    ORDER BY a.trending_score DESC, a.total_views DESC
+    LIMIT $1
+  `, [limit]);
+
+  return result.rows;
+}
+
+export default {
+  getMostReadArticles,
+  getMostReadByCategory,
+  getTrendingArticles
+};
@@ -122,11 +122,19 @@ export async function generateArticleWithSearch(system, user) {
   return await makeApiCall(body);
 }
 
-export async function generateNoSearch(system, user) {
-  const body = buildRequestBody({ system, user, enableWebSearch: false });
+export async function generateNoSearch(system, user, model) {
+  const body = buildRequestBody({ system, user, enableWebSearch: false, model });
   return await makeApiCall(body);
 }
 
+/**
+ * 1min.ai has no model listing endpoint; report the models we are configured to use
+ */
+export function listModels() {
+  const { defaultModel, fallbackModel, premiumModel } = config.oneMinAI;
+  return [...new Set([defaultModel, fallbackModel, premiumModel].filter(Boolean))];
+}
+
 function delay(ms) {
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
@@ -144,10 +152,10 @@ function isTransientError(err) {
   );
 }
 
-export async function generateRobustArticle({ system, user, preferWebSearch = config.oneMinAI.enableWebSearch }) {
+export async function generateRobustArticle({ system, user, preferWebSearch = config.oneMinAI.enableWebSearch, model }) {
   const strategies = [];
 
-  const defaultModel = config.oneMinAI.defaultModel;
+  const defaultModel = model || config.oneMinAI.defaultModel;
   const fallbackModel = config.oneMinAI.fallbackModel;
 
   if (preferWebSearch) {
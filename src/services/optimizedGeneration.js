@@ -10,6 +10,7 @@ import {
 } from './generation.js';
 import { genLog, genError, logTranslationProgress, logArticleProgress, cleanupOldLogs } from './logger.js';
 import { computePriorityScore, bestMarketForLanguage } from './generation.js';
+import { recordTopicUsage, recordTranslationTopicUsage } from './topicRegistry.js';
 
 // Constants for optimal scheduling
 const OPTIMAL_GENERATION_HOURS = [6, 7, 8, 9, 10, 11]; // 6 AM - 12 PM
@@ -39,7 +40,7 @@ async function getCategoriesNeedingArticles() {
       // Count today's articles for this category
       const { rows } = await query(
         `SELECT COUNT(*)::int AS count FROM articles_en 
-         WHERE category_id = $1 AND published_at::date = CURRENT_DATE`,
+         WHERE category_id = $1 AND created_at::date = CURRENT_DATE`,
         [category.id]
       );
       
@@ -102,7 +103,7 @@ async function processCategory(category) {
         // Re-check quota inside transaction for atomic operation
         const { rows } = await client.query(
           `SELECT COUNT(*)::int AS count FROM articles_en
-           WHERE category_id = $1 AND published_at::date = CURRENT_DATE`,
+           WHERE category_id = $1 AND created_at::date = CURRENT_DATE`,
           [categoryObj.id]
         );
 
@@ -123,7 +124,15 @@ async function processCategory(category) {
         masterArticle = generatedArticle;
 
         // Insert article atomically with quota check
-        await insertArticle(client, masterArticle);
+        const inserted = await insertArticle(client, masterArticle);
+        await recordTopicUsage(client, {
+          templateId: masterArticle.template_id,
+          categoryId: categoryObj.id,
+          categorySlug: categoryObj.slug,
+          language: 'en',
+          articleId: inserted.id,
+          articleSlug: inserted.slug
+        });
         await updateDailyTokenUsage(client, [{
           prompt_tokens: masterArticle.ai_tokens_input,
           completion_tokens: masterArticle.ai_tokens_output,
@@ -196,7 +205,13 @@ async function processCategory(category) {
             if (translationArticle) {
               // Insert translation exactly like manual endpoint
               await withTransaction(async (client) => {
-                await insertArticle(client, translationArticle);
+                const inserted = await insertArticle(client, translationArticle);
+                await recordTranslationTopicUsage(client, {
+                  masterSlug: masterArticle.slug,
+                  language: lang,
+                  articleId: inserted.id,
+                  articleSlug: inserted.slug
+                });
                 await updateDailyTokenUsage(client, [{
                   prompt_tokens: translationArticle.ai_tokens_input,
                   completion_tokens: translationArticle.ai_tokens_output,
@@ -356,7 +371,7 @@ export async function checkGenerationHealth() {
     );
     
     const { rows: todayRows } = await query(
-      'SELECT COUNT(*) as today_total FROM articles_en WHERE published_at::date = CURRENT_DATE'
+      'SELECT COUNT(*) as today_total FROM articles_en WHERE created_at::date = CURRENT_DATE'
     );
     
     const health = {
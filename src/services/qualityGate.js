@@ -0,0 +1,189 @@
+import { config } from '../config.js';
+
+/**
+ * Quality gate for generated master drafts.
+ *
+ * Every check has a weight; the score is the weighted share of passed checks
+ * (0-100). Some problems fail the draft regardless of score: refusal text,
+ * a missing meta description and a missing FAQ. Thresholds come from
+ * config.quality.thresholds with per-category overrides.
+ */
+
+// Article columns that only editors should see
+export const QUALITY_FIELDS = ['quality_score', 'quality_reasons', 'word_count_status'];
+
+// Phrases models use when they decline or break character instead of writing
+const REFUSAL_PATTERNS = [
+  /\bI(?:'m| am) sorry,? but I (?:can(?:'|no)t|am unable to|won't)\b/i,
+  /\bI can(?:'|no)t (?:help|assist|comply|provide|write|create) (?:with )?(?:that|this)\b/i,
+  /\bI(?:'m| am) (?:unable|not able) to (?:help|assist|comply|fulfill|write|create)\b/i,
+  /\bas an AI(?: language model)?\b/i,
+  /\bI don't have (?:access to|the ability to browse) (?:the internet|real-time)\b/i,
+  /\bmy (?:knowledge|training) (?:cutoff|data)\b/i,
+];
+
+function countWords(text) {
+  return String(text || '')
+    .split(/\s+/)
+    .filter(Boolean).length;
+}
+
+/**
+ * Effective thresholds for a category (defaults merged with its overrides)
+ */
+export function getQualityThresholds(categorySlug) {
+  return {
+    ...config.quality.thresholds,
+    ...(config.quality.categoryThresholds[categorySlug] || {}),
+  };
+}
+
+/**
+ * Word count status against the category's target range
+ */
+export function wordCountStatus(wordCount, thresholds) {
+  if (wordCount < thresholds.minWords) return 'too_short';
+  if (wordCount > thresholds.maxWords) return 'too_long';
+  return 'valid';
+}
+
+/**
+ * Score an extracted master draft.
+ *
+ * @param {object} masterJson extracted article (title, metaDescription, intro, sections, faq, keywords, externalLinks, sourceUrls)
+ * @param {object} options
+ * @param {string} options.rawContent the model's raw reply; extraction fills gaps with fallbacks, so presence checks look here
+ * @param {string} options.categorySlug
+ * @param {boolean} [options.structured] draft came from validated JSON output, whose fields are never filled in
+ * @returns {{ passed: boolean, score: number, reasons: Array<{code: string, message: string}>, wordCount: number, wordCountStatus: string, thresholds: object }}
+ */
+export function evaluateMasterQuality(masterJson, { rawContent = '', categorySlug, structured = false } = {}) {
+  const t = getQualityThresholds(categorySlug);
+  const intro = masterJson?.intro || '';
+  const sections = Array.isArray(masterJson?.sections) ? masterJson.sections : [];
+  const faq = Array.isArray(masterJson?.faq) ? masterJson.faq : [];
+  const keywords = Array.isArray(masterJson?.keywords) ? masterJson.keywords : [];
+  const sources = [
+    ...(Array.isArray(masterJson?.sourceUrls) ? masterJson.sourceUrls : []),
+    ...(Array.isArray(masterJson?.externalLinks) ? masterJson.externalLinks.map((l) => l?.url) : []),
+  ];
+
+  const introWords = countWords(intro);
+  const sectionWords = sections.map((s) => countWords(s?.body));
+  const faqWords = faq.map((f) => countWords(f?.a));
+  const wordCount = introWords + sectionWords.reduce((a, b) => a + b, 0) + faqWords.reduce((a, b) => a + b, 0);
+
+  const validSources = [...new Set(sources.filter((u) =>
+    typeof u === 'string' &&
+    /^https?:\/\//i.test(u) &&
+    !/example\.com/i.test(u) &&
+    !/lorem|dummy|test/i.test(u)
+  ))];
+
+  const raw = String(rawContent || '');
+  const hasMetaDescription = structured
+    ? Boolean(String(masterJson?.metaDescription || '').trim())
+    : /^\s*(?:\*\*\s*meta description\s*:?\s*\*\*|#+\s*meta description)/im.test(raw);
+  const metaLength = String(masterJson?.metaDescription || '').trim().length;
+  const refusal = REFUSAL_PATTERNS.find((re) => re.test(raw));
+
+  const checks = [
+    {
+      code: 'refusal',
+      hard: true,
+      weight: 0,
+      ok: !refusal,
+      message: `Model reply contains refusal or meta text ("${refusal ? raw.match(refusal)[0] : ''}")`,
+    },
+    {
+      code: 'missing_meta_description',
+      hard: true,
+      weight: 10,
+      ok: hasMetaDescription,
+      message: 'No meta description in the model reply',
+    },
+    {
+      code: 'meta_description_length',
+      weight: 5,
+      ok: metaLength >= t.minMetaDescriptionLength && metaLength <= t.maxMetaDescriptionLength,
+      message: `Meta description is ${metaLength} characters (expected ${t.minMetaDescriptionLength}-${t.maxMetaDescriptionLength})`,
+    },
+    {
+      code: 'missing_faq',
+      hard: t.minFaq > 0,
+      weight: 10,
+      ok: t.minFaq === 0 || faq.length > 0,
+      message: 'Article has no FAQ section',
+    },
+    {
+      code: 'faq_count',
+      weight: 10,
+      ok: faq.length >= t.minFaq,
+      message: `${faq.length} FAQ entries (minimum ${t.minFaq})`,
+    },
+    {
+      code: 'faq_answer_length',
+      weight: 5,
+      ok: faqWords.every((w) => w >= t.minFaqAnswerWords),
+      message: `Some FAQ answers are shorter than ${t.minFaqAnswerWords} words`,
+    },
+    {
+      code: 'word_count',
+      weight: 25,
+      ok: wordCountStatus(wordCount, t) === 'valid',
+      message: `${wordCount} words (expected ${t.minWords}-${t.maxWords})`,
+    },
+    {
+      code: 'intro_length',
+      weight: 10,
+      ok: introWords >= t.minIntroWords,
+      message: `Introduction has ${introWords} words (minimum ${t.minIntroWords})`,
+    },
+    {
+      code: 'section_count',
+      weight: 15,
+      ok: sections.length >= t.minSections,
+      message: `${sections.length} sections (minimum ${t.minSections})`,
+    },
+    {
+      code: 'section_length',
+      weight: 5,
+      ok: sectionWords.every((w) => w >= t.minSectionWords),
+      message: `Some sections are shorter than ${t.minSectionWords} words`,
+    },
+    {
+      code: 'keywords',
+      weight: 5,
+      ok: keywords.length >= t.minKeywords,
+      message: `${keywords.length} keywords (minimum ${t.minKeywords})`,
+    },
+    {
+      code: 'sources',
+      weight: t.minSources > 0 ? 5 : 0,
+      ok: validSources.length >= t.minSources,
+      message: `${validSources.length} valid source links (minimum ${t.minSources})`,
+    },
+  ];
+
+  const totalWeight = checks.reduce((sum, c) => sum + c.weight, 0);
+  const passedWeight = checks.reduce((sum, c) => sum + (c.ok ? c.weight : 0), 0);
+  const score = totalWeight ? Math.round((passedWeight / totalWeight) * 100) : 100;
+  const failed = checks.filter((c) => !c.ok);
+  const hardFailure = failed.some((c) => c.hard);
+
+  return {
+    passed: !hardFailure && score >= t.minScore,
+    score,
+    reasons: failed.map((c) => ({ code: c.code, message: c.message })),
+    wordCount,
+    wordCountStatus: wordCountStatus(wordCount, t),
+    thresholds: t,
+  };
+}
+
+export default {
+  QUALITY_FIELDS,
+  getQualityThresholds,
+  wordCountStatus,
+  evaluateMasterQuality
+};
@@ -0,0 +1,315 @@
+import { parse as parseCsv } from 'csv-parse/sync';
+import { query, withTransaction } from '../db.js';
+import { AppError, ErrorTypes, withDatabaseErrorHandling } from './errorHandler.js';
+import { genLog, genError } from './logger.js';
+
+/**
+ * Redirect manager.
+ *
+ * The `redirects` table maps an old site path to a new one (301/302/307/308)
+ * or marks it gone (410). Rows are created automatically when an article's
+ * slug changes or an article is deleted, and by admins through
+ * /admin/redirects. The middleware in src/middleware/redirects.js serves them
+ * from an in-memory map that is reloaded after every change made here and at
+ * most REDIRECT_CACHE_TTL_MS after changes made elsewhere.
+ */
+
+export const REDIRECT_STATUS_CODES = [301, 302, 307, 308, 410];
+
+const REDIRECT_CACHE_TTL_MS = 60 * 1000;
+
+let cache = null;
+let cacheLoadedAt = 0;
+let cacheLoading = null;
+
+/**
+ * Public path of an article page
+ */
+export function articlePath(language, slug) {
+  return `/${language}/article/${slug}`;
+}
+
+/**
+ * Canonical form of a source or target path: leading slash, no query string,
+ * fragment or trailing slash. Absolute http(s) URLs are kept for targets.
+ */
+export function normalizePath(value, { allowAbsolute = false } = {}) {
+  let path = String(value ?? '').trim();
+  if (!path) return null;
+  if (/^https?:\/\//i.test(path)) {
+    if (!allowAbsolute) {
+      try {
+        path = new URL(path).pathname;
+      } catch {
+        return null;
+      }
+    } else {
+      return path;
+    }
+  }
+  path = path.split(/[?#]/)[0];
+  if (!path.startsWith('/')) path = `/${path}`;
+  path = path.replace(/\/{2,}/g, '/');
+  if (path.length > 1) path = path.replace(/\/+$/, '');
+  try {
+    // Compare decoded paths so /a%20b and "/a b" are the same source
+    return decodeURI(path);
+  } catch {
+    return path;
+  }
+}
+
+function validateRedirect({ source, target, statusCode = 301 }) {
+  const sourcePath = normalizePath(source);
+  if (!sourcePath || sourcePath === '/') {
+    throw new AppError('source must be a site path other than /', ErrorTypes.VALIDATION_ERROR, { source });
+  }
+  const code = Number(statusCode);
+  if (!REDIRECT_STATUS_CODES.includes(code)) {
+    throw new AppError(`statusCode must be one of: ${REDIRECT_STATUS_CODES.join(', ')}`, ErrorTypes.VALIDATION_ERROR, { statusCode });
+  }
+  const targetPath = code === 410 ? null : normalizePath(target, { allowAbsolute: true });
+  if (code !== 410 && !targetPath) {
+    throw new AppError('target is required unless statusCode is 410', ErrorTypes.VALIDATION_ERROR, { source });
+  }
+  if (targetPath === sourcePath) {
+    throw new AppError('source and target are the same path', ErrorTypes.VALIDATION_ERROR, { source });
+  }
+  return { sourcePath, targetPath, statusCode: code };
+}
+
+/**
+ * Create or replace the redirect for a source path. Redirects that pointed
+ * at the source now point at the new target, so chains never form, and a
+ * redirect away from the target is removed because the target is live again.
+ *
+ * @param {{ query: Function }} executor pool or transaction client
+ * @param {{ source: string, target?: string|null, statusCode?: number, reason?: string }} redirect
+ * @returns {Promise<object>} the stored row
+ */
+export async function upsertRedirect(executor, { source, target = null, statusCode = 301, reason = 'manual' }) {
+  const { sourcePath, targetPath, statusCode: code } = validateRedirect({ source, target, statusCode });
+
+  if (targetPath && targetPath.startsWith('/')) {
+    await executor.query('DELETE FROM redirects WHERE source_path = $1', [targetPath]);
+  }
+  await executor.query(
+    `UPDATE redirects
+     SET target_path = $2, status_code = $3, updated_at = now()
+     WHERE target_path = $1`,
+    [sourcePath, targetPath, code]
+  );
+  const { rows } = await executor.query(
+    `INSERT INTO redirects (source_path, target_path, status_code, reason)
+     VALUES ($1, $2, $3, $4)
+     ON CONFLICT (source_path) DO UPDATE
+     SET target_path = EXCLUDED.target_path, status_code = EXCLUDED.status_code,
+         reason = EXCLUDED.reason, updated_at = now()
+     RETURNING *`,
+    [sourcePath, targetPath, code, reason]
+  );
+  return rows[0];
+}
+
+/**
+ * Drop redirects whose source is live again (restored or re-used paths)
+ */
+export async function removeRedirectsFrom(executor, sources) {
+  const paths = sources.map((s) => normalizePath(s)).filter(Boolean);
+  if (!paths.length) return 0;
+  const { rowCount } = await executor.query('DELETE FROM redirects WHERE source_path = ANY($1)', [paths]);
+  return rowCount;
+}
+
+/**
+ * Forget the in-memory map; the next lookup reloads it
+ */
+export function invalidateRedirectCache() {
+  cache = null;
+  cacheLoadedAt = 0;
+}
+
+async function loadCache() {
+  if (cache && Date.now() - cacheLoadedAt < REDIRECT_CACHE_TTL_MS) return cache;
+  if (!cacheLoading) {
+    cacheLoading = query('SELECT id, source_path, target_path, status_code FROM redirects')
+      .catch((err) => {
+        // Serve no redirects until scripts/add-redirects.js has run
+        if (err.code === '42P01') return { rows: [] };
+        throw err;
+      })
+      .then(({ rows }) => {
+        cache = new Map(rows.map((row) => [row.source_path, {
+          id: Number(row.id),
+          target: row.target_path,
+          statusCode: row.status_code
+        }]));
+        cacheLoadedAt = Date.now();
+        return cache;
+      })
+      .finally(() => {
+        cacheLoading = null;
+      });
+  }
+  return await cacheLoading;
+}
+
+/**
+ * Redirect for a request path, if any
+ * @returns {Promise<{ id: number, target: string|null, statusCode: number }|null>}
+ */
+export async function lookupRedirect(path) {
+  const normalized = normalizePath(path);
+  if (!normalized) return null;
+  const map = await loadCache();
+  return map.get(normalized) || null;
+}
+
+/**
+ * Every redirect by source path, for the static export. Empty until
+ * scripts/add-redirects.js has run.
+ * @returns {Promise<Array<{ source: string, target: string|null, statusCode: number }>>}
+ */
+export async function listAllRedirects() {
+  try {
+    const { rows } = await query('SELECT source_path, target_path, status_code FROM redirects ORDER BY source_path');
+    return rows.map((row) => ({ source: row.source_path, target: row.target_path, statusCode: row.status_code }));
+  } catch (err) {
+    if (err.code === '42P01') return [];
+    throw err;
+  }
+}
+
+/**
+ * Count a served redirect. Never throws: hit statistics must not break requests.
+ */
+export function recordRedirectHit(id) {
+  query('UPDATE redirects SET hit_count = hit_count + 1, last_hit_at = now() WHERE id = $1', [id])
+    .catch((error) => {
+      genError('Failed to record redirect hit', { id, error: error.message }, false);
+    });
+}
+
+/**
+ * Redirects, most recently changed first
+ */
+export async function listRedirects({ search = null, statusCode = null, reason = null, limit = 100, offset = 0 } = {}) {
+  return await withDatabaseErrorHandling(async () => {
+    const { rows } = await query(
+      `SELECT id, source_path, target_path, status_code, reason, hit_count, last_hit_at, created_at, updated_at,
+              COUNT(*) OVER()::int AS total
+       FROM redirects
+       WHERE ($1::text IS NULL OR source_path ILIKE '%' || $1 || '%' OR target_path ILIKE '%' || $1 || '%')
+         AND ($2::int IS NULL OR status_code = $2)
+         AND ($3::text IS NULL OR reason = $3)
+       ORDER BY updated_at DESC, id DESC
+       LIMIT $4 OFFSET $5`,
+      [search, statusCode, reason, limit, offset]
+    );
+    return {
+      total: rows[0]?.total ?? 0,
+      data: rows.map(({ total, ...row }) => ({ ...row, id: Number(row.id) }))
+    };
+  }, 'listRedirects');
+}
+
+/**
+ * Create or replace many redirects in one transaction. Invalid rows are
+ * reported and skipped; valid ones are applied in order.
+ *
+ * @param {Array<{ source: string, target?: string, statusCode?: number }>} items
+ * @returns {Promise<{ applied: number, errors: Array<{ index: number, source: string, error: string }> }>}
+ */
+export async function upsertRedirects(items, { reason = 'manual' } = {}) {
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new AppError('redirects must be a non-empty array', ErrorTypes.VALIDATION_ERROR);
+  }
+
+  const errors = [];
+  const valid = [];
+  items.forEach((item, index) => {
+    try {
+      validateRedirect(item || {});
+      valid.push(item);
+    } catch (err) {
+      errors.push({ index, source: item?.source ?? null, error: err.message });
+    }
+  });
+
+  if (valid.length) {
+    await withDatabaseErrorHandling(
+      () => withTransaction(async (client) => {
+        for (const item of valid) {
+          await upsertRedirect(client, { ...item, reason });
+        }
+      }),
+      'upsertRedirects'
+    );
+    invalidateRedirectCache();
+  }
+
+  genLog('Redirects upserted', { applied: valid.length, rejected: errors.length, reason });
+  return { applied: valid.length, errors };
+}
+
+/**
+ * Parse a CSV of redirects. Columns: source, target, status (optional, default
+ * 301); a header row is required, extra columns are ignored.
+ */
+export function parseRedirectCsv(text) {
+  let records;
+  try {
+    records = parseCsv(String(text || ''), {
+      columns: (header) => header.map((h) => h.trim().toLowerCase()),
+      skip_empty_lines: true,
+      trim: true,
+      bom: true
+    });
+  } catch (err) {
+    throw new AppError(`Invalid CSV: ${err.message}`, ErrorTypes.VALIDATION_ERROR);
+  }
+  if (records.length && !('source' in records[0])) {
+    throw new AppError('CSV header must include a "source" column', ErrorTypes.VALIDATION_ERROR);
+  }
+  return records.map((r) => ({
+    source: r.source,
+    target: r.target || null,
+    statusCode: r.status || r.status_code || 301
+  }));
+}
+
+/**
+ * Delete redirects by id
+ * @returns {Promise<number>} rows deleted
+ */
+export async function deleteRedirects(ids) {
+  if (!Array.isArray(ids) || ids.length === 0) {
+    throw new AppError('ids must be a non-empty array', ErrorTypes.VALIDATION_ERROR);
+  }
+  const numericIds = ids.map(Number);
+  if (numericIds.some((id) => !Number.isInteger(id) || id <= 0)) {
+    throw new AppError('ids must be positive integers', ErrorTypes.VALIDATION_ERROR, { ids });
+  }
+  const count = await withDatabaseErrorHandling(async () => {
+    const { rowCount } = await query('DELETE FROM redirects WHERE id = ANY($1)', [numericIds]);
+    return rowCount;
+  }, 'deleteRedirects');
+  invalidateRedirectCache();
+  return count;
+}
+
+export default {
+  REDIRECT_STATUS_CODES,
+  articlePath,
+  normalizePath,
+  upsertRedirect,
+  removeRedirectsFrom,
+  invalidateRedirectCache,
+  lookupRedirect,
+  listAllRedirects,
+  recordRedirectHit,
+  listRedirects,
+  upsertRedirects,
+  parseRedirectCsv,
+  deleteRedirects
+};
@@ -0,0 +1,238 @@
+import { query, withTransaction } from '../db.js';
+import { config } from '../config.js';
+import { articlesTable } from '../utils/articlesTable.js';
+import { diffHtml, diffText } from '../utils/htmlDiff.js';
+import { AppError, ErrorTypes, withDatabaseErrorHandling } from './errorHandler.js';
+import { notifyArticlePublished } from './editorialService.js';
+import { genLog } from './logger.js';
+
+/**
+ * Article revision history.
+ *
+ * A database trigger on every articles_<lang> table (scripts/add-article-revisions.js)
+ * snapshots the versioned fields into `article_revisions` on insert and on any
+ * update that changes them, including manual SQL fixes. This module reads that
+ * history, diffs two snapshots and rolls an article back to one.
+ */
+
+// Columns snapshotted by the trigger and restored on rollback
+export const REVISION_FIELDS = [
+  'title',
+  'content',
+  'summary',
+  'meta_title',
+  'meta_description',
+  'content_hash',
+  'ai_model',
+  'ai_prompt'
+];
+
+// Plain text fields compared word by word in a diff (content gets the HTML diff)
+const TEXT_DIFF_FIELDS = ['title', 'summary', 'meta_title', 'meta_description', 'ai_model', 'ai_prompt'];
+
+function assertLanguage(language) {
+  if (!config.languages.includes(language)) {
+    throw new AppError('Unsupported language', ErrorTypes.VALIDATION_ERROR, { language });
+  }
+}
+
+function toId(value, name) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new AppError(`${name} must be a positive integer`, ErrorTypes.VALIDATION_ERROR, { [name]: value });
+  }
+  return id;
+}
+
+function toRevisionSummary(row) {
+  return {
+    id: Number(row.id),
+    revisionNumber: row.revision_number,
+    operation: row.operation,
+    source: row.source,
+    changedBy: row.changed_by,
+    slug: row.article_slug,
+    title: row.title,
+    contentHash: row.content_hash,
+    contentLength: row.content_length != null ? Number(row.content_length) : undefined,
+    aiModel: row.ai_model,
+    createdAt: row.created_at
+  };
+}
+
+/**
+ * Tag the revisions the current transaction creates. Uses transaction-local
+ * settings, so it must run inside withTransaction.
+ *
+ * @param {import('pg').PoolClient} client
+ * @param {{ source?: string, changedBy?: string }} context
+ */
+export async function setRevisionContext(client, { source = null, changedBy = null } = {}) {
+  await client.query(
+    `SELECT set_config('app.revision_source', $1, true), set_config('app.revision_author', $2, true)`,
+    [source || '', changedBy || '']
+  );
+}
+
+/**
+ * Revisions of one article, newest first (without content)
+ */
+export async function listRevisions({ language, id, limit = 50, offset = 0 }) {
+  assertLanguage(language);
+  const articleId = toId(id, 'id');
+
+  const rows = await withDatabaseErrorHandling(async () => {
+    const res = await query(
+      `SELECT id, revision_number, operation, source, changed_by, article_slug, title,
+              content_hash, ai_model, length(content) AS content_length, created_at
+       FROM article_revisions
+       WHERE language_code = $1 AND article_id = $2
+       ORDER BY revision_number DESC
+       LIMIT $3 OFFSET $4`,
+      [language, articleId, limit, offset]
+    );
+    return res.rows;
+  }, 'listRevisions');
+
+  if (rows.length === 0 && offset === 0) {
+    throw new AppError('No revisions found for article', ErrorTypes.RESOURCE_NOT_FOUND, { language, id: articleId });
+  }
+  return rows.map(toRevisionSummary);
+}
+
+async function getRevision(executor, language, articleId, revisionId) {
+  const { rows } = await executor.query(
+    `SELECT * FROM article_revisions WHERE id = $1 AND language_code = $2 AND article_id = $3`,
+    [revisionId, language, articleId]
+  );
+  return rows[0] || null;
+}
+
+function revisionNotFound(language, articleId, revisionId) {
+  return new AppError('Revision not found', ErrorTypes.RESOURCE_NOT_FOUND, { language, id: articleId, revisionId });
+}
+
+/**
+ * Diff two revisions of an article. `to` defaults to the latest revision.
+ *
+ * @returns {Promise<{ from: object, to: object, fields: object[], content: object }>}
+ */
+export async function diffRevisions({ language, id, from, to = null }) {
+  assertLanguage(language);
+  const articleId = toId(id, 'id');
+  const fromId = toId(from, 'from');
+  const toRevisionId = to != null && to !== '' ? toId(to, 'to') : null;
+
+  const { older, newer } = await withDatabaseErrorHandling(async () => {
+    const executor = { query };
+    const olderRow = await getRevision(executor, language, articleId, fromId);
+    if (toRevisionId) {
+      return { older: olderRow, newer: await getRevision(executor, language, articleId, toRevisionId) };
+    }
+    const { rows } = await query(
+      `SELECT * FROM article_revisions
+       WHERE language_code = $1 AND article_id = $2
+       ORDER BY revision_number DESC LIMIT 1`,
+      [language, articleId]
+    );
+    return { older: olderRow, newer: rows[0] || null };
+  }, 'diffRevisions');
+
+  if (!older) throw revisionNotFound(language, articleId, fromId);
+  if (!newer) throw revisionNotFound(language, articleId, toRevisionId);
+
+  const fields = TEXT_DIFF_FIELDS
+    .filter((field) => (older[field] ?? '') !== (newer[field] ?? ''))
+    .map((field) => ({
+      field,
+      before: older[field],
+      after: newer[field],
+      html: diffText(older[field], newer[field])
+    }));
+
+  return {
+    from: toRevisionSummary(older),
+    to: toRevisionSummary(newer),
+    fields,
+    content: diffHtml(older.content, newer.content)
+  };
+}
+
+/**
+ * Restore an article's versioned fields from an earlier revision. The trigger
+ * records the rollback as a new revision; updated_at moves the article's
+ * sitemap lastmod and published articles are re-announced to search engines.
+ *
+ * @param {object} options
+ * @param {string} options.language
+ * @param {string|number} options.id article id
+ * @param {string|number} options.revisionId revision to restore
+ * @param {string} [options.changedBy] API key name of the editor
+ */
+export async function rollbackToRevision({ language, id, revisionId, changedBy = null }) {
+  assertLanguage(language);
+  const articleId = toId(id, 'id');
+  const targetId = toId(revisionId, 'revisionId');
+  const tableName = articlesTable(language);
+
+  let result;
+  try {
+    result = await withTransaction(async (client) => {
+      const current = await client.query(
+        `SELECT id, slug, ${REVISION_FIELDS.join(', ')} FROM ${tableName} WHERE id = $1 FOR UPDATE`,
+        [articleId]
+      );
+      if (current.rowCount === 0) {
+        throw new AppError('Article not found', ErrorTypes.RESOURCE_NOT_FOUND, { language, id: articleId });
+      }
+      const revision = await getRevision(client, language, articleId, targetId);
+      if (!revision) throw revisionNotFound(language, articleId, targetId);
+
+      const unchanged = REVISION_FIELDS.every((field) => (current.rows[0][field] ?? null) === (revision[field] ?? null));
+      if (unchanged) {
+        throw new AppError(
+          `Article already matches revision ${revision.revision_number}`,
+          ErrorTypes.VALIDATION_ERROR,
+          { language, id: articleId, revisionId: targetId }
+        );
+      }
+
+      await setRevisionContext(client, { source: `rollback:${revision.revision_number}`, changedBy });
+
+      const assignments = REVISION_FIELDS.map((field, i) => `${field} = $${i + 2}`).join(', ');
+      const updated = await client.query(
+        `UPDATE ${tableName}
+         SET ${assignments}, updated_at = now()
+         WHERE id = $1
+         RETURNING *, '${language}' AS language_code`,
+        [articleId, ...REVISION_FIELDS.map((field) => revision[field])]
+      );
+
+      return { article: updated.rows[0], revision };
+    });
+  } catch (err) {
+    // withTransaction wraps errors; surface our own AppError unchanged
+    if (err.originalError instanceof AppError) throw err.originalError;
+    throw err;
+  }
+
+  genLog('Article rolled back to revision', {
+    language,
+    id: articleId,
+    slug: result.article.slug,
+    revisionNumber: result.revision.revision_number,
+    changedBy
+  });
+
+  notifyArticlePublished(result.article);
+
+  return { article: result.article, restoredRevision: toRevisionSummary(result.revision) };
+}
+
+export default {
+  REVISION_FIELDS,
+  setRevisionContext,
+  listRevisions,
+  diffRevisions,
+  rollbackToRevision
+};
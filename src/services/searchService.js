@@ -0,0 +1,151 @@
+import { query } from '../db.js';
+import { config } from '../config.js';
+import { articlesTable } from '../utils/articlesTable.js';
+import { publishedOnly } from '../utils/articleStatus.js';
+import { textSearchConfig, htmlToTextSql } from '../utils/textSearch.js';
+import { AppError, ErrorTypes, withDatabaseErrorHandling } from './errorHandler.js';
+import { didYouMean, recordSearchMiss } from './searchSuggestions.js';
+
+/**
+ * Full-text article search over the generated `search_vector` column of each
+ * articles_<lang> table (scripts/add-search.js). Queries use web search
+ * syntax ("quoted phrases", OR, -excluded) with the language's stemming
+ * configuration; results are ranked by ts_rank_cd and come with highlighted
+ * snippets. Unfiltered searches that find nothing are logged as content gaps
+ * and answered with a "did you mean" correction when one exists.
+ */
+
+export const SEARCH_QUERY_MAX_LENGTH = 200;
+export const SEARCH_MAX_LIMIT = 50;
+
+const MARK_OPEN = '<mark>';
+const MARK_CLOSE = '</mark>';
+const SNIPPET_OPTIONS = `StartSel=${MARK_OPEN}, StopSel=${MARK_CLOSE}, MaxWords=35, MinWords=15, MaxFragments=2, FragmentDelimiter=" … "`;
+const TITLE_OPTIONS = `StartSel=${MARK_OPEN}, StopSel=${MARK_CLOSE}, HighlightAll=true`;
+
+const ENTITIES = { amp: '&', lt: '<', gt: '>', quot: '"', '#39': "'", apos: "'", nbsp: ' ' };
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * ts_headline output is text taken from article HTML (entities still encoded)
+ * with <mark> around matches. Re-escape everything except the marks so the
+ * snippet is safe to embed as HTML.
+ */
+function toSafeHighlight(headline) {
+  return String(headline || '')
+    .split(/(<\/?mark>)/)
+    .map((part) => {
+      if (part === MARK_OPEN || part === MARK_CLOSE) return part;
+      const decoded = part.replace(/&(amp|lt|gt|quot|#39|apos|nbsp);/g, (_, name) => ENTITIES[name]);
+      return escapeHtml(decoded.replace(/\s+/g, ' '));
+    })
+    .join('')
+    .trim();
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === null || value === '') return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(`${name} must be a valid date`, ErrorTypes.VALIDATION_ERROR, { [name]: value });
+  }
+  return date;
+}
+
+/**
+ * Search published articles of one language
+ *
+ * @param {object} options
+ * @param {string} options.q search terms (web search syntax)
+ * @param {string} options.language
+ * @param {string} [options.category] category slug
+ * @param {string|Date} [options.from] published on or after
+ * @param {string|Date} [options.to] published before
+ * @param {number} [options.limit]
+ * @param {number} [options.offset]
+ * @returns {Promise<{ query: string, total: number, data: object[], didYouMean: string|null }>}
+ *   rows carry `rank`, `title_highlight` and `snippet` (HTML with <mark> around matches)
+ */
+export async function searchArticles({ q, language, category = null, from = null, to = null, limit = 10, offset = 0 }) {
+  if (!config.languages.includes(language)) {
+    throw new AppError('Unsupported language', ErrorTypes.VALIDATION_ERROR, { language });
+  }
+  const terms = String(q || '').trim();
+  if (terms.length < 2) {
+    throw new AppError('q must be at least 2 characters', ErrorTypes.VALIDATION_ERROR);
+  }
+  if (terms.length > SEARCH_QUERY_MAX_LENGTH) {
+    throw new AppError(`q must be at most ${SEARCH_QUERY_MAX_LENGTH} characters`, ErrorTypes.VALIDATION_ERROR);
+  }
+  const fromDate = parseDate(from, 'from');
+  const toDate = parseDate(to, 'to');
+  if (fromDate && toDate && fromDate >= toDate) {
+    throw new AppError('from must be before to', ErrorTypes.VALIDATION_ERROR, { from, to });
+  }
+
+  const tableName = articlesTable(language);
+  const cfg = textSearchConfig(language);
+
+  const rows = await withDatabaseErrorHandling(async () => {
+    const res = await query(
+      `WITH q AS (SELECT websearch_to_tsquery('${cfg}', $1) AS tsq)
+       SELECT page.id, page.title, page.slug, page.summary, page.image_url, page.image_alt,
+              page.category_id, page.category_slug, page.category_name, page.article_type,
+              page.reading_time_minutes, page.published_at, page.created_at, page.rank, page.total,
+              ts_headline('${cfg}', page.title, q.tsq, '${TITLE_OPTIONS}') AS title_highlight,
+              ts_headline('${cfg}', ${htmlToTextSql('page.content')}, q.tsq, '${SNIPPET_OPTIONS}') AS snippet
+       FROM (
+         SELECT a.id, a.title, a.slug, a.summary, a.image_url, a.image_alt, a.content,
+                a.category_id, c.slug AS category_slug, COALESCE(ct.name, c.name) AS category_name,
+                a.article_type, a.reading_time_minutes, a.published_at, a.created_at,
+                ts_rank_cd(a.search_vector, q.tsq, 32) AS rank,
+                COUNT(*) OVER()::int AS total
+         FROM ${tableName} a
+         CROSS JOIN q
+         LEFT JOIN categories c ON c.id = a.category_id
+         LEFT JOIN category_translations ct ON ct.category_id = c.id AND ct.language_code = $2
+         WHERE a.search_vector @@ q.tsq
+           AND ${publishedOnly('a')}
+           AND ($3::text IS NULL OR c.slug = $3)
+           AND ($4::timestamptz IS NULL OR COALESCE(a.published_at, a.created_at) >= $4)
+           AND ($5::timestamptz IS NULL OR COALESCE(a.published_at, a.created_at) < $5)
+         ORDER BY rank DESC, COALESCE(a.published_at, a.created_at) DESC, a.id DESC
+         LIMIT $6 OFFSET $7
+       ) page
+       CROSS JOIN q
+       ORDER BY page.rank DESC, COALESCE(page.published_at, page.created_at) DESC, page.id DESC`,
+      [terms, language, category || null, fromDate, toDate, Math.min(limit, SEARCH_MAX_LIMIT), offset]
+    );
+    return res.rows;
+  }, 'searchArticles');
+
+  let correction = null;
+  if (rows.length === 0 && offset === 0) {
+    if (!category && !fromDate && !toDate) recordSearchMiss(terms, language);
+    // Suggestions are a nicety; missing search_terms must not fail the search
+    correction = await didYouMean(terms, language).catch(() => null);
+  }
+
+  return {
+    query: terms,
+    didYouMean: correction,
+    total: rows[0]?.total ?? 0,
+    data: rows.map(({ total, ...row }) => ({
+      ...row,
+      id: Number(row.id),
+      rank: Number(row.rank),
+      title_highlight: toSafeHighlight(row.title_highlight),
+      snippet: toSafeHighlight(row.snippet)
+    }))
+  };
+}
+
+export default { searchArticles };
@@ -0,0 +1,255 @@
+import { query, withTransaction } from '../db.js';
+import { config } from '../config.js';
+import { articlesTable } from '../utils/articlesTable.js';
+import { publishedOnly } from '../utils/articleStatus.js';
+import { textSearchConfig } from '../utils/textSearch.js';
+import { AppError, ErrorTypes, withDatabaseErrorHandling } from './errorHandler.js';
+import { genLog, genError } from './logger.js';
+
+/**
+ * Type-ahead suggestions, "did you mean" corrections and the log of searches
+ * that found nothing.
+ *
+ * Suggestions match titles and JSON-LD keywords through pg_trgm indexes
+ * (scripts/add-search-suggestions.js). Corrections replace each query word
+ * that no published title or keyword contains with the most similar word
+ * that does, taken from `search_terms`; refreshSearchTerms rebuilds that
+ * vocabulary on a schedule. Zero-result searches are counted in
+ * `search_misses`, which editors read as a list of topics to generate next.
+ */
+
+export const SUGGEST_QUERY_MAX_LENGTH = 100;
+export const SUGGEST_MAX_LIMIT = 10;
+export const SEARCH_MISS_STATUSES = ['open', 'dismissed'];
+
+// Words shorter than this are neither corrected nor kept in the vocabulary
+const MIN_TERM_LENGTH = 3;
+
+const WORD_RE = /[\p{L}\p{M}\p{N}]+/gu;
+
+function assertLanguage(language) {
+  if (!config.languages.includes(language)) {
+    throw new AppError('Unsupported language', ErrorTypes.VALIDATION_ERROR, { language });
+  }
+}
+
+/**
+ * Lower-case, single-spaced form under which misses are counted
+ */
+export function normalizeSearchQuery(q) {
+  return String(q || '').toLowerCase().replace(/\s+/g, ' ').trim();
+}
+
+const escapeLike = (value) => value.replace(/[\\%_]/g, (ch) => `\\${ch}`);
+
+/**
+ * Rebuild the correction vocabulary of one language from the words of
+ * published titles and keywords
+ * @returns {Promise<number>} number of terms
+ */
+export async function refreshSearchTerms(language) {
+  assertLanguage(language);
+  const tableName = articlesTable(language);
+  // ts_stat takes the document query as text
+  const documents = `SELECT to_tsvector('simple', coalesce(title, '') || ' ' || coalesce(keywords, '')) FROM ${tableName} WHERE ${publishedOnly('')}`;
+
+  // One transaction, so corrections never see an empty vocabulary mid-refresh
+  return await withDatabaseErrorHandling(
+    () => withTransaction(async (client) => {
+      await client.query('DELETE FROM search_terms WHERE language_code = $1', [language]);
+      const { rowCount } = await client.query(
+        `INSERT INTO search_terms (language_code, term, frequency)
+         SELECT $1, word, ndoc FROM ts_stat($2)
+         WHERE char_length(word) >= $3`,
+        [language, documents, MIN_TERM_LENGTH]
+      );
+      return rowCount;
+    }),
+    'refreshSearchTerms'
+  );
+}
+
+/**
+ * Refresh the vocabulary of every language. Runs from the scheduler in server.js.
+ */
+export async function refreshAllSearchTerms() {
+  const counts = {};
+  for (const language of config.languages) {
+    try {
+      counts[language] = await refreshSearchTerms(language);
+    } catch (err) {
+      genError('Search term refresh failed', { language, error: err.message }, false);
+    }
+  }
+  genLog('Search terms refreshed', counts);
+  return counts;
+}
+
+/**
+ * Corrected query when some of its words are unknown and have a close
+ * match, otherwise null
+ *
+ * @param {string} q
+ * @param {string} language
+ * @returns {Promise<string|null>}
+ */
+export async function didYouMean(q, language) {
+  assertLanguage(language);
+  const text = String(q || '');
+  const words = [...new Set((text.toLowerCase().match(WORD_RE) || []).filter((w) => w.length >= MIN_TERM_LENGTH))];
+  if (words.length === 0) return null;
+
+  const { rows } = await query(
+    `SELECT w.word, best.term
+     FROM unnest($2::text[]) AS w(word)
+     CROSS JOIN LATERAL (
+       SELECT t.term FROM search_terms t
+       WHERE t.language_code = $1 AND t.term % w.word
+       ORDER BY similarity(t.term, w.word) DESC, t.frequency DESC
+       LIMIT 1
+     ) best
+     WHERE NOT EXISTS (
+       SELECT 1 FROM search_terms k WHERE k.language_code = $1 AND k.term = w.word
+     )`,
+    [language, words]
+  );
+  if (rows.length === 0) return null;
+
+  const corrections = new Map(rows.map((row) => [row.word, row.term]));
+  const corrected = text.replace(WORD_RE, (word) => corrections.get(word.toLowerCase()) ?? word);
+  return corrected !== text ? corrected.trim() : null;
+}
+
+/**
+ * Count a search that found nothing. Never throws: logging must not break search.
+ */
+export function recordSearchMiss(q, language) {
+  const normalized = normalizeSearchQuery(q);
+  if (!normalized) return;
+  query(
+    `INSERT INTO search_misses (language_code, query, sample_query)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (language_code, query) DO UPDATE
+     SET miss_count = search_misses.miss_count + 1, sample_query = EXCLUDED.sample_query, last_seen_at = now()`,
+    [language, normalized, String(q).trim()]
+  ).catch((error) => {
+    genError('Failed to record search miss', { language, error: error.message }, false);
+  });
+}
+
+/**
+ * Type-ahead matches for a partial query: article titles (by title or
+ * keyword similarity) and categories, plus a correction when no title matches
+ *
+ * @returns {Promise<{ query: string, titles: object[], categories: object[], didYouMean: string|null }>}
+ */
+export async function suggest({ q, language, limit = 8 }) {
+  assertLanguage(language);
+  const terms = String(q || '').replace(/\s+/g, ' ').trim();
+  if (terms.length < 2) {
+    throw new AppError('q must be at least 2 characters', ErrorTypes.VALIDATION_ERROR);
+  }
+  if (terms.length > SUGGEST_QUERY_MAX_LENGTH) {
+    throw new AppError(`q must be at most ${SUGGEST_QUERY_MAX_LENGTH} characters`, ErrorTypes.VALIDATION_ERROR);
+  }
+  const tableName = articlesTable(language);
+  const max = Math.min(limit, SUGGEST_MAX_LIMIT);
+  const like = escapeLike(terms);
+
+  const [titles, categories] = await withDatabaseErrorHandling(() => Promise.all([
+    query(
+      `SELECT a.title, a.slug, c.slug AS category_slug,
+              GREATEST(word_similarity($1, a.title), word_similarity($1, coalesce(a.keywords, ''))) AS score
+       FROM ${tableName} a
+       LEFT JOIN categories c ON c.id = a.category_id
+       WHERE ${publishedOnly('a')}
+         AND ($1 <% a.title OR $1 <% a.keywords OR a.title ILIKE '%' || $2 || '%')
+       ORDER BY (a.title ILIKE $2 || '%') DESC, score DESC, a.total_views DESC NULLS LAST, a.id DESC
+       LIMIT $3`,
+      [terms, like, max]
+    ).then((res) => res.rows),
+    query(
+      `SELECT slug, name FROM (
+         SELECT c.slug, COALESCE(ct.name, c.name) AS name
+         FROM categories c
+         LEFT JOIN category_translations ct ON ct.category_id = c.id AND ct.language_code = $3
+       ) cat
+       WHERE name ILIKE '%' || $2 || '%' OR $1 <% name
+       ORDER BY (name ILIKE $2 || '%') DESC, word_similarity($1, name) DESC, name
+       LIMIT 5`,
+      [terms, like, language]
+    ).then((res) => res.rows)
+  ]), 'suggest');
+
+  const correction = titles.length === 0 ? await didYouMean(terms, language).catch(() => null) : null;
+
+  return {
+    query: terms,
+    titles: titles.map(({ score, ...row }) => ({ ...row, score: Number(Number(score).toFixed(3)) })),
+    categories,
+    didYouMean: correction
+  };
+}
+
+/**
+ * Zero-result searches of one language, most frequent first. `has_results`
+ * tells whether an article published since then now answers the query.
+ */
+export async function listSearchMisses({ language = 'en', status = 'open', minCount = 1, limit = 50, offset = 0 } = {}) {
+  assertLanguage(language);
+  if (!SEARCH_MISS_STATUSES.includes(status)) {
+    throw new AppError(`status must be one of: ${SEARCH_MISS_STATUSES.join(', ')}`, ErrorTypes.VALIDATION_ERROR, { status });
+  }
+  const tableName = articlesTable(language);
+
+  return await withDatabaseErrorHandling(async () => {
+    const { rows } = await query(
+      `SELECT m.id, m.query, m.sample_query, m.miss_count, m.status, m.first_seen_at, m.last_seen_at,
+              EXISTS (
+                SELECT 1 FROM ${tableName} a
+                WHERE a.search_vector @@ websearch_to_tsquery('${textSearchConfig(language)}', m.query) AND ${publishedOnly('a')}
+              ) AS has_results
+       FROM search_misses m
+       WHERE m.language_code = $1 AND m.status = $2 AND m.miss_count >= $3
+       ORDER BY m.miss_count DESC, m.last_seen_at DESC
+       LIMIT $4 OFFSET $5`,
+      [language, status, minCount, limit, offset]
+    );
+    return rows.map((row) => ({ ...row, id: Number(row.id) }));
+  }, 'listSearchMisses');
+}
+
+/**
+ * Move a logged miss between open and dismissed
+ */
+export async function setSearchMissStatus(id, status) {
+  const missId = Number(id);
+  if (!Number.isInteger(missId) || missId <= 0) {
+    throw new AppError('id must be a positive integer', ErrorTypes.VALIDATION_ERROR, { id });
+  }
+  if (!SEARCH_MISS_STATUSES.includes(status)) {
+    throw new AppError(`status must be one of: ${SEARCH_MISS_STATUSES.join(', ')}`, ErrorTypes.VALIDATION_ERROR, { status });
+  }
+  const rows = await withDatabaseErrorHandling(async () => {
+    const res = await query(
+      'UPDATE search_misses SET status = $2 WHERE id = $1 RETURNING *',
+      [missId, status]
+    );
+    return res.rows;
+  }, 'setSearchMissStatus');
+  if (rows.length === 0) {
+    throw new AppError('Search miss not found', ErrorTypes.RESOURCE_NOT_FOUND, { id: missId });
+  }
+  return { ...rows[0], id: Number(rows[0].id) };
+}
+
+export default {
+  normalizeSearchQuery,
+  refreshSearchTerms,
+  refreshAllSearchTerms,
+  didYouMean,
+  recordSearchMiss,
+  suggest,
+  listSearchMisses,
+  setSearchMissStatus
+};
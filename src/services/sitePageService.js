@@ -0,0 +1,323 @@
+import { query, withTransaction } from '../db.js';
+import { config } from '../config.js';
+import { toSlug } from '../utils/slug.js';
+import { AppError, ErrorTypes, withDatabaseErrorHandling } from './errorHandler.js';
+import { sanitizeHtmlContent, updateDailyTokenUsage } from './generation.js';
+import { HTMLTranslator } from './htmlTranslator.js';
+import { enqueueJob, registerJobHandler } from './jobQueue.js';
+import { recordJobEvent } from './jobProgress.js';
+import { genLog } from './logger.js';
+
+/**
+ * Site pages: about, contact, FAQ, privacy, terms and similar pages served at
+ * /:language/:slug. Each language has its own row in `pages`
+ * (scripts/add-pages.js). Admins write the English page and can have it
+ * translated by the `translate_page` queue job; translations start as drafts
+ * unless published right away.
+ */
+
+export const SITE_PAGE_STATUSES = ['draft', 'published'];
+
+// Fields accepted by updateSitePage
+export const SITE_PAGE_EDITABLE_FIELDS = ['title', 'content', 'meta_description', 'status'];
+
+// Second path segments under /:language/ that belong to other pages
+export const RESERVED_PAGE_SLUGS = ['article', 'category', 'categories', 'tag', 'search', 'sitemap'];
+
+export const TRANSLATE_PAGE_JOB = 'translate_page';
+
+function assertLanguage(language) {
+  if (!config.languages.includes(language)) {
+    throw new AppError('Unsupported language', ErrorTypes.VALIDATION_ERROR, { language });
+  }
+}
+
+function toId(value) {
+  const id = Number(value);
+  if (!Number.isInteger(id) || id <= 0) {
+    throw new AppError('id must be a positive integer', ErrorTypes.VALIDATION_ERROR, { id: value });
+  }
+  return id;
+}
+
+function withNumericIds(row) {
+  return row ? { ...row, id: Number(row.id), translated_from: row.translated_from === null ? null : Number(row.translated_from) } : row;
+}
+
+function validateFields(fields, { partial = false } = {}) {
+  for (const field of ['title', 'content']) {
+    if ((!partial || field in fields) && (typeof fields[field] !== 'string' || !fields[field].trim())) {
+      throw new AppError(`${field} must be a non-empty string`, ErrorTypes.VALIDATION_ERROR, { field });
+    }
+  }
+  if ('meta_description' in fields && fields.meta_description !== null && typeof fields.meta_description !== 'string') {
+    throw new AppError('meta_description must be a string or null', ErrorTypes.VALIDATION_ERROR);
+  }
+  if ('status' in fields && !SITE_PAGE_STATUSES.includes(fields.status)) {
+    throw new AppError(`status must be one of: ${SITE_PAGE_STATUSES.join(', ')}`, ErrorTypes.VALIDATION_ERROR, { status: fields.status });
+  }
+}
+
+/**
+ * Site pages without their content, by slug and language
+ */
+export async function listSitePages({ language = null, status = null } = {}) {
+  if (language) assertLanguage(language);
+  if (status && !SITE_PAGE_STATUSES.includes(status)) {
+    throw new AppError(`status must be one of: ${SITE_PAGE_STATUSES.join(', ')}`, ErrorTypes.VALIDATION_ERROR, { status });
+  }
+  return await withDatabaseErrorHandling(async () => {
+    const { rows } = await query(
+      `SELECT id, slug, language_code, title, meta_description, status, translated_from, created_at, updated_at
+       FROM pages
+       WHERE ($1::text IS NULL OR language_code = $1) AND ($2::text IS NULL OR status = $2)
+       ORDER BY slug, language_code`,
+      [language, status]
+    );
+    return rows.map(withNumericIds);
+  }, 'listSitePages');
+}
+
+/**
+ * One site page with its content
+ */
+export async function getSitePage(id) {
+  const pageId = toId(id);
+  const { rows } = await withDatabaseErrorHandling(
+    () => query('SELECT * FROM pages WHERE id = $1', [pageId]),
+    'getSitePage'
+  );
+  if (!rows.length) {
+    throw new AppError('Page not found', ErrorTypes.RESOURCE_NOT_FOUND, { id: pageId });
+  }
+  return withNumericIds(rows[0]);
+}
+
+/**
+ * Published page for the public site, or null
+ */
+export async function getPublishedSitePage(language, slug) {
+  try {
+    const { rows } = await query(
+      `SELECT * FROM pages WHERE language_code = $1 AND slug = $2 AND status = 'published'`,
+      [language, slug]
+    );
+    return withNumericIds(rows[0]) || null;
+  } catch (err) {
+    // No pages until scripts/add-pages.js has run
+    if (err.code === '42P01') return null;
+    throw err;
+  }
+}
+
+/**
+ * Languages a published page exists in
+ */
+export async function getSitePageLanguages(slug) {
+  try {
+    const { rows } = await query(
+      `SELECT language_code FROM pages WHERE slug = $1 AND status = 'published' ORDER BY language_code`,
+      [slug]
+    );
+    return rows.map((row) => row.language_code);
+  } catch (err) {
+    if (err.code === '42P01') return [];
+    throw err;
+  }
+}
+
+/**
+ * Published pages of one language, for the sitemaps
+ * @returns {Promise<Array<{ slug: string, updated_at: Date }>>}
+ */
+export async function listPublishedSitePages(language) {
+  try {
+    const { rows } = await query(
+      `SELECT slug, updated_at FROM pages WHERE language_code = $1 AND status = 'published' ORDER BY slug`,
+      [language]
+    );
+    return rows;
+  } catch (err) {
+    if (err.code === '42P01') return [];
+    throw err;
+  }
+}
+
+/**
+ * Create a page in one language
+ */
+export async function createSitePage({ slug, language = 'en', title, content, meta_description = null, status = 'draft' }) {
+  assertLanguage(language);
+  const pageSlug = toSlug(String(slug || ''));
+  if (!pageSlug) {
+    throw new AppError('slug is required', ErrorTypes.VALIDATION_ERROR);
+  }
+  if (RESERVED_PAGE_SLUGS.includes(pageSlug)) {
+    throw new AppError(`slug "${pageSlug}" is reserved`, ErrorTypes.VALIDATION_ERROR, { reserved: RESERVED_PAGE_SLUGS });
+  }
+  validateFields({ title, content, meta_description, status });
+
+  try {
+    const { rows } = await query(
+      `INSERT INTO pages (slug, language_code, title, content, meta_description, status)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING *`,
+      [pageSlug, language, title.trim(), sanitizeHtmlContent(content), meta_description, status]
+    );
+    genLog('Site page created', { slug: pageSlug, language, status });
+    return withNumericIds(rows[0]);
+  } catch (err) {
+    if (err.code === '23505') {
+      throw new AppError('A page with this slug already exists in this language', ErrorTypes.VALIDATION_ERROR, { slug: pageSlug, language });
+    }
+    throw new AppError('Database operation failed: createSitePage', ErrorTypes.DATABASE_ERROR, { originalError: err.message });
+  }
+}
+
+/**
+ * Edit the title, content, meta description or status of a page
+ */
+export async function updateSitePage(id, changes = {}) {
+  const pageId = toId(id);
+  const unknown = Object.keys(changes).filter((key) => !SITE_PAGE_EDITABLE_FIELDS.includes(key));
+  if (unknown.length) {
+    throw new AppError(
+      `Unknown fields: ${unknown.join(', ')}. Editable fields: ${SITE_PAGE_EDITABLE_FIELDS.join(', ')}`,
+      ErrorTypes.VALIDATION_ERROR,
+      { unknown }
+    );
+  }
+  if (Object.keys(changes).length === 0) {
+    throw new AppError('No changes given', ErrorTypes.VALIDATION_ERROR);
+  }
+  validateFields(changes, { partial: true });
+
+  const values = { ...changes };
+  if ('title' in values) values.title = values.title.trim();
+  if ('content' in values) values.content = sanitizeHtmlContent(values.content);
+  const fields = Object.keys(values);
+  const setSql = fields.map((field, i) => `${field} = $${i + 2}`).join(', ');
+
+  const { rows } = await withDatabaseErrorHandling(
+    () => query(
+      `UPDATE pages SET ${setSql}, updated_at = now() WHERE id = $1 RETURNING *`,
+      [pageId, ...fields.map((field) => values[field])]
+    ),
+    'updateSitePage'
+  );
+  if (!rows.length) {
+    throw new AppError('Page not found', ErrorTypes.RESOURCE_NOT_FOUND, { id: pageId });
+  }
+  genLog('Site page updated', { id: pageId, fields });
+  return withNumericIds(rows[0]);
+}
+
+/**
+ * Delete one language version of a page
+ */
+export async function deleteSitePage(id) {
+  const pageId = toId(id);
+  const { rowCount } = await withDatabaseErrorHandling(
+    () => query('DELETE FROM pages WHERE id = $1', [pageId]),
+    'deleteSitePage'
+  );
+  if (!rowCount) {
+    throw new AppError('Page not found', ErrorTypes.RESOURCE_NOT_FOUND, { id: pageId });
+  }
+  genLog('Site page deleted', { id: pageId });
+}
+
+/**
+ * Queue translations of an English page, one job per target language
+ *
+ * @param {object} options
+ * @param {string|number} options.id English page
+ * @param {string[]} [options.languages] targets (defaults to all non-English languages)
+ * @param {boolean} [options.publish] publish translations instead of saving drafts
+ * @returns {Promise<object[]>} queued jobs
+ */
+export async function enqueueSitePageTranslation({ id, languages = null, publish = false }) {
+  const page = await getSitePage(id);
+  if (page.language_code !== 'en') {
+    throw new AppError('Only English pages can be translated', ErrorTypes.VALIDATION_ERROR, { id: page.id, language: page.language_code });
+  }
+  const supported = config.languages.filter((l) => l !== 'en');
+  const targets = Array.isArray(languages) && languages.length
+    ? supported.filter((l) => languages.includes(l))
+    : supported;
+  if (!targets.length) {
+    throw new AppError('No supported target languages', ErrorTypes.VALIDATION_ERROR, { languages, supported });
+  }
+
+  const jobs = await withTransaction(async (client) => {
+    const queued = [];
+    for (const lang of targets) {
+      queued.push(await enqueueJob({
+        type: TRANSLATE_PAGE_JOB,
+        payload: { pageId: page.id, slug: page.slug, lang, publish: Boolean(publish) }
+      }, client));
+    }
+    return queued;
+  });
+
+  genLog('Site page translation queued', { slug: page.slug, languages: targets, jobIds: jobs.map((j) => j.id) });
+  return jobs;
+}
+
+async function handleTranslatePage(job, ctx) {
+  const { pageId, lang, publish } = job.payload;
+  const { rows } = await query('SELECT * FROM pages WHERE id = $1', [pageId]);
+  if (!rows.length) {
+    throw Object.assign(new Error(`Source page ${pageId} not found`), { retryable: false });
+  }
+  const source = rows[0];
+
+  await recordJobEvent(job.id, 'translate', 'Translating page', { slug: source.slug, language: lang });
+  const translator = new HTMLTranslator(lang);
+  const content = await translator.translateHTML(source.content);
+  const title = await translator.translateText(source.title);
+  const metaDescription = source.meta_description ? await translator.translateText(source.meta_description) : null;
+  const usage = translator.getTokenStats();
+
+  return await withTransaction(async (client) => {
+    // A re-translation never takes a live page offline
+    const saved = await client.query(
+      `INSERT INTO pages (slug, language_code, title, content, meta_description, status, translated_from)
+       VALUES ($1, $2, $3, $4, $5, $6, $7)
+       ON CONFLICT (slug, language_code) DO UPDATE
+       SET title = EXCLUDED.title, content = EXCLUDED.content, meta_description = EXCLUDED.meta_description,
+           status = CASE WHEN $8 THEN 'published' ELSE pages.status END,
+           translated_from = EXCLUDED.translated_from, updated_at = now()
+       RETURNING id, slug, language_code, status`,
+      [source.slug, lang, title, sanitizeHtmlContent(content), metaDescription, publish ? 'published' : 'draft', source.id, Boolean(publish)]
+    );
+    await updateDailyTokenUsage(client, [{ prompt_tokens: usage.input || 0, completion_tokens: usage.output || 0 }]);
+
+    const page = saved.rows[0];
+    const result = { pageId: Number(page.id), slug: page.slug, language: lang, status: page.status };
+    const { violations } = translator.getGlossaryReport();
+    if (violations.length) result.glossaryViolations = violations;
+    await ctx.complete(client, result);
+
+    genLog('Site page translated', result);
+    return result;
+  });
+}
+
+registerJobHandler(TRANSLATE_PAGE_JOB, handleTranslatePage);
+
+export default {
+  SITE_PAGE_STATUSES,
+  SITE_PAGE_EDITABLE_FIELDS,
+  RESERVED_PAGE_SLUGS,
+  TRANSLATE_PAGE_JOB,
+  listSitePages,
+  getSitePage,
+  getPublishedSitePage,
+  getSitePageLanguages,
+  listPublishedSitePages,
+  createSitePage,
+  updateSitePage,
+  deleteSitePage,
+  enqueueSitePageTranslation
+};
@@ -0,0 +1,289 @@
+import crypto from 'crypto';
+import fs from 'fs/promises';
+import path from 'path';
+import { query } from '../db.js';
+import { config } from '../config.js';
+import { articlesTable } from '../utils/articlesTable.js';
+import { publishedOnly } from '../utils/articleStatus.js';
+import { AppError, ErrorTypes } from './errorHandler.js';
+import { genLog, genError } from './logger.js';
+import { listTags } from './tagService.js';
+import { listPublishedSitePages } from './sitePageService.js';
+import { listAllRedirects } from './redirectService.js';
+import {
+  renderArticlePage,
+  renderHomePage,
+  renderCategoriesPage,
+  renderCategoryPage,
+  renderTagPage,
+  renderSitePage
+} from '../routes/pages.js';
+import { renderHtmlSitemap } from '../routes/htmlSitemap.js';
+import { buildSitemapIndex, buildLanguageSitemap, generateFreshnessSitemap, buildRobotsTxt } from '../routes/seo.js';
+import { buildMainFeed, buildCategoryFeed, getAvailableCategories } from '../routes/feeds.js';
+
+/**
+ * Static export of the public site, for serving reads from a CDN or object
+ * storage without Express.
+ *
+ * Every page is rendered by the same functions the routes use and written
+ * to a path mirroring its URL: /en/article/x becomes en/article/x/index.html,
+ * /sitemaps/en.xml stays sitemaps/en.xml. Only the URL without a query
+ * string is exported, so listings contain their first page and feeds their
+ * default (English) variant; the bare domain redirect and search stay with
+ * the server.
+ *
+ * manifest.json maps each exported URL to its file and SHA-256, and lists
+ * what the run added, updated and removed, so two deploys can be diffed.
+ * An incremental export re-renders only the articles whose content_hash
+ * differs from the previous manifest; listings, sitemaps and feeds are
+ * always rebuilt. Their neighbours' prev/next and related links are not, so
+ * run a full export after bulk publishing or a theme change.
+ *
+ * Redirects are exported twice: the manifest's `redirects` section copies
+ * the redirects table, gone (410) paths included, and _redirects holds the
+ * redirects in the one-rule-per-line format Netlify and Cloudflare Pages
+ * read. Gone paths have no rule there and are served as 404s.
+ */
+
+export const EXPORT_MANIFEST_FILE = 'manifest.json';
+export const EXPORT_REDIRECTS_FILE = '_redirects';
+
+// Tags are listed in batches of this size
+const TAG_PAGE_SIZE = 500;
+
+function sha256(body) {
+  return crypto.createHash('sha256').update(body).digest('hex');
+}
+
+/**
+ * File of a URL path inside the export directory: paths with an extension
+ * are kept, pages become <path>/index.html
+ */
+export function exportFilePath(urlPath) {
+  const segments = urlPath.split('/').filter(Boolean);
+  if (segments.length === 0) return 'index.html';
+  if (path.extname(segments[segments.length - 1])) return segments.join('/');
+  return [...segments, 'index.html'].join('/');
+}
+
+/**
+ * _redirects file: `source target status` per redirect. Paths are
+ * percent-encoded since spaces separate the fields; 410s have no target
+ * and are left out.
+ */
+export function buildRedirectsFile(redirects) {
+  const lines = redirects
+    .filter((r) => r.statusCode !== 410 && r.target)
+    .map((r) => {
+      const target = /^https?:\/\//i.test(r.target) ? r.target.replace(/\s/g, encodeURIComponent) : encodeURI(r.target);
+      return `${encodeURI(r.source)} ${target} ${r.statusCode}`;
+    });
+  return lines.length ? `${lines.join('\n')}\n` : '';
+}
+
+// Slugs become directory names; anything that could escape them is skipped
+function isSafeSegment(value) {
+  return Boolean(value) && value !== '.' && value !== '..' && !/[\\/\0]/.test(value);
+}
+
+async function readManifest(outDir) {
+  try {
+    return JSON.parse(await fs.readFile(path.join(outDir, EXPORT_MANIFEST_FILE), 'utf8'));
+  } catch (err) {
+    if (err.code === 'ENOENT') return null;
+    throw new AppError(`Unreadable export manifest: ${err.message}`, ErrorTypes.CONFIGURATION_ERROR, { outDir });
+  }
+}
+
+async function fileExists(file) {
+  try {
+    await fs.access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * Published article slugs of one language with their content hashes
+ */
+async function listPublishedArticles(language) {
+  const tableName = articlesTable(language);
+  try {
+    const { rows } = await query(
+      `SELECT slug, content_hash FROM ${tableName}
+       WHERE ${publishedOnly('')} ${tableName === 'articles' ? 'AND language_code = $1' : ''}
+       ORDER BY id`,
+      tableName === 'articles' ? [language] : []
+    );
+    return rows;
+  } catch (err) {
+    // Skip languages whose table doesn't exist yet
+    if (err.code === '42P01') return [];
+    throw err;
+  }
+}
+
+async function listAllTags(language) {
+  const tags = [];
+  for (let offset = 0; ; offset += TAG_PAGE_SIZE) {
+    const { data } = await listTags({ language, limit: TAG_PAGE_SIZE, offset });
+    tags.push(...data);
+    if (data.length < TAG_PAGE_SIZE) return tags;
+  }
+}
+
+/**
+ * Render the site into a directory
+ *
+ * @param {object} options
+ * @param {string} options.outDir export directory, created if missing
+ * @param {string[]} [options.languages] defaults to every configured language
+ * @param {boolean} [options.incremental] re-render only articles whose content_hash changed
+ * @returns {Promise<{ manifest: object, rendered: number, reused: number }>}
+ */
+export async function exportStaticSite({ outDir, languages = config.languages, incremental = false }) {
+  const baseUrl = String(config.seo?.canonicalBaseUrl || '').trim().replace(/\/$/, '');
+  if (!baseUrl) {
+    throw new AppError('CANONICAL_BASE_URL must be set for a static export', ErrorTypes.CONFIGURATION_ERROR);
+  }
+  const unknown = languages.filter((lang) => !config.languages.includes(lang));
+  if (unknown.length > 0) {
+    throw new AppError(`Unsupported languages: ${unknown.join(', ')}`, ErrorTypes.VALIDATION_ERROR, { languages: unknown });
+  }
+
+  const root = path.resolve(outDir);
+  await fs.mkdir(root, { recursive: true });
+  const previous = await readManifest(root);
+  const previousFiles = previous?.files || {};
+
+  const files = {};
+  const changes = { added: [], updated: [], removed: [] };
+  let rendered = 0;
+  let reused = 0;
+
+  const write = async (urlPath, type, body, extra = {}) => {
+    const file = exportFilePath(urlPath);
+    const fullPath = path.join(root, file);
+    const hash = sha256(body);
+    const before = previousFiles[urlPath];
+
+    // Unchanged files keep their mtime so sync tools skip them
+    if (before?.sha256 !== hash || !(await fileExists(fullPath))) {
+      await fs.mkdir(path.dirname(fullPath), { recursive: true });
+      await fs.writeFile(fullPath, body);
+    }
+    if (!before) changes.added.push(urlPath);
+    else if (before.sha256 !== hash) changes.updated.push(urlPath);
+
+    files[urlPath] = { file, type, sha256: hash, bytes: Buffer.byteLength(body), ...extra };
+    rendered += 1;
+  };
+
+  for (const language of languages) {
+    await write(`/${language}`, 'home', await renderHomePage(language), { language });
+
+    const { categories, html: categoriesHtml } = await renderCategoriesPage(language);
+    await write(`/${language}/categories`, 'categories', categoriesHtml, { language });
+    for (const category of categories) {
+      if (!isSafeSegment(category.slug)) continue;
+      const result = await renderCategoryPage(language, category.slug);
+      if (result?.html) await write(`/${language}/category/${category.slug}`, 'category', result.html, { language });
+    }
+
+    for (const tag of await listAllTags(language)) {
+      if (!isSafeSegment(tag.slug)) continue;
+      const result = await renderTagPage(language, tag.slug);
+      if (result?.html) await write(`/${language}/tag/${tag.slug}`, 'tag', result.html, { language });
+    }
+
+    for (const { slug } of await listPublishedSitePages(language)) {
+      if (!isSafeSegment(slug)) continue;
+      const result = await renderSitePage(language, slug);
+      if (result) await write(`/${language}/${slug}`, 'page', result.html, { language });
+    }
+
+    await write(`/${language}/sitemap`, 'html-sitemap', await renderHtmlSitemap(language), { language });
+    await write(`/sitemaps/${language}.xml`, 'sitemap', await buildLanguageSitemap(baseUrl, language), { language });
+
+    for (const { slug, content_hash: contentHash } of await listPublishedArticles(language)) {
+      if (!isSafeSegment(slug)) {
+        genError('Static export skipped an article with an unusable slug', { language, slug }, false);
+        continue;
+      }
+      const urlPath = `/${language}/article/${slug}`;
+      const before = previousFiles[urlPath];
+      if (incremental && contentHash && before?.contentHash === contentHash &&
+          await fileExists(path.join(root, before.file))) {
+        files[urlPath] = before;
+        reused += 1;
+        continue;
+      }
+
+      const result = await renderArticlePage(language, slug);
+      if (result) await write(urlPath, 'article', result.html, { language, contentHash: contentHash || null });
+    }
+  }
+
+  await write('/sitemap', 'html-sitemap', await renderHtmlSitemap('en'));
+  await write('/sitemap.xml', 'sitemap', (await buildSitemapIndex(baseUrl)).xml);
+  await write('/sitemap-fresh.xml', 'sitemap', (await generateFreshnessSitemap()).xml);
+  await write('/robots.txt', 'robots', await buildRobotsTxt(baseUrl));
+  await write('/api/feeds/all.rss', 'feed', await buildMainFeed());
+  for (const category of await getAvailableCategories()) {
+    if (!isSafeSegment(category.slug)) continue;
+    const xml = await buildCategoryFeed(category.slug);
+    if (xml !== null) await write(`/api/feeds/${category.slug}.rss`, 'feed', xml);
+  }
+
+  // Pages that are gone since the last export (unpublished, renamed...)
+  for (const [urlPath, entry] of Object.entries(previousFiles)) {
+    if (files[urlPath]) continue;
+    // An export of fewer languages leaves the others alone
+    if (entry.language && !languages.includes(entry.language)) {
+      files[urlPath] = entry;
+      continue;
+    }
+    const fullPath = path.join(root, entry.file);
+    if (fullPath.startsWith(root + path.sep)) await fs.rm(fullPath, { force: true });
+    changes.removed.push(urlPath);
+  }
+
+  // Always every language: the redirects file covers the whole site
+  const redirects = await listAllRedirects();
+  await fs.writeFile(path.join(root, EXPORT_REDIRECTS_FILE), buildRedirectsFile(redirects));
+
+  const sortedFiles = Object.fromEntries(Object.keys(files).sort().map((urlPath) => [urlPath, files[urlPath]]));
+  const manifest = {
+    generatedAt: new Date().toISOString(),
+    baseUrl,
+    incremental,
+    languages,
+    changes,
+    files: sortedFiles,
+    redirects
+  };
+  await fs.writeFile(path.join(root, EXPORT_MANIFEST_FILE), `${JSON.stringify(manifest, null, 2)}\n`);
+
+  genLog('Static export completed', {
+    outDir: root,
+    incremental,
+    files: Object.keys(sortedFiles).length,
+    rendered,
+    reused,
+    added: changes.added.length,
+    updated: changes.updated.length,
+    removed: changes.removed.length,
+    redirects: redirects.length
+  });
+  return { manifest, rendered, reused };
+}
+
+export default {
+  EXPORT_MANIFEST_FILE,
+  EXPORT_REDIRECTS_FILE,
+  exportFilePath,
+  buildRedirectsFile,
+  exportStaticSite
+};
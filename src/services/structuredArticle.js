@@ -0,0 +1,89 @@
+import { z } from 'zod';
+
+/**
+ * Structured (JSON) output mode for master articles.
+ *
+ * The model is asked for one JSON document (src/prompts/json_structure.js)
+ * that is validated here instead of scraping markdown. Validated documents
+ * map onto the same masterJson shape extractFromNaturalText produces.
+ */
+
+const httpUrl = z.string().trim().regex(/^https?:\/\/\S+$/i, 'must be an http(s) URL');
+
+export const StructuredArticleSchema = z.object({
+  title: z.string().trim().min(10).max(120),
+  metaDescription: z.string().trim().min(50).max(200),
+  intro: z.string().trim().min(1),
+  sections: z.array(z.object({
+    heading: z.string().trim().min(1),
+    body: z.string().trim().min(1),
+  })).min(1),
+  faq: z.array(z.object({
+    q: z.string().trim().min(1),
+    a: z.string().trim().min(1),
+  })).default([]),
+  keyTakeaways: z.array(z.string().trim().min(1)).default([]),
+  keywords: z.array(z.string().trim().min(1)).min(1),
+  externalLinks: z.array(z.object({
+    anchor: z.string().trim().min(1),
+    url: httpUrl,
+  })).default([]),
+  sources: z.array(httpUrl).default([]),
+});
+
+// Models wrap JSON in code fences or add a sentence around it despite instructions
+function extractJsonText(content) {
+  const text = String(content || '').trim();
+  const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/i);
+  const candidate = fenced ? fenced[1] : text;
+  const start = candidate.indexOf('{');
+  const end = candidate.lastIndexOf('}');
+  return start !== -1 && end > start ? candidate.slice(start, end + 1) : candidate;
+}
+
+/**
+ * Parse and validate a model reply
+ *
+ * @returns {{ success: true, data: object } | { success: false, issues: string[] }}
+ */
+export function parseStructuredArticle(content) {
+  let json;
+  try {
+    json = JSON.parse(extractJsonText(content));
+  } catch (err) {
+    return { success: false, issues: [`Reply is not valid JSON: ${err.message}`] };
+  }
+
+  const result = StructuredArticleSchema.safeParse(json);
+  if (!result.success) {
+    return {
+      success: false,
+      issues: result.error.issues.map((issue) => `${issue.path.join('.') || '(root)'}: ${issue.message}`)
+    };
+  }
+  return { success: true, data: result.data };
+}
+
+/**
+ * Map a validated document onto the masterJson shape used by the pipeline
+ */
+export function toMasterJson(data, categoryName) {
+  const summary = data.keyTakeaways.length
+    ? data.keyTakeaways.map((t) => (/[.!?]$/.test(t) ? t : `${t}.`)).join(' ')
+    : data.metaDescription;
+  return {
+    title: data.title,
+    metaTitle: data.title.length <= 60 ? data.title : data.title.slice(0, 57) + '...',
+    metaDescription: data.metaDescription,
+    intro: data.intro,
+    sections: data.sections,
+    faq: data.faq,
+    keywords: data.keywords,
+    externalLinks: data.externalLinks,
+    summary: summary.replace(/\s+/g, ' ').trim(),
+    sourceUrls: data.sources,
+    category: categoryName
+  };
+}
+
+export default { StructuredArticleSchema, parseStructuredArticle, toMasterJson };
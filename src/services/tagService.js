@@ -0,0 +1,247 @@
+import { query } from '../db.js';
+import { config } from '../config.js';
+import { toSlug } from '../utils/slug.js';
+import { articlesTable } from '../utils/articlesTable.js';
+import { publishedOnly } from '../utils/articleStatus.js';
+import { AppError, ErrorTypes, withDatabaseErrorHandling } from './errorHandler.js';
+import { genError } from './logger.js';
+
+/**
+ * Article tags.
+ *
+ * Tags come from the keywords the model writes for every master article and
+ * are stored per language in `tags`, linked to articles through
+ * `article_tags` (scripts/add-tags.js). Translations get the master's tag
+ * names translated, so each language has its own tag pages at
+ * /:language/tag/:slug.
+ */
+
+export const MAX_TAGS_PER_ARTICLE = 10;
+export const TAG_NAME_MAX_LENGTH = 60;
+// Tag pages with fewer published articles are noindex and left out of sitemaps
+export const TAG_INDEX_MIN_ARTICLES = 2;
+
+// Languages whose tag names slugify to ASCII; the others keep their script
+const ASCII_SLUG_LANGUAGES = ['en', 'de', 'fr', 'es', 'pt'];
+
+function assertLanguage(language) {
+  if (!config.languages.includes(language)) {
+    throw new AppError('Unsupported language', ErrorTypes.VALIDATION_ERROR, { language });
+  }
+}
+
+/**
+ * URL slug of a tag name, unique per language
+ */
+export function tagSlug(name, language = 'en') {
+  const text = String(name || '').normalize('NFKC').trim();
+  const ascii = ASCII_SLUG_LANGUAGES.includes(language) ? toSlug(text) : '';
+  if (ascii) return ascii;
+  return text
+    .toLowerCase()
+    .replace(/[^\p{L}\p{M}\p{N}]+/gu, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Clean a list of tag names: trims, drops leading '#', removes duplicates
+ * (by slug) and caps the count and length.
+ *
+ * @param {string[]|string} names array or comma separated string
+ * @returns {Array<{ name: string, slug: string }>}
+ */
+export function normalizeTagNames(names, language = 'en') {
+  const list = Array.isArray(names) ? names : String(names || '').split(/[,;]/);
+  const seen = new Set();
+  const tags = [];
+  for (const raw of list) {
+    const name = String(raw ?? '')
+      .replace(/\s+/g, ' ')
+      .trim()
+      .replace(/^#+\s*/, '')
+      .slice(0, TAG_NAME_MAX_LENGTH)
+      .trim();
+    const slug = tagSlug(name, language);
+    if (!name || !slug || seen.has(slug)) continue;
+    seen.add(slug);
+    tags.push({ name, slug });
+    if (tags.length >= MAX_TAGS_PER_ARTICLE) break;
+  }
+  return tags;
+}
+
+/**
+ * Replace the tags of an article. Tags are created on first use; an existing
+ * tag keeps the display name it was created with.
+ *
+ * @param {{ query: Function }} executor pool or transaction client
+ * @param {{ language: string, articleId: number|string, names: string[] }} options
+ * @returns {Promise<Array<{ id: number, name: string, slug: string }>>}
+ */
+export async function setArticleTags(executor, { language, articleId, names }) {
+  const tags = normalizeTagNames(names, language);
+  await executor.query(
+    'DELETE FROM article_tags WHERE language_code = $1 AND article_id = $2',
+    [language, articleId]
+  );
+  if (!tags.length) return [];
+
+  const { rows } = await executor.query(
+    `INSERT INTO tags (language_code, name, slug)
+     SELECT $1, t.name, t.slug
+     FROM unnest($2::text[], $3::text[]) AS t(name, slug)
+     ON CONFLICT (language_code, slug) DO UPDATE SET slug = EXCLUDED.slug
+     RETURNING id, name, slug`,
+    [language, tags.map((t) => t.name), tags.map((t) => t.slug)]
+  );
+  const bySlug = new Map(rows.map((row) => [row.slug, { ...row, id: Number(row.id) }]));
+  const stored = tags.map((t) => bySlug.get(t.slug));
+
+  await executor.query(
+    `INSERT INTO article_tags (language_code, article_id, tag_id, position)
+     SELECT $1, $2, t.tag_id, t.position
+     FROM unnest($3::bigint[]) WITH ORDINALITY AS t(tag_id, position)`,
+    [language, articleId, stored.map((t) => t.id)]
+  );
+  return stored;
+}
+
+/**
+ * Tags of one article in their original order
+ * @returns {Promise<Array<{ id: number, name: string, slug: string }>>}
+ */
+export async function getArticleTags(language, articleId) {
+  try {
+    const { rows } = await query(
+      `SELECT t.id, t.name, t.slug
+       FROM article_tags at
+       JOIN tags t ON t.id = at.tag_id
+       WHERE at.language_code = $1 AND at.article_id = $2
+       ORDER BY at.position`,
+      [language, articleId]
+    );
+    return rows.map((row) => ({ ...row, id: Number(row.id) }));
+  } catch (err) {
+    // No tags until scripts/add-tags.js has run
+    if (err.code === '42P01') return [];
+    throw err;
+  }
+}
+
+/**
+ * Translate tag names for a translation of a tagged master. Names go to the
+ * model as one line each; if the line count does not survive, each name is
+ * translated on its own. Never throws: untranslated names are kept.
+ *
+ * @param {{ translateText: Function }} translator HTMLTranslator for the target language
+ * @param {string[]} names
+ * @returns {Promise<string[]>}
+ */
+export async function translateTagNames(translator, names) {
+  if (!names.length) return [];
+  try {
+    const translated = String(await translator.translateText(names.join('\n')) || '')
+      .split('\n')
+      .map((line) => line.replace(/^\s*(?:[-*•]|\d+[.)])\s*/, '').trim())
+      .filter(Boolean);
+    if (translated.length === names.length) return translated;
+    return await Promise.all(names.map(async (name) => (await translator.translateText(name)) || name));
+  } catch (error) {
+    genError('Tag translation failed, keeping source names', { names, error: error.message }, false);
+    return names;
+  }
+}
+
+/**
+ * Tags that have at least one published article, most used first
+ * @returns {Promise<{ total: number, data: Array<{ id: number, name: string, slug: string, article_count: number }> }>}
+ */
+export async function listTags({ language = 'en', search = null, limit = 100, offset = 0 } = {}) {
+  assertLanguage(language);
+  const tableName = articlesTable(language);
+
+  return await withDatabaseErrorHandling(async () => {
+    const { rows } = await query(
+      `SELECT t.id, t.name, t.slug, COUNT(*)::int AS article_count,
+              COUNT(*) OVER()::int AS total
+       FROM tags t
+       JOIN article_tags at ON at.tag_id = t.id
+       JOIN ${tableName} a ON a.id = at.article_id
+       WHERE t.language_code = $1 AND at.language_code = $1 AND ${publishedOnly('a')}
+         AND ($2::text IS NULL OR t.name ILIKE '%' || $2 || '%')
+       GROUP BY t.id
+       ORDER BY article_count DESC, t.name ASC
+       LIMIT $3 OFFSET $4`,
+      [language, search, limit, offset]
+    );
+    return {
+      total: rows[0]?.total ?? 0,
+      data: rows.map(({ total, ...row }) => ({ ...row, id: Number(row.id) }))
+    };
+  }, 'listTags');
+}
+
+/**
+ * One tag by slug with its published article count, or null
+ */
+export async function getTagBySlug(language, slug) {
+  assertLanguage(language);
+  const tableName = articlesTable(language);
+
+  return await withDatabaseErrorHandling(async () => {
+    const { rows } = await query(
+      `SELECT t.id, t.name, t.slug, t.language_code,
+              (SELECT COUNT(*)::int
+               FROM article_tags at
+               JOIN ${tableName} a ON a.id = at.article_id
+               WHERE at.tag_id = t.id AND at.language_code = t.language_code AND ${publishedOnly('a')}) AS article_count
+       FROM tags t
+       WHERE t.language_code = $1 AND t.slug = $2`,
+      [language, slug]
+    );
+    return rows[0] ? { ...rows[0], id: Number(rows[0].id) } : null;
+  }, 'getTagBySlug');
+}
+
+/**
+ * Published articles carrying a tag, newest first
+ * @returns {Promise<{ total: number, data: object[] }>}
+ */
+export async function listArticlesByTag({ language = 'en', tagId, limit = 20, offset = 0 }) {
+  assertLanguage(language);
+  const tableName = articlesTable(language);
+
+  return await withDatabaseErrorHandling(async () => {
+    const { rows } = await query(
+      `SELECT a.id, a.title, a.slug, a.summary, a.image_url, a.image_alt, a.reading_time_minutes,
+              a.published_at, a.created_at, a.updated_at, '${language}' AS language_code,
+              c.slug AS category_slug, c.name AS category_name,
+              COUNT(*) OVER()::int AS total
+       FROM article_tags at
+       JOIN ${tableName} a ON a.id = at.article_id
+       LEFT JOIN categories c ON c.id = a.category_id
+       WHERE at.tag_id = $1 AND at.language_code = $2 AND ${publishedOnly('a')}
+       ORDER BY COALESCE(a.published_at, a.created_at) DESC, a.id DESC
+       LIMIT $3 OFFSET $4`,
+      [tagId, language, limit, offset]
+    );
+    return {
+      total: rows[0]?.total ?? 0,
+      data: rows.map(({ total, ...row }) => ({ ...row, id: Number(row.id) }))
+    };
+  }, 'listArticlesByTag');
+}
+
+export default {
+  MAX_TAGS_PER_ARTICLE,
+  TAG_NAME_MAX_LENGTH,
+  TAG_INDEX_MIN_ARTICLES,
+  tagSlug,
+  normalizeTagNames,
+  setArticleTags,
+  getArticleTags,
+  translateTagNames,
+  listTags,
+  getTagBySlug,
+  listArticlesByTag
+};
@@ -0,0 +1,97 @@
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { config, isProduction } from '../config.js';
+import { compileTemplate, renderTemplate, TemplateError } from '../utils/template.js';
+import { genError } from './logger.js';
+
+/**
+ * Themes for the server-rendered pages.
+ *
+ * A theme is a directory of templates (see utils/template.js):
+ *
+ *   layouts/<name>.html   page skeletons
+ *   pages/<name>.html     one per page type (article, category, tag...)
+ *   partials/<name>.html  shared pieces, included with {{> name}}
+ *   styles/<name>.css     stylesheets, included with {{> styles/<name>.css}}
+ *
+ * The theme named by config.theme.name only needs the files it changes;
+ * everything else comes from the default theme. Compiled templates are
+ * cached in production and re-read on every render elsewhere, so template
+ * edits show up without a restart during development.
+ */
+
+export const DEFAULT_THEME = 'default';
+const BUILTIN_THEMES_DIR = path.join(path.dirname(fileURLToPath(import.meta.url)), '..', 'themes');
+
+const cache = new Map();
+let warnedMissingTheme = false;
+
+function themeDirs() {
+  const dirs = [];
+  const name = config.theme?.name || DEFAULT_THEME;
+  if (name !== DEFAULT_THEME) {
+    const dir = path.resolve(config.theme?.themesDir || BUILTIN_THEMES_DIR, name);
+    if (fs.existsSync(dir)) {
+      dirs.push(dir);
+    } else if (!warnedMissingTheme) {
+      warnedMissingTheme = true;
+      genError('Theme not found, using the default theme', { theme: name, dir }, false);
+    }
+  }
+  dirs.push(path.join(BUILTIN_THEMES_DIR, DEFAULT_THEME));
+  return dirs;
+}
+
+function templateFile(name, kind) {
+  if (kind === 'partial') return path.extname(name) ? name : path.join('partials', `${name}.html`);
+  return path.join(kind === 'layout' ? 'layouts' : 'pages', `${name}.html`);
+}
+
+/**
+ * Compiled template of the active theme, falling back to the default theme
+ * @param {string} name
+ * @param {'page'|'layout'|'partial'} kind
+ */
+function resolveTemplate(name, kind) {
+  const key = `${kind}:${name}`;
+  if (isProduction && cache.has(key)) return cache.get(key);
+
+  const file = templateFile(name, kind);
+  for (const dir of themeDirs()) {
+    const fullPath = path.join(dir, file);
+    if (!fs.existsSync(fullPath)) continue;
+    // Editors end files with a newline the markup never had
+    const source = fs.readFileSync(fullPath, 'utf8').replace(/\n$/, '');
+    const compiled = compileTemplate(source, file);
+    if (isProduction) cache.set(key, compiled);
+    return compiled;
+  }
+  throw new TemplateError(`Template not found: ${file}`);
+}
+
+/**
+ * Render a page template (pages/<name>.html) of the active theme
+ * @param {string} name
+ * @param {object} data view data; escape nothing beforehand
+ * @returns {string}
+ */
+export function renderPage(name, data) {
+  return renderTemplate(resolveTemplate(name, 'page'), data, resolveTemplate);
+}
+
+/**
+ * Render a partial on its own, e.g. markup spliced into article content
+ * @param {string} name
+ * @param {object} data
+ * @returns {string}
+ */
+export function renderPartial(name, data) {
+  return renderTemplate(resolveTemplate(name, 'partial'), data, resolveTemplate);
+}
+
+export default {
+  DEFAULT_THEME,
+  renderPage,
+  renderPartial
+};
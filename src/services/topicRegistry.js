@@ -0,0 +1,164 @@
+import { query } from '../db.js';
+import {
+  getCategoryTemplates,
+  getTypeTemplates,
+  getPromptCategorySlugs,
+  getPromptTypes,
+  renderTemplate,
+  toCategorySlug
+} from '../prompts/index.js';
+import { DEFAULT_ARTICLE_TYPE } from '../utils/articleTypes.js';
+
+/**
+ * Topic rotation over the prompt templates of each category.
+ *
+ * Every article records the template it was written from in `topic_usage`
+ * (one row per article and language). Selection prefers templates never
+ * used for the category and language, then the least recently used ones,
+ * so a category only repeats a topic after it has gone through all of them.
+ * Article types other than 'guide' rotate through their own shared
+ * templates the same way, still tracked per category.
+ */
+
+function pickRandom(list) {
+  return list[Math.floor(Math.random() * list.length)];
+}
+
+async function getUsageByTemplate(categorySlug, language) {
+  const { rows } = await query(
+    `SELECT template_id, COUNT(*)::int AS uses, MAX(used_at) AS last_used_at
+     FROM topic_usage
+     WHERE category_slug = $1 AND language_code = $2
+     GROUP BY template_id`,
+    [categorySlug, language]
+  );
+  return new Map(rows.map((r) => [r.template_id, r]));
+}
+
+/**
+ * Next template for a category: a random unused one if any are left,
+ * otherwise the least recently used.
+ *
+ * @param {string} categorySlug
+ * @param {object} [options]
+ * @param {string} [options.language]
+ * @param {Set<string>} [options.exclude] template IDs to skip (e.g. already tried in this run)
+ * @param {string} [options.type] article type (see src/utils/articleTypes.js)
+ * @param {string} [options.categoryName] fills `{{CATEGORY}}` in article type templates
+ * @returns {Promise<{ id: string, system: string, user: string, uses: number, lastUsedAt: Date|null }>}
+ */
+export async function selectTemplate(categorySlug, {
+  language = 'en',
+  exclude = new Set(),
+  type = DEFAULT_ARTICLE_TYPE,
+  categoryName = categorySlug
+} = {}) {
+  const slug = toCategorySlug(categorySlug);
+  const templates = type === DEFAULT_ARTICLE_TYPE ? getCategoryTemplates(slug) : getTypeTemplates(type);
+  const candidates = templates.filter((tpl) => !exclude.has(tpl.id));
+  // Every template already tried in this run: start over rather than fail
+  const pool = candidates.length ? candidates : templates;
+  if (!pool.length) {
+    throw new Error(`No prompt templates for category: ${slug}`);
+  }
+
+  const usage = await getUsageByTemplate(slug, language);
+  const unused = pool.filter((tpl) => !usage.has(tpl.id));
+
+  let template;
+  if (unused.length) {
+    template = pickRandom(unused);
+  } else {
+    const oldest = Math.min(...pool.map((tpl) => new Date(usage.get(tpl.id).last_used_at).getTime()));
+    template = pickRandom(pool.filter((tpl) => new Date(usage.get(tpl.id).last_used_at).getTime() === oldest));
+  }
+
+  const used = usage.get(template.id);
+  return {
+    ...renderTemplate(template, categoryName),
+    uses: used?.uses || 0,
+    lastUsedAt: used?.last_used_at || null
+  };
+}
+
+/**
+ * Record which template produced an article. Runs on the caller's client so
+ * it commits together with the article.
+ */
+export async function recordTopicUsage(client, { templateId, categoryId, categorySlug, language, articleId, articleSlug }) {
+  if (!templateId) return;
+  await client.query(
+    `INSERT INTO topic_usage (template_id, category_id, category_slug, language_code, article_id, article_slug)
+     VALUES ($1, $2, $3, $4, $5, $6)`,
+    [templateId, categoryId || null, toCategorySlug(categorySlug), language, articleId || null, articleSlug || null]
+  );
+}
+
+/**
+ * Record a translation under the template of its English master
+ */
+export async function recordTranslationTopicUsage(client, { masterSlug, language, articleId, articleSlug }) {
+  await client.query(
+    `INSERT INTO topic_usage (template_id, category_id, category_slug, language_code, article_id, article_slug)
+     SELECT template_id, category_id, category_slug, $2, $3, $4
+     FROM topic_usage
+     WHERE article_slug = $1 AND language_code = 'en'
+     ORDER BY used_at DESC
+     LIMIT 1`,
+    [masterSlug, language, articleId || null, articleSlug || null]
+  );
+}
+
+/**
+ * Templates used and left per category for one language
+ *
+ * @returns {Promise<Array<{ categorySlug: string, totalTemplates: number, usedTemplates: number, unusedTemplates: number, articles: number, lastUsedAt: Date|null }>>}
+ */
+export async function getTopicCoverage({ language = 'en' } = {}) {
+  const { rows } = await query(
+    `SELECT category_slug, template_id, COUNT(*)::int AS uses, MAX(used_at) AS last_used_at
+     FROM topic_usage
+     WHERE language_code = $1
+     GROUP BY category_slug, template_id`,
+    [language]
+  );
+
+  const usageBySlug = new Map();
+  for (const row of rows) {
+    if (!usageBySlug.has(row.category_slug)) usageBySlug.set(row.category_slug, new Map());
+    usageBySlug.get(row.category_slug).set(row.template_id, row);
+  }
+
+  const countUsage = (templates, usage) => {
+    // Usage of templates that were since removed or reworded doesn't count
+    const used = templates.filter((tpl) => usage.has(tpl.id));
+    return { total: templates.length, used: used.length, unused: templates.length - used.length };
+  };
+
+  return getPromptCategorySlugs().map((slug) => {
+    const usage = usageBySlug.get(slug) || new Map();
+    const guide = countUsage(getCategoryTemplates(slug), usage);
+    const lastUsed = [...usage.values()].map((r) => r.last_used_at).sort((a, b) => b - a)[0] || null;
+    const types = {};
+    for (const type of getPromptTypes()) {
+      const { total, used, unused } = countUsage(getTypeTemplates(type), usage);
+      types[type] = { totalTemplates: total, usedTemplates: used, unusedTemplates: unused };
+    }
+    return {
+      categorySlug: slug,
+      totalTemplates: guide.total,
+      usedTemplates: guide.used,
+      unusedTemplates: guide.unused,
+      articles: [...usage.values()].reduce((sum, r) => sum + r.uses, 0),
+      lastUsedAt: lastUsed,
+      types
+    };
+  });
+}
+
+export default {
+  selectTemplate,
+  recordTopicUsage,
+  recordTranslationTopicUsage,
+  getTopicCoverage
+};
@@ -0,0 +1,271 @@
+import { query } from '../db.js';
+import { config } from '../config.js';
+import { articlesTable } from '../utils/articlesTable.js';
+import { withDatabaseErrorHandling } from './errorHandler.js';
+import { genLog, genError } from './logger.js';
+import { JOB_TYPES, enqueueRetranslation, getSupportedTranslationLanguages } from './generationJobs.js';
+
+/**
+ * Translation freshness.
+ *
+ * Every group member records the master content_hash it was translated from
+ * (article_groups.source_content_hash). Once the master is edited its hash
+ * moves on, and every translation still holding the old one is stale. The
+ * scheduled stale check queues `retranslate_article` jobs for them, a
+ * budget's worth per run, newest master edits first.
+ *
+ * A master/language pair is:
+ * - missing: no translation, or it was deleted
+ * - stale: translated from another version of the master
+ * - fresh: translated from the current master
+ * - failed: missing or stale, and the last job that tried to fix it is dead
+ */
+
+export const TRANSLATION_STATES = ['missing', 'stale', 'fresh', 'failed'];
+
+export const COVERAGE_MAX_LIMIT = 200;
+
+const TRANSLATION_JOB_TYPES = [JOB_TYPES.TRANSLATE_ARTICLE, JOB_TYPES.RETRANSLATE_ARTICLE];
+
+/**
+ * Latest translation job of each master/language pair. Translate jobs name
+ * their master by slug or inherit it from the master job; re-translate jobs
+ * carry its id.
+ * @returns {Promise<Map<string, object>>} keyed by `${masterId}:${language}`
+ */
+async function getLatestTranslationJobs(masterIds) {
+  if (!masterIds.length) return new Map();
+  const { rows } = await query(
+    `SELECT DISTINCT ON (master_id, language) *
+     FROM (
+       SELECT j.id, j.type, j.status, j.last_error, j.updated_at,
+              j.payload->>'lang' AS language,
+              COALESCE((j.payload->>'masterId')::bigint, (p.result->>'articleId')::bigint, m.id) AS master_id
+       FROM jobs j
+       LEFT JOIN jobs p ON p.id = j.depends_on
+       LEFT JOIN articles_en m ON m.slug = COALESCE(j.payload->>'masterSlug', p.result->>'masterSlug')
+       WHERE j.type = ANY($2)
+     ) translation_jobs
+     WHERE master_id = ANY($1)
+     ORDER BY master_id, language, id DESC`,
+    [masterIds, TRANSLATION_JOB_TYPES]
+  );
+  return new Map(rows.map((row) => [`${Number(row.master_id)}:${row.language}`, {
+    id: Number(row.id),
+    type: row.type,
+    status: row.status,
+    last_error: row.last_error,
+    updated_at: row.updated_at
+  }]));
+}
+
+/**
+ * Translation rows of the group members, one query per language
+ * @returns {Promise<Map<string, object>>} keyed by `${language}:${id}`
+ */
+async function loadTranslationRows(links) {
+  const idsByLanguage = new Map();
+  for (const link of links) {
+    if (!idsByLanguage.has(link.language_code)) idsByLanguage.set(link.language_code, []);
+    idsByLanguage.get(link.language_code).push(Number(link.article_id));
+  }
+
+  const rows = new Map();
+  for (const [language, ids] of idsByLanguage) {
+    try {
+      const result = await query(
+        `SELECT id, slug, status FROM ${articlesTable(language)} WHERE id = ANY($1) AND deleted_at IS NULL`,
+        [ids]
+      );
+      for (const row of result.rows) rows.set(`${language}:${Number(row.id)}`, row);
+    } catch (err) {
+      // Skip if table doesn't exist yet
+      if (err.code !== '42P01') throw err;
+    }
+  }
+  return rows;
+}
+
+function cellStatus(master, link, row, job) {
+  let status = 'fresh';
+  if (!link || !row) status = 'missing';
+  else if (master.content_hash && link.source_content_hash !== master.content_hash) status = 'stale';
+
+  if (status !== 'fresh' && job?.status === 'dead') return 'failed';
+  return status;
+}
+
+/**
+ * Matrix of masters against translation languages
+ *
+ * @param {object} [options]
+ * @param {number} [options.limit] masters per page, at most COVERAGE_MAX_LIMIT
+ * @param {number} [options.offset]
+ * @returns {Promise<{ languages: string[], total: number, summary: object, masters: object[] }>}
+ *   summary counts each status per language over the page
+ */
+export async function getTranslationCoverage({ limit = 50, offset = 0 } = {}) {
+  const pageSize = Math.min(Math.max(Number(limit) || 50, 1), COVERAGE_MAX_LIMIT);
+  const start = Math.max(Number(offset) || 0, 0);
+  const languages = getSupportedTranslationLanguages();
+
+  return await withDatabaseErrorHandling(async () => {
+    const { rows: masters } = await query(
+      `SELECT id, slug, title, status, content_hash, updated_at, COUNT(*) OVER() AS total
+       FROM articles_en
+       WHERE deleted_at IS NULL
+       ORDER BY id DESC
+       LIMIT $1 OFFSET $2`,
+      [pageSize, start]
+    );
+    const masterIds = masters.map((m) => Number(m.id));
+
+    const { rows: links } = masterIds.length
+      ? await query(
+        `SELECT master_id, language_code, article_id, source_content_hash
+         FROM article_groups
+         WHERE master_id = ANY($1) AND language_code <> 'en'`,
+        [masterIds]
+      )
+      : { rows: [] };
+    const linkByPair = new Map(links.map((link) => [`${Number(link.master_id)}:${link.language_code}`, link]));
+    const translationRows = await loadTranslationRows(links);
+    const jobs = await getLatestTranslationJobs(masterIds);
+
+    const summary = Object.fromEntries(languages.map((lang) => [
+      lang,
+      Object.fromEntries(TRANSLATION_STATES.map((state) => [state, 0]))
+    ]));
+
+    const matrix = masters.map((master) => {
+      const masterId = Number(master.id);
+      const translations = {};
+      for (const lang of languages) {
+        const link = linkByPair.get(`${masterId}:${lang}`);
+        const row = link ? translationRows.get(`${lang}:${Number(link.article_id)}`) : null;
+        const job = jobs.get(`${masterId}:${lang}`) || null;
+        const status = cellStatus(master, link, row, job);
+        summary[lang][status] += 1;
+        translations[lang] = {
+          status,
+          article_id: row ? Number(row.id) : null,
+          slug: row?.slug || null,
+          article_status: row?.status || null,
+          source_content_hash: link?.source_content_hash || null,
+          job
+        };
+      }
+      return {
+        id: masterId,
+        slug: master.slug,
+        title: master.title,
+        status: master.status,
+        content_hash: master.content_hash,
+        updated_at: master.updated_at,
+        translations
+      };
+    });
+
+    return {
+      languages,
+      total: masters.length ? Number(masters[0].total) : 0,
+      summary,
+      masters: matrix
+    };
+  }, 'getTranslationCoverage');
+}
+
+/**
+ * Stale translations nobody is re-translating yet, newest master edits first.
+ * A pair whose re-translation to the current master already died is left
+ * for an editor, so a failing translation doesn't eat every run's budget.
+ * Deleted translations are missing, not stale, so each language table is
+ * joined before the limit and a run never spends its budget on them.
+ *
+ * @param {object} [options]
+ * @param {number} [options.limit]
+ * @param {string[]} [options.languages]
+ * @param {{ query: Function }} [executor] pool or transaction client
+ * @returns {Promise<Array<{ masterId: number, language: string, articleId: number, sourceContentHash: string }>>}
+ *   sourceContentHash is the master's current hash
+ */
+export async function findStaleTranslations({ limit = 100, languages = getSupportedTranslationLanguages() } = {}, executor = { query }) {
+  const stale = [];
+  for (const language of languages) {
+    try {
+      const { rows } = await executor.query(
+        `SELECT g.master_id, g.language_code, g.article_id, m.content_hash, m.updated_at
+         FROM article_groups g
+         JOIN articles_en m ON m.id = g.master_id AND m.deleted_at IS NULL
+         JOIN ${articlesTable(language)} t ON t.id = g.article_id AND t.deleted_at IS NULL
+         WHERE g.language_code = $3
+           AND m.content_hash IS NOT NULL
+           AND g.source_content_hash IS DISTINCT FROM m.content_hash
+           AND NOT EXISTS (
+             SELECT 1 FROM jobs j
+             WHERE j.type = $2
+               AND (j.payload->>'masterId')::bigint = g.master_id
+               AND j.payload->>'lang' = g.language_code
+               AND (j.status IN ('pending', 'running')
+                    OR (j.status = 'dead' AND j.payload->>'sourceContentHash' = m.content_hash))
+           )
+         ORDER BY m.updated_at DESC, g.master_id
+         LIMIT $1`,
+        [limit, JOB_TYPES.RETRANSLATE_ARTICLE, language]
+      );
+      stale.push(...rows);
+    } catch (err) {
+      // Skip if the table or the article groups migration doesn't exist yet
+      if (err.code !== '42P01') throw err;
+    }
+  }
+
+  // Each language kept its own newest `limit`, so the overall newest are among them
+  return stale
+    .sort((a, b) => new Date(b.updated_at) - new Date(a.updated_at)
+      || Number(a.master_id) - Number(b.master_id)
+      || a.language_code.localeCompare(b.language_code))
+    .slice(0, limit)
+    .map((row) => ({
+      masterId: Number(row.master_id),
+      language: row.language_code,
+      articleId: Number(row.article_id),
+      sourceContentHash: row.content_hash
+    }));
+}
+
+/**
+ * Scheduled stale check: queue re-translation of up to `budget` stale
+ * translations
+ * @returns {Promise<{ queued: number, jobIds: number[] }>}
+ */
+export async function queueStaleRetranslations({ budget = config.translation.retranslateBudget } = {}) {
+  if (budget <= 0) return { queued: 0, jobIds: [] };
+
+  const stale = await findStaleTranslations({ limit: budget });
+
+  const jobIds = [];
+  for (const pair of stale) {
+    try {
+      const job = await enqueueRetranslation({
+        masterId: pair.masterId,
+        lang: pair.language,
+        sourceContentHash: pair.sourceContentHash
+      });
+      jobIds.push(job.id);
+    } catch (err) {
+      genError('Failed to queue re-translation', { ...pair, error: err.message }, false);
+    }
+  }
+
+  if (jobIds.length) genLog('Stale translations queued for re-translation', { queued: jobIds.length, budget, jobIds });
+  return { queued: jobIds.length, jobIds };
+}
+
+export default {
+  TRANSLATION_STATES,
+  COVERAGE_MAX_LIMIT,
+  getTranslationCoverage,
+  findStaleTranslations,
+  queueStaleRetranslations
+};
@@ -1,5 +1,5 @@
-import { chatCompletion } from './openAI.js';
-import { config } from '../config.js';
+import { getAIProvider } from './aiClient.js';
+import { getGlossary, buildGlossaryPrompt } from './glossaryService.js';
 
 /**
  * Translate a plain-text chunk verbatim into target language.
@@ -14,15 +14,17 @@ export async function translateChunk(lang, text) {
   const trimmedText = text.trim();
   if (!trimmedText) return text;
   
+  const glossary = await getGlossary(lang);
+
   // Enhanced system prompt to ensure complete human-like translation
-  const { content } = await chatCompletion({
+  const { content } = await getAIProvider('translator').translate({
     system: `You are a professional native-speaker translator specializing in natural, human-like translations. Translate the USER content into ${lang}.
 
 CRITICAL RULES:
-- Translate EVERY WORD including proper nouns, technical terms, and all text
+- Translate EVERY WORD including technical terms and all text, except brand, product and site names
 - Preserve markdown formatting (**, -, numbers, etc.) exactly
 - Keep punctuation and structure identical
-- Do NOT keep any English words unless they are URLs or code
+- Do NOT keep any English words unless they are URLs, code or names
 - Output ONLY the translation, no explanations
 
 HUMAN-LIKE TRANSLATION GUIDELINES:
@@ -32,9 +34,9 @@ HUMAN-LIKE TRANSLATION GUIDELINES:
 - Maintain the engaging, authentic voice that makes content feel human-written
 - Adapt cultural references appropriately for ${lang} speakers when needed
 - Avoid robotic or overly formal translation patterns
-- Ensure the translation flows naturally as if originally written by a human native speaker`,
+- Ensure the translation flows naturally as if originally written by a human native speaker${buildGlossaryPrompt(glossary)}`,
     user: trimmedText,
-    model: config.openAI.defaultModel,
+    targetLang: lang,
   });
   
   // Preserve original spacing
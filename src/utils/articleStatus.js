@@ -0,0 +1,22 @@
+/**
+ * Editorial workflow states stored in the `status` column of every
+ * articles table. Only `published` rows are visible on public routes.
+ */
+export const ARTICLE_STATUSES = ['draft', 'in_review', 'scheduled', 'published', 'unpublished'];
+
+export const PUBLISHED_STATUS = 'published';
+
+/**
+ * SQL predicate that restricts a query to publicly visible articles.
+ *
+ * @param {string} [alias] table alias used in the query ('' for none)
+ * @returns {string}
+ */
+export function publishedOnly(alias = 'a') {
+  const prefix = alias ? `${alias}.` : '';
+  return `${prefix}status = '${PUBLISHED_STATUS}'`;
+}
+
+export function isValidStatus(status) {
+  return ARTICLE_STATUSES.includes(String(status || ''));
+}
@@ -0,0 +1,13 @@
+/**
+ * Article formats stored in the `article_type` column of every articles
+ * table. `guide` articles come from the category templates in src/prompts/;
+ * the other types use the templates in src/prompts/types/ and get
+ * type-specific JSON-LD (ItemList for best_of, HowTo for how_to).
+ */
+export const ARTICLE_TYPES = ['guide', 'best_of', 'how_to', 'compare', 'trends'];
+
+export const DEFAULT_ARTICLE_TYPE = 'guide';
+
+export function isValidArticleType(type) {
+  return ARTICLE_TYPES.includes(String(type || ''));
+}
@@ -0,0 +1,190 @@
+/**
+ * HTML-aware diff for article revisions.
+ *
+ * Content is compared block by block (headings, paragraphs, list items,
+ * tables...) and changed blocks are then compared word by word. Tags are
+ * never split, so the rendered diff stays valid HTML with changes wrapped in
+ * <ins>/<del>.
+ */
+
+// Above this many LCS cells a changed run is shown as removed + added
+const MAX_LCS_CELLS = 4_000_000;
+
+// Blocks start at an opening block tag or at the closing tag of a container
+const BLOCK_BOUNDARY = /(?=<(?:h[1-6]|p|ul|ol|li|table|thead|tbody|tr|blockquote|pre|figure|div|section|script)\b|<\/(?:ul|ol|table|thead|tbody|blockquote|figure|div|section)>)/i;
+
+const normalize = (block) => block.replace(/\s+/g, ' ').trim();
+
+/**
+ * Top-level blocks of an HTML fragment, in document order
+ */
+export function splitBlocks(html) {
+  return String(html || '')
+    .split(BLOCK_BOUNDARY)
+    .map((block) => block.trim())
+    .filter(Boolean);
+}
+
+function tokenize(html) {
+  return String(html || '').match(/<[^>]+>|[^<\s]+|\s+/g) || [];
+}
+
+const isTag = (token) => token.startsWith('<');
+
+/**
+ * Edit script turning `a` into `b` via a longest common subsequence
+ * @returns {Array<{ op: 'equal'|'delete'|'insert', a?: any, b?: any }>}
+ */
+function lcsOps(a, b, eq = (x, y) => x === y) {
+  let start = 0;
+  while (start < a.length && start < b.length && eq(a[start], b[start])) start++;
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && eq(a[endA - 1], b[endB - 1])) {
+    endA--;
+    endB--;
+  }
+
+  const ops = [];
+  for (let i = 0; i < start; i++) ops.push({ op: 'equal', a: a[i], b: b[i] });
+
+  const midA = a.slice(start, endA);
+  const midB = b.slice(start, endB);
+  const n = midA.length;
+  const m = midB.length;
+
+  if ((n + 1) * (m + 1) > MAX_LCS_CELLS) {
+    midA.forEach((x) => ops.push({ op: 'delete', a: x }));
+    midB.forEach((y) => ops.push({ op: 'insert', b: y }));
+  } else {
+    // dp[i][j] = LCS length of midA[i..] and midB[j..]
+    const w = m + 1;
+    const dp = new Uint32Array((n + 1) * w);
+    for (let i = n - 1; i >= 0; i--) {
+      for (let j = m - 1; j >= 0; j--) {
+        dp[i * w + j] = eq(midA[i], midB[j])
+          ? dp[(i + 1) * w + j + 1] + 1
+          : Math.max(dp[(i + 1) * w + j], dp[i * w + j + 1]);
+      }
+    }
+    let i = 0;
+    let j = 0;
+    while (i < n && j < m) {
+      if (eq(midA[i], midB[j])) {
+        ops.push({ op: 'equal', a: midA[i++], b: midB[j++] });
+      } else if (dp[(i + 1) * w + j] >= dp[i * w + j + 1]) {
+        ops.push({ op: 'delete', a: midA[i++] });
+      } else {
+        ops.push({ op: 'insert', b: midB[j++] });
+      }
+    }
+    while (i < n) ops.push({ op: 'delete', a: midA[i++] });
+    while (j < m) ops.push({ op: 'insert', b: midB[j++] });
+  }
+
+  for (let i = endA, j = endB; i < a.length; i++, j++) ops.push({ op: 'equal', a: a[i], b: b[j] });
+  return ops;
+}
+
+// Wrap the text of a whole block so list items and table rows keep their parents
+function markText(block, tag) {
+  return block.replace(/(^|>)([^<]+)(?=<|$)/g, (match, before, text) => (
+    text.trim() ? `${before}<${tag}>${text}</${tag}>` : match
+  ));
+}
+
+/**
+ * Word-level diff of two blocks. Removed tags are dropped and added tags kept,
+ * so the markup of the newer block wins.
+ */
+function renderWordDiff(before, after) {
+  let out = '';
+  let removed = '';
+  let added = '';
+  const flush = () => {
+    if (removed.trim()) out += `<del>${removed}</del>`;
+    if (added.trim()) out += `<ins>${added}</ins>`;
+    else out += added;
+    removed = '';
+    added = '';
+  };
+
+  for (const { op, a, b } of lcsOps(tokenize(before), tokenize(after))) {
+    if (op === 'equal') {
+      flush();
+      out += b;
+    } else if (op === 'delete') {
+      if (!isTag(a)) removed += a;
+    } else if (isTag(b)) {
+      flush();
+      out += b;
+    } else {
+      added += b;
+    }
+  }
+  flush();
+  return out;
+}
+
+/**
+ * Diff two versions of article HTML
+ *
+ * @returns {{
+ *   changes: Array<{ index: number, type: 'added'|'removed'|'changed', before?: string, after?: string, html: string }>,
+ *   html: string,
+ *   stats: { added: number, removed: number, changed: number, unchanged: number }
+ * }} `index` is the block position in the rendered diff
+ */
+export function diffHtml(before, after) {
+  const ops = lcsOps(splitBlocks(before), splitBlocks(after), (x, y) => normalize(x) === normalize(y));
+  const blocks = [];
+  const stats = { added: 0, removed: 0, changed: 0, unchanged: 0 };
+
+  // Pair up each run of removed and added blocks as in-place edits
+  for (let k = 0; k < ops.length;) {
+    if (ops[k].op === 'equal') {
+      blocks.push({ type: 'unchanged', html: ops[k].b });
+      stats.unchanged += 1;
+      k++;
+      continue;
+    }
+    const removed = [];
+    const added = [];
+    while (k < ops.length && ops[k].op !== 'equal') {
+      if (ops[k].op === 'delete') removed.push(ops[k].a);
+      else added.push(ops[k].b);
+      k++;
+    }
+    const paired = Math.min(removed.length, added.length);
+    for (let p = 0; p < paired; p++) {
+      blocks.push({ type: 'changed', before: removed[p], after: added[p], html: renderWordDiff(removed[p], added[p]) });
+      stats.changed += 1;
+    }
+    for (const block of removed.slice(paired)) {
+      blocks.push({ type: 'removed', before: block, html: markText(block, 'del') });
+      stats.removed += 1;
+    }
+    for (const block of added.slice(paired)) {
+      blocks.push({ type: 'added', after: block, html: markText(block, 'ins') });
+      stats.added += 1;
+    }
+  }
+
+  return {
+    changes: blocks
+      .map((block, index) => ({ index, ...block }))
+      .filter((block) => block.type !== 'unchanged'),
+    html: blocks.map((block) => block.html).join('\n'),
+    stats
+  };
+}
+
+/**
+ * Word-level diff of plain text fields (titles, meta descriptions)
+ */
+export function diffText(before, after) {
+  const escape = (s) => String(s ?? '').replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  return renderWordDiff(escape(before), escape(after));
+}
+
+export default { splitBlocks, diffHtml, diffText };
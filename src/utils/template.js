@@ -0,0 +1,258 @@
+/**
+ * A small Handlebars-like template language for the server-rendered pages.
+ *
+ *   {{ path }}                  escaped output (null, undefined and false print nothing)
+ *   {{{ path }}}                raw output, for HTML that is already safe
+ *   {{#if path}}..{{else}}..{{/if}}, {{#unless path}}..{{/unless}}
+ *   {{#each path}}..{{else}}..{{/each}}   item becomes `this`; @index, @first, @last
+ *   {{#with path}}..{{/with}}
+ *   {{> name}} / {{> name path}} partial, with the current or another context
+ *   {{! comment }}
+ *
+ * Layouts follow Ghost themes: a template starting with `{{!< name}}` is
+ * rendered into that layout, where `{{{body}}}` is its output and
+ * `{{{block "head"}}}` is what it captured with `{{#contentFor "head"}}`.
+ *
+ * Paths are looked up from the innermost context outwards, so an `each`
+ * body can still read page-level values; `@root.x` skips the lookup.
+ * Whitespace is kept exactly as written, except that a line break right
+ * after a comment or a contentFor tag is dropped.
+ */
+
+const TAG_RE = /\{\{\{\s*([\s\S]*?)\s*\}\}\}|\{\{\s*([\s\S]*?)\s*\}\}/g;
+const BLOCK_HELPERS = ['if', 'unless', 'each', 'with', 'contentFor'];
+
+/**
+ * Escape HTML entities for safe HTML output
+ */
+export function escapeHtml(text) {
+  if (!text) return '';
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+export class TemplateError extends Error {
+  constructor(message, name) {
+    super(name ? `${message} (in ${name})` : message);
+    this.name = 'TemplateError';
+  }
+}
+
+function parseArgs(text) {
+  const args = [];
+  const re = /"([^"]*)"|(\S+)/g;
+  let match;
+  while ((match = re.exec(text))) {
+    args.push(match[1] !== undefined ? { literal: match[1] } : { path: match[2] });
+  }
+  return args;
+}
+
+/**
+ * Compile template source into a render tree
+ * @param {string} source
+ * @param {string} [name] template name for error messages
+ * @returns {{ layout: string|null, nodes: object[] }}
+ */
+export function compileTemplate(source, name) {
+  const root = { nodes: [] };
+  const stack = [root];
+  let layout = null;
+  let last = 0;
+  let match;
+
+  const current = () => {
+    const top = stack[stack.length - 1];
+    return top.inElse ? top.elseNodes : top.nodes;
+  };
+  // Lets layout, comment and contentFor tags sit on lines of their own
+  const skipLineBreak = () => {
+    if (source[last] === '\n') last += 1;
+  };
+
+  TAG_RE.lastIndex = 0;
+  while ((match = TAG_RE.exec(source))) {
+    if (match.index > last) current().push({ type: 'text', value: source.slice(last, match.index) });
+    last = TAG_RE.lastIndex;
+
+    if (match[1] !== undefined) {
+      const [head, ...rest] = parseArgs(match[1]);
+      if (head?.path === 'block' && rest[0]?.literal !== undefined) {
+        current().push({ type: 'block', name: rest[0].literal });
+      } else {
+        current().push({ type: 'raw', path: match[1] });
+      }
+      continue;
+    }
+
+    const tag = match[2];
+    if (tag.startsWith('!')) {
+      const layoutMatch = /^!<\s*(\S+)/.exec(tag);
+      if (layoutMatch) layout = layoutMatch[1];
+      skipLineBreak();
+      continue;
+    }
+    if (tag.startsWith('>')) {
+      const [partial, arg] = parseArgs(tag.slice(1));
+      if (!partial?.path) throw new TemplateError('Partial name missing', name);
+      current().push({ type: 'partial', name: partial.path, path: arg?.path || null });
+      continue;
+    }
+    if (tag.startsWith('#')) {
+      const [helper, arg] = parseArgs(tag.slice(1));
+      if (!BLOCK_HELPERS.includes(helper?.path)) {
+        throw new TemplateError(`Unknown block helper "${tag}"`, name);
+      }
+      const node = { type: helper.path, arg: arg?.literal ?? arg?.path, nodes: [], elseNodes: [], inElse: false };
+      current().push(node);
+      stack.push(node);
+      if (node.type === 'contentFor') skipLineBreak();
+      continue;
+    }
+    if (tag === 'else') {
+      const top = stack[stack.length - 1];
+      if (top === root || top.inElse) throw new TemplateError('Unexpected {{else}}', name);
+      top.inElse = true;
+      continue;
+    }
+    if (tag.startsWith('/')) {
+      const top = stack.pop();
+      if (top === root || top.type !== tag.slice(1).trim()) {
+        throw new TemplateError(`Unexpected {{${tag}}}`, name);
+      }
+      delete top.inElse;
+      if (top.type === 'contentFor') skipLineBreak();
+      continue;
+    }
+    current().push({ type: 'var', path: tag });
+  }
+
+  if (stack.length > 1) {
+    throw new TemplateError(`Unclosed {{#${stack[stack.length - 1].type}}}`, name);
+  }
+  if (last < source.length) root.nodes.push({ type: 'text', value: source.slice(last) });
+  return { layout, nodes: root.nodes };
+}
+
+function lookup(path, scopes, data) {
+  if (path === 'this' || path === '.') return scopes[scopes.length - 1];
+  if (path.startsWith('@')) {
+    const [key, ...rest] = path.slice(1).split('.');
+    let value = key === 'root' ? scopes[0] : data[key];
+    for (const part of rest) value = value?.[part];
+    return value;
+  }
+
+  const parts = path.replace(/^this\./, '').split('.');
+  const scopesToSearch = path.startsWith('this.') ? [scopes[scopes.length - 1]] : scopes.slice().reverse();
+  for (const scope of scopesToSearch) {
+    if (scope !== null && typeof scope === 'object' && parts[0] in scope) {
+      let value = scope[parts[0]];
+      for (const part of parts.slice(1)) value = value?.[part];
+      return value;
+    }
+  }
+  return undefined;
+}
+
+function isTruthy(value) {
+  return Array.isArray(value) ? value.length > 0 : Boolean(value);
+}
+
+function toText(value) {
+  return value === null || value === undefined || value === false ? '' : String(value);
+}
+
+function renderNodes(nodes, scopes, state, data = {}) {
+  let out = '';
+  for (const node of nodes) {
+    switch (node.type) {
+      case 'text':
+        out += node.value;
+        break;
+      case 'var': {
+        const value = toText(lookup(node.path, scopes, data));
+        out += value ? escapeHtml(value) : '';
+        break;
+      }
+      case 'raw':
+        out += toText(lookup(node.path, scopes, data));
+        break;
+      case 'block':
+        out += state.blocks[node.name] || '';
+        break;
+      case 'if':
+      case 'unless': {
+        const truthy = isTruthy(lookup(node.arg, scopes, data));
+        const branch = truthy === (node.type === 'if') ? node.nodes : node.elseNodes;
+        out += renderNodes(branch, scopes, state, data);
+        break;
+      }
+      case 'with': {
+        const value = lookup(node.arg, scopes, data);
+        out += isTruthy(value)
+          ? renderNodes(node.nodes, [...scopes, value], state, data)
+          : renderNodes(node.elseNodes, scopes, state, data);
+        break;
+      }
+      case 'each': {
+        const items = lookup(node.arg, scopes, data);
+        if (!Array.isArray(items) || items.length === 0) {
+          out += renderNodes(node.elseNodes, scopes, state, data);
+          break;
+        }
+        items.forEach((item, index) => {
+          out += renderNodes(node.nodes, [...scopes, item], state, {
+            index,
+            first: index === 0,
+            last: index === items.length - 1
+          });
+        });
+        break;
+      }
+      case 'contentFor':
+        state.blocks[node.arg] = (state.blocks[node.arg] || '') + renderNodes(node.nodes, scopes, state, data);
+        break;
+      case 'partial': {
+        const partial = state.resolve(node.name, 'partial');
+        const partialScopes = node.path ? [...scopes, lookup(node.path, scopes, data)] : scopes;
+        out += renderNodes(partial.nodes, partialScopes, state, data);
+        break;
+      }
+      default:
+        throw new TemplateError(`Unknown node type "${node.type}"`);
+    }
+  }
+  return out;
+}
+
+/**
+ * Render a compiled template, wrapping it in its layout if it names one
+ *
+ * @param {{ layout: string|null, nodes: object[] }} template
+ * @param {object} context
+ * @param {(name: string, kind: 'partial'|'layout') => object} resolve compiled partials and layouts by name
+ * @returns {string}
+ */
+export function renderTemplate(template, context, resolve) {
+  const state = { blocks: {}, resolve };
+  let body = renderNodes(template.nodes, [context], state);
+  let layoutName = template.layout;
+  while (layoutName) {
+    const layout = resolve(layoutName, 'layout');
+    body = renderNodes(layout.nodes, [{ ...context, body }], state);
+    layoutName = layout.layout;
+  }
+  return body;
+}
+
+export default {
+  escapeHtml,
+  compileTemplate,
+  renderTemplate,
+  TemplateError
+};
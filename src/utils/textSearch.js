@@ -0,0 +1,34 @@
+/**
+ * Postgres text search configuration per article language. Stemming
+ * configurations exist for the European languages; Arabic and Hindi use
+ * `simple` (lower-casing, no stemming or stop words).
+ */
+export const TEXT_SEARCH_CONFIGS = {
+  en: 'english',
+  de: 'german',
+  fr: 'french',
+  es: 'spanish',
+  pt: 'portuguese',
+  ar: 'simple',
+  hi: 'simple'
+};
+
+/**
+ * @param {string} languageCode
+ * @returns {string} regconfig name, `simple` for unknown languages
+ */
+export function textSearchConfig(languageCode) {
+  return TEXT_SEARCH_CONFIGS[String(languageCode || '').toLowerCase()] || 'simple';
+}
+
+/**
+ * SQL expression turning stored article HTML into plain text: JSON-LD and
+ * other scripts are dropped, tags become spaces. Immutable, so it can be used
+ * in the generated search_vector column.
+ *
+ * @param {string} column column holding HTML
+ * @returns {string}
+ */
+export function htmlToTextSql(column) {
+  return `regexp_replace(regexp_replace(coalesce(${column}, ''), '<script[^>]*>.*?</script>', ' ', 'gi'), '<[^>]+>', ' ', 'g')`;
+}